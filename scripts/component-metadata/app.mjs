@@ -0,0 +1,378 @@
+import fs from "fs";
+import path from "path";
+import * as figmaJSON from "../../figma.config.json" with { type: "json" };
+import { createFigmaClient } from "../shared/figmaClient.mjs";
+
+// Sync component metadata from Figma into ./components.json and the JSDoc of the connected React components.
+// run with node --env-file=../../.env app.mjs [--skip-rest-api] [--check]
+const FILE_KEY = process.env.FIGMA_FILE_KEY;
+// Read ./components.json instead of the Figma file (eg. after exporting it with exportComponentJSON.js)
+const SKIP_REST_API = process.argv.includes("--skip-rest-api");
+// Write nothing, and fail if components.json or any JSDoc is out of date. For CI.
+const CHECK = process.argv.includes("--check");
+const COMPONENTS_PATH = "./components.json";
+const FIGMA_DOCS_DIR = "../../src/figma";
+const SOURCE_DIR = "../../src/ui";
+// Pages without their own constants. Icons are connected from <FIGMA_ICONS_BASE> by scripts/icons.
+const UNCONNECTED_PAGES = ["Icons", "Examples", "Utilities"];
+// Constants that aren't component nodes
+const IGNORE_KEYS = ["<FIGMA_ICONS_BASE>"];
+// Marks JSDoc written by this script, so it can be replaced. JSDoc without it is written by hand and left alone.
+const JSDOC_TAG = "@figma";
+// Figma descriptions are split into paragraphs on blank lines. Same as the console snippets.
+const PARAGRAPH_BREAK = /\n\n+/;
+// The description paragraph listing a component's keywords, eg. "Keywords: popup, modal". Same as scripts/icons.
+const KEYWORDS_PREFIX = "Keywords:";
+
+const figmaUrls = figmaJSON.default.codeConnect.documentUrlSubstitutions;
+
+run();
+
+async function run() {
+  let components;
+  try {
+    components = SKIP_REST_API
+      ? JSON.parse(fs.readFileSync(COMPONENTS_PATH))
+      : await getFileComponents(FILE_KEY);
+  } catch (error) {
+    console.error(error instanceof Error ? error.message : error);
+    process.exitCode = 1;
+    return;
+  }
+  components = sortComponents(components);
+
+  const { missing, unused } = validate(components);
+  if (unused.length) {
+    console.warn(
+      [
+        `Constants in figma.config.json with no component in Figma (${unused.length}):`,
+        ...unused.map((key) => `  ${key}`),
+      ].join("\n"),
+    );
+  }
+  if (missing.length) {
+    console.error(
+      [
+        `Components with no url in figma.config.json documentUrlSubstitutions (${missing.length}):`,
+        ...missing.map(
+          ({ constant, page, name }) => `  ${constant} (${page}: ${name})`,
+        ),
+      ].join("\n"),
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = {
+    [COMPONENTS_PATH]: `${JSON.stringify(components, null, 2)}\n`,
+  };
+  const { written, handwritten, notFound } = drawJSDoc(components, files);
+  const outdated = Object.keys(files).filter(
+    (file) =>
+      !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== files[file],
+  );
+
+  console.log(
+    [
+      `${Object.keys(components).length} components, ${written.length} with JSDoc from Figma`,
+      ...(handwritten.length
+        ? [
+            "",
+            `Components with hand written JSDoc, left alone (${handwritten.length}). Remove it to use the Figma description:`,
+            ...handwritten.map((name) => `  ${name}`),
+          ]
+        : []),
+      ...(notFound.length
+        ? [
+            "",
+            `Connected components not exported from ${SOURCE_DIR} (${notFound.length}):`,
+            ...notFound.map((name) => `  ${name}`),
+          ]
+        : []),
+    ].join("\n"),
+  );
+  if (CHECK) {
+    if (outdated.length) {
+      console.error(
+        [
+          `Out of date (${outdated.length}). Run the script without --check to update:`,
+          ...outdated.map((file) => `  ${file}`),
+        ].join("\n"),
+      );
+      process.exitCode = 1;
+    }
+    return;
+  }
+  outdated.forEach((file) => fs.writeFileSync(file, files[file]));
+  console.log(`Wrote ${outdated.length} files`);
+}
+
+/**
+ * Component metadata from the file REST response, in the same shape as exportComponentJSON.js
+ * Components inside component sets are variants, and are described by their set.
+ * @link https://www.figma.com/developers/api#get-files-endpoint
+ * @param {string} fileKey
+ * @returns {Promise<{ [key: string]: { id: string, page: string, name: string, constant: string, description?: string[] } }>}
+ */
+async function getFileComponents(fileKey) {
+  const client = createFigmaClient();
+  const {
+    document,
+    components = {},
+    componentSets = {},
+  } = await client.get(`/v1/files/${fileKey}`, { context: "components" });
+  const into = {};
+  document.children.forEach((page) => traverse(page, titleCase(page.name)));
+  return into;
+
+  function traverse(node, pageName) {
+    const isSet = node.type === "COMPONENT_SET";
+    if (isSet || node.type === "COMPONENT") {
+      const meta = (isSet ? componentSets : components)[node.id];
+      if (meta && !meta.remote) {
+        const name = titleCase(node.name);
+        into[meta.key] = {
+          id: node.id,
+          page: pageName,
+          name,
+          constant:
+            `<FIGMA_${pageName.replace(/ /g, "_")}_${name.replace(/ /g, "_")}>`.toUpperCase(),
+          description: meta.description
+            ? meta.description.split(PARAGRAPH_BREAK)
+            : undefined,
+        };
+      }
+      if (isSet) return;
+    }
+    (node.children || []).forEach((child) => traverse(child, pageName));
+  }
+}
+
+/**
+ * Order components by page, then name, then key, so exports from different sessions diff cleanly.
+ * @param {ReturnType<typeof getFileComponents>} components
+ * @returns {ReturnType<typeof getFileComponents>}
+ */
+function sortComponents(components) {
+  return Object.keys(components)
+    .sort((a, b) => {
+      const [first, second] = [components[a], components[b]];
+      return (
+        first.page.localeCompare(second.page) ||
+        first.name.localeCompare(second.name) ||
+        a.localeCompare(b)
+      );
+    })
+    .reduce((into, key) => {
+      into[key] = components[key];
+      return into;
+    }, {});
+}
+
+/**
+ * Every component's constant should have a url in figma.config.json, except on pages without their own constants.
+ * @param {ReturnType<typeof getFileComponents>} components
+ * @returns {{ missing: Array<{ constant: string, page: string, name: string }>, unused: string[] }}
+ */
+function validate(components) {
+  const connected = Object.values(components).filter(
+    ({ page }) => !UNCONNECTED_PAGES.includes(page),
+  );
+  const constants = connected.map(({ constant }) => constant);
+  return {
+    missing: connected.filter(({ constant }) => !figmaUrls[constant]),
+    unused: Object.keys(figmaUrls)
+      .filter((key) => !IGNORE_KEYS.includes(key) && !constants.includes(key))
+      .sort(),
+  };
+}
+
+/**
+ * Draw the Figma descriptions of each connected component as its JSDoc, into the source files in `files`.
+ * Components connected to more than one constant are described by one of them, followed by the labelled descriptions of the others (see componentParagraphs).
+ * @param {ReturnType<typeof getFileComponents>} components
+ * @param {{ [file: string]: string }} files - file contents to write, by path. Changed source files are added.
+ * @returns {{ written: string[], handwritten: string[], notFound: string[] }}
+ */
+function drawJSDoc(components, files) {
+  const byConstant = Object.values(components).reduce((into, component) => {
+    into[component.constant] = component;
+    return into;
+  }, {});
+  const sources = sourceFiles(SOURCE_DIR);
+  const result = { written: [], handwritten: [], notFound: [] };
+  const connections = keysByComponent(FIGMA_DOCS_DIR);
+  Object.keys(connections)
+    .sort()
+    .forEach((name) => {
+      const keys = connections[name].filter((key) => byConstant[key]).sort();
+      if (!keys.length) return;
+      const file = sources.find((file) =>
+        declarationPattern(name).test(files[file] || readFile(file)),
+      );
+      if (!file) {
+        result.notFound.push(name);
+        return;
+      }
+      const paragraphs = componentParagraphs(name, keys, byConstant);
+      const jsDoc = paragraphs.length ? drawJSDocComment(paragraphs, keys) : "";
+      const source = files[file] || readFile(file);
+      const updated = replaceJSDoc(source, name, jsDoc);
+      if (updated === null) {
+        if (jsDoc) result.handwritten.push(name);
+        return;
+      }
+      if (jsDoc) result.written.push(name);
+      if (updated !== source) files[file] = updated;
+    });
+  return result;
+}
+
+/**
+ * Description paragraphs for a component. The constant named like the component (eg. Dialog for <FIGMA_DIALOG_DIALOG>) describes it, or else the first.
+ * The other constants are parts of it (eg. Dialog Body). Their descriptions follow under their name in bold, and their keywords are merged into one keywords paragraph.
+ * @param {string} name - component name
+ * @param {string[]} keys - constants the component is connected to, sorted
+ * @param {{ [constant: string]: { name: string, description?: string[] } }} byConstant
+ * @returns {string[]}
+ */
+function componentParagraphs(name, keys, byConstant) {
+  const primary =
+    keys.find((key) => byConstant[key].name.replace(/ /g, "") === name) ||
+    keys[0];
+  const isKeywords = (paragraph) =>
+    paragraph.trim().startsWith(KEYWORDS_PREFIX);
+  const keywords = [
+    ...new Set(
+      [primary, ...keys.filter((key) => key !== primary)].flatMap((key) =>
+        (byConstant[key].description || [])
+          .filter(isKeywords)
+          .flatMap((paragraph) =>
+            paragraph.trim().slice(KEYWORDS_PREFIX.length).split(","),
+          )
+          .map((keyword) => keyword.trim())
+          .filter(Boolean),
+      ),
+    ),
+  ];
+  const description = byConstant[primary].description || [];
+  // Keywords stay where the description had them, or go last
+  const index = description.findIndex(isKeywords);
+  const paragraphs = description.filter((paragraph) => !isKeywords(paragraph));
+  if (keywords.length) {
+    paragraphs.splice(
+      index === -1 ? paragraphs.length : index,
+      0,
+      `${KEYWORDS_PREFIX} ${keywords.join(", ")}`,
+    );
+  }
+  keys
+    .filter((key) => key !== primary)
+    .forEach((key) => {
+      const parts = (byConstant[key].description || []).filter(
+        (paragraph) =>
+          !isKeywords(paragraph) && !paragraphs.includes(paragraph),
+      );
+      if (parts.length) {
+        paragraphs.push(`**${byConstant[key].name}**`, ...parts);
+      }
+    });
+  return paragraphs;
+}
+
+/**
+ * @param {string[]} paragraphs
+ * @param {string[]} keys - constants the component is connected to
+ * @returns {string}
+ */
+function drawJSDocComment(paragraphs, keys) {
+  const lines = paragraphs.flatMap((paragraph, i) => [
+    ...(i ? [""] : []),
+    ...paragraph
+      .trim()
+      .replace(/\*\//g, "* /")
+      .split("\n")
+      .map((line) => line.trim()),
+  ]);
+  return [
+    "/**",
+    ...lines.map((line) => (line ? ` * ${line}` : " *")),
+    ...keys.map((key) => ` * ${JSDOC_TAG} ${key}`),
+    " */",
+  ].join("\n");
+}
+
+/**
+ * Replace the JSDoc above a component's declaration. An empty jsDoc removes a JSDoc written by this script.
+ * @param {string} source
+ * @param {string} name
+ * @param {string} jsDoc
+ * @returns {string | null} - null when the existing JSDoc was written by hand
+ */
+function replaceJSDoc(source, name, jsDoc) {
+  const { index } = source.match(declarationPattern(name));
+  const existing = source
+    .slice(0, index)
+    .match(/\/\*\*(?:(?!\*\/)[\s\S])*\*\/\n$/);
+  if (existing && !existing[0].includes(`${JSDOC_TAG} <FIGMA_`)) return null;
+  const start = existing ? index - existing[0].length : index;
+  return `${source.slice(0, start)}${jsDoc ? `${jsDoc}\n` : ""}${source.slice(index)}`;
+}
+
+function declarationPattern(name) {
+  return new RegExp(`^export (?:const|function) ${name}\\b`, "m");
+}
+
+/**
+ * Constants connected to each component in the Code Connect docs, eg. figma.connect(Button, "<FIGMA_BUTTONS_BUTTON>")
+ * @param {string} dir
+ * @returns {{ [component: string]: string[] }}
+ */
+function keysByComponent(dir) {
+  const connections = {};
+  fs.readdirSync(dir, { recursive: true })
+    .filter((file) => file.endsWith(".figma.tsx"))
+    .forEach((file) => {
+      const contents = readFile(path.join(dir, file));
+      for (let [, component, key] of contents.matchAll(
+        /figma\.connect\(\s*(\w+),\s*"(<FIGMA_[A-Z0-9_]+>)/g,
+      )) {
+        if (IGNORE_KEYS.includes(key)) continue;
+        connections[component] = connections[component] || [];
+        if (!connections[component].includes(key)) {
+          connections[component].push(key);
+        }
+      }
+    });
+  return connections;
+}
+
+/**
+ * Component source files. Generated icons are skipped, scripts/icons owns them.
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function sourceFiles(dir) {
+  return fs
+    .readdirSync(dir, { recursive: true })
+    .filter(
+      (file) =>
+        file.endsWith(".tsx") &&
+        !file.endsWith(".stories.tsx") &&
+        !file.startsWith(`icons${path.sep}`),
+    )
+    .sort()
+    .map((file) => path.join(dir, file));
+}
+
+function readFile(file) {
+  return fs.readFileSync(file, "utf8");
+}
+
+// Same as exportComponentJSON.js, so constants match
+function titleCase(string) {
+  return string
+    .split(/[^a-z0-9]+/i)
+    .map((a) => a.charAt(0).toUpperCase() + a.slice(1).toLowerCase())
+    .join(" ");
+}
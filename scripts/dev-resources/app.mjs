@@ -1,15 +1,20 @@
 import * as figmaJSON from "../../figma.config.json" with { type: "json" };
+import { drawTable } from "../shared/drawTable.mjs";
+import { createFigmaClient } from "../shared/figmaClient.mjs";
 import { devResources } from "./devResources.mjs";
 
-// run with node --env-file=.env app.mjs
-const TOKEN = process.env.FIGMA_ACCESS_TOKEN;
+// run with node --env-file=.env app.mjs [--dry-run] [--json] [--only <FIGMA_CONSTANT>]
 const FILE_KEY = process.env.FIGMA_FILE_KEY;
-const URL_BASE = "https://api.figma.com/v1/files";
-const DEV_RESOURCES_URL_BASE = "https://api.figma.com/v1/dev_resources";
-// To avoid rate limiting, how many to delete at a time (new urls replace old ones)
-const BATCH_DELETE_SIZE = 10;
-// To avoid rate limiting, how long to wait between batch cycles (in ms).
-const BATCH_SLEEP_MS = 2000;
+// Print the plan (every delete and create) without changing anything in Figma.
+const DRY_RUN = process.argv.includes("--dry-run");
+// Print the plan as JSON instead of a table.
+const AS_JSON = process.argv.includes("--json");
+// Only sync these constants, eg. --only <FIGMA_BUTTONS_BUTTON> or --only=FIGMA_BUTTONS_BUTTON,FIGMA_CARDS_CARD
+const ONLY = parseOnlyArg();
+// Node id for keys that don't resolve to a node in this file. These fail validation.
+const UNKNOWN_NODE_ID = "UNKNOWN or DIFFERENT_FILE";
+// Rate limits are handled by the client, which backs off and limits requests in flight.
+const client = createFigmaClient();
 
 /**
  * Grabbing component urls from the existing Code Connect configuration to get the component node ids.
@@ -25,27 +30,41 @@ const figmaUrls = figmaJSON.default.codeConnect.documentUrlSubstitutions;
  */
 const urlKeyToNodeId = {};
 for (let key in devResources) {
-  if (figmaUrls[key] && figmaUrls[key].includes(FILE_KEY)) {
-    urlKeyToNodeId[key] = new URLSearchParams(figmaUrls[key].split("?")[1])
-      .get("node-id")
-      .replace("-", ":");
-  } else {
-    urlKeyToNodeId[key] = "UNKNOWN or DIFFERENT_FILE";
-  }
+  const nodeId =
+    figmaUrls[key] && figmaUrls[key].includes(FILE_KEY)
+      ? new URLSearchParams(figmaUrls[key].split("?")[1]).get("node-id")
+      : null;
+  urlKeyToNodeId[key] = nodeId ? nodeId.replace("-", ":") : UNKNOWN_NODE_ID;
 }
 
 /**
  * Running the process
  */
-run();
+run().catch((error) => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+});
 
 /**
  * Gets all existing dev resources for the file and loads configuration from devResources.mjs.
- *   Detects what should be deleted, what should change, and what should be created.
+ *   Validates every constant resolves to a node, then plans what should be deleted and what should be created.
  *   IMPORTANT: Does not use update endpoint, only deletes and creates.
  * @returns {Promise<void>}
  */
 async function run() {
+  const keys = ONLY || Object.keys(devResources);
+  // Fail before touching anything if a constant doesn't resolve to a node in this file.
+  const errors = validate(keys);
+  if (errors.length) {
+    console.error(
+      [`Dev resource validation failed (${errors.length}):`, ...errors].join(
+        "\n  ",
+      ),
+    );
+    process.exitCode = 1;
+    return;
+  }
+
   // All existing dev resources in the file (including the ones we aren't tracking) keyed by node id.
   const existingDevResources = (await getDevResources()).reduce(
     (into, curr) => {
@@ -56,16 +75,67 @@ async function run() {
     {},
   );
 
-  const creates = [];
-  const deletes = [];
-  let deleteCount = 0;
-  let createCount = 0;
-  let possibleCreateCount = 0;
-  // For each item in our dev resource definitions file
-  for (let key in devResources) {
+  const plan = planChanges(keys, existingDevResources);
+  const creates = plan.flatMap(({ creates }) => creates);
+  const deletes = plan.flatMap(({ deletes }) => deletes);
+  const possibleCreateCount = keys.reduce(
+    (count, key) => count + devResources[key].length,
+    0,
+  );
+  console.log(AS_JSON ? JSON.stringify(plan, null, 2) : drawPlan(plan));
+  if (DRY_RUN) {
+    // JSON output stays parseable
+    if (!AS_JSON) {
+      console.log(
+        `Dry run. Would create ${creates.length} and delete ${deletes.length}.`,
+      );
+    }
+    return;
+  }
+  // Await deletion (one request each). DELETE is per resource, no batch endpoint. :/
+  await deleteDevResources(deletes);
+  // Await creation (single request). POST can be many resources at once! :)
+  await createDevResources(creates);
+  // Log the report
+  console.log(
+    `Possible: ${possibleCreateCount} • New: ${creates.length} • Deleted: ${deletes.length}`,
+  );
+  // We're done!
+  return;
+}
+
+/**
+ * Every problem that would make a sync do the wrong thing, as human readable lines.
+ * @param {string[]} keys - constants from devResources.mjs to sync
+ * @returns {string[]}
+ */
+function validate(keys) {
+  return keys.flatMap((key) => {
+    if (!devResources[key]) {
+      return [`${key} is not defined in devResources.mjs`];
+    }
+    if (urlKeyToNodeId[key] === UNKNOWN_NODE_ID) {
+      return [
+        figmaUrls[key]
+          ? `${key} in figma.config.json is not a node in file ${FILE_KEY}: ${figmaUrls[key]}`
+          : `${key} is not defined in figma.config.json`,
+      ];
+    }
+    return [];
+  });
+}
+
+/**
+ * Compare the dev resources we want with the existing ones, per constant.
+ * Existing resources matching by url and name are kept, other existing resources on the node are deleted.
+ * @param {string[]} keys - constants from devResources.mjs to sync
+ * @param {{[node_id: string]: Array<{id: string, name: string, url: string, file_key: string, node_id: string}>}} existingDevResources
+ * @returns {Array<{key: string, nodeId: string, keeps: Object[], deletes: Object[], creates: Object[]}>}
+ */
+function planChanges(keys, existingDevResources) {
+  return keys.map((key) => {
     // Transform the array of dev resources we want to see into an object keyed by url
     const resources = devResources[key].reduce((into, resource) => {
-      possibleCreateCount++;
       into[resource.url] = {
         ...resource,
         node_id: urlKeyToNodeId[key],
@@ -73,144 +143,127 @@ async function run() {
       };
       return into;
     }, {});
+    const keeps = [];
+    const deletes = [];
     // Find existing resources for this node (from batch request)
-    const existing = existingDevResources[urlKeyToNodeId[key]];
-    if (existing) {
-      // For each existing resource
-      for (let item of existing) {
-        const found = resources[item.url];
-        if (found && found.name === item.name) {
-          // If it matches, remove it from the list of things we're creating
-          delete resources[item.url];
-        } else {
-          // It doesn't match, queue it for deletion
-          deleteCount++;
-          deletes.push(item.id);
-        }
+    for (let item of existingDevResources[urlKeyToNodeId[key]] || []) {
+      const found = resources[item.url];
+      if (found && found.name === item.name) {
+        // If it matches, remove it from the list of things we're creating
+        keeps.push(item);
+        delete resources[item.url];
+      } else {
+        // It doesn't match, queue it for deletion
+        deletes.push(item);
       }
     }
-    // Add any remaining resources to list of creates
-    for (let url in resources) {
-      createCount++;
-      creates.push(resources[url]);
-    }
-  }
-  // Await deletion (batches of requests). DELETE is per resource, no batch endpoint. :/
-  await deleteDevResources(deletes);
-  // Await creation (single request). POST cvasn be many resources at once! :)
-  await createDevResources(creates);
-  // Log the report
-  console.log(
-    `Possible: ${possibleCreateCount} • New: ${createCount} • Deleted: ${deleteCount}`,
+    // Any remaining resources are created
+    const creates = Object.values(resources);
+    return { key, nodeId: urlKeyToNodeId[key], keeps, deletes, creates };
+  });
+}
+
+/**
+ * Plan as a table of changes, one row per delete or create, grouped by constant.
+ * @param {ReturnType<typeof planChanges>} plan
+ * @returns {string}
+ */
+function drawPlan(plan) {
+  const rows = plan.flatMap(({ key, nodeId, deletes, creates }) => [
+    ...deletes.map(({ name, url }) => [key, nodeId, "delete", name, url]),
+    ...creates.map(({ name, url }) => [key, nodeId, "create", name, url]),
+  ]);
+  if (!rows.length) return "No dev resource changes.";
+  const header = ["Constant", "Node", "Action", "Name", "Url"];
+  return drawTable(header, rows).join("\n");
+}
+
+/**
+ * Constants from --only, as comma separated values. Angle brackets are optional.
+ * @returns {string[] | null}
+ */
+function parseOnlyArg() {
+  const index = process.argv.findIndex(
+    (arg) => arg === "--only" || arg.startsWith("--only="),
   );
-  // We're done!
-  return;
+  if (index === -1) return null;
+  const value =
+    process.argv[index] === "--only"
+      ? process.argv[index + 1] || ""
+      : process.argv[index].slice("--only=".length);
+  return value
+    .split(",")
+    .filter(Boolean)
+    .map((key) => (key.startsWith("<") ? key : `<${key}>`));
 }
 
 /**
  * Creates multiple dev resources in a single POST request.
+ * Resources Figma refuses are reported individually with their node id.
  * @link https://www.figma.com/developers/api#post-dev-resources-endpoint
  * @param {Array<{name: string, url: string, file_key: string, node_id: string}>} dev_resources - DevResourcesCreate[] payload
  * @returns {Promise<any>}
  */
 async function createDevResources(dev_resources) {
-  try {
-    const fileResponse = await fetch(DEV_RESOURCES_URL_BASE, {
-      method: "POST",
-      headers: { "X-FIGMA-TOKEN": TOKEN, "Content-Type": "application/json" },
-      body: JSON.stringify({ dev_resources }),
-    });
-    return await fileResponse.json();
-  } catch (e) {
-    throw e;
-  }
-}
-
-/**
- * Async sleep function. Waits n milliseconds to resolve.
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
- */
-function sleep(ms = 1000) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+  if (!dev_resources.length) return;
+  const response = await client.post(
+    "/v1/dev_resources",
+    { dev_resources },
+    { context: `${dev_resources.length} dev resource(s)` },
+  );
+  const errors = response.errors || [];
+  errors.forEach(({ node_id, error }) => {
+    console.error(
+      `Failed to create dev resource for node ${node_id}: ${error}`,
+    );
+  });
+  if (errors.length) process.exitCode = 1;
+  return response;
 }
 
 /**
- * Deleting multiple dev resources in a batched operation.
- * To avoid rate limiting, we do this in batches with a delay between requests.
- * This is only an issue when you are replacing a lot of dev resources.
- * One scenario this occurs is when you are changing the storybook root url.
- * Change the global batch constants at the top of the file.
- * @param {string[]} devResourceIds - An array of devResource id's to delete
+ * Deleting multiple dev resources. DELETE is per resource, there is no batch endpoint.
+ * This is only a lot of requests when you are replacing a lot of dev resources,
+ *   eg. when you are changing the storybook root url.
+ * The client limits how many are in flight and backs off when rate limited.
+ * Every failure is reported, not just the first.
+ * @param {Array<{id: string, node_id: string, url: string}>} devResourcesToDelete - existing dev resources to delete
  * @returns {Promise<void>}
  */
-async function deleteDevResources(devResourceIds) {
-  const batchSize = BATCH_DELETE_SIZE;
-  const totalSize = devResourceIds.length;
-
-  async function loop() {
-    try {
-      const ids = devResourceIds.splice(0, batchSize);
-      const remaining = devResourceIds.length;
-      console.log(
-        `Deleting ${ids.length} out of ${remaining} (${totalSize} total)`,
-      );
-      await Promise.all(ids.map(deleteDevResource));
-      if (remaining) {
-        console.log(`Sleeping...`);
-        await sleep(BATCH_SLEEP_MS);
-        return loop();
-      } else {
-        return;
-      }
-    } catch (e) {
-      throw e;
-    }
-  }
-
-  try {
-    await loop();
-  } catch (e) {
-    throw e;
+async function deleteDevResources(devResourcesToDelete) {
+  if (!devResourcesToDelete.length) return;
+  console.log(`Deleting ${devResourcesToDelete.length} dev resource(s)...`);
+  const results = await Promise.allSettled(
+    devResourcesToDelete.map(deleteDevResource),
+  );
+  const failures = results.filter(({ status }) => status === "rejected");
+  failures.forEach(({ reason }) => console.error(reason.message));
+  if (failures.length) {
+    throw new Error(`Failed to delete ${failures.length} dev resource(s)`);
   }
 }
 
 /**
  * Deletes a dev resource by id
  * @link https://www.figma.com/developers/api#delete-dev-resources-endpoint
- * @param {string} id dev resource id to delete
+ * @param {{id: string, node_id: string, url: string}} devResource - existing dev resource to delete
  * @returns {Promise<any>}
  */
-async function deleteDevResource(id) {
-  try {
-    const fileResponse = await fetch(
-      `${URL_BASE}/${FILE_KEY}/dev_resources/${id}`,
-      {
-        method: "DELETE",
-        headers: { "X-FIGMA-TOKEN": TOKEN },
-      },
-    );
-    return await fileResponse.json();
-  } catch (e) {
-    throw e;
-  }
+async function deleteDevResource({ id, node_id, url }) {
+  return await client.delete(`/v1/files/${FILE_KEY}/dev_resources/${id}`, {
+    context: `node ${node_id} (${url})`,
+  });
 }
 
 /**
  * Get dev resources for the specified file.
- * File key is configured in the cosntant at the top of the file.
+ * File key is configured in the constant at the top of the file.
  * @link https://www.figma.com/developers/api#get-dev-resources-endpoint
  * @returns {Array<{id: string, name: string, url: string, file_key: string, node_id: string}>}
  */
 async function getDevResources() {
-  try {
-    const fileResponse = await fetch(`${URL_BASE}/${FILE_KEY}/dev_resources`, {
-      method: "GET",
-      headers: { "X-FIGMA-TOKEN": TOKEN },
-    });
-    const data = await fileResponse.json();
-    return data.dev_resources;
-  } catch (e) {
-    throw e;
-  }
+  const data = await client.get(`/v1/files/${FILE_KEY}/dev_resources`, {
+    context: "dev resources",
+  });
+  return data.dev_resources;
 }
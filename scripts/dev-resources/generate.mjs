@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+import * as figmaJSON from "../../figma.config.json" with { type: "json" };
+
+// Generates ./devResources.mjs from the Storybook index and the Code Connect docs, then reports what didn't match.
+// Build Storybook first (npm run storybook:build), then run with node generate.mjs [--index=path/to/index.json]
+const INDEX_PATH =
+  process.argv.find((arg) => arg.startsWith("--index="))?.split("=")[1] ||
+  "../../dist/storybook/index.json";
+const FIGMA_DOCS_DIR = "../../src/figma";
+const OUTPUT_PATH = "./devResources.mjs";
+const STORYBOOK_URL = "https://figma.github.io/sds/storybook/?path=/story/";
+// Constants that aren't component nodes (eg. the icons page url)
+const IGNORE_KEYS = ["<FIGMA_ICONS_BASE>"];
+
+const figmaUrls = figmaJSON.default.codeConnect.documentUrlSubstitutions;
+
+run();
+
+function run() {
+  if (!fs.existsSync(INDEX_PATH)) {
+    console.error(
+      `No Storybook index at ${INDEX_PATH}. Run npm run storybook:build first, or pass --index=path/to/index.json`,
+    );
+    process.exitCode = 1;
+    return;
+  }
+  const stories = storiesByName(JSON.parse(fs.readFileSync(INDEX_PATH)));
+  const connections = componentsByKey(FIGMA_DOCS_DIR);
+  const keys = Object.keys(figmaUrls)
+    .filter((key) => !IGNORE_KEYS.includes(key))
+    .sort();
+
+  const devResources = {};
+  const missing = [];
+  const approximate = [];
+  const linkedStoryIds = new Set();
+  keys.forEach((key) => {
+    const match = matchStories(key, connections[key] || [], stories);
+    if (!match) {
+      missing.push(key);
+      return;
+    }
+    if (match.byPrefix) approximate.push([key, match.name]);
+    devResources[key] = match.stories.map(({ id }) => {
+      linkedStoryIds.add(id);
+      return { name: `${match.name} - Storybook`, url: id };
+    });
+  });
+  const unlinked = Object.values(stories)
+    .flat()
+    .filter(({ id }) => !linkedStoryIds.has(id))
+    .filter(
+      ({ id }, i, all) => all.findIndex((story) => story.id === id) === i,
+    );
+
+  fs.writeFileSync(OUTPUT_PATH, drawDevResourcesFile(devResources));
+  console.log(
+    [
+      `Wrote ${Object.keys(devResources).length} of ${keys.length} Figma constants to ${OUTPUT_PATH}`,
+      "",
+      `Figma constants with no story (${missing.length}):`,
+      ...missing.map((key) => `  ${key}`),
+      "",
+      `Figma constants matched to a parent component's story (${approximate.length}):`,
+      ...approximate.map(([key, name]) => `  ${key} => ${name}`),
+      "",
+      `Stories with no Figma node (${unlinked.length}):`,
+      ...unlinked.map(({ id, title, name }) => `  ${id} (${title}: ${name})`),
+    ].join("\n"),
+  );
+}
+
+/**
+ * Stories from a Storybook index.json (v4 or v5), keyed by PascalCase name.
+ * Each story is keyed by its display name and by its id (export name), as they can differ.
+ * @param {{ entries?: Object<any>, stories?: Object<any> }} index
+ * @returns {{ [name: string]: Array<{ id: string, title: string, name: string }> }}
+ */
+function storiesByName(index) {
+  const stories = {};
+  Object.values(index.entries || index.stories)
+    .filter(({ type }) => !type || type === "story")
+    .forEach((story) => {
+      const names = new Set([
+        pascalCase(story.name),
+        pascalCase(story.id.split("--")[1].replace(/^story-/, "")),
+      ]);
+      names.forEach((name) => {
+        stories[name] = stories[name] || [];
+        stories[name].push(story);
+      });
+    });
+  return stories;
+}
+
+/**
+ * Components connected to each Figma constant in the Code Connect docs, eg. figma.connect(Button, "<FIGMA_BUTTONS_BUTTON>")
+ * @param {string} dir
+ * @returns {{ [key: string]: string[] }}
+ */
+function componentsByKey(dir) {
+  const connections = {};
+  fs.readdirSync(dir, { recursive: true })
+    .filter((file) => file.endsWith(".figma.tsx"))
+    .forEach((file) => {
+      const contents = fs.readFileSync(path.join(dir, file), "utf8");
+      for (let [, component, key] of contents.matchAll(
+        /figma\.connect\(\s*(\w+),\s*"(<FIGMA_[A-Z0-9_]+>)/g,
+      )) {
+        connections[key] = connections[key] || [];
+        if (!connections[key].includes(component)) {
+          connections[key].push(component);
+        }
+      }
+    });
+  return connections;
+}
+
+/**
+ * Find the stories for a Figma constant.
+ * Tries the component name in the constant (<FIGMA_[PAGE_NAME]_[COMPONENT_NAME]>), then the connected components.
+ * Subcomponents without their own story (eg. TextCode) fall back to the longest story name they start with (eg. Text).
+ * @param {string} key
+ * @param {string[]} components - components connected to the key in Code Connect
+ * @param {ReturnType<typeof storiesByName>} stories
+ * @returns {{ name: string, stories: Object[], byPrefix: boolean } | null}
+ */
+function matchStories(key, components, stories) {
+  const keyName = pascalCase(
+    key.replace(/^<FIGMA_[A-Z0-9]+_/, "").replace(/>$/, ""),
+  );
+  const names = [keyName, ...components];
+  const exact = names.find((name) => stories[name]);
+  if (exact) return { name: exact, stories: stories[exact], byPrefix: false };
+  const prefix = Object.keys(stories)
+    .filter((storyName) => names.some((name) => name.startsWith(storyName)))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix
+    ? { name: prefix, stories: stories[prefix], byPrefix: true }
+    : null;
+}
+
+/**
+ * @param {{ [key: string]: Array<{ name: string, url: string }> }} devResources - urls are story ids
+ * @returns {string}
+ */
+function drawDevResourcesFile(devResources) {
+  return [
+    "// This file is automatically generated by scripts/dev-resources/generate.mjs!",
+    `const STORYBOOK_URL = "${STORYBOOK_URL}";`,
+    "",
+    "// prettier-ignore",
+    "export const devResources = {",
+    ...Object.entries(devResources).map(
+      ([key, resources]) =>
+        `  "${key}": [${resources
+          .map(
+            ({ name, url }) =>
+              `{ name: "${name}", url: \`\${STORYBOOK_URL}${url}\` }`,
+          )
+          .join(", ")}],`,
+    ),
+    "};",
+    "",
+  ].join("\n");
+}
+
+function pascalCase(string) {
+  return string
+    .split(/[^a-zA-Z0-9]+/)
+    .map((word) =>
+      word === word.toUpperCase()
+        ? word.charAt(0) + word.slice(1).toLowerCase()
+        : word.charAt(0).toUpperCase() + word.slice(1),
+    )
+    .join("");
+}
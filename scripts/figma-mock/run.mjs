@@ -0,0 +1,270 @@
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createMockFigmaServer } from "./server.mjs";
+
+// Run the token, icon, component metadata and dev resource scripts end to end against the mock Figma API.
+// Scripts run in a temporary copy of the repo, so the working tree is never written to.
+// Each file a script writes is compared with its expected copy in ./fixtures/expected, at the same path relative to the repo root.
+// Expected copies have a ".txt" extension added, so they aren't linted or type checked as source.
+// run with node run.mjs [--keep] [--update] (--keep leaves the temporary copy in place to inspect the output, --update writes the output over the expected copies)
+const ROOT_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../..",
+);
+const EXPECTED_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures/expected",
+);
+const KEEP = process.argv.includes("--keep");
+const UPDATE = process.argv.includes("--update");
+// Lines of each side of a diff to print
+const DIFF_LINES = 12;
+// Shared modules the scripts import
+const SHARED_DIRS = ["scripts/shared"];
+// Matches the urls in figma.config.json, so dev resources resolve their node ids
+const FILE_KEY = "J0KLPKXiONDRssXD1AX9Oi";
+// Each script (app.mjs unless named), its arguments, the directories it reads, the files (relative to the repo root) it should write, and what the mock should see afterwards
+const RUNS = [
+  {
+    name: "tokens",
+    cwd: "scripts/tokens",
+    outputs: [
+      "scripts/tokens/tokens.json",
+      "scripts/tokens/styles.json",
+      "src/theme.css",
+      "src/tokens.ts",
+      "src/tokens.scss",
+      "src/tokens.resolved.json",
+    ],
+  },
+  {
+    name: "tokens --push-syntax",
+    cwd: "scripts/tokens",
+    args: ["--push-syntax"],
+    outputs: [],
+    check: ({ variables }) =>
+      Object.values(variables)
+        .filter(({ codeSyntax }) => !/^var\(--wds-/.test(codeSyntax.WEB))
+        .map(({ name }) => `set the code syntax of ${name}`),
+  },
+  {
+    name: "icons",
+    cwd: "scripts/icons",
+    outputs: [
+      "scripts/icons/icons.json",
+      "src/ui/icons/index.ts",
+      "src/ui/icons/registry.ts",
+      "src/ui/icons/keywords.ts",
+      "src/ui/icons/sprite.svg",
+      "src/ui/icons/masks.css",
+      "src/ui/icons/IconArrowRight.tsx",
+      "src/ui/icons/IconCheck.tsx",
+      "src/ui/icons/IconX.tsx",
+      "src/figma/icons/Icons.figma.tsx",
+    ],
+  },
+  {
+    name: "icons plugin",
+    cwd: "scripts/icons",
+    script: "build-plugin.mjs",
+    args: ["--check"],
+    outputs: [],
+  },
+  {
+    name: "component-metadata",
+    cwd: "scripts/component-metadata",
+    inputs: ["src/figma/primitives", "src/ui/primitives"],
+    outputs: [
+      "scripts/component-metadata/components.json",
+      "src/ui/primitives/Button/Button.tsx",
+    ],
+  },
+  {
+    name: "dev-resources",
+    cwd: "scripts/dev-resources",
+    outputs: [],
+    check: ({ devResources }) => {
+      const ids = devResources.map(({ id }) => id);
+      return [
+        ids.includes("dev-resource-1") || "kept the matching dev resource",
+        !ids.includes("dev-resource-2") || "deleted the stale dev resource",
+        ids.includes("dev-resource-3") || "ignored the untracked dev resource",
+        ids.some((id) => id.startsWith("mock-dev-resource-")) ||
+          "created dev resources",
+      ].filter((result) => result !== true);
+    },
+  },
+];
+
+run();
+
+async function run() {
+  const workspace = createWorkspace();
+  // Rate limit some requests so every script has to retry
+  const mock = createMockFigmaServer({ rateLimitEvery: 4 });
+  const origin = await mock.listen(0);
+  console.log(`Mock Figma API at ${origin}, workspace ${workspace}`);
+  let failures = 0;
+  try {
+    for (let {
+      name,
+      cwd,
+      script = "app.mjs",
+      args = [],
+      outputs,
+      check,
+    } of RUNS) {
+      const startedAt = Date.now();
+      const requestCount = mock.requests.length;
+      const { code, output } = await runScript(
+        path.join(workspace, cwd),
+        script,
+        args,
+        {
+          FIGMA_API_BASE: origin,
+          FIGMA_ACCESS_TOKEN: "mock-token",
+          FIGMA_FILE_KEY: FILE_KEY,
+        },
+      );
+      const problems = [
+        ...(code === 0 ? [] : [`exited with code ${code}`]),
+        ...outputs.flatMap((file) =>
+          checkOutput(path.join(workspace, file), file, startedAt),
+        ),
+        ...(check ? check(mock).map((result) => `never ${result}`) : []),
+      ];
+      const requests = mock.requests
+        .slice(requestCount)
+        .map(({ method, path, status }) => `${status} ${method} ${path}`);
+      if (problems.length) {
+        failures++;
+        console.log(`FAIL ${name}`);
+        problems.forEach((problem) => console.log(`  ${problem}`));
+        console.log(output.replace(/^/gm, "  | "));
+      } else {
+        console.log(`PASS ${name} (${requests.length} requests)`);
+      }
+    }
+  } finally {
+    await mock.close();
+    if (KEEP) {
+      console.log(`Kept workspace ${workspace}`);
+    } else {
+      fs.rmSync(workspace, { recursive: true, force: true });
+    }
+  }
+  console.log(`${RUNS.length - failures} of ${RUNS.length} scripts passed`);
+  if (failures) process.exitCode = 1;
+}
+
+/**
+ * Check a script wrote a file, and that it matches the expected copy. With --update, the file becomes the expected copy.
+ * @param {string} filePath - written file in the workspace
+ * @param {string} file - path relative to the repo root
+ * @param {number} startedAt - when the script started
+ * @returns {string[]} - problems
+ */
+function checkOutput(filePath, file, startedAt) {
+  if (!fs.existsSync(filePath) || fs.statSync(filePath).mtimeMs < startedAt) {
+    return [`did not write ${file}`];
+  }
+  const expectedPath = path.join(EXPECTED_DIR, `${file}.txt`);
+  if (UPDATE) {
+    fs.mkdirSync(path.dirname(expectedPath), { recursive: true });
+    fs.copyFileSync(filePath, expectedPath);
+    return [];
+  }
+  if (!fs.existsSync(expectedPath)) {
+    return [`wrote ${file}, which has no expected copy. Run with --update.`];
+  }
+  const expected = fs.readFileSync(expectedPath, "utf8");
+  const actual = fs.readFileSync(filePath, "utf8");
+  return expected === actual
+    ? []
+    : [
+        `wrote ${file} differently than expected`,
+        ...drawDiff(expected, actual).map((line) => `  ${line}`),
+      ];
+}
+
+/**
+ * Lines that differ between two files, between their common start and end.
+ * Expected lines are drawn with "-", actual lines with "+", each side cut to DIFF_LINES.
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {string[]}
+ */
+function drawDiff(expected, actual) {
+  const a = expected.split("\n");
+  const b = actual.split("\n");
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+  const side = (lines, sign) => {
+    const changed = lines.slice(start, lines.length - end);
+    return [
+      ...changed.slice(0, DIFF_LINES).map((line) => `${sign} ${line}`),
+      ...(changed.length > DIFF_LINES
+        ? [`${sign} ... ${changed.length - DIFF_LINES} more lines`]
+        : []),
+    ];
+  };
+  return [`@@ line ${start + 1}`, ...side(a, "-"), ...side(b, "+")];
+}
+
+/**
+ * Copy the scripts and config they read into a temporary directory with the same layout as the repo.
+ * @returns {string} - workspace directory
+ */
+function createWorkspace() {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "wds-figma-mock-"));
+  new Set([
+    ...RUNS.flatMap(({ cwd, inputs = [] }) => [cwd, ...inputs]),
+    ...SHARED_DIRS,
+  ]).forEach((dir) =>
+    fs.cpSync(path.join(ROOT_DIR, dir), path.join(workspace, dir), {
+      recursive: true,
+    }),
+  );
+  fs.copyFileSync(
+    path.join(ROOT_DIR, "figma.config.json"),
+    path.join(workspace, "figma.config.json"),
+  );
+  ["src/ui/icons", "src/figma/icons"].forEach((dir) =>
+    fs.mkdirSync(path.join(workspace, dir), { recursive: true }),
+  );
+  return workspace;
+}
+
+/**
+ * Run a script. Must be async, the mock server shares this process.
+ * @param {string} cwd
+ * @param {string} script - file in cwd, eg. app.mjs
+ * @param {string[]} args
+ * @param {Object<string>} env
+ * @returns {Promise<{ code: number, output: string }>}
+ */
+function runScript(cwd, script, args, env) {
+  return new Promise((resolve) => {
+    let output = "";
+    const child = spawn(process.execPath, [script, ...args], {
+      cwd,
+      env: { ...process.env, ...env },
+    });
+    child.stdout.on("data", (chunk) => (output += chunk));
+    child.stderr.on("data", (chunk) => (output += chunk));
+    child.on("close", (code) => resolve({ code, output }));
+  });
+}
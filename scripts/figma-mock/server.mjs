@@ -0,0 +1,233 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+
+// Local stand-in for the Figma REST API, serving recorded fixtures from ./fixtures.
+// Point the scripts at it with FIGMA_API_BASE, eg. FIGMA_API_BASE=http://localhost:8787 node app.mjs
+// run with node server.mjs --port=8787
+const FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures",
+);
+const DEFAULT_PORT = 8787;
+
+/**
+ * Create a mock Figma API. Dev resources and variables are held in memory, so changes are visible to later requests.
+ * Every request is recorded in `requests` for reporting.
+ * With `rateLimitEvery`, every nth API request is refused with a 429 and a Retry-After header, to exercise retries.
+ * @param {{ fixturesDir?: string, log?: boolean, rateLimitEvery?: number }} options
+ * @returns {{ server: http.Server, requests: Array<{ method: string, path: string, status: number }>, devResources: Object[], variables: Object<any>, listen: (port?: number) => Promise<string>, close: () => Promise<void> }}
+ */
+export function createMockFigmaServer({
+  fixturesDir = FIXTURES_DIR,
+  log = false,
+  rateLimitEvery = 0,
+} = {}) {
+  const readFixture = (name) =>
+    JSON.parse(fs.readFileSync(path.join(fixturesDir, name)));
+  const requests = [];
+  const devResources = readFixture("dev-resources.json").dev_resources;
+  const variablesLocal = readFixture("variables-local.json");
+  const variables = variablesLocal.meta.variables;
+  let nextDevResourceId = 1;
+  let apiRequestCount = 0;
+  let origin = "";
+
+  // [method, path pattern, handler(params, url, body) => [status, body]]
+  const routes = [
+    ["GET", /^\/v1\/files\/([^/]+)$/, () => [200, readFixture("file.json")]],
+    [
+      "GET",
+      /^\/v1\/files\/([^/]+)\/variables\/local$/,
+      () => [200, variablesLocal],
+    ],
+    [
+      "POST",
+      /^\/v1\/files\/([^/]+)\/variables$/,
+      (_, __, body) => {
+        // Only updates are supported, which is all the scripts make
+        const changes = body.variables || [];
+        const invalid = changes.find(
+          ({ action, id }) => action !== "UPDATE" || !variables[id],
+        );
+        if (invalid) {
+          return [
+            400,
+            {
+              status: 400,
+              error: true,
+              message: `Invalid ${invalid.action} for variable ${invalid.id}`,
+            },
+          ];
+        }
+        changes.forEach(({ id, codeSyntax, description }) => {
+          const variable = variables[id];
+          if (codeSyntax) {
+            variable.codeSyntax = { ...variable.codeSyntax, ...codeSyntax };
+          }
+          if (description !== undefined) variable.description = description;
+        });
+        return [
+          200,
+          { status: 200, error: false, meta: { tempIdToRealId: {} } },
+        ];
+      },
+    ],
+    [
+      "GET",
+      /^\/v1\/images\/([^/]+)$/,
+      (_, url) => {
+        const ids = (url.searchParams.get("ids") || "").split(",");
+        const images = ids.reduce((into, id) => {
+          const file = `${id.replace(/:/g, "-")}.svg`;
+          into[id] = fs.existsSync(path.join(fixturesDir, "images", file))
+            ? `${origin}/images/${file}`
+            : null;
+          return into;
+        }, {});
+        return [200, { err: null, status: 200, images }];
+      },
+    ],
+    [
+      "GET",
+      /^\/v1\/files\/([^/]+)\/dev_resources$/,
+      ([fileKey]) => [
+        200,
+        {
+          dev_resources: devResources.filter(
+            ({ file_key }) => file_key === fileKey,
+          ),
+        },
+      ],
+    ],
+    [
+      "POST",
+      /^\/v1\/dev_resources$/,
+      (_, __, body) => {
+        const created = (body.dev_resources || []).map((resource) => ({
+          ...resource,
+          id: `mock-dev-resource-${nextDevResourceId++}`,
+        }));
+        devResources.push(...created);
+        return [200, { links_created: created, errors: [] }];
+      },
+    ],
+    [
+      "DELETE",
+      /^\/v1\/files\/([^/]+)\/dev_resources\/([^/]+)$/,
+      ([, id]) => {
+        const index = devResources.findIndex((resource) => resource.id === id);
+        if (index === -1) return [404, { status: 404, err: "Not found" }];
+        devResources.splice(index, 1);
+        return [200, { status: 200, error: false }];
+      },
+    ],
+  ];
+
+  const server = http.createServer(async (request, response) => {
+    const url = new URL(request.url, origin);
+    const [status, body, contentType, headers] = await handle(request, url);
+    requests.push({ method: request.method, path: url.pathname, status });
+    if (log) console.log(`${status} ${request.method} ${url.pathname}`);
+    response.writeHead(status, {
+      "Content-Type": contentType || "application/json",
+      ...headers,
+    });
+    response.end(contentType ? body : JSON.stringify(body));
+  });
+
+  async function handle(request, url) {
+    // Image exports are fetched from S3 without a token
+    if (request.method === "GET" && url.pathname.startsWith("/images/")) {
+      const file = path.join(
+        fixturesDir,
+        "images",
+        path.basename(url.pathname),
+      );
+      return fs.existsSync(file)
+        ? [200, fs.readFileSync(file, "utf8"), "image/svg+xml"]
+        : [404, "Not found", "text/plain"];
+    }
+    if (!request.headers["x-figma-token"]) {
+      return [403, { status: 403, err: "Invalid token" }];
+    }
+    if (rateLimitEvery && ++apiRequestCount % rateLimitEvery === 0) {
+      return [
+        429,
+        { status: 429, err: "Rate limit exceeded" },
+        null,
+        { "Retry-After": "1" },
+      ];
+    }
+    for (let [method, pattern, handler] of routes) {
+      const match = url.pathname.match(pattern);
+      if (method === request.method && match) {
+        let body = {};
+        if (method === "POST") {
+          try {
+            body = await readBody(request);
+          } catch (error) {
+            return [
+              400,
+              {
+                status: 400,
+                error: true,
+                message: `Invalid JSON body: ${error.message}`,
+              },
+            ];
+          }
+        }
+        return handler(match.slice(1), url, body);
+      }
+    }
+    return [404, { status: 404, err: "Not found" }];
+  }
+
+  return {
+    server,
+    requests,
+    devResources,
+    variables,
+    listen: (port = DEFAULT_PORT) =>
+      new Promise((resolve) =>
+        server.listen(port, "127.0.0.1", () => {
+          origin = `http://127.0.0.1:${server.address().port}`;
+          resolve(origin);
+        }),
+      ),
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
+
+/**
+ * Parse a request's JSON body. Rejects when the body isn't valid JSON.
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<Object<any>>}
+ */
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    request.on("data", (chunk) => (data += chunk));
+    request.on("end", () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+// Running directly, serve until stopped
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.argv
+    .find((arg) => arg.startsWith("--port="))
+    ?.split("=")[1];
+  createMockFigmaServer({ log: true })
+    .listen(port ? parseInt(port) : DEFAULT_PORT)
+    .then((origin) =>
+      console.log(`Mock Figma API running. Set FIGMA_API_BASE=${origin}`),
+    );
+}
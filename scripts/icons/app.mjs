@@ -1,21 +1,40 @@
 import fs from "fs";
+import { createFigmaClient } from "../shared/figmaClient.mjs";
+import { OUTPUT_FORMATS } from "./formats.mjs";
+import { optimizeSvg } from "./optimize.mjs";
 
 // run with node --env-file=.env app.mjs
-const TOKEN = process.env.FIGMA_ACCESS_TOKEN;
 const FILE_KEY = process.env.FIGMA_FILE_KEY;
-const URL_BASE = "https://api.figma.com/v1/files";
-const URL_BASE_IMAGES = "https://api.figma.com/v1/images";
-// The name of the variant for each icon you want to export.
-// If you dont have variants, you'll need to modify this script.
-const ICON_VARIANT_NAME = "Size=16";
+const client = createFigmaClient();
+// The variant property holding the size each icon is drawn at, eg. "Size=16". Every size is exported.
+const ICON_SIZE_PROPERTY = "Size";
+// The size icons without size variants are drawn at. Matches the size Icon renders children at.
+const ICON_DEFAULT_SIZE = 16;
 // The node ids from root to icon component parent.
 const ROOT_TRAVERSE_IDS = ["7809:18809", "522:12152"]; // Page ID > Section ID
 // Skipping REST API allows you to run this script using ./icons.json, icons-index.txt, and Icons.figma.txt in their current state.
 const SKIP_REST_API = process.argv.includes("--skip-rest-api");
+// Icons removed from Figma are deleted. With this flag they're kept and marked @deprecated instead, still exported.
+const DEPRECATE_REMOVED = process.argv.includes("--deprecate-removed");
+const ICONS_DIR = "../../src/ui/icons";
+// Formats for pages without React to write alongside the icon components (see ./formats.mjs). Defaults to all of them. eg. --formats=sprite
+const FORMATS = (
+  process.argv.find((arg) => arg.startsWith("--formats="))?.split("=")[1] ||
+  Object.keys(OUTPUT_FORMATS).join(",")
+).split(",");
+// Component metadata exported by scripts/component-metadata. Icon descriptions hold their search keywords.
+const COMPONENTS_PATH = "../component-metadata/components.json";
+// The description paragraph listing an icon's keywords, eg. "Keywords: pulse, health, action, motion"
+const KEYWORDS_PREFIX = "Keywords:";
+// Added to the top of icon components that were removed from Figma (with --deprecate-removed)
+const DEPRECATED_NOTICE =
+  "/** @deprecated Removed from Figma. Will be deleted by the next sync without --deprecate-removed. */";
 
 /**
  * Get icon data from Figma and write data to disk (unless skipping REST API)
- * Create Code Connect docs (single file), create icon React component files, and create index file export.
+ * Create Code Connect docs (single file), create icon React component files, create index file export, the lazy registry, the keyword search index,
+ *   and the sprite and CSS mask formats.
+ * The icons directory is reconciled with the icon data, so icons removed from Figma are deleted (or deprecated).
  */
 async function go() {
   // Writing the data files to disk based on icons in Figma.
@@ -41,8 +60,12 @@ async function go() {
 
   // Parse the JSON icon component data
   const json = JSON.parse(fs.readFileSync("./icons.json"));
-  // Copy the index file over to the src and change extension to TypeScript.
-  fs.copyFileSync("./icons-index.txt", "../../src/ui/icons/index.ts");
+  // Optimizing each icon's artwork. icons.json keeps it as exported from Figma, to report the savings.
+  const optimized = json.map(([name, fileContents, figmaString]) => [
+    name,
+    optimizeIconComponent(name, fileContents),
+    figmaString,
+  ]);
   // Loading up the Figma file with the imports already written to it
   const figmaStarter = fs.readFileSync("./Icons.figma.txt");
   // Writing the official Code Connect Figma doc with the Code Connect from the JSON data appended to it.
@@ -50,41 +73,305 @@ async function go() {
     "../../src/figma/icons/Icons.figma.tsx",
     `${figmaStarter}\n${json.map((a) => a[2]).join("\n")}`,
   );
-  // Writing each Icon React component file to disk. Additive only, does not delete old icons.
-  await Promise.all(
-    json.map(
-      ([fileName, fileContents]) =>
-        new Promise((resolve, reject) => {
-          fs.writeFile(
-            `../../src/ui/icons/${fileName}.tsx`,
-            fileContents,
-            (err) => (err ? reject(err) : resolve()),
-          );
-        }),
-    ),
+  // Writing each Icon React component file to disk, and removing (or deprecating) the ones no longer in Figma.
+  const report = reconcileIconFiles(optimized);
+  const names = [...json.map(([name]) => name), ...report.deprecated].sort();
+  // Copy the index file over to the src and change extension to TypeScript. Deprecated icons are still exported.
+  fs.writeFileSync(
+    `${ICONS_DIR}/index.ts`,
+    [
+      fs.readFileSync("./icons-index.txt", "utf8"),
+      ...report.deprecated.map((n) => `export { ${n} } from "./${n}.tsx";`),
+    ].join("\n"),
+  );
+  // Writing the registry, to render icons by name without importing every icon
+  fs.writeFileSync(`${ICONS_DIR}/registry.ts`, drawIconRegistry(names));
+  // Writing the search index, to find icons by what they mean as well as their name
+  fs.writeFileSync(
+    `${ICONS_DIR}/keywords.ts`,
+    drawIconKeywords(names, iconKeywords(json)),
   );
+  // Writing the sprite and CSS masks from the same optimized artwork, for pages without React
+  const icons = optimized.map(([name, fileContents]) => ({
+    name,
+    artwork: iconArtwork(fileContents),
+  }));
+  FORMATS.forEach((format) => {
+    if (!OUTPUT_FORMATS[format]) {
+      console.warn(`Skipping unknown icon output format "${format}"`);
+      return;
+    }
+    const { fileName, format: formatter } = OUTPUT_FORMATS[format];
+    fs.writeFileSync(
+      `${ICONS_DIR}/${fileName}`,
+      formatter(icons, { defaultSize: ICON_DEFAULT_SIZE }),
+    );
+  });
 
+  console.log(drawReport(report));
+  console.log(drawSizeReport(json, optimized));
   console.log("DONE!");
 }
 
 go();
 
+/**
+ * Write every icon component, then delete (or deprecate) icon components that aren't in the icon data.
+ * @param {string[][]} json - Array<[IconName, IconSVGString, IconCodeConnectString]>
+ * @returns {{ added: string[], updated: string[], removed: string[], deprecated: string[], unchanged: string[] }}
+ */
+function reconcileIconFiles(json) {
+  const report = {
+    added: [],
+    updated: [],
+    removed: [],
+    deprecated: [],
+    unchanged: [],
+  };
+  json.forEach(([name, fileContents]) => {
+    const path = `${ICONS_DIR}/${name}.tsx`;
+    const existing = fs.existsSync(path) ? fs.readFileSync(path, "utf8") : null;
+    if (existing === fileContents) {
+      report.unchanged.push(name);
+      return;
+    }
+    report[existing === null ? "added" : "updated"].push(name);
+    fs.writeFileSync(path, fileContents);
+  });
+  const names = json.map(([name]) => name);
+  fs.readdirSync(ICONS_DIR)
+    .filter((file) => file.endsWith(".tsx"))
+    .map((file) => file.replace(/\.tsx$/, ""))
+    .filter((name) => !names.includes(name))
+    .forEach((name) => {
+      const path = `${ICONS_DIR}/${name}.tsx`;
+      if (DEPRECATE_REMOVED) {
+        const fileContents = fs.readFileSync(path, "utf8");
+        if (!fileContents.includes(DEPRECATED_NOTICE)) {
+          fs.writeFileSync(
+            path,
+            fileContents.replace(
+              `export const ${name}`,
+              `${DEPRECATED_NOTICE}\nexport const ${name}`,
+            ),
+          );
+        }
+        report.deprecated.push(name);
+      } else {
+        fs.rmSync(path);
+        report.removed.push(name);
+      }
+    });
+  Object.values(report).forEach((names) => names.sort());
+  return report;
+}
+
+/**
+ * Typed registry of every icon. Icons are lazy loaded by name, so rendering one doesn't import all of them.
+ * @param {string[]} names - sorted icon component names
+ * @returns {string}
+ */
+function drawIconRegistry(names) {
+  return [
+    "/*",
+    " * This file is automatically generated by scripts/icons/app.mjs!",
+    " */",
+    'import { lazy, type ComponentType, type LazyExoticComponent } from "react";',
+    'import type { IconProps } from "primitives";',
+    "",
+    "/**",
+    " * Every icon component name",
+    " */",
+    "export const iconNames = [",
+    ...names.map((name) => `  "${name}",`),
+    "] as const;",
+    "",
+    "export type IconName = (typeof iconNames)[number];",
+    "",
+    "/**",
+    " * Whether a string (eg. from CMS data) is an icon name",
+    " */",
+    "export function isIconName(name: string): name is IconName {",
+    "  return (iconNames as readonly string[]).includes(name);",
+    "}",
+    "",
+    "const lazyIcon = (",
+    "  load: () => Promise<ComponentType<IconProps>>,",
+    ") => lazy(() => load().then((Icon) => ({ default: Icon })));",
+    "",
+    "/**",
+    " * Icon components by name. Each icon is loaded the first time it renders, so render them inside <Suspense>.",
+    " */",
+    "export const iconsByName: {",
+    "  [name in IconName]: LazyExoticComponent<ComponentType<IconProps>>;",
+    "} = {",
+    ...names.map(
+      (name) =>
+        `  ${name}: lazyIcon(() => import("./${name}.tsx").then((m) => m.${name})),`,
+    ),
+    "};",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Keywords of each icon from its Figma description, matched to components.json by node id, then by name.
+ * @param {string[][]} json - Array<[IconName, IconSVGString, IconCodeConnectString]>
+ * @returns {{ [name: string]: string[] }}
+ */
+function iconKeywords(json) {
+  if (!fs.existsSync(COMPONENTS_PATH)) {
+    console.warn(
+      `No ${COMPONENTS_PATH}, icons will have no keywords. Run scripts/component-metadata first.`,
+    );
+    return {};
+  }
+  const components = Object.values(
+    JSON.parse(fs.readFileSync(COMPONENTS_PATH)),
+  ).filter(({ page }) => page === "Icons");
+  const normalize = (name) => name.replace(/[^a-z0-9]/gi, "").toLowerCase();
+  return json.reduce((into, [name, , figmaString]) => {
+    const [, nodeId] = figmaString.match(/node-id=([^"]+)"/) || [];
+    const component =
+      components.find(({ id }) => id === nodeId) ||
+      components.find((a) => normalize(`Icon ${a.name}`) === normalize(name));
+    const keywords = ((component && component.description) || []).find(
+      (paragraph) => paragraph.startsWith(KEYWORDS_PREFIX),
+    );
+    into[name] = keywords
+      ? keywords
+          .slice(KEYWORDS_PREFIX.length)
+          .split(",")
+          .map((keyword) => keyword.trim().toLowerCase())
+          .filter(Boolean)
+      : [];
+    return into;
+  }, {});
+}
+
+/**
+ * Search index of every icon's keywords. Icons without keywords (eg. deprecated icons) have an empty list.
+ * @param {string[]} names - sorted icon component names
+ * @param {ReturnType<typeof iconKeywords>} keywords
+ * @returns {string}
+ */
+function drawIconKeywords(names, keywords) {
+  return [
+    "/*",
+    " * This file is automatically generated by scripts/icons/app.mjs!",
+    " */",
+    'import type { IconName } from "./registry";',
+    "",
+    "/**",
+    " * Keywords for each icon, from its Figma description",
+    " */",
+    "export const iconKeywords: { [name in IconName]: readonly string[] } = {",
+    ...names.map(
+      (name) =>
+        `  ${name}: [${(keywords[name] || []).map((keyword) => JSON.stringify(keyword)).join(", ")}],`,
+    ),
+    "};",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Human readable summary of what changed in the icons directory
+ * @param {ReturnType<typeof reconcileIconFiles>} report
+ * @returns {string}
+ */
+function drawReport({ added, updated, removed, deprecated, unchanged }) {
+  return [
+    `Icons: ${added.length} added, ${updated.length} updated, ${removed.length} removed, ${deprecated.length} deprecated, ${unchanged.length} unchanged`,
+    ...added.map((name) => `  + ${name}`),
+    ...updated.map((name) => `  ~ ${name}`),
+    ...removed.map((name) => `  - ${name}`),
+    ...deprecated.map((name) => `  ! ${name} (deprecated)`),
+  ].join("\n");
+}
+
+/**
+ * Bundle size of the icon artwork at each drawn size, before and after optimizing,
+ *   and the cost of shipping sizes beyond the default
+ * @param {string[][]} json - Array<[IconName, IconSVGString, IconCodeConnectString]> as exported from Figma
+ * @param {string[][]} optimized - the same, with optimized artwork
+ * @returns {string}
+ */
+function drawSizeReport(json, optimized) {
+  const bytesBySize = (icons) =>
+    icons.reduce((into, [, fileContents]) => {
+      Object.entries(iconArtwork(fileContents)).forEach(([size, svg]) => {
+        into[size] = (into[size] || 0) + Buffer.byteLength(svg);
+      });
+      return into;
+    }, {});
+  const before = bytesBySize(json);
+  const after = bytesBySize(optimized);
+  const iconsBySize = optimized.reduce((into, [, fileContents]) => {
+    Object.keys(iconArtwork(fileContents)).forEach((size) => {
+      into[size] = (into[size] || 0) + 1;
+    });
+    return into;
+  }, {});
+  const kB = (bytes) => `${(bytes / 1000).toFixed(1)} kB`;
+  const sum = (bytes) => Object.values(bytes).reduce((a, b) => a + b, 0);
+  const percent = (part, whole) => Math.round((part / (whole || 1)) * 100);
+  const extra = sum(after) - (after[ICON_DEFAULT_SIZE] || 0);
+  return [
+    `Icon artwork: ${kB(sum(before))} => ${kB(sum(after))} optimized (-${percent(sum(before) - sum(after), sum(before))}%), before minification and compression`,
+    ...Object.keys(after)
+      .sort((a, b) => a - b)
+      .map(
+        (size) =>
+          `  ${size}px: ${kB(before[size] || 0)} => ${kB(after[size])} in ${iconsBySize[size]} icons`,
+      ),
+    extra
+      ? `  Sizes beyond ${ICON_DEFAULT_SIZE}px add ${kB(extra)} (+${percent(extra, sum(after) - extra)}%)`
+      : `  Only ${ICON_DEFAULT_SIZE}px artwork`,
+  ].join("\n");
+}
+
+/**
+ * Optimize the artwork of an icon component. Artwork that can't be parsed is kept as it is.
+ * @param {string} name
+ * @param {string} fileContents - icon React component, as drawn by drawIconComponent
+ * @returns {string}
+ */
+function optimizeIconComponent(name, fileContents) {
+  const artwork = iconArtwork(fileContents);
+  Object.keys(artwork).forEach((size) => {
+    try {
+      artwork[size] = optimizeSvg(artwork[size], Number(size));
+    } catch (e) {
+      console.warn(`Not optimizing ${name} at ${size}px: ${e.message}`);
+    }
+  });
+  return drawIconComponent(name, artwork);
+}
+
+/**
+ * The artwork in an icon React component, by drawn size
+ * @param {string} fileContents - icon React component, as drawn by drawIconComponent
+ * @returns {{ [size: string]: string }}
+ */
+function iconArtwork(fileContents) {
+  const variants = [...fileContents.matchAll(/^\s+(\d+): <>(.*)<\/>,$/gm)];
+  if (variants.length) {
+    return Object.fromEntries(variants.map(([, size, svg]) => [size, svg]));
+  }
+  const [, svg = ""] =
+    fileContents.match(/<Icon \{\.\.\.props\}>(.*)<\/Icon>/) || [];
+  return { [ICON_DEFAULT_SIZE]: svg };
+}
+
 /**
  * Getting all file data from Figma, then parsing it into icon component data
  * @link https://www.figma.com/developers/api#get-files-endpoint
  * @returns {Promise<string[][]>}
  */
 async function getIconComponents() {
-  try {
-    const fileResponse = await fetch(`${URL_BASE}/${FILE_KEY}`, {
-      method: "GET",
-      headers: { "X-FIGMA-TOKEN": TOKEN },
-    });
-    const data = await fileResponse.json();
-    return await fileRESTResponseToIconComponentsJSON(data);
-  } catch (e) {
-    throw e;
-  }
+  const data = await client.get(`/v1/files/${FILE_KEY}`, { context: "icons" });
+  return await fileRESTResponseToIconComponentsJSON(data);
 }
 
 /**
@@ -94,22 +381,14 @@ async function getIconComponents() {
  * @returns {{err: string, images: Map<string, string>, status: number}}
  */
 async function getSVGImages(nodeIds) {
-  try {
-    const fileResponse = await fetch(
-      `${URL_BASE_IMAGES}/${FILE_KEY}?format=svg&ids=${nodeIds.join(",")}`,
-      {
-        method: "GET",
-        headers: { "X-FIGMA-TOKEN": TOKEN },
-      },
-    );
-    return await fileResponse.json();
-  } catch (e) {
-    throw e;
-  }
+  return await client.get(
+    `/v1/images/${FILE_KEY}?format=svg&ids=${nodeIds.join(",")}`,
+    { context: `${nodeIds.length} icon(s)` },
+  );
 }
 
 /**
- * Traverse a Figma file response for all icons, get their svg image data,
+ * Traverse a Figma file response for all icons, get the svg image data of every size they're drawn at,
  *   and transform it into the data we're storing locally.
  * @param {{document: Node}} response Figma GET file response
  * @returns {Promise<string[][]>} - Array<[IconName, IconSVGString, IconCodeConnectString]>
@@ -122,111 +401,143 @@ async function fileRESTResponseToIconComponentsJSON(response) {
   ROOT_TRAVERSE_IDS.forEach(
     (id) => (parentNode = parentNode.children.find((a) => a.id === id)),
   );
-  const idsToNameAndComponentSetId = {};
+  // Icon name => [component set id, { [size]: variant node id }]
+  const icons = {};
   if (parentNode) {
-    // For each child of the parent node, find the icons (variant or main component)
+    // For each child of the parent node, find the icons (variants or main component)
     parentNode.children.forEach((component) => {
-      // The icon. Is either a child of a component set or the component itself.
+      // The icon's sizes. Either the size variants of a component set, or the component itself.
       // Any other node type we ignore.
-      const icon =
+      const variants =
         component.type === "COMPONENT_SET"
-          ? component.children.find((child) => child.name === ICON_VARIANT_NAME)
+          ? component.children.reduce((into, child) => {
+              const size = iconVariantSize(child.name);
+              if (size) into[size] = child.id;
+              return into;
+            }, {})
           : component.type === "COMPONENT"
-            ? component
-            : null;
-      if (icon) {
-        idsToNameAndComponentSetId[icon.id] = [
+            ? { [ICON_DEFAULT_SIZE]: component.id }
+            : {};
+      if (Object.keys(variants).length) {
+        const name =
           "Icon" +
-            component.name
-              .split(/[^a-zA-Z0-9]+/)
-              .map((a) => a.charAt(0).toUpperCase() + a.substring(1))
-              .join(""),
-          component.id,
-        ];
+          component.name
+            .split(/[^a-zA-Z0-9]+/)
+            .map((a) => a.charAt(0).toUpperCase() + a.substring(1))
+            .join("");
+        icons[name] = [component.id, variants];
       }
     });
   }
-  const nodeIds = Object.keys(idsToNameAndComponentSetId);
-  // SVG export for all the icon nodes we found.
+  const nodeIds = Object.values(icons).flatMap(([, variants]) =>
+    Object.values(variants),
+  );
+  // SVG export for every size of every icon we found.
   const { images } = await getSVGImages(nodeIds);
 
-  // Waiting a bit for the images to exist on S3. Rarely, it can take a second.
-  console.log("Sleeping for ten seconds to wait for images to exist...");
-  await new Promise((resolve) => setTimeout(resolve, 10000));
-  console.log("Proceeding....");
-
   // We ultimately write three files to disk. Our result holds the data.
   const result = [];
-  // We occasionally fail due to assets not existing on S3.
-  // We store those here and revisit a second time.
+  // Images can take a moment to exist on S3. The client retries each one with backoff until it does.
+  // Icons that still fail are reported, and every other icon is written.
   const fails = [];
-  // Initial attempt to get all node images
-  await Promise.all(
-    nodeIds.map(async (nodeId) => {
-      try {
-        await processNodeId(nodeId);
-      } catch (e) {
-        fails.push(nodeId);
-        console.log("Failed once:", nodeId);
-      }
-    }),
-  );
-  console.log(`Retrying ${fails.length} failure(s)...`);
-  // Second attempt for failed attempts.
   await Promise.all(
-    fails.map(async (nodeId) => {
+    Object.keys(icons).map(async (name) => {
       try {
-        await processNodeId(nodeId);
+        await processIcon(name);
       } catch (e) {
-        console.error(e);
-        console.log(
-          "Failed again:",
-          nodeId,
-          images[nodeId],
-          ...idsToNameAndComponentSetId[nodeId],
-        );
+        fails.push(name);
+        console.error(e.message);
       }
     }),
   );
+  if (fails.length) {
+    console.error(
+      `Failed to get ${fails.length} icon(s): ${fails
+        .map((name) => `${name} (${icons[name][0]})`)
+        .join(", ")}`,
+    );
+    process.exitCode = 1;
+  }
 
   /**
    * Get the component name, svg code strings, and code connect doc strings
-   * @param {string} nodeId
+   * @param {string} name
    */
-  async function processNodeId(nodeId) {
-    // Fetch the S3 url
-    const fileResponse = await fetch(images[nodeId], { method: "GET" });
-    // Get the raw SVG string from the response
-    const svg = await fileResponse.text();
-    // Get the name and component set node id
-    const [name, componentSetId] = idsToNameAndComponentSetId[nodeId];
-    const figmaString = [];
-    // Building out an svg React component string...
-    const svgString = [
-      'import { IconProps, Icon } from "primitives";',
-      `export const ${name} = (props: IconProps) => (`,
-    ];
-    // Clean the raw SVG response up (SVG children only, <svg> tag handled by wrapping Icon component)
-    const cleanSvg = svg
-      .replace(
-        /(stroke|fill|line|clip)-(.)/g,
-        (_, p1, p2) => p1 + p2.toUpperCase(),
-      )
-      .replace(/<svg[^>]+>/, "")
-      .replace(/<\/svg>/, "")
-      .replace(/stroke="#[^"]+"/g, `stroke="var(--svg-stroke-color)"`)
-      .replace(/fill="#[^"]+"/g, `fill="var(--svg-fill-color)"`)
-      .replace(/\n/g, "");
-    // Wrap the cleaned svg in our Icon component (paths only)
-    svgString.push(`  <Icon {...props}>${cleanSvg}</Icon>`);
-    svgString.push(");");
-    // Code Connect doc code
-    figmaString.push(
-      `figma.connect(${name}, "<FIGMA_ICONS_BASE>?node-id=${componentSetId}", { props: { size: figma.enum("Size", { "20": "20", "24": "24", "32": "32", "40": "40", "48": "48" }) }, example: ({ size }) => <${name} size={size} /> });`,
-    );
+  async function processIcon(name) {
+    // Get the component set node id and the node id of each size
+    const [componentSetId, variants] = icons[name];
+    const artwork = {};
+    for (let [size, nodeId] of Object.entries(variants)) {
+      if (!images[nodeId]) {
+        throw new Error(
+          `Figma did not render ${name} at ${size}px (node ${nodeId})`,
+        );
+      }
+      // Get the raw SVG string from the S3 url
+      const svg = await client.fetchAsset(images[nodeId], {
+        context: `${name} ${size}px (node ${nodeId})`,
+      });
+      // Clean the raw SVG response up (SVG children only, <svg> tag handled by wrapping Icon component)
+      artwork[size] = svg
+        .replace(
+          /(stroke|fill|line|clip)-(.)/g,
+          (_, p1, p2) => p1 + p2.toUpperCase(),
+        )
+        .replace(/<svg[^>]+>/, "")
+        .replace(/<\/svg>/, "")
+        .replace(/stroke="#[^"]+"/g, `stroke="var(--svg-stroke-color)"`)
+        .replace(/fill="#[^"]+"/g, `fill="var(--svg-fill-color)"`)
+        .replace(/\n/g, "");
+    }
+    // Code Connect doc code, mapping every size drawn in Figma
+    const sizes = Object.keys(artwork)
+      .map((size) => `"${size}": "${size}"`)
+      .join(", ");
+    const figmaString = `figma.connect(${name}, "<FIGMA_ICONS_BASE>?node-id=${componentSetId}", { props: { size: figma.enum("Size", { ${sizes} }) }, example: ({ size }) => <${name} size={size} /> });`;
     // Add the strings for this component into our result.
-    result.push([name, svgString.join("\n"), figmaString.join("\n")]);
+    result.push([name, drawIconComponent(name, artwork), figmaString]);
   }
 
-  return result;
+  // Icons finish in any order. Sorting keeps the written files stable between runs.
+  return result.sort(([a], [b]) => (a > b ? 1 : -1));
+}
+
+/**
+ * The size of an icon variant from its name, eg. "Size=24" or "Size=24, Style=Outline" => 24
+ * @param {string} variantName
+ * @returns {number | null}
+ */
+function iconVariantSize(variantName) {
+  const property = variantName
+    .split(/,\s*/)
+    .map((pair) => pair.split("="))
+    .find(([key]) => key === ICON_SIZE_PROPERTY);
+  const size = property ? parseInt(property[1], 10) : NaN;
+  return isNaN(size) ? null : size;
+}
+
+/**
+ * Icon React component. Icons only drawn at the default size pass their artwork as children,
+ *   otherwise every drawn size is passed as a variant and Icon renders the closest to the requested size.
+ * @param {string} name
+ * @param {{ [size: string]: string }} artwork - cleaned svg children, by drawn size
+ * @returns {string}
+ */
+function drawIconComponent(name, artwork) {
+  const sizes = Object.keys(artwork).sort((a, b) => a - b);
+  return [
+    'import { IconProps, Icon } from "primitives";',
+    `export const ${name} = (props: IconProps) => (`,
+    ...(sizes.length === 1 && Number(sizes[0]) === ICON_DEFAULT_SIZE
+      ? [`  <Icon {...props}>${artwork[sizes[0]]}</Icon>`]
+      : [
+          "  <Icon",
+          "    {...props}",
+          "    variants={{",
+          ...sizes.map((size) => `      ${size}: <>${artwork[size]}</>,`),
+          "    }}",
+          "  />",
+        ]),
+    ");",
+  ].join("\n");
 }
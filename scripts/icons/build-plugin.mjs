@@ -0,0 +1,38 @@
+import fs from "fs";
+
+// Build figma-plugin-icons-tsx/code.js from the plugin source and ./optimize.mjs, so the plugin optimizes artwork the same way as app.mjs.
+// Plugins can't import modules, so the optimizer is inlined with its exports removed.
+// run with node build-plugin.mjs [--check] (--check writes nothing, and fails if code.js is out of date)
+const CHECK = process.argv.includes("--check");
+const OPTIMIZE_PATH = "./optimize.mjs";
+const PLUGIN_PATH = "./figma-plugin-icons-tsx/plugin.js";
+const CODE_PATH = "./figma-plugin-icons-tsx/code.js";
+
+const code = [
+  "// This file is automatically generated by scripts/icons/build-plugin.mjs from plugin.js and ../optimize.mjs! Edit those instead.",
+  "",
+  fs
+    .readFileSync(OPTIMIZE_PATH, "utf8")
+    .replace(/^export /gm, "")
+    .trim(),
+  "",
+  fs.readFileSync(PLUGIN_PATH, "utf8").trim(),
+  "",
+].join("\n");
+
+if (CHECK) {
+  const existing = fs.existsSync(CODE_PATH)
+    ? fs.readFileSync(CODE_PATH, "utf8")
+    : "";
+  if (existing !== code) {
+    console.error(
+      `${CODE_PATH} is out of date with ${PLUGIN_PATH} and ${OPTIMIZE_PATH}. Run node build-plugin.mjs from scripts/icons.`,
+    );
+    process.exitCode = 1;
+  } else {
+    console.log(`${CODE_PATH} is up to date`);
+  }
+} else {
+  fs.writeFileSync(CODE_PATH, code);
+  console.log(`Wrote ${CODE_PATH}`);
+}
@@ -0,0 +1,69 @@
+// The plugin, without the optimizer. code.js is generated from this and ../optimize.mjs by ../build-plugin.mjs, plugins can't import modules.
+// Edit this file, then run node build-plugin.mjs from scripts/icons.
+const _FILE_URL = "https://staging.figma.com/design/YfiqA0yWMXuLJAzkZNpBdy";
+const FILE_URL = "https://figma.com/design/J0KLPKXiONDRssXD1AX9Oi";
+
+async function run() {
+  const exports = [];
+  const files = [];
+  await Promise.all(
+    figma.currentPage
+      .findAllWithCriteria({ types: ["COMPONENT_SET"] })
+      .map(async (componentSet) => {
+        const cleanName =
+          "Icon" +
+          componentSet.name
+            .split(/[^a-zA-Z0-9]+/)
+            .map((a) => a.charAt(0).toUpperCase() + a.substring(1))
+            .join("");
+        const lines = [
+          `import figma from "@figma/code-connect";`,
+          'import { IconProps, Icon } from "primitives";',
+          `export const ${cleanName} = (props: IconProps) => (`,
+        ];
+        exports.push(`export { ${cleanName} } from "./${cleanName}.tsx";`);
+        // Every size the icon is drawn at, by width
+        const artwork = {};
+        await Promise.all(
+          componentSet.children.map(async (child) => {
+            const svg = await child.exportAsync({ format: "SVG_STRING" });
+            artwork[child.width] = optimizeSvg(
+              svg
+                .replace(/stroke="#[^"]+"/g, `stroke="var(--svg-stroke-color)"`)
+                .replace(/fill="#[^"]+"/g, `fill="var(--svg-fill-color)"`),
+              child.width,
+            );
+            return true;
+          }),
+        );
+        const sizes = Object.keys(artwork).sort((a, b) => a - b);
+        // Icons only drawn at 16px pass their artwork as children, otherwise Icon picks the closest variant
+        if (sizes.length === 1 && sizes[0] === "16") {
+          lines.push(`  <Icon {...props}>${artwork[16]}</Icon>`);
+        } else {
+          lines.push("  <Icon", "    {...props}", "    variants={{");
+          sizes.forEach((size) =>
+            lines.push(`      ${size}: <>${artwork[size]}</>,`),
+          );
+          lines.push("    }}", "  />");
+        }
+        lines.push(");");
+        lines.push(
+          `figma.connect(${cleanName}, "${FILE_URL}?node-id=${componentSet.id}", { props: { size: figma.enum("Size", { ${sizes.map((size) => `"${size}": "${size}"`).join(", ")} }) }, example: ({ size }) => <${cleanName} size={size} /> });`,
+        );
+        files.push(`["${cleanName}.tsx", ${JSON.stringify(lines.join("\n"))}]`);
+      }),
+  );
+
+  figma.showUI(
+    `<style>body { margin: 0 } textarea { font-family: monospace; white-space: pre; height: 50vh; width: 100vw; }</style>
+<textarea>${exports.join("\n")}</textarea>
+<textarea>[\n${files.join(",\n")}\n]</textarea>`,
+    {
+      height: 900,
+      width: 1200,
+    },
+  );
+}
+
+run();
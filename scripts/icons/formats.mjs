@@ -0,0 +1,142 @@
+// Output formats for icons outside React, written alongside the icon components.
+// Each format receives every icon's optimized artwork by drawn size, and returns a file string.
+// To add a target, add an entry to OUTPUT_FORMATS. Select formats with --formats=sprite,css
+
+const GENERATED_NOTICE =
+  "This file is automatically generated by scripts/icons/app.mjs!";
+// Prefix of sprite symbol ids and CSS classes, eg. wds-icon-arrow-right
+const ICON_PREFIX = "wds-icon-";
+// SVG attributes that are camelCase in svg too, so aren't converted from JSX
+const CAMEL_CASE_ATTRIBUTES = [
+  "clipPathUnits",
+  "gradientTransform",
+  "gradientUnits",
+  "maskContentUnits",
+  "maskUnits",
+  "patternContentUnits",
+  "patternTransform",
+  "patternUnits",
+  "preserveAspectRatio",
+  "viewBox",
+];
+// Masks only use the artwork's shape. Color comes from the element's background, so the color variables are made opaque.
+const MASK_COLORS = /var\(--svg-(stroke|fill)-color\)/g;
+
+export const OUTPUT_FORMATS = {
+  sprite: { fileName: "sprite.svg", format: formatSprite },
+  css: { fileName: "masks.css", format: formatMasks },
+};
+
+/**
+ * SVG sprite with a <symbol> for each icon, eg. <svg class="icon icon-size-24"><use href="sprite.svg#wds-icon-activity" /></svg>
+ * Artwork keeps var(--svg-stroke-color) and var(--svg-fill-color), which inherit through <use> from src/icons.css like the React icons.
+ * @param {Array<{ name: string, artwork: { [size: string]: string } }>} icons
+ * @param {{ defaultSize: number }} options
+ * @returns {string}
+ */
+function formatSprite(icons, { defaultSize }) {
+  return [
+    `<!-- ${GENERATED_NOTICE} -->`,
+    '<svg xmlns="http://www.w3.org/2000/svg" aria-hidden="true" style="position: absolute; width: 0; height: 0; overflow: hidden">',
+    ...iconVariants(icons, defaultSize).map(
+      ({ id, size, svg }) =>
+        `  <symbol id="${id}" viewBox="0 0 ${size} ${size}" fill="none">${svg}</symbol>`,
+    ),
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * CSS utility classes drawing each icon as a mask-image, eg. <span class="wds-icon-activity icon-size-24"></span>
+ * Colored with --icon-color and sized with --icon-diameter (the .icon-size-* classes in src/icons.css), like the React icons.
+ * Rules are in a cascade layer so any unlayered style overrides them.
+ * @param {Array<{ name: string, artwork: { [size: string]: string } }>} icons
+ * @param {{ defaultSize: number }} options
+ * @returns {string}
+ */
+function formatMasks(icons, { defaultSize }) {
+  return [
+    "/*",
+    ` * ${GENERATED_NOTICE}`,
+    " */",
+    "@layer wds-icons {",
+    `  [class*="${ICON_PREFIX}"] {`,
+    "    --icon-color: var(--wds-color-icon-brand-default);",
+    "    --icon-diameter: var(--wds-typography-scale-03);",
+    "    background-color: var(--icon-color);",
+    "    display: inline-block;",
+    "    flex-shrink: 0;",
+    "    height: var(--icon-diameter);",
+    "    mask: var(--icon-mask) center / contain no-repeat;",
+    "    width: var(--icon-diameter);",
+    "  }",
+    ...iconVariants(icons, defaultSize).flatMap(({ id, size, svg }) => [
+      "",
+      `  .${id} {`,
+      `    --icon-mask: url("data:image/svg+xml,${svgDataUri(
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" fill="none">${svg.replace(MASK_COLORS, "black")}</svg>`,
+      )}");`,
+      "  }",
+    ]),
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Every drawn size of every icon, with svg attribute names. The default size has no suffix, eg. wds-icon-arrow-right, wds-icon-arrow-right-24
+ * @param {Array<{ name: string, artwork: { [size: string]: string } }>} icons
+ * @param {number} defaultSize
+ * @returns {Array<{ id: string, size: string, svg: string }>}
+ */
+function iconVariants(icons, defaultSize) {
+  return [...icons]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(({ name, artwork }) => {
+      const sizes = Object.keys(artwork).sort((a, b) => a - b);
+      const unsuffixed = sizes.includes(String(defaultSize))
+        ? String(defaultSize)
+        : sizes[0];
+      return sizes.map((size) => ({
+        id: `${ICON_PREFIX}${iconSlug(name)}${size === unsuffixed ? "" : `-${size}`}`,
+        size,
+        svg: svgAttributes(artwork[size]),
+      }));
+    });
+}
+
+/**
+ * eg. IconBarChart2 => "bar-chart-2"
+ * @param {string} name
+ * @returns {string}
+ */
+function iconSlug(name) {
+  return name
+    .replace(/^Icon/, "")
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/([a-zA-Z])([0-9])/g, "$1-$2")
+    .toLowerCase();
+}
+
+/**
+ * JSX attribute names back to svg, eg. strokeWidth => stroke-width
+ * @param {string} artwork
+ * @returns {string}
+ */
+function svgAttributes(artwork) {
+  return artwork.replace(/ ([a-z]+(?:[A-Z][a-z]*)+)="/g, (match, name) =>
+    CAMEL_CASE_ATTRIBUTES.includes(name)
+      ? match
+      : ` ${name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}="`,
+  );
+}
+
+/**
+ * Escape an svg for a url("data:image/svg+xml,...") without base64, which would make it larger
+ * @param {string} svg
+ * @returns {string}
+ */
+function svgDataUri(svg) {
+  return svg.replace(/"/g, "'").replace(/[%#<>]/g, encodeURIComponent);
+}
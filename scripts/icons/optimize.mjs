@@ -0,0 +1,240 @@
+// Optimize icon artwork exported from Figma before it's written into JSX.
+// Figma's svg export is flat and predictable, so a small parser is enough. Inlined into figma-plugin-icons-tsx/code.js by ./build-plugin.mjs.
+
+// Decimal places kept in coordinates. A thousandth of a px is invisible at every icon size.
+const PRECISION = 3;
+// Attributes holding coordinates to round
+const NUMERIC_ATTRIBUTES = [
+  "cx",
+  "cy",
+  "d",
+  "height",
+  "points",
+  "r",
+  "rx",
+  "ry",
+  "transform",
+  "width",
+  "x",
+  "x1",
+  "x2",
+  "y",
+  "y1",
+  "y2",
+];
+// Attributes set to the value svg already defaults to
+const DEFAULT_ATTRIBUTES = {
+  clipRule: "nonzero",
+  fillOpacity: "1",
+  fillRule: "nonzero",
+  opacity: "1",
+  strokeDasharray: "none",
+  strokeLinecap: "butt",
+  strokeLinejoin: "miter",
+  strokeOpacity: "1",
+  strokeWidth: "1",
+};
+// Inherited paint on the <svg> the Icon component renders, so the same value on a child is redundant
+const ROOT_PAINT = { fill: "none", stroke: "none" };
+
+/**
+ * Remove clip paths covering the whole icon, the groups and defs left empty by them, unused ids and default attributes,
+ *   and round coordinates. Works on raw Figma svg or artwork already converted to JSX attributes.
+ * @param {string} artwork - svg children (or a whole <svg>, which is unwrapped)
+ * @param {number} size - size the artwork is drawn at, the icon's viewBox
+ * @returns {string} - svg children with JSX attribute names
+ */
+export function optimizeSvg(artwork, size) {
+  const root = parseSvg(artwork);
+  const svg = root.children.find((child) => child.name === "svg");
+  const nodes = svg ? svg.children : root.children;
+
+  // Clip paths that are a rect the size of the icon clip nothing
+  const unusedClips = [];
+  walk(nodes, (node) => {
+    const [rect] = node.children;
+    const {
+      width,
+      height,
+      x = "0",
+      y = "0",
+      transform: rectTransform,
+    } = rect?.attributes || {};
+    if (
+      node.name === "clipPath" &&
+      node.children.length === 1 &&
+      rect.name === "rect" &&
+      Number(width) === size &&
+      Number(height) === size &&
+      Number(x) === 0 &&
+      Number(y) === 0 &&
+      !rectTransform
+    ) {
+      unusedClips.push(node.attributes.id);
+    }
+  });
+  let optimized = transform(nodes, (node) => {
+    if (node.name === "clipPath" && unusedClips.includes(node.attributes.id)) {
+      return [];
+    }
+    const clip = (node.attributes.clipPath || "").match(/^url\(#(.+)\)$/);
+    if (clip && unusedClips.includes(clip[1])) delete node.attributes.clipPath;
+    if (node.name === "defs" && !node.children.length) return [];
+    // Groups without attributes do nothing
+    if (node.name === "g" && !Object.keys(node.attributes).length) {
+      return node.children;
+    }
+    return [node];
+  });
+
+  const references = [];
+  walk(optimized, (node) =>
+    Object.values(node.attributes).forEach((value) => {
+      for (let [, url, href] of value.matchAll(/url\(#([^)]+)\)|^#(.+)$/g)) {
+        references.push(url || href);
+      }
+    }),
+  );
+  optimized = cleanAttributes(optimized, ROOT_PAINT, references);
+  return optimized.map(drawNode).join("");
+}
+
+/**
+ * Drop redundant attributes and round coordinates, tracking the paint each node inherits
+ * @param {SvgNode[]} nodes
+ * @param {{ fill: string, stroke: string }} inherited
+ * @param {string[]} references - ids used by other nodes
+ * @returns {SvgNode[]}
+ */
+function cleanAttributes(nodes, inherited, references) {
+  return nodes.map((node) => {
+    if (typeof node === "string") return node;
+    const attributes = {};
+    Object.entries(node.attributes).forEach(([name, value]) => {
+      if (DEFAULT_ATTRIBUTES[name] === value) return;
+      if (name in inherited && inherited[name] === value) return;
+      if (name === "id" && !references.includes(value)) return;
+      if (name.startsWith("xmlns")) return;
+      attributes[name] = NUMERIC_ATTRIBUTES.includes(name)
+        ? roundNumbers(value)
+        : value;
+    });
+    return {
+      ...node,
+      attributes,
+      children: cleanAttributes(
+        node.children,
+        {
+          fill: node.attributes.fill || inherited.fill,
+          stroke: node.attributes.stroke || inherited.stroke,
+        },
+        references,
+      ),
+    };
+  });
+}
+
+/**
+ * eg. "M14.6666 8H12L9.99998 14" => "M14.667 8H12L10 14"
+ * @param {string} value
+ * @returns {string}
+ */
+function roundNumbers(value) {
+  return value.replace(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi, (number) =>
+    String(Number(Number(number).toFixed(PRECISION))),
+  );
+}
+
+/**
+ * @typedef {{ name: string, attributes: { [name: string]: string }, children: Array<SvgNode | string> }} SvgNode
+ */
+
+/**
+ * Parse svg markup into nodes. Attribute names are converted to JSX (eg. stroke-width => strokeWidth).
+ * @param {string} markup
+ * @returns {SvgNode}
+ */
+function parseSvg(markup) {
+  const root = { name: "#root", attributes: {}, children: [] };
+  const stack = [root];
+  let index = 0;
+  const source = markup.replace(/<!--[\s\S]*?-->|<\?[\s\S]*?\?>/g, "");
+  for (let match of source.matchAll(
+    /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>/g,
+  )) {
+    const [tag, closing, name, attributes, selfClosing] = match;
+    const text = source.slice(index, match.index);
+    index = match.index + tag.length;
+    if (text.trim()) stack[stack.length - 1].children.push(text);
+    if (closing) {
+      if (stack.length === 1 || stack.pop().name !== name) {
+        throw new Error(`Unexpected </${name}> in svg`);
+      }
+      continue;
+    }
+    const node = { name, attributes: {}, children: [] };
+    for (let [, attribute, value] of attributes.matchAll(
+      /([\w:-]+)="([^"]*)"/g,
+    )) {
+      node.attributes[jsxAttributeName(attribute)] = value;
+    }
+    stack[stack.length - 1].children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  if (stack.length > 1) {
+    throw new Error(`Unclosed <${stack[stack.length - 1].name}> in svg`);
+  }
+  return root;
+}
+
+/**
+ * eg. stroke-linecap => strokeLinecap. data- and aria- attributes are valid JSX as they are.
+ * @param {string} name
+ * @returns {string}
+ */
+function jsxAttributeName(name) {
+  return /^(data|aria)-/.test(name)
+    ? name
+    : name.replace(/[-:](.)/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * @param {SvgNode | string} node
+ * @returns {string}
+ */
+function drawNode(node) {
+  if (typeof node === "string") return node;
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${value}"`)
+    .join("");
+  return node.children.length
+    ? `<${node.name}${attributes}>${node.children.map(drawNode).join("")}</${node.name}>`
+    : `<${node.name}${attributes}/>`;
+}
+
+/**
+ * Call a function with every node, depth first
+ * @param {Array<SvgNode | string>} nodes
+ * @param {(node: SvgNode) => void} callback
+ */
+function walk(nodes, callback) {
+  nodes.forEach((node) => {
+    if (typeof node === "string") return;
+    callback(node);
+    walk(node.children, callback);
+  });
+}
+
+/**
+ * Replace every node with the nodes returned for it, children first
+ * @param {Array<SvgNode | string>} nodes
+ * @param {(node: SvgNode) => Array<SvgNode | string>} callback
+ * @returns {Array<SvgNode | string>}
+ */
+function transform(nodes, callback) {
+  return nodes.flatMap((node) =>
+    typeof node === "string"
+      ? [node]
+      : callback({ ...node, children: transform(node.children, callback) }),
+  );
+}
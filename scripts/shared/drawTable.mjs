@@ -0,0 +1,22 @@
+// Plain text tables for script reports: the token contrast audit (tokens/contrast.mjs), the variable syntax push (tokens/toFigma.mjs) and the dev resource plan (dev-resources/app.mjs).
+
+/**
+ * Draw rows as lines of a table with a header and a divider, each column padded to its widest cell.
+ * eg. drawTable(["Name", "Ratio"], [["text-default", "4.50"]]) => ["Name          Ratio", "------------  -----", "text-default  4.50"]
+ * @param {string[]} header
+ * @param {string[][]} rows
+ * @returns {string[]}
+ */
+export function drawTable(header, rows) {
+  const widths = header.map((_, i) =>
+    Math.max(...[header, ...rows].map((row) => row[i].length)),
+  );
+  const drawRow = (row) =>
+    row
+      .map((cell, i) => cell.padEnd(widths[i]))
+      .join("  ")
+      .trimEnd();
+  return [header, widths.map((width) => "-".repeat(width)), ...rows].map(
+    drawRow,
+  );
+}
@@ -0,0 +1,211 @@
+// Shared Figma REST API client, used by the tokens, icons, component-metadata and dev-resources scripts.
+// Checks every response, retries rate limits (respecting Retry-After) and server errors with exponential backoff,
+// and limits how many requests are in flight at once.
+// Reads FIGMA_ACCESS_TOKEN, and FIGMA_API_BASE to point at another server (eg. the mock in scripts/figma-mock).
+const DEFAULT_API_BASE = "https://api.figma.com";
+// Statuses worth retrying. Anything else that isn't 2xx fails immediately.
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Error for a non-2xx Figma response, or a request that never got one.
+ * The message names the endpoint, and the context (eg. the node) it was made for.
+ */
+export class FigmaAPIError extends Error {
+  /**
+   * @param {{ method: string, endpoint: string, status?: number, body?: any, context?: string, attempts: number, cause?: Error }} details
+   */
+  constructor({ method, endpoint, status, body, context, attempts, cause }) {
+    const reason =
+      (body && (body.err || body.message)) ||
+      (cause && cause.message) ||
+      "Unknown error";
+    super(
+      [
+        `Figma API ${method} ${endpoint}`,
+        context ? ` for ${context}` : "",
+        status ? ` failed with ${status}: ` : " failed: ",
+        reason,
+        attempts > 1 ? ` (after ${attempts} attempts)` : "",
+      ].join(""),
+      { cause },
+    );
+    this.name = "FigmaAPIError";
+    /** HTTP status, undefined when there was no response */
+    this.status = status;
+    this.method = method;
+    /** Path without the origin, eg. /v1/files/:key/variables/local */
+    this.endpoint = endpoint;
+    /** Parsed response body, when there was one */
+    this.body = body;
+    this.context = context;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * Create a client. Options default to the environment, so most scripts only need `createFigmaClient()`.
+ * @param {{ token?: string, apiBase?: string, concurrency?: number, maxRetries?: number, baseDelayMs?: number, maxDelayMs?: number }} options
+ * @returns {{ request: (method: string, endpoint: string, options?: { body?: any, context?: string }) => Promise<any>, get: (endpoint: string, options?: { context?: string }) => Promise<any>, post: (endpoint: string, body: any, options?: { context?: string }) => Promise<any>, delete: (endpoint: string, options?: { context?: string }) => Promise<any>, fetchAsset: (url: string, options?: { context?: string }) => Promise<string> }}
+ */
+export function createFigmaClient({
+  token = process.env.FIGMA_ACCESS_TOKEN,
+  apiBase = process.env.FIGMA_API_BASE || DEFAULT_API_BASE,
+  concurrency = 6,
+  maxRetries = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000,
+} = {}) {
+  const limit = createLimiter(concurrency);
+
+  /**
+   * JSON request against the API. Resolves with the parsed body (an empty object when there's none, eg. a 204), or rejects with a FigmaAPIError.
+   * @param {string} method
+   * @param {string} endpoint - path starting with /v1
+   * @param {{ body?: any, context?: string }} options
+   * @returns {Promise<any>}
+   */
+  function request(method, endpoint, { body, context } = {}) {
+    const headers = { "X-FIGMA-TOKEN": token };
+    if (body !== undefined) headers["Content-Type"] = "application/json";
+    let attempts = 0;
+    return withRetries({ method, endpoint, context }, () => {
+      attempts++;
+      return fetch(`${apiBase}${endpoint}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    }).then(async (response) => {
+      const text = await response.text();
+      if (!text.trim()) return {};
+      try {
+        return JSON.parse(text);
+      } catch (cause) {
+        throw new FigmaAPIError({
+          method,
+          endpoint,
+          context,
+          status: response.status,
+          body: { message: `Invalid JSON in response: ${cause.message}` },
+          attempts,
+          cause,
+        });
+      }
+    });
+  }
+
+  /**
+   * Fetch an exported asset (eg. an SVG from the images endpoint).
+   * Assets can take a moment to exist after export, so missing assets are retried too.
+   * @param {string} url - absolute url returned by the API
+   * @param {{ context?: string }} options
+   * @returns {Promise<string>}
+   */
+  function fetchAsset(url, { context } = {}) {
+    return withRetries(
+      { method: "GET", endpoint: url, context, retryStatuses: [403, 404] },
+      () => fetch(url),
+    ).then((response) => response.text());
+  }
+
+  async function withRetries(
+    { method, endpoint, context, retryStatuses = [] },
+    send,
+  ) {
+    for (let attempt = 1; ; attempt++) {
+      let response;
+      try {
+        response = await limit(send);
+      } catch (cause) {
+        // Network errors are retried like server errors
+        if (attempt > maxRetries) {
+          throw new FigmaAPIError({
+            method,
+            endpoint,
+            context,
+            attempts: attempt,
+            cause,
+          });
+        }
+        await sleep(backoff(attempt));
+        continue;
+      }
+      if (response.ok) return response;
+      const retryable = [...RETRY_STATUSES, ...retryStatuses].includes(
+        response.status,
+      );
+      if (!retryable || attempt > maxRetries) {
+        throw new FigmaAPIError({
+          method,
+          endpoint,
+          context,
+          status: response.status,
+          body: await parseBody(response),
+          attempts: attempt,
+        });
+      }
+      const retryAfter = parseInt(response.headers.get("Retry-After"));
+      const delay = isNaN(retryAfter)
+        ? backoff(attempt)
+        : Math.min(retryAfter * 1000, maxDelayMs);
+      console.warn(
+        `${response.status} from ${method} ${endpoint}${context ? ` for ${context}` : ""}. Retrying in ${Math.round(delay / 100) / 10}s...`,
+      );
+      await sleep(delay);
+    }
+  }
+
+  // Exponential backoff with jitter, so parallel retries don't line up
+  function backoff(attempt) {
+    const delay = baseDelayMs * 2 ** (attempt - 1);
+    return Math.min(delay / 2 + Math.random() * (delay / 2), maxDelayMs);
+  }
+
+  return {
+    request,
+    get: (endpoint, options) => request("GET", endpoint, options),
+    post: (endpoint, body, options) =>
+      request("POST", endpoint, { ...options, body }),
+    delete: (endpoint, options) => request("DELETE", endpoint, options),
+    fetchAsset,
+  };
+}
+
+/**
+ * Run at most `concurrency` tasks at once, queueing the rest in order.
+ * @param {number} concurrency
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= concurrency || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task()
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  return (task) =>
+    new Promise((resolve, reject) => {
+      queue.push({ task, resolve, reject });
+      next();
+    });
+}
+
+async function parseBody(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return text ? { message: text } : undefined;
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
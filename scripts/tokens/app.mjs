@@ -1,20 +1,62 @@
 import fs from "fs";
+import { auditContrast, drawContrastReport } from "./contrast.mjs";
+import { OUTPUT_FORMATS } from "./formats.mjs";
 import {
   getFileStyles,
   getFileVariables,
+  getNamespaceData,
   KEY_PREFIX_COLLECTION,
+  NAMESPACES,
 } from "./fromFigma.mjs";
+import {
+  buildReferenceGraph,
+  drawReferenceReport,
+  findReferenceErrors,
+  resolveTokens,
+  resolveValue,
+} from "./references.mjs";
+import { pushVariableSyntaxes } from "./toFigma.mjs";
 
 const FILE_KEY = process.env.FIGMA_FILE_KEY;
 const SKIP_REST_API = process.argv.includes("--skip-rest-api");
+// Inline literal values into theme.css instead of var() aliases, for consumers that can't use nested CSS variables.
+const RESOLVE_ALIASES = process.argv.includes("--resolve-aliases");
+// Push each variable's WEB code syntax and description to Figma instead of writing files. With --dry-run, only print the changes.
+const PUSH_SYNTAX = process.argv.includes("--push-syntax");
+const DRY_RUN = process.argv.includes("--dry-run");
+// Check the WCAG contrast of color token pairs in every mode instead of writing files. Fails on AA failures.
+const AUDIT_CONTRAST = process.argv.includes("--audit-contrast");
+// Extra pairs and exemptions for the contrast audit (see ./contrast.mjs)
+const CONTRAST_CONFIG_PATH = "./contrast.json";
+// Also draw a utility class for each text style (eg. .wds-text-style-title-hero) that applies all of its properties.
+const TEXT_STYLE_CLASSES = process.argv.includes("--text-style-classes");
 const WRITE_DIR = "../../src";
+// Formats to write alongside theme.css (see ./formats.mjs). Defaults to all of them. eg. --formats=ts,json
+const FORMATS = (
+  process.argv.find((arg) => arg.startsWith("--formats="))?.split("=")[1] ||
+  Object.keys(OUTPUT_FORMATS).join(",")
+).split(",");
 
 const CONVERT_TO_REM = true;
-// Extension namespace for the w3c token file
-const NAMESPACES = ["com.figma.wds", "org.wds"];
+// Extension namespace written to the w3c token file
 const DEFAULT_NAMESPACE = NAMESPACES[0];
 // Prefix for CSS custom properties
 const TOKEN_PREFIX = "wds-";
+// Attribute that forces a color scheme, overriding prefers-color-scheme. Set by ThemeProvider in src/data/providers.
+const THEME_ATTRIBUTE = "data-theme";
+
+// Figma text case and decoration to CSS text-transform and text-decoration. Small caps aren't a transform, so they're left as none.
+const TEXT_CASES = {
+  ORIGINAL: "none",
+  UPPER: "uppercase",
+  LOWER: "lowercase",
+  TITLE: "capitalize",
+};
+const TEXT_DECORATIONS = {
+  NONE: "none",
+  UNDERLINE: "underline",
+  STRIKETHROUGH: "line-through",
+};
 
 // The data object. Each item in here represents a collection.
 // `[collection].definitions` will contain all the token data
@@ -31,35 +73,28 @@ const COLLECTION_DATA = {
     settings: {
       prefix: "color",
       // Light mode names from Figma in lower underscore case. First is default light mode.
-      colorSchemes: ["wds_light"],
+      colorSchemes: ["wds_light", "brand_b_light"],
       // Dark mode names from Figma in lower underscore case. First is default dark mode.
       colorSchemesDark: ["wds_dark"],
-      // Strings to strip from mode names above when transforming to theme class names. (Only applicable when more than one per mode)
+      // Strings to strip from mode names above to get the brand a mode belongs to. Light and dark modes sharing a brand are paired.
       colorSchemeLightRemove: "_light",
       colorSchemeDarkRemove: "_dark",
-      // Strings to find and replace in CSS values
-      replacements: {
-        color_primitives: "color",
-        "@new_color_primitives": "wds-new-color",
-        "@new_color": "wds-new-color",
-      },
+      // String to strip from brand names when transforming to brand class names. (eg. "brand_b" => ".wds-brand-b")
+      colorSchemeBrandRemove: "brand_",
     },
   },
   size: {
     settings: {
       prefix: "size",
       convertPixelToRem: true,
-      replacements: {
-        [`${KEY_PREFIX_COLLECTION}responsive`]: "responsive",
-      },
     },
   },
   typography_primitives: {
     settings: {
       prefix: "typography",
       convertPixelToRem: true,
+      // Strings to find and replace in CSS values
       replacements: {
-        [`${KEY_PREFIX_COLLECTION}responsive`]: "responsive",
         "Extra Bold Italic": "800 italic",
         "Semi Bold Italic": "600 italic",
         "Medium Italic": "500 italic",
@@ -76,15 +111,52 @@ const COLLECTION_DATA = {
     settings: {
       prefix: "typography",
       convertPixelToRem: true,
-      replacements: {
-        typography_primitives: "typography",
-      },
     },
   },
   responsive: {
     settings: {
       prefix: "responsive",
       convertPixelToRem: true,
+      // Mode names from Figma, mobile first. The first is the :root default, each later mode is drawn inside a min-width query.
+      breakpointModes: ["mobile", "tablet", "desktop"],
+      // Token (path within the collection) whose value in each mode is where the next mode starts.
+      // (eg. mobile's max-device-width is tablet's min-width)
+      breakpointToken: "max-device-width",
+      // Container name to draw @container queries for instead of @media queries. Optional.
+      breakpointContainer: "",
+      // CSS properties that aren't Figma variables, drawn with the tokens in each breakpoint mode. Names get the collection prefix.
+      localProperties: {
+        mobile: {
+          "display-flex-to-none": "flex",
+          "display-none-to-flex": "none",
+          "ratio-column-full": 1,
+          "ratio-column-half": 2,
+          "ratio-column-quarter-major": 4,
+          "ratio-column-quarter-minor": 4,
+          "ratio-column-third-major": 3,
+          "ratio-column-third-minor": 3,
+        },
+        tablet: {
+          "display-flex-to-none": "flex",
+          "display-none-to-flex": "none",
+          "ratio-column-full": 1,
+          "ratio-column-half": 1,
+          "ratio-column-quarter-major": 2,
+          "ratio-column-quarter-minor": 2,
+          "ratio-column-third-major": 3,
+          "ratio-column-third-minor": 3,
+        },
+        desktop: {
+          "display-flex-to-none": "none",
+          "display-none-to-flex": "flex",
+          "ratio-column-full": 1,
+          "ratio-column-half": 1,
+          "ratio-column-quarter-major": 3,
+          "ratio-column-quarter-minor": 1,
+          "ratio-column-third-major": 2,
+          "ratio-column-third-minor": 1,
+        },
+      },
     },
   },
 };
@@ -102,9 +174,45 @@ async function initialize() {
     fs.writeFileSync("./tokens.json", JSON.stringify(tokensJSON, null, 2));
   }
   // Process token JSON into CSS
-  const { processed, themeCSS } = processTokenJSON(
-    JSON.parse(fs.readFileSync("./tokens.json")),
-  );
+  const {
+    processed,
+    themeCSS,
+    breakpoints,
+    breakpointModes,
+    brands,
+    graph,
+    referenceErrors,
+  } = processTokenJSON(JSON.parse(fs.readFileSync("./tokens.json")));
+  // Dangling or circular aliases would ship as broken var() references. Fail without writing anything.
+  if (referenceErrors.dangling.length || referenceErrors.cycles.length) {
+    console.error(drawReferenceReport(referenceErrors).join("\n"));
+    process.exitCode = 1;
+    return;
+  }
+  if (AUDIT_CONTRAST) {
+    const results = auditContrast(
+      resolveTokens(graph),
+      fs.existsSync(CONTRAST_CONFIG_PATH)
+        ? JSON.parse(fs.readFileSync(CONTRAST_CONFIG_PATH))
+        : {},
+    );
+    console.log(drawContrastReport(results));
+    if (results.some(({ pass, exempt }) => !pass && !exempt)) {
+      process.exitCode = 1;
+    }
+    return;
+  }
+  if (PUSH_SYNTAX) {
+    try {
+      await pushVariableSyntaxes(FILE_KEY, variableSyntaxes(processed), {
+        dryRun: DRY_RUN,
+      });
+    } catch (error) {
+      console.error(error instanceof Error ? error.message : error);
+      process.exitCode = 1;
+    }
+    return;
+  }
   // An object to lookup variables in when processing styles.
   const variableLookups = Object.keys(processed)
     .flatMap((key) =>
@@ -118,23 +226,38 @@ async function initialize() {
     }, {});
 
   // Process styles JSON into CSS
-  const stylesCSS = await processStyleJSON(
-    JSON.parse(fs.readFileSync("./styles.json")),
-    variableLookups,
-  );
+  const stylesCSS = (
+    await processStyleJSON(
+      JSON.parse(fs.readFileSync("./styles.json")),
+      variableLookups,
+    )
+  ).map((line) => (RESOLVE_ALIASES ? resolveValue(graph, line) : line));
 
   // Write our processed CSS
   fs.writeFileSync(
     `${WRITE_DIR}/theme.css`,
     [...themeCSS, ...stylesCSS].join("\n"),
   );
+  // Write the other platform formats from the same processed data
+  const tokens = resolveTokens(graph);
+  FORMATS.forEach((format) => {
+    if (!OUTPUT_FORMATS[format]) {
+      console.warn(`Skipping unknown token output format "${format}"`);
+      return;
+    }
+    const { fileName, format: formatter } = OUTPUT_FORMATS[format];
+    fs.writeFileSync(
+      `${WRITE_DIR}/${fileName}`,
+      formatter(tokens, { breakpoints, breakpointModes, brands }),
+    );
+  });
   console.log("Done!");
 }
 
 /**
  * Massive operation to process Token JSON as parseable object for CSS conversion
  * @param {Object<any>} data - W3C Token Spec JSON with collections at the root.
- * @returns {{ processed: {[collection_key: string]: { definitions: { [mode_name: string]: Array<{ property: string, propertyName: string, figmaId: string, description: string, value: string, type: string }> } } } } }}
+ * @returns {{ processed: {[collection_key: string]: { definitions: { [mode_name: string]: Array<{ property: string, propertyName: string, figmaId: string, description: string, value: string, type: string }> } } } }, themeCSS?: string[], breakpoints?: { [mode_name: string]: string }, breakpointModes?: string[], brands?: string[], graph: ReturnType<typeof buildReferenceGraph>, referenceErrors: ReturnType<typeof findReferenceErrors> }}
  */
 function processTokenJSON(data) {
   ensureCollectionSettingsExist(data);
@@ -149,6 +272,43 @@ function processTokenJSON(data) {
     processCollection(data, COLLECTION_DATA[key], definitionsKey);
   }
 
+  // Every alias should point at a property we define, without looping back on itself.
+  const graph = buildReferenceGraph(processed);
+  const referenceErrors = findReferenceErrors(graph);
+  if (referenceErrors.dangling.length || referenceErrors.cycles.length) {
+    return { processed, graph, referenceErrors };
+  }
+  if (RESOLVE_ALIASES) {
+    for (let key in processed) {
+      const { definitions } = processed[key];
+      for (let mode in definitions) {
+        definitions[mode].forEach(
+          (definition) =>
+            (definition.value = resolveValue(graph, definition.value, mode)),
+        );
+      }
+    }
+  }
+
+  // Modes of breakpoint collections, mobile first, with where each starts
+  const breakpointsByCollection = {};
+  for (let key in processed) {
+    if (processed[key].settings.breakpointModes) {
+      breakpointsByCollection[key] = collectionBreakpoints(processed[key], key);
+    }
+  }
+  // Brands of color scheme collections, default first
+  const brandsByCollection = {};
+  for (let key in processed) {
+    if (processed[key].settings.colorSchemes) {
+      brandsByCollection[key] = colorSchemeBrands(
+        processed[key].settings,
+        Object.keys(processed[key].definitions),
+        key,
+      );
+    }
+  }
+
   // Our theme.css file string.
   const fileStringCSSLines = [
     "/*",
@@ -165,38 +325,76 @@ function processTokenJSON(data) {
   function fileStringCSSFromProcessedObject({ definitions, settings }, key) {
     // Lines of CSS
     const lines = [];
-    // This is how we know to do prefers-color scheme rather than plain :root
-    if (settings.colorSchemes) {
-      settings.colorSchemes.forEach((scheme, i) => {
+    // This is how we know to do brand classes and prefers-color scheme rather than plain :root
+    if (brandsByCollection[key]) {
+      // Brands are drawn in order, so a later brand class wins over the default :root brand in either scheme.
+      brandsByCollection[key].forEach(({ className, light, dark }, i) => {
+        const selectors =
+          i === 0 ? [":root", `.${className}`] : [`.${className}`];
+        const suffix = i === 0 ? " (default)" : "";
+        // :where() keeps the dark selectors at the same specificity as the light ones, so source order decides.
+        const whereSelector = (where) =>
+          selectors.map((selector) => `${selector}:where(${where})`).join(", ");
+        if (light) {
+          lines.push(
+            ...[`/* ${key}: ${light}${suffix} */`, `${selectors.join(", ")} {`],
+            drawCSSPropLines(definitions[light], "  "),
+            "}",
+          );
+        }
+        if (dark) {
+          lines.push(
+            "@media (prefers-color-scheme: dark) {",
+            `  /* ${key}: ${dark}${suffix} */`,
+            `  ${whereSelector(`:not([${THEME_ATTRIBUTE}="light"], [${THEME_ATTRIBUTE}="light"] *)`)} {`,
+            drawCSSPropLines(definitions[dark], "    "),
+            "  }",
+            "}",
+            `/* ${key}: ${dark}${suffix} (${THEME_ATTRIBUTE}="dark") */`,
+            `${whereSelector(`[${THEME_ATTRIBUTE}="dark"], [${THEME_ATTRIBUTE}="dark"] *`)} {`,
+            drawCSSPropLines(definitions[dark], "  "),
+            "}",
+          );
+        }
+      });
+    } else if (breakpointsByCollection[key]) {
+      // Mobile first. The first mode is the :root default, later modes override it from their min-width up.
+      const { breakpointContainer } = settings;
+      const query = breakpointContainer
+        ? `@container ${breakpointContainer}`
+        : "@media";
+      // Container queries can't match :root, so the values are set on every element inside the container.
+      const selector = breakpointContainer ? ":where(*)" : ":root";
+      breakpointsByCollection[key].forEach(({ mode, minWidth }, i) => {
+        const properties = [
+          ...definitions[mode],
+          ...localPropertyDefinitions(settings, mode),
+        ];
         if (i === 0) {
-          lines.push(...[`/* ${key}: ${scheme} (default) */`, ":root {"]);
+          lines.push(
+            `/* ${key}: ${mode} (default) */`,
+            ":root {",
+            drawCSSPropLines(properties, "  "),
+            "}",
+          );
+        } else if (minWidth) {
+          lines.push(
+            `/* ${key}: ${mode} */`,
+            `${query} (min-width: ${minWidth}) {`,
+            `  ${selector} {`,
+            drawCSSPropLines(properties, "    "),
+            "  }",
+            "}",
+          );
         } else {
           lines.push(
-            ...[
-              `/* ${key}: ${scheme} */`,
-              `.${TOKEN_PREFIX}scheme-${key}-${scheme.replace(settings.colorSchemeLightRemove, "")} {`,
-            ],
+            `/* ${key}: ${mode} */`,
+            `.${TOKEN_PREFIX}theme-${key}-${mode} {`,
+            drawCSSPropLines(properties, "  "),
+            "}",
           );
         }
-        lines.push(drawCSSPropLines(definitions[scheme], "  "), "}");
       });
-      if (settings.colorSchemesDark) {
-        lines.push("@media (prefers-color-scheme: dark) {");
-        settings.colorSchemesDark.forEach((scheme, i) => {
-          if (i === 0) {
-            lines.push(...[`  /* ${key}: ${scheme} (default) */`, "  :root {"]);
-          } else {
-            lines.push(
-              ...[
-                `  /* ${key}: ${scheme} */`,
-                `  .${TOKEN_PREFIX}scheme-${key}-${scheme.replace(settings.colorSchemeDarkRemove, "")} {`,
-              ],
-            );
-          }
-          lines.push(drawCSSPropLines(definitions[scheme], "    "), "  }");
-        });
-        lines.push("}");
-      }
     } else {
       let first;
       // For each mode in definitions
@@ -244,8 +442,37 @@ ${Object.keys(processed)
     );
   }
 
+  // Where each breakpoint mode starts, for the other platform formats
+  const breakpoints = Object.values(breakpointsByCollection)
+    .flat()
+    .filter(({ minWidth }) => minWidth)
+    .reduce((into, { mode, minWidth }) => {
+      into[mode] = minWidth;
+      return into;
+    }, {});
+  // Every breakpoint mode, including the first which has no min-width
+  const breakpointModes = Object.values(breakpointsByCollection)
+    .flat()
+    .map(({ mode }) => mode);
+  // Every brand's name, for the theme switcher. Brands in more than one collection are listed once.
+  const brands = [
+    ...new Set(
+      Object.values(brandsByCollection)
+        .flat()
+        .map(({ name }) => name),
+    ),
+  ];
+
   // Return our data
-  return { processed, themeCSS: fileStringCSSLines };
+  return {
+    processed,
+    themeCSS: fileStringCSSLines,
+    breakpoints,
+    breakpointModes,
+    brands,
+    graph,
+    referenceErrors,
+  };
 
   /**
    * Transform an array of lines of CSS custom property definitions into indented CSS output.
@@ -262,6 +489,120 @@ ${Object.keys(processed)
     );
   }
 
+  /**
+   * Group color scheme modes into brands, pairing light and dark modes that share a brand name.
+   * Modes missing from the collection settings are still drawn, with a warning, so they don't silently disappear.
+   * @param {Object<any>} settings - collection settings from COLLECTION_DATA
+   * @param {string[]} modes - mode names found in the collection definitions
+   * @param {string} key - collection key (for logging)
+   * @returns {Array<{ brand: string, name: string, className: string, light?: string, dark?: string }>} - first item is the default brand. `name` is the brand in its class name.
+   */
+  function colorSchemeBrands(settings, modes, key) {
+    const {
+      colorSchemes = [],
+      colorSchemesDark = [],
+      colorSchemeLightRemove = "_light",
+      colorSchemeDarkRemove = "_dark",
+      colorSchemeBrandRemove = "",
+    } = settings;
+    const brands = {};
+    const addMode = (mode, scheme, remove) => {
+      const brand = mode.replace(remove, "");
+      const name = brand.replace(colorSchemeBrandRemove, "").replace(/_/g, "-");
+      brands[brand] = brands[brand] || {
+        brand,
+        name,
+        className: `${TOKEN_PREFIX}brand-${name}`,
+      };
+      if (brands[brand][scheme]) {
+        console.warn(
+          `Token collection "${key}" has more than one ${scheme} mode for brand "${brand}". Ignoring "${mode}".`,
+        );
+        return;
+      }
+      brands[brand][scheme] = mode;
+    };
+    colorSchemes
+      .filter((mode) => modes.includes(mode))
+      .forEach((mode) => addMode(mode, "light", colorSchemeLightRemove));
+    colorSchemesDark
+      .filter((mode) => modes.includes(mode))
+      .forEach((mode) => addMode(mode, "dark", colorSchemeDarkRemove));
+    modes
+      .filter(
+        (mode) =>
+          !colorSchemes.includes(mode) && !colorSchemesDark.includes(mode),
+      )
+      .forEach((mode) => {
+        const isDark = mode.endsWith(colorSchemeDarkRemove);
+        console.warn(
+          `Token collection "${key}" mode "${mode}" is not listed in COLLECTION_DATA color schemes. Drawing it as a ${isDark ? "dark" : "light"} scheme.`,
+        );
+        if (isDark) {
+          addMode(mode, "dark", colorSchemeDarkRemove);
+        } else {
+          addMode(mode, "light", colorSchemeLightRemove);
+        }
+      });
+    return Object.values(brands);
+  }
+
+  /**
+   * Order a breakpoint collection's modes mobile first, and find the min-width each starts at.
+   * A mode starts where the previous mode's breakpoint token ends, resolved to a literal value so it works in a query.
+   * Modes missing from the collection settings are still drawn, as theme classes, with a warning.
+   * @param {{ definitions: Object<any>, settings: Object<any> }} collection
+   * @param {string} key - collection key (for logging)
+   * @returns {Array<{ mode: string, minWidth?: string }>} - first item is the default mode
+   */
+  function collectionBreakpoints({ definitions, settings }, key) {
+    const { breakpointModes, breakpointToken, prefix } = settings;
+    const property = `--${TOKEN_PREFIX}${prefix}-${breakpointToken.replace(/\//g, "-")}`;
+    const modes = breakpointModes.filter((mode) => {
+      if (definitions[mode]) return true;
+      console.warn(
+        `Token collection "${key}" has no breakpoint mode "${mode}". Skipping it.`,
+      );
+      return false;
+    });
+    const breakpoints = modes.map((mode, i) => {
+      if (i === 0) return { mode };
+      const previous = modes[i - 1];
+      const token = definitions[previous].find(
+        (definition) => definition.property === property,
+      );
+      if (!token) {
+        console.warn(
+          `Token collection "${key}" mode "${previous}" has no ${property}, so "${mode}" has no min-width. Drawing it as a theme class.`,
+        );
+        return { mode };
+      }
+      return { mode, minWidth: resolveValue(graph, token.value, previous) };
+    });
+    Object.keys(definitions)
+      .filter((mode) => !modes.includes(mode))
+      .forEach((mode) => {
+        console.warn(
+          `Token collection "${key}" mode "${mode}" is not listed in COLLECTION_DATA breakpoint modes. Drawing it as a theme class.`,
+        );
+        breakpoints.push({ mode });
+      });
+    return breakpoints;
+  }
+
+  /**
+   * Definitions for a mode's local properties (CSS properties from COLLECTION_DATA that aren't Figma variables)
+   * @param {Object<any>} settings - collection settings from COLLECTION_DATA
+   * @param {string} mode
+   * @returns {Array<{ property: string, value: string | number }>}
+   */
+  function localPropertyDefinitions({ localProperties = {}, prefix }, mode) {
+    return Object.entries(localProperties[mode] || {}).map(([name, value]) => ({
+      property: `--${TOKEN_PREFIX}${prefix}-${name}`,
+      value,
+    }));
+  }
+
   /**
    * Given an object of modes, return the Code Syntax snippet string
    * @param {{ [mode: string]: string[]}} linesObject
@@ -296,8 +637,6 @@ ${Object.keys(processed)
       processed.definitions,
       data[definitionsKey],
       replacements,
-      definitionsKey,
-      fullPrefix,
       convertPixelToRem,
       "",
       fullPrefix ? [fullPrefix] : undefined,
@@ -309,8 +648,6 @@ ${Object.keys(processed)
    * @param {Object<any>} definitions
    * @param {Object<any>} object - collection from W3C token JSON
    * @param {{[find: string]: string}} replacements - string replacement object, keyed by find.
-   * @param {string} definitionsKey
-   * @param {string} prefix - collection token prefix
    * @param {boolean} convertPixelToRem - whether or not to turn numbers into n/16 rem values.
    * @param {string} currentType - as we traverse token scope, we may need to track type from parent
    * @param {string[]} keys - history of token scopes to prefix name
@@ -320,8 +657,6 @@ ${Object.keys(processed)
     definitions,
     object,
     replacements,
-    definitionsKey,
-    prefix,
     convertPixelToRem = CONVERT_TO_REM,
     currentType = "",
     keys = [],
@@ -363,9 +698,7 @@ ${Object.keys(processed)
               valueToCSS(
                 property,
                 extensionData.modes[mode],
-                definitionsKey,
                 convertPixelToRem,
-                prefix,
               ),
             ),
             type,
@@ -382,13 +715,7 @@ ${Object.keys(processed)
           description,
           figmaId,
           value: valueWithReplacements(
-            valueToCSS(
-              property,
-              object.$value,
-              definitionsKey,
-              convertPixelToRem,
-              "",
-            ),
+            valueToCSS(property, object.$value, convertPixelToRem),
           ),
           type,
         });
@@ -396,16 +723,10 @@ ${Object.keys(processed)
     } else {
       Object.entries(object).forEach(([key, value]) => {
         if (key.charAt(0) !== "$") {
-          traverse(
-            definitions,
-            value,
-            replacements,
-            definitionsKey,
-            prefix,
-            convertPixelToRem,
-            type,
-            [...keys, key],
-          );
+          traverse(definitions, value, replacements, convertPixelToRem, type, [
+            ...keys,
+            key,
+          ]);
         }
       });
     }
@@ -415,24 +736,12 @@ ${Object.keys(processed)
    * Converting W3C token JSON value to CSS value.
    * @param {string} property
    * @param {string} value
-   * @param {string} definitionsKey
    * @param {boolean} convertPixelToRem
-   * @param {string} prefix
    * @returns {string}
    */
-  function valueToCSS(
-    property,
-    value,
-    definitionsKey,
-    convertPixelToRem,
-    prefix = "",
-  ) {
+  function valueToCSS(property, value, convertPixelToRem) {
     if (value.toString().charAt(0) === "{")
-      return `var(--${value
-        .replace(`${definitionsKey}`, prefix)
-        .replace(/[. ]/g, "-")
-        .replace(/^\{/, "")
-        .replace(/\}$/, "")})`;
+      return `var(${aliasToCSSProperty(value)})`;
     const valueIsDigits = value.toString().match(/^-?\d+(\.\d+)?$/);
     const isRatio = property.match(/(ratio-)/);
     const isNumeric =
@@ -453,6 +762,50 @@ ${Object.keys(processed)
   }
 }
 
+/**
+ * The WEB code syntax and description each Figma variable should have, matching our CSS property names.
+ * Same data as tokenVariableSyntaxAndDescriptionSnippet.js, for pushing with the REST API.
+ * @param {ReturnType<typeof processTokenJSON>["processed"]} processed
+ * @returns {Array<{ id: string, webSyntax: string, description: string }>}
+ */
+function variableSyntaxes(processed) {
+  return Object.values(processed).flatMap(({ definitions }) =>
+    (definitions[Object.keys(definitions)[0]] || [])
+      .filter(({ figmaId }) => figmaId && figmaId !== "UNDEFINED")
+      .map(({ figmaId, property, description }) => ({
+        id: figmaId,
+        webSyntax: `var(${property})`,
+        description: description || "",
+      })),
+  );
+}
+
+/**
+ * Turn a W3C token alias into the CSS custom property it points to, using the target collection's prefix.
+ * Aliases to unknown collections keep the collection key, so they're reported as dangling.
+ * @param {string} alias - eg. "{@color_primitives.Gray.150}"
+ * @returns {string} - eg. "--wds-color-gray-150"
+ */
+function aliasToCSSProperty(alias) {
+  const [collectionKey, ...path] = alias
+    .replace(/^\{/, "")
+    .replace(/\}$/, "")
+    .split(".");
+  const collection =
+    COLLECTION_DATA[collectionKey.slice(KEY_PREFIX_COLLECTION.length)];
+  const prefix = collection
+    ? `${TOKEN_PREFIX}${collection.settings.prefix}`
+    : collectionKey;
+  // Same name sanitizing as group names in fromFigma.mjs
+  const keys = path.map((key) =>
+    key
+      .split(/[^\da-zA-Z]+/)
+      .join("-")
+      .toLowerCase(),
+  );
+  return `--${[prefix, ...keys].join("-")}`;
+}
+
 function ensureCollectionSettingsExist(data = {}) {
   Object.keys(data).forEach((definitionsKey) => {
     if (!definitionsKey.startsWith(KEY_PREFIX_COLLECTION)) return;
@@ -483,6 +836,8 @@ function ensureCollectionSettingsExist(data = {}) {
 async function processStyleJSON(data, variablesLookup) {
   const effectDefs = [];
   const text = [];
+  const paintDefs = [];
+  const textClasses = [];
   const variableLookupValues = Object.values(variablesLookup || {});
   data.forEach(({ type, ...style }) => {
     if (type === "TEXT") {
@@ -493,6 +848,10 @@ async function processStyleJSON(data, variablesLookup) {
         fontWeight: styleFontWeight,
         fontStyle: styleFontStyle = "normal",
         fontName = {},
+        letterSpacing,
+        lineHeight,
+        textCase = "ORIGINAL",
+        textDecoration = "NONE",
         boundVariables = {},
       } = style;
 
@@ -534,12 +893,50 @@ async function processStyleJSON(data, variablesLookup) {
             )
           : fontFamily,
       ].join(" ");
-      text.push(
-        `--${TOKEN_PREFIX}font-${name
-          .replace(/^[^a-zA-Z0-9]+/, "")
-          .replace(/[^a-zA-Z0-9]+/g, "-")
-          .toLowerCase()}: ${css};`,
+      const property = `--${TOKEN_PREFIX}font-${name
+        .replace(/^[^a-zA-Z0-9]+/, "")
+        .replace(/[^a-zA-Z0-9]+/g, "-")
+        .toLowerCase()}`;
+      // The font shorthand resets line-height, so it comes first
+      const declarations = {
+        font: css,
+        "line-height": boundVariables.lineHeight
+          ? valueFromPossibleVariable(
+              boundVariables.lineHeight,
+              formatLineHeight(lineHeight),
+            )
+          : formatLineHeight(lineHeight),
+        "letter-spacing": boundVariables.letterSpacing
+          ? valueFromPossibleVariable(
+              boundVariables.letterSpacing,
+              formatLetterSpacing(letterSpacing, styleFontSize),
+            )
+          : formatLetterSpacing(letterSpacing, styleFontSize),
+        "text-transform": TEXT_CASES[textCase] || "none",
+        "text-decoration": TEXT_DECORATIONS[textDecoration] || "none",
+      };
+      text.push(`${property}: ${css};`);
+      Object.entries(declarations)
+        .slice(1)
+        .forEach(([cssProperty, value]) =>
+          text.push(`${property}-${cssProperty}: ${value};`),
+        );
+      textClasses.push(
+        `.${TOKEN_PREFIX}text-style-${sanitizeName(name)} {`,
+        ...Object.keys(declarations).map(
+          (cssProperty, i) =>
+            `  ${cssProperty}: var(${i === 0 ? property : `${property}-${cssProperty}`});`,
+        ),
+        "}",
       );
+    } else if (type === "PAINT") {
+      const { name, paints = [] } = style;
+      const layers = formatPaints(paints);
+      if (layers) {
+        paintDefs.push(
+          `--${TOKEN_PREFIX}background-${sanitizeName(name)}: ${layers};`,
+        );
+      }
     } else if (type === "EFFECT") {
       const { name, effects } = style;
       const safeName = sanitizeName(name);
@@ -580,8 +977,9 @@ async function processStyleJSON(data, variablesLookup) {
   return [
     "/* styles */",
     ":root {",
-    "  " + [...text, ...effectDefs].join("\n  "),
+    "  " + [...text, ...paintDefs, ...effectDefs].join("\n  "),
     "}",
+    ...(TEXT_STYLE_CLASSES ? ["/* text styles */", ...textClasses] : []),
   ];
 
   /**
@@ -621,6 +1019,149 @@ async function processStyleJSON(data, variablesLookup) {
       .toLowerCase();
   }
 
+  /**
+   * Line height from Figma ({ unit: "PERCENT" | "PIXELS" | "AUTO", value }). Percentages become unitless multipliers.
+   * @param {{ unit: string, value?: number }} lineHeight
+   * @returns {string}
+   */
+  function formatLineHeight(lineHeight) {
+    if (!lineHeight || lineHeight.unit === "AUTO") return "normal";
+    if (lineHeight.unit === "PERCENT") {
+      return `${roundTo(lineHeight.value / 100)}`;
+    }
+    return CONVERT_TO_REM
+      ? `${roundTo(lineHeight.value / 16)}rem`
+      : `${roundTo(lineHeight.value)}px`;
+  }
+
+  /**
+   * Letter spacing from Figma ({ unit: "PERCENT" | "PIXELS", value }) in em, so it scales with the font size.
+   * @param {{ unit: string, value: number }} letterSpacing
+   * @param {number} fontSize - px, for converting pixel spacing
+   * @returns {string}
+   */
+  function formatLetterSpacing(letterSpacing, fontSize) {
+    if (!letterSpacing || !letterSpacing.value) return "0";
+    if (letterSpacing.unit === "PERCENT") {
+      return `${roundTo(letterSpacing.value / 100)}em`;
+    }
+    return typeof fontSize === "number"
+      ? `${roundTo(letterSpacing.value / fontSize)}em`
+      : `${roundTo(letterSpacing.value)}px`;
+  }
+
+  /**
+   * Transforms a Figma paint style's fills into a CSS background value.
+   * Figma lists layers bottom to top, CSS top to bottom. Only the bottom CSS layer can be a plain color,
+   * so solid layers above it are drawn as flat gradients.
+   * Image, video and pattern layers are skipped, since styles only reference them by hash.
+   * @param {Array<Object<any>>} paints
+   * @returns {string | null} - null when there is nothing to draw
+   */
+  function formatPaints(paints) {
+    const layers = paints
+      .filter(({ visible }) => visible !== false)
+      .map(formatPaint)
+      .filter(Boolean)
+      .reverse();
+    if (!layers.length) return null;
+    return layers
+      .map(({ css, isColor }, i) =>
+        isColor && i < layers.length - 1
+          ? `linear-gradient(${css}, ${css})`
+          : css,
+      )
+      .join(", ");
+  }
+
+  /**
+   * Transforms a single Figma paint into a CSS color or gradient.
+   * Gradient direction comes from gradientHandlePositions (REST API) or gradientTransform (plugin API).
+   * Diamond gradients have no CSS equivalent and are drawn as radial gradients.
+   * @param {{type: PaintType, ...paint}} args[0] Figma paint
+   * @returns {{ css: string, isColor: boolean } | null}
+   */
+  function formatPaint({ type, opacity = 1, boundVariables = {}, ...paint }) {
+    if (type === "SOLID") {
+      return {
+        css: paintColor(paint.color, opacity, boundVariables.color),
+        isColor: true,
+      };
+    }
+    if (!type.startsWith("GRADIENT_")) return null;
+    const [start, end] = gradientHandles(paint);
+    const angle =
+      Math.round(
+        (Math.atan2(end.x - start.x, start.y - end.y) * 180) / Math.PI + 360,
+      ) % 360;
+    const at = `at ${roundTo(start.x * 100, 2)}% ${roundTo(start.y * 100, 2)}%`;
+    const stops = (paint.gradientStops || [])
+      .map(
+        (stop) =>
+          `${paintColor(stop.color, opacity, (stop.boundVariables || {}).color)} ${roundTo(stop.position * 100, 2)}%`,
+      )
+      .join(", ");
+    if (type === "GRADIENT_LINEAR") {
+      return { css: `linear-gradient(${angle}deg, ${stops})`, isColor: false };
+    }
+    if (type === "GRADIENT_ANGULAR") {
+      return {
+        css: `conic-gradient(from ${angle}deg ${at}, ${stops})`,
+        isColor: false,
+      };
+    }
+    return { css: `radial-gradient(${at}, ${stops})`, isColor: false };
+  }
+
+  /**
+   * Start and end of a gradient, in 0-1 coordinates of the filled box.
+   * @param {{ gradientHandlePositions?: Array<{ x: number, y: number }>, gradientTransform?: number[][] }} paint
+   * @returns {Array<{ x: number, y: number }>}
+   */
+  function gradientHandles({ gradientHandlePositions, gradientTransform }) {
+    if (gradientHandlePositions) return gradientHandlePositions;
+    if (!gradientTransform) {
+      return [
+        { x: 0.5, y: 0 },
+        { x: 0.5, y: 1 },
+      ];
+    }
+    // gradientTransform maps the box onto gradient space, where the gradient runs from (0, 0.5) to (1, 0.5)
+    const [[a, b, c], [d, e, f]] = gradientTransform;
+    const determinant = a * e - b * d;
+    return [
+      [0, 0.5],
+      [1, 0.5],
+    ].map(([u, v]) => ({
+      x: (e * (u - c) - b * (v - f)) / determinant,
+      y: (a * (v - f) - d * (u - c)) / determinant,
+    }));
+  }
+
+  /**
+   * Paint color as a variable reference when bound, otherwise as hex. Paint opacity is mixed into either.
+   * @param {{ r: number, g: number, b: number, a?: number }} color
+   * @param {number} opacity
+   * @param {{ id: string }} [boundColor]
+   * @returns {string}
+   */
+  function paintColor({ r, g, b, a = 1 }, opacity, boundColor) {
+    const toHex = (value) =>
+      Math.round(value * 255)
+        .toString(16)
+        .padStart(2, "0");
+    const alpha = a * opacity;
+    const hex = `#${[r, g, b].map(toHex).join("")}${alpha < 1 ? toHex(alpha) : ""}`;
+    const value = boundColor ? valueFromPossibleVariable(boundColor, hex) : hex;
+    if (!value.startsWith("var(") || opacity >= 1) return value;
+    return `color-mix(in srgb, ${value} ${roundTo(opacity * 100, 2)}%, transparent)`;
+  }
+
+  function roundTo(value, places = 4) {
+    const factor = 10 ** places;
+    return Math.round(value * factor) / factor;
+  }
+
   /**
    * Transforms Figma effect data into CSS string
    * @param {{type: EffectType, ...effect}} args[0] Figma effect
@@ -735,13 +1276,3 @@ function parseFontStyle(styleName = "") {
     fontWeight,
   };
 }
-
-function getNamespaceData(extensions) {
-  if (!extensions) return null;
-  for (const namespace of NAMESPACES) {
-    if (extensions[namespace]) {
-      return extensions[namespace];
-    }
-  }
-  return null;
-}
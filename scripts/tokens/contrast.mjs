@@ -0,0 +1,209 @@
+import { drawTable } from "../shared/drawTable.mjs";
+
+// WCAG contrast audit of the semantic color tokens, per mode.
+// Pairs come from name conventions (eg. text-brand-on-brand over background-brand-default) and ./contrast.json.
+// run with node app.mjs --skip-rest-api --audit-contrast
+
+// Prefix of the semantic color tokens
+const COLOR_PREFIX = "--wds-color-";
+// Minimum contrast for AA. Text is normal size text (1.4.3), icons and borders are non-text (1.4.11).
+const AA_MINIMUMS = { text: 4.5, icon: 3, border: 3 };
+// Background states that text on a background should also be readable on
+const BACKGROUND_STATES = ["", "-hover", "-pressed"];
+// Page background that translucent backgrounds are drawn over
+const PAGE_BACKGROUND = `${COLOR_PREFIX}background-default-default`;
+
+/**
+ * Contrast of every foreground/background pair, in every mode of the color tokens.
+ * Foregrounds are `text-*` and `icon-*` tokens:
+ *   - `<role>-<scheme>-on-<background>[-<level>]` is drawn over `background-<background>-<level>` (default level when there isn't one) and its hover and pressed states.
+ *   - Other `-on-` foregrounds without a matching background (eg. text-utilities-text-on-overlay) are only paired in ./contrast.json.
+ *   - Every other foreground is drawn over the page background, `background-default-default`.
+ * Translucent backgrounds are drawn over the page background, and translucent foregrounds over their background.
+ * @param {ReturnType<typeof import("./references.mjs").resolveTokens>} tokens
+ * @param {{ pairs?: Array<{ foreground: string, background: string, minimum?: number }>, exempt?: string[] }} config - extra pairs, and foregrounds WCAG doesn't apply to (eg. disabled text)
+ * @returns {Array<{ mode: string, foreground: string, background: string, ratio: number | null, minimum: number, exempt: boolean, pass: boolean }>}
+ */
+export function auditContrast(tokens, { pairs = [], exempt = [] } = {}) {
+  const colors = tokens
+    .filter(({ property }) => property.startsWith(COLOR_PREFIX))
+    .reduce((into, token) => {
+      into[token.property] = token;
+      return into;
+    }, {});
+  const allPairs = uniquePairs([...conventionPairs(colors), ...pairs]);
+  // Modes of the paired tokens, not the primitives they alias
+  const modes = [
+    ...new Set(
+      allPairs.flatMap(({ foreground, background }) =>
+        [colors[foreground], colors[background]]
+          .filter(Boolean)
+          .flatMap(({ resolved }) => Object.keys(resolved)),
+      ),
+    ),
+  ];
+  return modes.flatMap((mode) =>
+    allPairs.map(({ foreground, background, minimum }) => {
+      const page = parseColor(valueIn(colors[PAGE_BACKGROUND], mode));
+      const back = parseColor(valueIn(colors[background], mode));
+      const fore = parseColor(valueIn(colors[foreground], mode));
+      const ratio =
+        page && back && fore
+          ? contrastRatio(
+              composite(fore, composite(back, page)),
+              composite(back, page),
+            )
+          : null;
+      const required = minimum || AA_MINIMUMS[roleOf(foreground)] || 4.5;
+      return {
+        mode,
+        foreground,
+        background,
+        ratio,
+        minimum: required,
+        exempt: exempt.includes(foreground),
+        pass: ratio !== null && ratio >= required,
+      };
+    }),
+  );
+}
+
+/**
+ * Report table per mode. Failures first, exempt pairs are listed but never fail.
+ * @param {ReturnType<typeof auditContrast>} results
+ * @returns {string}
+ */
+export function drawContrastReport(results) {
+  const modes = [...new Set(results.map(({ mode }) => mode))];
+  const failures = results.filter(({ pass, exempt }) => !pass && !exempt);
+  const header = ["Result", "Ratio", "Foreground", "Background"];
+  const rank = ({ pass, exempt }) => (pass ? 2 : exempt ? 1 : 0);
+  return [
+    ...modes.flatMap((mode) => {
+      const rows = results
+        .filter((result) => result.mode === mode)
+        .sort((a, b) => rank(a) - rank(b))
+        .map(({ ratio, minimum, pass, exempt, foreground, background }) => [
+          pass ? "pass" : exempt ? "exempt" : "FAIL",
+          `${ratio === null ? "unresolved" : ratio.toFixed(2)} / ${minimum}`,
+          foreground.replace(COLOR_PREFIX, ""),
+          background.replace(COLOR_PREFIX, ""),
+        ]);
+      const modeFailures = failures.filter((result) => result.mode === mode);
+      return [
+        `${mode}: ${rows.length - modeFailures.length} of ${rows.length} pairs meet AA`,
+        ...drawTable(header, rows),
+        "",
+      ];
+    }),
+    failures.length
+      ? `${failures.length} pairs fail WCAG AA`
+      : "Every pair meets WCAG AA",
+  ].join("\n");
+}
+
+/**
+ * Pairs from token names. See auditContrast.
+ * @param {{ [property: string]: { property: string } }} colors
+ * @returns {Array<{ foreground: string, background: string }>}
+ */
+function conventionPairs(colors) {
+  return Object.keys(colors).flatMap((foreground) => {
+    const match = foreground
+      .slice(COLOR_PREFIX.length)
+      .match(/^(text|icon)-[a-z]+-(.+)$/);
+    if (!match) return [];
+    const on = match[2].match(/(?:^|-)on-([a-z]+)(?:-([a-z]+))?$/);
+    const backgrounds = on
+      ? BACKGROUND_STATES.map(
+          (state) =>
+            `${COLOR_PREFIX}background-${on[1]}-${on[2] || "default"}${state}`,
+        )
+      : [PAGE_BACKGROUND];
+    return backgrounds
+      .filter((background) => colors[background])
+      .map((background) => ({ foreground, background }));
+  });
+}
+
+function uniquePairs(pairs) {
+  const seen = {};
+  return pairs.filter(({ foreground, background }) => {
+    const key = `${foreground} ${background}`;
+    if (seen[key]) return false;
+    seen[key] = true;
+    return true;
+  });
+}
+
+function roleOf(property) {
+  return property.slice(COLOR_PREFIX.length).split("-")[0];
+}
+
+function valueIn(token, mode) {
+  if (!token) return null;
+  return mode in token.resolved
+    ? token.resolved[mode]
+    : Object.values(token.resolved)[0];
+}
+
+/**
+ * Hex (#rgb, #rgba, #rrggbb, #rrggbbaa) or rgb()/rgba() color as 0-1 channels
+ * @param {string | null} value
+ * @returns {{ r: number, g: number, b: number, a: number } | null}
+ */
+function parseColor(value) {
+  if (typeof value !== "string") return null;
+  const hex = value.trim().match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+  if (hex) {
+    const digits =
+      hex[1].length <= 4 ? [...hex[1]].map((d) => d + d) : hex[1].match(/../g);
+    const [r, g, b, a = 255] = digits.map((d) => parseInt(d, 16));
+    return { r: r / 255, g: g / 255, b: b / 255, a: a / 255 };
+  }
+  const rgb = value
+    .trim()
+    .match(
+      /^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:[,\s/]+([\d.]+%?))?\s*\)$/,
+    );
+  if (rgb) {
+    const alpha = rgb[4]
+      ? rgb[4].endsWith("%")
+        ? parseFloat(rgb[4]) / 100
+        : parseFloat(rgb[4])
+      : 1;
+    return { r: rgb[1] / 255, g: rgb[2] / 255, b: rgb[3] / 255, a: alpha };
+  }
+  return null;
+}
+
+/**
+ * A translucent color drawn over another
+ */
+function composite(top, bottom) {
+  const mix = (channel) =>
+    top[channel] * top.a + bottom[channel] * bottom.a * (1 - top.a);
+  const a = top.a + bottom.a * (1 - top.a);
+  return a
+    ? { r: mix("r") / a, g: mix("g") / a, b: mix("b") / a, a }
+    : { r: 0, g: 0, b: 0, a: 0 };
+}
+
+/**
+ * @link https://www.w3.org/TR/WCAG21/#dfn-contrast-ratio
+ */
+function contrastRatio(first, second) {
+  const [lighter, darker] = [luminance(first), luminance(second)].sort(
+    (a, b) => b - a,
+  );
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * @link https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+ */
+function luminance({ r, g, b }) {
+  const linear = (channel) =>
+    channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4;
+  return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+}
@@ -0,0 +1,280 @@
+import { execFileSync } from "child_process";
+import fs from "fs";
+import { getNamespaceData, KEY_PREFIX_COLLECTION } from "./fromFigma.mjs";
+
+// Compare two tokens.json snapshots and report what changed, for release notes.
+// Snapshots are file paths or git refs (reads tokens.json at that ref).
+// node diff.mjs [--base=HEAD] [--head=./tokens.json] [--json] [--out=file] [--fail-on-breaking]
+const BASE = argValue("--base") || "HEAD";
+const HEAD = argValue("--head") || "./tokens.json";
+const AS_JSON = process.argv.includes("--json");
+const OUT = argValue("--out");
+const FAIL_ON_BREAKING = process.argv.includes("--fail-on-breaking");
+
+try {
+  run();
+} catch (error) {
+  console.error(error instanceof Error ? error.message : error);
+  process.exitCode = 1;
+}
+
+function run() {
+  const diff = diffTokens(
+    flattenTokenJSON(readSnapshot(BASE)),
+    flattenTokenJSON(readSnapshot(HEAD)),
+  );
+  const output = AS_JSON
+    ? JSON.stringify({ base: BASE, head: HEAD, ...diff }, null, 2)
+    : drawMarkdown(diff);
+  if (OUT) {
+    fs.writeFileSync(OUT, output);
+    console.log(`Wrote ${OUT}`);
+  } else {
+    console.log(output);
+  }
+  if (FAIL_ON_BREAKING && diff.breaking) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Read a snapshot from disk, or from git if it isn't a file.
+ * @param {string} snapshot - file path or git ref
+ * @returns {Object<any>} - W3C Token Spec JSON with collections at the root.
+ */
+function readSnapshot(snapshot) {
+  if (fs.existsSync(snapshot)) {
+    return JSON.parse(fs.readFileSync(snapshot));
+  }
+  try {
+    return JSON.parse(
+      execFileSync("git", ["show", `${snapshot}:./tokens.json`], {
+        encoding: "utf8",
+        maxBuffer: 1024 * 1024 * 64,
+        stdio: ["ignore", "pipe", "ignore"],
+      }),
+    );
+  } catch (e) {
+    throw new Error(
+      `"${snapshot}" is neither a tokens.json file nor a git ref with scripts/tokens/tokens.json`,
+    );
+  }
+}
+
+/**
+ * Flatten W3C token JSON into collections with their modes and tokens keyed by Figma id.
+ * Tokens without a Figma id are keyed by collection and path.
+ * @param {Object<any>} data
+ * @returns {{ [collection: string]: { modes: string[], tokens: { [id: string]: { id: string, collection: string, path: string, type: string, modes: { [mode: string]: any } } } } }}
+ */
+function flattenTokenJSON(data) {
+  const collections = {};
+  for (let key in data) {
+    if (!key.startsWith(KEY_PREFIX_COLLECTION)) continue;
+    const collection = key.slice(KEY_PREFIX_COLLECTION.length);
+    const extensionData = getNamespaceData(data[key].$extensions) || {};
+    collections[collection] = { modes: extensionData.modes || [], tokens: {} };
+    traverse(data[key], []);
+
+    function traverse(object, keys, currentType = "") {
+      const type = object.$type || currentType;
+      if ("$value" in object) {
+        const extensionData = getNamespaceData(object.$extensions) || {};
+        const path = keys.join("/");
+        const id = extensionData.figmaId || `${collection}/${path}`;
+        collections[collection].tokens[id] = {
+          id,
+          collection,
+          path,
+          type,
+          modes: extensionData.modes || { default: object.$value },
+        };
+      } else {
+        Object.entries(object).forEach(([key, value]) => {
+          if (key.charAt(0) !== "$") traverse(value, [...keys, key], type);
+        });
+      }
+    }
+  }
+  return collections;
+}
+
+/**
+ * Compare flattened snapshots. Removed tokens, renamed tokens and removed modes are breaking, since CSS properties disappear.
+ * @param {ReturnType<typeof flattenTokenJSON>} base
+ * @param {ReturnType<typeof flattenTokenJSON>} head
+ * @returns {{ breaking: boolean, summary: { added: number, removed: number, renamed: number, changed: number }, collections: { [collection: string]: { added: Object[], removed: Object[], renamed: Object[], changed: Object[], modesAdded: string[], modesRemoved: string[] } } }}
+ */
+function diffTokens(base, head) {
+  const baseTokens = allTokens(base);
+  const headTokens = allTokens(head);
+  const collections = {};
+  const collectionFor = (key) =>
+    (collections[key] = collections[key] || {
+      added: [],
+      removed: [],
+      renamed: [],
+      changed: [],
+      modesAdded: [],
+      modesRemoved: [],
+    });
+
+  new Set([...Object.keys(base), ...Object.keys(head)]).forEach((key) => {
+    const baseModes = base[key] ? base[key].modes : [];
+    const headModes = head[key] ? head[key].modes : [];
+    const modesAdded = headModes.filter((mode) => !baseModes.includes(mode));
+    const modesRemoved = baseModes.filter((mode) => !headModes.includes(mode));
+    if (modesAdded.length || modesRemoved.length) {
+      collectionFor(key).modesAdded.push(...modesAdded);
+      collectionFor(key).modesRemoved.push(...modesRemoved);
+    }
+  });
+
+  for (let id in headTokens) {
+    const after = headTokens[id];
+    const before = baseTokens[id];
+    if (!before) {
+      collectionFor(after.collection).added.push({
+        id,
+        path: after.path,
+        type: after.type,
+        modes: after.modes,
+      });
+      continue;
+    }
+    if (before.collection !== after.collection || before.path !== after.path) {
+      collectionFor(after.collection).renamed.push({
+        id,
+        from: `${before.collection}/${before.path}`,
+        to: `${after.collection}/${after.path}`,
+      });
+    }
+    Object.keys(after.modes)
+      .filter(
+        (mode) =>
+          mode in before.modes &&
+          JSON.stringify(before.modes[mode]) !==
+            JSON.stringify(after.modes[mode]),
+      )
+      .forEach((mode) =>
+        collectionFor(after.collection).changed.push({
+          id,
+          path: after.path,
+          mode,
+          before: before.modes[mode],
+          after: after.modes[mode],
+        }),
+      );
+  }
+  for (let id in baseTokens) {
+    if (!headTokens[id]) {
+      const { collection, path, type } = baseTokens[id];
+      collectionFor(collection).removed.push({ id, path, type });
+    }
+  }
+
+  const summary = { added: 0, removed: 0, renamed: 0, changed: 0 };
+  Object.values(collections).forEach((collection) =>
+    Object.keys(summary).forEach(
+      (key) => (summary[key] += collection[key].length),
+    ),
+  );
+  const modesRemoved = Object.values(collections).some(
+    ({ modesRemoved }) => modesRemoved.length,
+  );
+  return {
+    breaking: Boolean(summary.removed || summary.renamed || modesRemoved),
+    summary,
+    collections: Object.keys(collections)
+      .sort()
+      .reduce((into, key) => {
+        into[key] = collections[key];
+        return into;
+      }, {}),
+  };
+
+  function allTokens(collections) {
+    return Object.values(collections).reduce(
+      (into, { tokens }) => ({ ...into, ...tokens }),
+      {},
+    );
+  }
+}
+
+/**
+ * Markdown changelog, breaking changes first in each collection.
+ * @param {ReturnType<typeof diffTokens>} diff
+ * @returns {string}
+ */
+function drawMarkdown({ breaking, summary, collections }) {
+  const lines = [
+    `# Token changes (${BASE} => ${HEAD})`,
+    "",
+    `${summary.added} added, ${summary.removed} removed, ${summary.renamed} renamed, ${summary.changed} value changes.`,
+    "",
+  ];
+  if (breaking) {
+    lines.push(
+      "> **Breaking:** tokens or modes were removed or renamed. Their CSS custom properties no longer exist.",
+      "",
+    );
+  }
+  if (!Object.keys(collections).length) {
+    lines.push("No changes.");
+  }
+  for (let key in collections) {
+    const { added, removed, renamed, changed, modesAdded, modesRemoved } =
+      collections[key];
+    lines.push(`## ${key}`, "");
+    if (modesRemoved.length) {
+      lines.push(
+        `- **Breaking:** removed modes ${modesRemoved.map(code).join(", ")}`,
+      );
+    }
+    if (modesAdded.length) {
+      lines.push(`- Added modes ${modesAdded.map(code).join(", ")}`);
+    }
+    if (modesRemoved.length || modesAdded.length) lines.push("");
+    if (removed.length) {
+      lines.push("### Removed (breaking)", "");
+      removed.forEach(({ path }) => lines.push(`- ${code(path)}`));
+      lines.push("");
+    }
+    if (renamed.length) {
+      lines.push("### Renamed (breaking)", "");
+      renamed.forEach(({ from, to }) =>
+        lines.push(`- ${code(from)} => ${code(to)}`),
+      );
+      lines.push("");
+    }
+    if (added.length) {
+      lines.push("### Added", "");
+      added.forEach(({ path }) => lines.push(`- ${code(path)}`));
+      lines.push("");
+    }
+    if (changed.length) {
+      lines.push(
+        "### Changed",
+        "",
+        "| Token | Mode | Before | After |",
+        "| --- | --- | --- | --- |",
+      );
+      changed.forEach(({ path, mode, before, after }) =>
+        lines.push(
+          `| ${code(path)} | ${mode} | ${code(before)} | ${code(after)} |`,
+        ),
+      );
+      lines.push("");
+    }
+  }
+  return lines.join("\n");
+
+  function code(value) {
+    return `\`${typeof value === "string" ? value : JSON.stringify(value)}\``;
+  }
+}
+
+function argValue(name) {
+  const arg = process.argv.find((arg) => arg.startsWith(`${name}=`));
+  return arg ? arg.slice(name.length + 1) : undefined;
+}
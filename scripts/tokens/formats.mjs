@@ -0,0 +1,242 @@
+// Output formats for processed token data, written alongside theme.css.
+// Each format receives the resolved token list (see resolveTokens in ./references.mjs) and the breakpoints, and returns a file string.
+// To add a platform, add an entry to OUTPUT_FORMATS. Select formats with --formats=ts,scss,json
+
+const GENERATED_NOTICE =
+  "This file is automatically generated by scripts/tokens/app.mjs!";
+
+// Token scales drawn as string literal union types in tokens.ts, for component props.
+// Each member is what follows the prefix in a collection's property names, eg. SpaceScale "100" is --wds-size-space-100.
+// Members matching `exclude` are left out, for subsets of a scale.
+const SCALE_TYPES = {
+  SpaceScale: {
+    collection: "size",
+    prefix: "--wds-size-space-",
+    example: "100",
+  },
+  // Gaps and padding can't be negative
+  LayoutSpaceScale: {
+    collection: "size",
+    prefix: "--wds-size-space-",
+    example: "400",
+    exclude: /^negative-/,
+    description: "Non-negative steps of the size collection's",
+  },
+  RadiusScale: {
+    collection: "size",
+    prefix: "--wds-size-radius-",
+    example: "full",
+  },
+  ColorName: {
+    collection: "color",
+    prefix: "--wds-color-",
+    example: "text-default-default",
+  },
+};
+
+export const OUTPUT_FORMATS = {
+  ts: { fileName: "tokens.ts", format: formatTypeScript },
+  scss: { fileName: "tokens.scss", format: formatSCSS },
+  json: { fileName: "tokens.resolved.json", format: formatJSON },
+};
+
+/**
+ * Typed TypeScript module. `tokens` holds var() references for web, `tokenValues` holds resolved values by mode.
+ * `breakpoints` holds the min-width each breakpoint mode starts at, for media queries in script.
+ * `brands` lists the brand names from the color scheme collections, for the theme switcher.
+ * Scale types (see SCALE_TYPES) and `Breakpoint` type component props, so they follow the tokens.
+ * @param {ReturnType<typeof import("./references.mjs").resolveTokens>} tokens
+ * @param {{ breakpoints?: { [mode_name: string]: string }, breakpointModes?: string[], brands?: string[] }} extras
+ * @returns {string}
+ */
+function formatTypeScript(
+  tokens,
+  { breakpoints = {}, breakpointModes = [], brands = [] } = {},
+) {
+  const modes = [
+    ...new Set(tokens.flatMap(({ resolved }) => Object.keys(resolved))),
+  ];
+  return [
+    "/*",
+    ` * ${GENERATED_NOTICE}`,
+    " */",
+    "",
+    "/**",
+    " * CSS custom property references for every token",
+    " */",
+    "export const tokens = {",
+    ...tokens.flatMap(({ propertyName, property, description }) => [
+      ...(description
+        ? [`  /** ${description.replace(/\*\//g, "* /")} */`]
+        : []),
+      `  ${propertyName}: "var(${property})",`,
+    ]),
+    "} as const;",
+    "",
+    "export type TokenName = keyof typeof tokens;",
+    "",
+    `export type TokenMode = ${modes.map((mode) => JSON.stringify(mode)).join(" | ")};`,
+    "",
+    "/**",
+    " * Resolved token values by mode, for platforms without CSS custom properties",
+    " */",
+    "export const tokenValues: {",
+    "  [name in TokenName]: { [mode in TokenMode]?: string | number };",
+    "} = {",
+    ...tokens.map(
+      ({ propertyName, resolved }) =>
+        `  ${propertyName}: { ${Object.keys(resolved)
+          .map((mode) => `${mode}: ${JSON.stringify(resolved[mode])}`)
+          .join(", ")} },`,
+    ),
+    "};",
+    "",
+    "/**",
+    " * Min width each breakpoint mode starts at, mobile first. eg. `(min-width: ${breakpoints.tablet})`",
+    " */",
+    "export const breakpoints = {",
+    ...Object.entries(breakpoints).map(
+      ([mode, minWidth]) => `  ${mode}: ${JSON.stringify(minWidth)},`,
+    ),
+    "} as const;",
+    "",
+    "/**",
+    " * Breakpoint modes, mobile first",
+    " */",
+    `export type Breakpoint = ${unionType(breakpointModes)};`,
+    "",
+    "/**",
+    " * Brand names, default first. Each has a `.wds-brand-[brand]` class in theme.css",
+    " */",
+    `export const brands = [${brands.map((brand) => JSON.stringify(brand)).join(", ")}] as const;`,
+    "",
+    "export type Brand = (typeof brands)[number];",
+    ...Object.entries(SCALE_TYPES).flatMap(
+      ([
+        type,
+        {
+          collection,
+          prefix,
+          example,
+          exclude,
+          description = `Names of the ${collection} collection's`,
+        },
+      ]) => [
+        "",
+        "/**",
+        ` * ${description} ${prefix}* tokens, eg. "${example}" for ${prefix}${example}`,
+        " */",
+        `export type ${type} = ${unionType(
+          tokens
+            .filter(
+              (token) =>
+                token.collection === collection &&
+                token.property.startsWith(prefix),
+            )
+            .map(({ property }) => property.slice(prefix.length))
+            .filter((member) => !exclude || !exclude.test(member))
+            .sort(byScaleValue),
+        )};`,
+      ],
+    ),
+    "",
+  ].join("\n");
+}
+
+/**
+ * Sorts scale steps by their number value, eg. "negative-100" < "0" < "050" < "1200".
+ * Steps that aren't numbers (eg. "full") keep their order after the numbered ones.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function byScaleValue(a, b) {
+  const value = (member) => Number(member.replace(/^negative-/, "-"));
+  const [valueA, valueB] = [value(a), value(b)];
+  if (Number.isNaN(valueA) || Number.isNaN(valueB)) {
+    return Number.isNaN(valueA) - Number.isNaN(valueB);
+  }
+  return valueA - valueB;
+}
+
+/**
+ * eg. ["a", "b"] => '"a" | "b"'. An empty list is `never`.
+ * @param {string[]} members
+ * @returns {string}
+ */
+function unionType(members) {
+  return members.length
+    ? [...new Set(members)].map((member) => JSON.stringify(member)).join(" | ")
+    : "never";
+}
+
+/**
+ * SCSS variables (resolved default mode values) and maps of resolved values per collection and mode.
+ * `$breakpoints` maps each breakpoint mode to the min-width it starts at.
+ * @param {ReturnType<typeof import("./references.mjs").resolveTokens>} tokens
+ * @param {{ breakpoints?: { [mode_name: string]: string } }} extras
+ * @returns {string}
+ */
+function formatSCSS(tokens, { breakpoints = {} } = {}) {
+  const collections = tokens.reduce((into, token) => {
+    into[token.collection] = into[token.collection] || [];
+    into[token.collection].push(token);
+    return into;
+  }, {});
+  const name = (property) => property.replace(/^--/, "");
+  // Comma separated values (font stacks, layered shadows) need parentheses inside maps
+  const mapValue = (value) => (`${value}`.includes(",") ? `(${value})` : value);
+  const lines = [`// ${GENERATED_NOTICE}`, ""];
+  tokens.forEach(({ property, resolved }) => {
+    lines.push(`$${name(property)}: ${Object.values(resolved)[0]};`);
+  });
+  for (let collection in collections) {
+    const modes = [
+      ...new Set(
+        collections[collection].flatMap(({ resolved }) =>
+          Object.keys(resolved),
+        ),
+      ),
+    ];
+    lines.push("", `$tokens-${collection.replace(/_/g, "-")}: (`);
+    modes.forEach((mode) => {
+      lines.push(`  "${mode}": (`);
+      collections[collection].forEach(({ property, resolved }) => {
+        if (mode in resolved) {
+          lines.push(`    "${name(property)}": ${mapValue(resolved[mode])},`);
+        }
+      });
+      lines.push("  ),");
+    });
+    lines.push(");");
+  }
+  lines.push(
+    "",
+    "$breakpoints: (",
+    ...Object.entries(breakpoints).map(
+      ([mode, minWidth]) => `  "${mode}": ${minWidth},`,
+    ),
+    ");",
+    "",
+  );
+  return lines.join("\n");
+}
+
+/**
+ * Flat JSON keyed by camelCase token name, with resolved values by mode.
+ * @param {ReturnType<typeof import("./references.mjs").resolveTokens>} tokens
+ * @returns {string}
+ */
+function formatJSON(tokens) {
+  return JSON.stringify(
+    tokens.reduce(
+      (into, { propertyName, property, type, description, resolved }) => {
+        into[propertyName] = { property, type, description, value: resolved };
+        return into;
+      },
+      {},
+    ),
+    null,
+    2,
+  );
+}
@@ -1,7 +1,25 @@
+import { createFigmaClient } from "../shared/figmaClient.mjs";
+
 // run with node --env-file=.env app.mjs
-const TOKEN = process.env.FIGMA_ACCESS_TOKEN;
-const URL_BASE = "https://api.figma.com/v1/files";
+const client = createFigmaClient();
 export const KEY_PREFIX_COLLECTION = "@";
+// Extension namespaces for the w3c token file. The first is written, any of them is read.
+export const NAMESPACES = ["com.figma.wds", "org.wds"];
+
+/**
+ * A token or collection's data in our $extensions namespace
+ * @param {Object<any>} [extensions] - $extensions of a token or collection
+ * @returns {Object<any> | null}
+ */
+export function getNamespaceData(extensions) {
+  if (!extensions) return null;
+  for (const namespace of NAMESPACES) {
+    if (extensions[namespace]) {
+      return extensions[namespace];
+    }
+  }
+  return null;
+}
 
 /**
  * @link https://www.figma.com/developers/api#get-files-endpoint
@@ -9,16 +27,10 @@ export const KEY_PREFIX_COLLECTION = "@";
  * @returns {Object<any>} styles data
  */
 export async function getFileStyles(fileKey) {
-  try {
-    const fileResponse = await fetch(`${URL_BASE}/${fileKey}`, {
-      method: "GET",
-      headers: { "X-FIGMA-TOKEN": TOKEN },
-    });
-    const data = await fileResponse.json();
-    return fileRESTResponseToStylesJSON(data);
-  } catch (e) {
-    throw e;
-  }
+  const data = await client.get(`/v1/files/${fileKey}`, {
+    context: "styles",
+  });
+  return fileRESTResponseToStylesJSON(data);
 }
 
 /**
@@ -28,16 +40,10 @@ export async function getFileStyles(fileKey) {
  * @returns {Object<any>} styles data
  */
 export async function getFileVariables(fileKey, nameSpace) {
-  try {
-    const fileResponse = await fetch(`${URL_BASE}/${fileKey}/variables/local`, {
-      method: "GET",
-      headers: { "X-FIGMA-TOKEN": TOKEN },
-    });
-    const data = await fileResponse.json();
-    return variablesRESTResponseToVariablesJSON(data, nameSpace);
-  } catch (e) {
-    throw e;
-  }
+  const data = await client.get(`/v1/files/${fileKey}/variables/local`, {
+    context: "variables",
+  });
+  return variablesRESTResponseToVariablesJSON(data, nameSpace);
 }
 
 function fileRESTResponseToStylesJSON(response) {
@@ -61,26 +67,16 @@ function fileRESTResponseToStylesJSON(response) {
         if (styles[styleId] && !styles[styleId].type) {
           finder.foundCount++;
           if (styleType === "text") {
-            const { fontSize, fontFamily, fontWeight, fontStyle } =
-              node.boundVariables;
-            styles[styleId] = {
-              type: "TEXT",
-              name: styles[styleId].name,
-              fontSize: fontSize ? fontSize[0] : node.fontSize,
-              fontFamily: fontFamily ? fontFamily[0] : node.fontFamily,
-              fontWeight: fontWeight ? fontWeight[0] : node.fontWeight,
-              fontStyle: fontStyle
-                ? fontStyle[0]
-                : node.style.italic
-                  ? "italic"
-                  : "normal",
-            };
+            styles[styleId] = restTextNodeToStyleJSON(
+              styles[styleId].name,
+              node,
+            );
           } else if (styleType === "effect") {
             styles[styleId].type = "EFFECT";
             styles[styleId].effects = node.effects;
-          } else if (styleType === "FILL") {
-            styles[styleId].type = "FILL";
-            styles[styleId].fills = node.fills;
+          } else if (styleType === "fill") {
+            styles[styleId].type = "PAINT";
+            styles[styleId].paints = node.fills;
           }
         }
       }
@@ -93,6 +89,41 @@ function fileRESTResponseToStylesJSON(response) {
   }
 }
 
+/**
+ * Text node with a text style, in the same shape as the styles plugin output (see figma-plugin-styles-json).
+ * Values are the node's own. Variables bound to the node are kept in boundVariables, the first when bound per range.
+ * @param {string} name - style name
+ * @param {Object<any>} node - REST API text node
+ * @returns {Object<any>}
+ */
+function restTextNodeToStyleJSON(name, node) {
+  const style = node.style || {};
+  const boundVariables = {};
+  for (let property in node.boundVariables || {}) {
+    const alias = node.boundVariables[property];
+    boundVariables[property] = Array.isArray(alias) ? alias[0] : alias;
+  }
+  const lineHeight =
+    style.lineHeightUnit === "PIXELS"
+      ? { unit: "PIXELS", value: style.lineHeightPx }
+      : style.lineHeightUnit === "FONT_SIZE_%"
+        ? { unit: "PERCENT", value: style.lineHeightPercentFontSize }
+        : { unit: "AUTO" };
+  return {
+    type: "TEXT",
+    name,
+    fontSize: style.fontSize,
+    fontFamily: style.fontFamily,
+    fontWeight: style.fontWeight,
+    fontStyle: style.italic ? "italic" : "normal",
+    letterSpacing: { unit: "PIXELS", value: style.letterSpacing || 0 },
+    lineHeight,
+    textCase: style.textCase || "ORIGINAL",
+    textDecoration: style.textDecoration || "NONE",
+    boundVariables,
+  };
+}
+
 function variablesRESTResponseToVariablesJSON(response, nameSpace) {
   const collections = Object.values(response.meta.variableCollections).filter(
     (c) => !c.remote,
@@ -0,0 +1,153 @@
+// Reference graph for processed tokens. Tokens reference each other with var(--property) values.
+// Used to validate aliases before writing, and to inline literal values for consumers without CSS variables.
+
+/**
+ * Build the token graph from processed collections: every CSS custom property with its value per mode.
+ * @param {{[collection_key: string]: { definitions: { [mode_name: string]: Array<{ property: string, propertyName: string, figmaId: string, description: string, value: string, type: string }> } } }} processed
+ * @returns {{ [property: string]: { collection: string, property: string, propertyName: string, figmaId: string, description: string, type: string, modes: { [mode_name: string]: string } } }}
+ */
+export function buildReferenceGraph(processed) {
+  const graph = {};
+  for (let collection in processed) {
+    const { definitions } = processed[collection];
+    for (let mode in definitions) {
+      definitions[mode].forEach(
+        ({ property, propertyName, figmaId, description, value, type }) => {
+          if (graph[property] && graph[property].collection !== collection) {
+            console.warn(
+              `Token "${property}" is defined in both "${graph[property].collection}" and "${collection}". Using "${collection}".`,
+            );
+            delete graph[property];
+          }
+          graph[property] = graph[property] || {
+            collection,
+            property,
+            propertyName,
+            figmaId,
+            description,
+            type,
+            modes: {},
+          };
+          graph[property].modes[mode] = value;
+        },
+      );
+    }
+  }
+  return Object.keys(graph)
+    .sort()
+    .reduce((into, property) => {
+      into[property] = graph[property];
+      return into;
+    }, {});
+}
+
+/**
+ * Find aliases pointing at properties that don't exist, and aliases that loop back on themselves.
+ * @param {ReturnType<typeof buildReferenceGraph>} graph
+ * @returns {{ dangling: Array<{ property: string, collection: string, mode: string, reference: string }>, cycles: string[][] }}
+ */
+export function findReferenceErrors(graph) {
+  const dangling = [];
+  const cycles = [];
+  // Keyed by `${property} ${mode}`. "visiting" while on the current path, "done" after.
+  const state = {};
+  for (let property in graph) {
+    const { collection, modes } = graph[property];
+    for (let mode in modes) {
+      referencesOf(modes[mode]).forEach((reference) => {
+        if (!graph[reference]) {
+          dangling.push({ property, collection, mode, reference });
+        }
+      });
+      visit(property, mode, []);
+    }
+  }
+  return { dangling, cycles };
+
+  function visit(property, mode, path) {
+    const token = graph[property];
+    if (!token) return;
+    const tokenMode = modeFor(token, mode);
+    const key = `${property} ${tokenMode}`;
+    if (state[key] === "done") return;
+    if (state[key] === "visiting") {
+      cycles.push([...path.slice(path.indexOf(property)), property]);
+      return;
+    }
+    state[key] = "visiting";
+    referencesOf(token.modes[tokenMode]).forEach((reference) =>
+      visit(reference, tokenMode, [...path, property]),
+    );
+    state[key] = "done";
+  }
+}
+
+/**
+ * Inline every var() reference in a value with the literal value it resolves to.
+ * The referenced token's value in the same mode is used when it has one, otherwise its first mode.
+ * Dangling and circular references are left as var() references (see findReferenceErrors).
+ * @param {ReturnType<typeof buildReferenceGraph>} graph
+ * @param {string} value
+ * @param {string} [mode]
+ * @param {string[]} [seen] - properties on the current path
+ * @returns {string}
+ */
+export function resolveValue(graph, value, mode, seen = []) {
+  if (typeof value !== "string") return value;
+  return value.replace(/var\((--[^),]+)\)/g, (match, property) => {
+    const token = graph[property];
+    if (!token || seen.includes(property)) return match;
+    const tokenMode = modeFor(token, mode);
+    return resolveValue(graph, token.modes[tokenMode], tokenMode, [
+      ...seen,
+      property,
+    ]);
+  });
+}
+
+/**
+ * Every token in the graph with its resolved values per mode.
+ * @param {ReturnType<typeof buildReferenceGraph>} graph
+ * @returns {Array<ReturnType<typeof buildReferenceGraph>[string] & { resolved: { [mode_name: string]: string } }>}
+ */
+export function resolveTokens(graph) {
+  return Object.values(graph).map((token) => ({
+    ...token,
+    resolved: Object.keys(token.modes).reduce((into, mode) => {
+      into[mode] = resolveValue(graph, token.modes[mode], mode);
+      return into;
+    }, {}),
+  }));
+}
+
+/**
+ * Human readable report of reference errors
+ * @param {ReturnType<typeof findReferenceErrors>} errors
+ * @returns {string[]}
+ */
+export function drawReferenceReport({ dangling, cycles }) {
+  return [
+    `Token reference errors: ${dangling.length} dangling, ${cycles.length} circular`,
+    ...dangling.map(
+      ({ property, collection, mode, reference }) =>
+        `  Dangling: ${property} (${collection}: ${mode}) => ${reference} is not defined`,
+    ),
+    ...cycles.map((cycle) => `  Circular: ${cycle.join(" => ")}`),
+  ];
+}
+
+/**
+ * All custom properties a value references
+ * @param {string} value
+ * @returns {string[]}
+ */
+function referencesOf(value) {
+  if (typeof value !== "string") return [];
+  return [...value.matchAll(/var\((--[^),]+)\)/g)].map(
+    ([, property]) => property,
+  );
+}
+
+function modeFor(token, mode) {
+  return mode in token.modes ? mode : Object.keys(token.modes)[0];
+}
@@ -0,0 +1,114 @@
+import { drawTable } from "../shared/drawTable.mjs";
+import { createFigmaClient } from "../shared/figmaClient.mjs";
+
+// Push token data back to Figma variables with the Variables REST API.
+// run with node --env-file=../../.env app.mjs --push-syntax [--dry-run]
+const client = createFigmaClient();
+// Variable changes per POST request. Requests are also capped by payload size on Figma's side.
+const BATCH_SIZE = 250;
+
+/**
+ * Set the WEB code syntax and description of each variable in Figma, changing only what differs.
+ * @link https://www.figma.com/developers/api#post-variables-endpoint
+ * @param {string} fileKey
+ * @param {Array<{ id: string, webSyntax: string, description: string }>} syntaxes
+ * @param {{ dryRun?: boolean }} options
+ * @returns {Promise<{ updates: ReturnType<typeof planVariableUpdates>["updates"], missing: string[] }>}
+ */
+export async function pushVariableSyntaxes(
+  fileKey,
+  syntaxes,
+  { dryRun = false } = {},
+) {
+  const response = await client.get(`/v1/files/${fileKey}/variables/local`, {
+    context: "variables",
+  });
+  const { updates, missing } = planVariableUpdates(
+    response.meta.variables,
+    syntaxes,
+  );
+  console.log(drawVariableUpdates(updates));
+  if (missing.length) {
+    console.warn(
+      `Skipping ${missing.length} variables that aren't local to this file: ${missing.join(", ")}`,
+    );
+  }
+  if (dryRun || !updates.length) return { updates, missing };
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = updates.slice(i, i + BATCH_SIZE);
+    await client.post(
+      `/v1/files/${fileKey}/variables`,
+      {
+        variables: batch.map(({ id, changes }) => ({
+          action: "UPDATE",
+          id,
+          ...(changes.webSyntax
+            ? { codeSyntax: { WEB: changes.webSyntax.after } }
+            : {}),
+          ...(changes.description
+            ? { description: changes.description.after }
+            : {}),
+        })),
+      },
+      {
+        context: `variables ${i + 1}-${i + batch.length} of ${updates.length}`,
+      },
+    );
+  }
+  console.log(`Updated ${updates.length} variables`);
+  return { updates, missing };
+}
+
+/**
+ * Compare the variables in Figma with the syntax and descriptions we want them to have.
+ * @param {{ [id: string]: { name: string, description?: string, codeSyntax?: { WEB?: string }, remote?: boolean } }} variables - from the local variables endpoint
+ * @param {Array<{ id: string, webSyntax: string, description: string }>} syntaxes
+ * @returns {{ updates: Array<{ id: string, name: string, changes: { webSyntax?: { before: string, after: string }, description?: { before: string, after: string } } }>, missing: string[] }}
+ */
+function planVariableUpdates(variables, syntaxes) {
+  const updates = [];
+  const missing = [];
+  syntaxes.forEach(({ id, webSyntax, description }) => {
+    const variable = variables[id];
+    if (!variable || variable.remote) {
+      missing.push(id);
+      return;
+    }
+    const changes = {};
+    const currentSyntax = (variable.codeSyntax || {}).WEB || "";
+    const currentDescription = variable.description || "";
+    if (currentSyntax !== webSyntax) {
+      changes.webSyntax = { before: currentSyntax, after: webSyntax };
+    }
+    if (currentDescription !== description) {
+      changes.description = { before: currentDescription, after: description };
+    }
+    if (Object.keys(changes).length) {
+      updates.push({ id, name: variable.name, changes });
+    }
+  });
+  return { updates, missing };
+}
+
+/**
+ * Table of every change, one row per changed field.
+ * @param {ReturnType<typeof planVariableUpdates>["updates"]} updates
+ * @returns {string}
+ */
+function drawVariableUpdates(updates) {
+  const rows = updates.flatMap(({ name, changes }) =>
+    Object.entries(changes).map(([field, { before, after }]) => [
+      name,
+      field === "webSyntax" ? "codeSyntax.WEB" : field,
+      before || "(none)",
+      after || "(none)",
+    ]),
+  );
+  if (!rows.length) return "No variable code syntax or description changes.";
+  const header = ["Variable", "Field", "Before", "After"];
+  return [
+    `${updates.length} variables to update:`,
+    ...drawTable(header, rows),
+  ].join("\n");
+}
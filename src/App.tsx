@@ -1,5 +1,6 @@
 import { Footer, Header } from "compositions";
 import { AllProviders } from "data";
+import { ToastProvider } from "primitives";
 import { Demo } from "./examples/Demo";
 import { FAQs } from "./examples/FAQs";
 import { PanelSections } from "./examples/PanelSections";
@@ -11,15 +12,17 @@ import { WelcomeHero } from "./examples/WelcomeHero";
 function App() {
   return (
     <AllProviders>
-      <Header />
-      <Demo />
-      <WelcomeHero />
-      <PanelSections />
-      <PricingGrid />
-      <FAQs />
-      <ProductDetails />
-      <ProductGrid />
-      <Footer />
+      <ToastProvider>
+        <Header />
+        <Demo />
+        <WelcomeHero />
+        <PanelSections />
+        <PricingGrid />
+        <FAQs />
+        <ProductDetails />
+        <ProductGrid />
+        <Footer />
+      </ToastProvider>
     </AllProviders>
   );
 }
@@ -0,0 +1,7 @@
+import { createContext } from "react";
+import { ThemeContextType } from "../types/theme";
+
+/**
+ * Theme context
+ */
+export const ThemeContext = createContext<ThemeContextType | null>(null);
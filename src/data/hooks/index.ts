@@ -1,3 +1,4 @@
 export * from "./useAuth";
 export * from "./usePricing";
 export * from "./useProducts";
+export * from "./useTheme";
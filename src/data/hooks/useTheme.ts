@@ -0,0 +1,15 @@
+import { useContext } from "react";
+import { ThemeContext } from "../../data/contexts/ThemeContext";
+import { ThemeContextType } from "../../data/types/theme";
+
+/**
+ * Hook to access theme context
+ * @throws Error if used outside of ThemeProvider
+ */
+export function useTheme(): ThemeContextType {
+  const context = useContext(ThemeContext);
+  if (!context) {
+    throw new Error("useTheme must be used within a ThemeProvider");
+  }
+  return context;
+}
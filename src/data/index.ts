@@ -3,3 +3,4 @@ export * from "./providers";
 export * from "./types/auth";
 export * from "./types/pricing";
 export * from "./types/products";
+export * from "./types/theme";
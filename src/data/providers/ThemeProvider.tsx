@@ -0,0 +1,65 @@
+import {
+  ReactNode,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { ThemeContext } from "../contexts/ThemeContext";
+import { themeService } from "../services/themeService";
+import { ThemeColorScheme } from "../types/theme";
+
+/**
+ * Theme provider for light/dark/system color schemes and brands
+ */
+export function ThemeProvider({
+  children,
+  defaultColorScheme = "system",
+  defaultBrand = themeService.brands[0],
+}: {
+  children?: ReactNode;
+  defaultColorScheme?: ThemeColorScheme;
+  defaultBrand?: string;
+}) {
+  // Initialize from storage synchronously so the first render matches the document
+  const [colorScheme, setColorScheme] = useState<ThemeColorScheme>(
+    () => themeService.getStoredTheme().colorScheme || defaultColorScheme,
+  );
+  const [brand, setBrand] = useState<string>(
+    () => themeService.getStoredTheme().brand || defaultBrand,
+  );
+  const systemColorScheme = useSyncExternalStore(
+    themeService.subscribeToSystemColorScheme,
+    themeService.getSystemColorScheme,
+  );
+  const resolvedColorScheme =
+    colorScheme === "system" ? systemColorScheme : colorScheme;
+
+  // Apply the theme before paint so a change never renders the previous theme
+  useLayoutEffect(() => {
+    themeService.applyTheme({ colorScheme, brand });
+  }, [colorScheme, brand]);
+
+  // Persist the theme to localStorage
+  useEffect(() => {
+    themeService.storeTheme({ colorScheme, brand });
+  }, [colorScheme, brand]);
+
+  // Memoize the context value to prevent unnecessary re-renders
+  const value = useMemo(
+    () => ({
+      colorScheme,
+      resolvedColorScheme,
+      brand,
+      brands: themeService.brands,
+      setColorScheme,
+      setBrand,
+    }),
+    [colorScheme, resolvedColorScheme, brand],
+  );
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+}
@@ -2,3 +2,4 @@ export * from "./AllProviders";
 export * from "./AuthProvider";
 export * from "./PricingProvider";
 export * from "./ProductsProvider";
+export * from "./ThemeProvider";
@@ -0,0 +1,80 @@
+import { brands } from "../../tokens";
+import {
+  StoredTheme,
+  ThemeColorScheme,
+  ThemeResolvedColorScheme,
+} from "../types/theme";
+
+// Keep in sync with the inline script in index.html that prevents a flash of the wrong theme.
+const STORAGE_KEY = "wds-theme";
+const THEME_ATTRIBUTE = "data-theme";
+const BRAND_CLASS_PREFIX = "wds-brand-";
+const COLOR_SCHEMES: ThemeColorScheme[] = ["light", "dark", "system"];
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+/**
+ * Theme service. Persists the theme choice and applies it to the document.
+ */
+export const themeService = {
+  /**
+   * Brands of the color collection, generated into tokens.ts by scripts/tokens
+   */
+  brands: [...brands] as string[],
+
+  /**
+   * Get the stored theme choice, if valid
+   */
+  getStoredTheme(): Partial<StoredTheme> {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+      return {
+        colorScheme: COLOR_SCHEMES.includes(stored.colorScheme)
+          ? stored.colorScheme
+          : undefined,
+        brand: themeService.brands.includes(stored.brand)
+          ? stored.brand
+          : undefined,
+      };
+    } catch (err) {
+      return {};
+    }
+  },
+
+  /**
+   * Store the theme choice
+   */
+  storeTheme(theme: StoredTheme): void {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(theme));
+  },
+
+  /**
+   * Get the color scheme preferred by the operating system
+   */
+  getSystemColorScheme(): ThemeResolvedColorScheme {
+    return globalThis.matchMedia(DARK_QUERY).matches ? "dark" : "light";
+  },
+
+  /**
+   * Subscribe to operating system color scheme changes
+   */
+  subscribeToSystemColorScheme(onChange: () => void): () => void {
+    const mediaQueryList = globalThis.matchMedia(DARK_QUERY);
+    mediaQueryList.addEventListener("change", onChange);
+    return () => mediaQueryList.removeEventListener("change", onChange);
+  },
+
+  /**
+   * Apply the theme to the root element. "system" removes the attribute so prefers-color-scheme applies.
+   */
+  applyTheme({ colorScheme, brand }: StoredTheme): void {
+    const root = document.documentElement;
+    if (colorScheme === "system") {
+      root.removeAttribute(THEME_ATTRIBUTE);
+    } else {
+      root.setAttribute(THEME_ATTRIBUTE, colorScheme);
+    }
+    themeService.brands.forEach((b) =>
+      root.classList.toggle(`${BRAND_CLASS_PREFIX}${b}`, b === brand),
+    );
+  },
+};
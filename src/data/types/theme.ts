@@ -0,0 +1,44 @@
+/**
+ * Theme types
+ */
+export type ThemeColorScheme = "light" | "dark" | "system";
+
+export type ThemeResolvedColorScheme = "light" | "dark";
+
+/**
+ * The theme choice we persist between visits
+ */
+export type StoredTheme = {
+  colorScheme: ThemeColorScheme;
+  brand: string;
+};
+
+/**
+ * Theme context type
+ */
+export interface ThemeContextType {
+  /**
+   * The chosen color scheme. "system" follows prefers-color-scheme.
+   */
+  colorScheme: ThemeColorScheme;
+  /**
+   * The color scheme currently rendered
+   */
+  resolvedColorScheme: ThemeResolvedColorScheme;
+  /**
+   * The current brand. Matches a `.wds-brand-[brand]` class in theme.css
+   */
+  brand: string;
+  /**
+   * All available brands
+   */
+  brands: string[];
+  /**
+   * Set the color scheme
+   */
+  setColorScheme: (colorScheme: ThemeColorScheme) => void;
+  /**
+   * Set the brand
+   */
+  setBrand: (brand: string) => void;
+}
@@ -7,7 +7,7 @@ import { useProducts, type Product } from "data";
 import { useMediaQuery } from "hooks";
 import { IconChevronDown, IconChevronUp } from "icons";
 import { Flex, FlexItem, Section } from "layout";
-import { Search, TagButton } from "primitives";
+import { Pagination, Search, TagButton } from "primitives";
 import { useEffect, useState } from "react";
 
 export function ProductGrid() {
@@ -17,7 +17,7 @@ export function ProductGrid() {
   const [filterTopRated, setFilterTopRated] = useState<boolean>(false);
   const flexGap = isMobile ? "600" : "1200";
   const sectionPadding = isMobile ? "600" : "1600";
-  const { products, isLoading } = useProducts();
+  const { products, isLoading, searchParams, setPage } = useProducts();
   const [filteredProducts, setFilteredProducts] = useState<Product[]>(products);
   useEffect(() => {
     const initialProducts = products.filter(
@@ -35,6 +35,10 @@ export function ProductGrid() {
       );
     }
   }, [searchTerm, filterTopRated, products]);
+  // Back to the first page whenever the results change
+  useEffect(() => {
+    setPage(1);
+  }, [searchTerm, filterTopRated, sortPrice, setPage]);
 
   const sortedProducts = filteredProducts.sort((a, b) => {
     if (sortPrice !== 0) {
@@ -42,6 +46,8 @@ export function ProductGrid() {
     }
     return 0;
   });
+  const { page, limit } = searchParams;
+  const pageProducts = sortedProducts.slice((page - 1) * limit, page * limit);
 
   return (
     <Section padding={sectionPadding} variant="stroke">
@@ -104,7 +110,7 @@ export function ProductGrid() {
                 <ProductInfoCardSkeleton />
               </>
             ) : (
-              sortedProducts.map(({ ...product }, index) => (
+              pageProducts.map(({ ...product }, index) => (
                 <FlexItem key={index} size={isTablet ? "half" : "minor"}>
                   <ProductInfoCard
                     {...productToProductInfoCardProps(product)}
@@ -113,6 +119,15 @@ export function ProductGrid() {
               ))
             )}
           </Flex>
+          {sortedProducts.length > limit && (
+            <Pagination
+              aria-label="Product pages"
+              page={page}
+              total={sortedProducts.length}
+              pageSize={limit}
+              onPageChange={setPage}
+            />
+          )}
         </Flex>
       </Flex>
     </Section>
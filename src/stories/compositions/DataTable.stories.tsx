@@ -0,0 +1,206 @@
+import { useEffect, useState } from "@storybook/preview-api";
+import type { Meta, StoryObj } from "@storybook/react";
+import {
+  DataTable,
+  type DataTableColumn,
+  type DataTableQuery,
+} from "compositions";
+import { Flex } from "layout";
+import { Button, ButtonDanger, Search, Tag } from "primitives";
+
+type User = {
+  id: number;
+  name: string;
+  handle: string;
+  access: "admin" | "user";
+  joined: Date;
+};
+
+const names = [
+  "Bugs Bunny",
+  "Daffy Duck",
+  "Elmer Fudd",
+  "Lola Bunny",
+  "Marvin Martian",
+  "Porky Pig",
+  "Sylvester",
+  "Taz",
+  "Tweety",
+  "Wile E. Coyote",
+  "Yosemite Sam",
+  "Road Runner",
+];
+const users: User[] = Array.from({ length: 36 }, (_, i) => {
+  const name = names[i % names.length];
+  return {
+    id: i + 1,
+    name:
+      i < names.length ? name : `${name} ${Math.floor(i / names.length) + 1}`,
+    handle: `@${name.toLowerCase().replace(/[^a-z]/g, "")}${i + 1}`,
+    access: i % 4 === 0 ? "admin" : "user",
+    joined: new Date(2020, i % 12, (i * 7) % 28 || 1),
+  };
+});
+
+const columns: DataTableColumn<User>[] = [
+  {
+    id: "name",
+    header: "Name",
+    accessor: "name",
+    sortable: true,
+    isRowHeader: true,
+  },
+  { id: "handle", header: "Handle", accessor: "handle", sortable: true },
+  {
+    id: "access",
+    header: "Role",
+    accessor: "access",
+    sortable: true,
+    width: 120,
+    cell: ({ access }) => (
+      <Tag color={access === "user" ? "warning" : "danger"}>{access}</Tag>
+    ),
+  },
+  {
+    id: "joined",
+    header: "Joined",
+    accessor: "joined",
+    sortable: true,
+    align: "right",
+    width: 140,
+  },
+];
+
+const meta: Meta<typeof DataTable<User>> = {
+  component: DataTable,
+  title: "WDS Compositions/DataTable",
+  parameters: { layout: "padded" },
+};
+export default meta;
+type Story = StoryObj<typeof DataTable<User>>;
+
+export const StoryDataTable: Story = {
+  name: "DataTable",
+  args: {
+    "aria-label": "Users",
+    pageSize: 10,
+    selectionMode: "multiple",
+    isLoading: false,
+    error: "",
+    emptyState: "No users match the search",
+    defaultSortDescriptor: { column: "name", direction: "ascending" },
+  },
+  argTypes: {
+    selectionMode: {
+      control: { type: "select" },
+      options: ["none", "single", "multiple"],
+    },
+  },
+  render: function Render(args) {
+    const [filterText, setFilterText] = useState("");
+    return (
+      <Flex direction="column" gap="400">
+        <Search aria-label="Search users" onSearch={setFilterText} />
+        <DataTable
+          {...args}
+          columns={columns}
+          rows={users}
+          filterText={filterText}
+          bulkActions={(keys, clearSelection) => (
+            <ButtonDanger
+              onPress={() => {
+                console.log("Remove", [...keys]);
+                clearSelection();
+              }}
+            >
+              Remove
+            </ButtonDanger>
+          )}
+        />
+      </Flex>
+    );
+  },
+};
+
+export const StoryDataTableServer: Story = {
+  name: "DataTable Server",
+  args: { "aria-label": "Users", pageSize: 5 },
+  render: function Render(args) {
+    const [query, setQuery] = useState<DataTableQuery | undefined>(undefined);
+    const [pageRows, setPageRows] = useState<User[]>([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [hasError, setHasError] = useState(false);
+
+    // Stands in for a request that sorts and pages on the server
+    useEffect(() => {
+      if (!query) return;
+      setIsLoading(true);
+      const timeout = setTimeout(() => {
+        const { sortDescriptor, page, pageSize } = query;
+        const sorted = [...users].sort((a, b) => {
+          const key = sortDescriptor?.column as keyof User | undefined;
+          if (!key) return 0;
+          const order = a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0;
+          return sortDescriptor?.direction === "descending" ? -order : order;
+        });
+        setPageRows(sorted.slice((page - 1) * pageSize, page * pageSize));
+        setIsLoading(false);
+      }, 600);
+      return () => clearTimeout(timeout);
+    }, [query]);
+
+    return (
+      <Flex direction="column" gap="400">
+        <Flex>
+          <Button variant="neutral" onPress={() => setHasError(!hasError)}>
+            {hasError ? "Clear error" : "Fail request"}
+          </Button>
+        </Flex>
+        <DataTable
+          {...args}
+          columns={columns}
+          rows={pageRows}
+          totalRows={users.length}
+          isLoading={isLoading}
+          error={hasError && "Users couldn't be loaded. Try again later."}
+          onQueryChange={setQuery}
+        />
+      </Flex>
+    );
+  },
+};
+
+type UserActivity = User & { lastSeen: Date | null };
+const activity: UserActivity[] = users.slice(0, 12).map((user, i) => ({
+  ...user,
+  lastSeen: i % 3 === 1 ? null : new Date(2024, 5, 28 - i),
+}));
+
+// Users who haven't signed in stay at the end in either sort direction
+export const StoryDataTableEmptyValues: StoryObj<
+  typeof DataTable<UserActivity>
+> = {
+  name: "DataTable Empty Values",
+  args: {
+    "aria-label": "User activity",
+    pageSize: 12,
+    defaultSortDescriptor: { column: "lastSeen", direction: "descending" },
+  },
+  render: (args) => (
+    <DataTable
+      {...args}
+      columns={[
+        columns[0],
+        {
+          id: "lastSeen",
+          header: "Last seen",
+          accessor: "lastSeen",
+          sortable: true,
+          align: "right",
+          width: 140,
+        },
+      ]}
+      rows={activity}
+    />
+  ),
+};
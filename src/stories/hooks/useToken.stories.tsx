@@ -0,0 +1,24 @@
+import type { Meta, StoryObj } from "@storybook/react";
+import { useToken } from "hooks";
+
+function Example() {
+  const output = {
+    wdsColorBackgroundBrandDefault: useToken("wdsColorBackgroundBrandDefault"),
+    wdsColorTextBrandDefault: useToken("wdsColorTextBrandDefault"),
+    wdsSizeSpace600: useToken("wdsSizeSpace600"),
+    wdsResponsiveDevice: useToken("wdsResponsiveDevice"),
+  };
+  return <pre>{JSON.stringify(output, null, 2)}</pre>;
+}
+
+const meta: Meta<typeof Example> = {
+  component: Example,
+  title: "WDS Hooks/useToken",
+  parameters: { layout: "centered" },
+};
+export default meta;
+
+export const StoryUseToken: StoryObj<typeof Example> = {
+  name: "useToken",
+  render: () => <Example />,
+};
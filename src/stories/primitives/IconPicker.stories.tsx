@@ -0,0 +1,32 @@
+import type { Meta, StoryObj } from "@storybook/react";
+import type { IconName } from "icons/registry";
+import { IconPicker, Text } from "primitives";
+import { useState } from "react";
+
+const meta: Meta<typeof IconPicker> = {
+  component: IconPicker,
+  title: "WDS Primitives/Inputs",
+  parameters: { layout: "centered" },
+};
+export default meta;
+type Story = StoryObj<typeof IconPicker>;
+
+export const StoryIconPicker: Story = {
+  name: "Icon Picker",
+  args: { size: "24" },
+  argTypes: {
+    size: {
+      options: ["16", "20", "24", "32", "40", "48"],
+      control: { type: "select" },
+    },
+  },
+  render: (args) => {
+    const [icon, setIcon] = useState<IconName | null>(null);
+    return (
+      <div style={{ width: 480 }}>
+        <IconPicker {...args} value={icon} onChange={setIcon} />
+        <Text>{icon ? `Chosen: ${icon}` : "Choose an icon"}</Text>
+      </div>
+    );
+  },
+};
@@ -42,3 +42,30 @@ export const StoryListBox: Story = {
     );
   },
 };
+
+const skus = Array.from({ length: 10000 }, (_, i) => ({
+  id: `SKU-${String(i + 1).padStart(5, "0")}`,
+  name: `Product ${i + 1}`,
+}));
+
+export const StoryListBoxVirtualized: Story = {
+  name: "List Box Virtualized",
+  args: {
+    virtualized: true,
+    estimatedRowHeight: 56,
+    selectionMode: "multiple",
+    style: { height: 320, width: 240 },
+  },
+  render: (args) => {
+    return (
+      <ListBox aria-label={`${skus.length} SKUs`} {...args} items={skus}>
+        {(item) => (
+          <ListBoxItem textValue={item.name}>
+            <Label>{item.name}</Label>
+            <Description>{item.id}</Description>
+          </ListBoxItem>
+        )}
+      </ListBox>
+    );
+  },
+};
@@ -1,12 +1,16 @@
 import type { Meta, StoryObj } from "@storybook/react";
 import { IconMenu } from "icons";
 import {
+  Button,
+  Menu,
   MenuButton,
   MenuDescription,
   MenuItem,
   MenuLabel,
+  MenuPopover,
   MenuSeparator,
   MenuShortcut,
+  MenuTrigger,
 } from "primitives";
 
 const meta: Meta<typeof MenuButton> = {
@@ -45,3 +49,31 @@ export const StoryMenu: Story = {
     );
   },
 };
+
+const skus = Array.from({ length: 10000 }, (_, i) => ({
+  id: `SKU-${String(i + 1).padStart(5, "0")}`,
+}));
+
+export const StoryMenuVirtualized: Story = {
+  name: "Menu Virtualized",
+  args: { placement: "bottom left" },
+  render: ({ placement }) => {
+    return (
+      <MenuTrigger>
+        <Button variant="neutral">Choose SKU</Button>
+        <MenuPopover placement={placement}>
+          <Menu
+            aria-label={`${skus.length} SKUs`}
+            items={skus}
+            virtualized
+            rowHeight={40}
+            style={{ height: 320, width: 200 }}
+            onAction={(key) => console.log(key)}
+          >
+            {(item) => <MenuItem>{item.id}</MenuItem>}
+          </Menu>
+        </MenuPopover>
+      </MenuTrigger>
+    );
+  },
+};
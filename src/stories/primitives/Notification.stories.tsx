@@ -7,7 +7,7 @@ import {
   Text,
   TextStrong,
 } from "primitives";
-import { ComponentProps } from "react";
+import { ComponentProps, useState } from "react";
 
 const meta: Meta<typeof Notification> = {
   component: Notification,
@@ -26,10 +26,23 @@ export const StoryNotification: StoryObj<
   argTypes: {
     "[type]": { control: { type: "select" }, options: ["message", "alert"] },
   },
-  render: ({ "[type]": _type, ...args }) => {
+  render: function Render({ "[type]": _type, ...args }) {
+    const [isDismissed, setIsDismissed] = useState(false);
     const variant = _type === "message" ? "message" : "alert";
+    if (isDismissed) {
+      return (
+        <Button variant="neutral" onPress={() => setIsDismissed(false)}>
+          Show notification
+        </Button>
+      );
+    }
     return (
-      <Notification {...args} variant={variant} icon={<IconInfo size="20" />}>
+      <Notification
+        {...args}
+        variant={variant}
+        icon={<IconInfo size="20" />}
+        onDismiss={() => setIsDismissed(true)}
+      >
         <TextStrong>Notification Title</TextStrong>
         <Text>Hello there! This is a message</Text>
         {_type === "message" ? (
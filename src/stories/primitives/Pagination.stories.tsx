@@ -1,3 +1,4 @@
+import { useArgs } from "@storybook/preview-api";
 import type { Meta, StoryObj } from "@storybook/react";
 import {
   Pagination,
@@ -37,3 +38,28 @@ export const StoryPagination: Story = {
     </Pagination>
   ),
 };
+
+export const StoryPaginationControlled: Story = {
+  name: "Pagination (controlled)",
+  args: {
+    page: 3,
+    total: 660,
+    pageSize: 10,
+    siblingCount: 1,
+    boundaryCount: 1,
+  },
+  render: function Render(args) {
+    const [, updateArgs] = useArgs();
+    return (
+      <Pagination {...args} onPageChange={(page) => updateArgs({ page })} />
+    );
+  },
+};
+
+export const StoryPaginationLinks: Story = {
+  name: "Pagination (links)",
+  args: { page: 1, total: 12 },
+  render: (args) => (
+    <Pagination {...args} getPageHref={(page) => `?page=${page}`} />
+  ),
+};
@@ -9,12 +9,15 @@ import {
   TableBody,
   TableCell,
   TableColumn,
+  TableColumnPicker,
   TableColumnProps,
+  TableColumnsLayout,
   TableHead,
   TableRow,
   Tag,
 } from "primitives";
-import { SortDescriptor } from "react-stately";
+import { useDragAndDrop } from "react-aria-components";
+import { SortDescriptor, useListData } from "react-stately";
 
 const meta: Meta<typeof Table> = {
   component: Table,
@@ -167,3 +170,141 @@ export const StoryTableSorting: Story = {
     );
   },
 };
+
+const skus = Array.from({ length: 10000 }, (_, i) => ({
+  id: `SKU-${String(i + 1).padStart(5, "0")}`,
+  name: `Product ${i + 1}`,
+  stock: (i * 37) % 500,
+  price: `$${(((i * 7919) % 10000) / 100 + 1).toFixed(2)}`,
+}));
+
+export const StoryTableColumnLayout: Story = {
+  name: "Table Column Layout",
+  args: {
+    resizable: true,
+    bleed: false,
+    dense: false,
+    grid: true,
+    striped: false,
+    selectionMode: "multiple",
+  },
+  render: function Render(args) {
+    // Restored from and saved to local storage, so the layout survives a reload
+    const [layout, setLayout] = useState<TableColumnsLayout>(() =>
+      JSON.parse(localStorage.getItem("table-column-layout") || "{}"),
+    );
+    const saveLayout = (layout: TableColumnsLayout) => {
+      localStorage.setItem("table-column-layout", JSON.stringify(layout));
+      setLayout(layout);
+    };
+    // Resizable columns that sort have a menu to sort or resize them from the keyboard
+    const [sortDescriptor, setSortDescriptor] = useState<SortDescriptor>({
+      column: "stock",
+      direction: "ascending",
+    });
+    const columns = [
+      { id: "id", name: "SKU", isRowHeader: true },
+      { id: "name", name: "Name" },
+      { id: "stock", name: "Stock" },
+      { id: "price", name: "Price" },
+    ] as const;
+    const sortKey = sortDescriptor.column as (typeof columns)[number]["id"];
+    const rows = skus.slice(0, 20).sort((a, b) => {
+      const order =
+        a[sortKey] < b[sortKey] ? -1 : a[sortKey] > b[sortKey] ? 1 : 0;
+      return sortDescriptor.direction === "descending" ? -order : order;
+    });
+    return (
+      <Flex direction="column" gap="400" alignSecondary="end">
+        <TableColumnPicker
+          columns={[...columns]}
+          layout={layout}
+          onLayoutChange={saveLayout}
+        />
+        <div style={{ width: 560 }}>
+          <Table
+            aria-label="SKUs"
+            {...args}
+            layout={layout}
+            onLayoutChange={saveLayout}
+            sortDescriptor={sortDescriptor}
+            onSortChange={setSortDescriptor}
+          >
+            <TableHead columns={columns}>
+              {(column) => (
+                <TableColumn
+                  isRowHeader={column.id === "id"}
+                  allowsSorting={column.id === "id" || column.id === "stock"}
+                  minWidth={120}
+                  defaultWidth={200}
+                >
+                  {column.name}
+                </TableColumn>
+              )}
+            </TableHead>
+            <TableBody items={rows}>
+              {(item) => (
+                <TableRow columns={columns}>
+                  {(column) => <TableCell>{item[column.id]}</TableCell>}
+                </TableRow>
+              )}
+            </TableBody>
+          </Table>
+        </div>
+      </Flex>
+    );
+  },
+};
+
+export const StoryTableVirtualized: Story = {
+  name: "Table Virtualized",
+  args: {
+    virtualized: true,
+    rowHeight: 48,
+    selectionMode: "multiple",
+    dense: false,
+    grid: false,
+  },
+  argTypes: {
+    selectionMode: {
+      control: "select",
+      options: ["none", "single", "multiple"],
+    },
+  },
+  render: function Render(args) {
+    const list = useListData({ initialItems: skus });
+    const { dragAndDropHooks } = useDragAndDrop({
+      getItems: (keys) =>
+        [...keys].map((key) => ({ "text/plain": String(key) })),
+      onReorder: (e) =>
+        e.target.dropPosition === "before"
+          ? list.moveBefore(e.target.key, e.keys)
+          : list.moveAfter(e.target.key, e.keys),
+    });
+    return (
+      <Table
+        aria-label={`${skus.length} SKUs`}
+        {...args}
+        dragAndDropHooks={dragAndDropHooks}
+        style={{ height: 480, width: 720 }}
+      >
+        <TableHead>
+          <TableColumn isRowHeader>SKU</TableColumn>
+          <TableColumn>Name</TableColumn>
+          <TableColumn align="right">Stock</TableColumn>
+          <TableColumn align="right">Price</TableColumn>
+        </TableHead>
+        <TableBody items={list.items}>
+          {(item) => (
+            <TableRow>
+              <TableCell>{item.id}</TableCell>
+              <TableCell>{item.name}</TableCell>
+              <TableCell align="right">{item.stock}</TableCell>
+              <TableCell align="right">{item.price}</TableCell>
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+    );
+  },
+};
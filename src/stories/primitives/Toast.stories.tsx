@@ -0,0 +1,76 @@
+import type { Meta, StoryObj } from "@storybook/react";
+import { IconAlertCircle, IconCheckCircle, IconInfo } from "icons";
+import { Flex } from "layout";
+import { Button, ButtonDanger, ToastProvider, useToast } from "primitives";
+import { useRef } from "react";
+
+function Example() {
+  const { show, update, dismiss } = useToast();
+  const count = useRef(0);
+  return (
+    <Flex gap="200" wrap>
+      <Button
+        onPress={() =>
+          show({
+            title: `Message ${++count.current}`,
+            description:
+              "Disappears after 5 seconds, unless hovered or focused.",
+            icon: <IconInfo size="20" />,
+          })
+        }
+      >
+        Show message
+      </Button>
+      <ButtonDanger
+        onPress={() =>
+          show({
+            title: "Couldn't save",
+            description: "Stays until it's dismissed.",
+            icon: <IconAlertCircle size="20" />,
+            variant: "alert",
+            timeout: 0,
+          })
+        }
+      >
+        Show alert
+      </ButtonDanger>
+      <Button
+        variant="neutral"
+        onPress={() => {
+          const key = show({ title: "Saving…", timeout: 0 });
+          setTimeout(
+            () =>
+              update(key, {
+                title: "Saved",
+                icon: <IconCheckCircle size="20" />,
+              }),
+            1500,
+          );
+        }}
+      >
+        Show and update
+      </Button>
+      <Button variant="subtle" onPress={() => dismiss()}>
+        Dismiss all
+      </Button>
+    </Flex>
+  );
+}
+
+const meta: Meta<typeof ToastProvider> = {
+  component: ToastProvider,
+  title: "WDS Primitives/Toast",
+  parameters: { layout: "centered" },
+};
+export default meta;
+
+export const StoryToast: StoryObj<typeof ToastProvider> = {
+  name: "Toast",
+  args: { maxVisibleToasts: 3, timeout: 5000 },
+  // maxVisibleToasts is only read on mount, so the control remounts the provider
+  render: (args) => (
+    <ToastProvider key={args.maxVisibleToasts} {...args}>
+      <Example />
+    </ToastProvider>
+  ),
+};
@@ -0,0 +1,1002 @@
+/*
+ * This file is automatically generated by scripts/tokens/app.mjs!
+ */
+
+/**
+ * CSS custom property references for every token
+ */
+export const tokens = {
+  /** Bg/Brand/Default */
+  wdsColorBackgroundBrandDefault: "var(--wds-color-background-brand-default)",
+  /** Bg/Brand/Hover */
+  wdsColorBackgroundBrandHover: "var(--wds-color-background-brand-hover)",
+  /** Bg/Brand/Default */
+  wdsColorBackgroundBrandPressed: "var(--wds-color-background-brand-pressed)",
+  /** Bg/Brand/Secondary */
+  wdsColorBackgroundBrandSecondary: "var(--wds-color-background-brand-secondary)",
+  /** Bg/Brand/Secondary Hover */
+  wdsColorBackgroundBrandSecondaryHover: "var(--wds-color-background-brand-secondary-hover)",
+  /** Bg/Brand/Secondary Hover */
+  wdsColorBackgroundBrandSecondaryPressed: "var(--wds-color-background-brand-secondary-pressed)",
+  /** Bg/Brand/Tertiary */
+  wdsColorBackgroundBrandTertiary: "var(--wds-color-background-brand-tertiary)",
+  /** Bg/Brand/Tertiary Hover */
+  wdsColorBackgroundBrandTertiaryHover: "var(--wds-color-background-brand-tertiary-hover)",
+  /** Bg/Brand/Tertiary Hover */
+  wdsColorBackgroundBrandTertiaryPressed: "var(--wds-color-background-brand-tertiary-pressed)",
+  /** Bg/Danger/Default */
+  wdsColorBackgroundDangerDefault: "var(--wds-color-background-danger-default)",
+  /** Bg/Danger/Hover */
+  wdsColorBackgroundDangerHover: "var(--wds-color-background-danger-hover)",
+  /** Bg/Danger/Hover */
+  wdsColorBackgroundDangerPressed: "var(--wds-color-background-danger-pressed)",
+  /** Bg/Danger/Secondary */
+  wdsColorBackgroundDangerSecondary: "var(--wds-color-background-danger-secondary)",
+  /** Bg/Danger/Secondary Hover */
+  wdsColorBackgroundDangerSecondaryHover: "var(--wds-color-background-danger-secondary-hover)",
+  /** Bg/Danger/Secondary Hover */
+  wdsColorBackgroundDangerSecondaryPressed: "var(--wds-color-background-danger-secondary-pressed)",
+  /** Bg/Default/Default */
+  wdsColorBackgroundDefaultDefault: "var(--wds-color-background-default-default)",
+  /** Bg/Default/Default Hover */
+  wdsColorBackgroundDefaultHover: "var(--wds-color-background-default-hover)",
+  wdsColorBackgroundDefaultPressed: "var(--wds-color-background-default-pressed)",
+  /** Bg/Default/Secondary */
+  wdsColorBackgroundDefaultSecondary: "var(--wds-color-background-default-secondary)",
+  /** Bg/Default/Secondary Hover */
+  wdsColorBackgroundDefaultSecondaryHover: "var(--wds-color-background-default-secondary-hover)",
+  wdsColorBackgroundDefaultSecondaryPressed: "var(--wds-color-background-default-secondary-pressed)",
+  /** Bg/Default/Tertiary */
+  wdsColorBackgroundDefaultTertiary: "var(--wds-color-background-default-tertiary)",
+  /** Bg/Default/Tertiary Hover */
+  wdsColorBackgroundDefaultTertiaryHover: "var(--wds-color-background-default-tertiary-hover)",
+  wdsColorBackgroundDefaultTertiaryPressed: "var(--wds-color-background-default-tertiary-pressed)",
+  /** Bg/Disabled/Default */
+  wdsColorBackgroundDisabledDefault: "var(--wds-color-background-disabled-default)",
+  /** Bg/Neutral/Default */
+  wdsColorBackgroundNeutralDefault: "var(--wds-color-background-neutral-default)",
+  /** Bg/Neutral/Hover */
+  wdsColorBackgroundNeutralHover: "var(--wds-color-background-neutral-hover)",
+  wdsColorBackgroundNeutralPressed: "var(--wds-color-background-neutral-pressed)",
+  /** Bg/Neutral/Secondary */
+  wdsColorBackgroundNeutralSecondary: "var(--wds-color-background-neutral-secondary)",
+  /** Bg/Neutral/Secondary Hover */
+  wdsColorBackgroundNeutralSecondaryHover: "var(--wds-color-background-neutral-secondary-hover)",
+  wdsColorBackgroundNeutralSecondaryPressed: "var(--wds-color-background-neutral-secondary-pressed)",
+  /** Bg/Neutral/Tertiary */
+  wdsColorBackgroundNeutralTertiary: "var(--wds-color-background-neutral-tertiary)",
+  /** Bg/Neutral/Tertiary Hover */
+  wdsColorBackgroundNeutralTertiaryHover: "var(--wds-color-background-neutral-tertiary-hover)",
+  wdsColorBackgroundNeutralTertiaryPressed: "var(--wds-color-background-neutral-tertiary-pressed)",
+  /** Bg/Positive/Default */
+  wdsColorBackgroundPositiveDefault: "var(--wds-color-background-positive-default)",
+  /** Bg/Positive/Hover */
+  wdsColorBackgroundPositiveHover: "var(--wds-color-background-positive-hover)",
+  /** Bg/Positive/Hover */
+  wdsColorBackgroundPositivePressed: "var(--wds-color-background-positive-pressed)",
+  /** Bg/Positive/Secondary */
+  wdsColorBackgroundPositiveSecondary: "var(--wds-color-background-positive-secondary)",
+  /** Bg/Positive/Secondary Hover */
+  wdsColorBackgroundPositiveSecondaryHover: "var(--wds-color-background-positive-secondary-hover)",
+  /** Bg/Positive/Hover */
+  wdsColorBackgroundPositiveSecondaryPressed: "var(--wds-color-background-positive-secondary-pressed)",
+  /** Bg/Utilities/Blanket */
+  wdsColorBackgroundUtilitiesBlanket: "var(--wds-color-background-utilities-blanket)",
+  /** Bg/Utilities/Measurement */
+  wdsColorBackgroundUtilitiesMeasurement: "var(--wds-color-background-utilities-measurement)",
+  /** Bg/Utilities/Overlay */
+  wdsColorBackgroundUtilitiesOverlay: "var(--wds-color-background-utilities-overlay)",
+  /** Bg/Utilities/Scrim */
+  wdsColorBackgroundUtilitiesScrim: "var(--wds-color-background-utilities-scrim)",
+  /** Bg/Warning/Default */
+  wdsColorBackgroundWarningDefault: "var(--wds-color-background-warning-default)",
+  /** Bg/Warning/Hover */
+  wdsColorBackgroundWarningHover: "var(--wds-color-background-warning-hover)",
+  /** Bg/Warning/Hover */
+  wdsColorBackgroundWarningPressed: "var(--wds-color-background-warning-pressed)",
+  /** Bg/Warning/Secondary */
+  wdsColorBackgroundWarningSecondary: "var(--wds-color-background-warning-secondary)",
+  /** Bg/Warning/Secondary Hover */
+  wdsColorBackgroundWarningSecondaryHover: "var(--wds-color-background-warning-secondary-hover)",
+  /** Bg/Warning/Secondary Hover */
+  wdsColorBackgroundWarningSecondaryPressed: "var(--wds-color-background-warning-secondary-pressed)",
+  wdsColorBlack100: "var(--wds-color-black-100)",
+  wdsColorBlack1000: "var(--wds-color-black-1000)",
+  wdsColorBlack200: "var(--wds-color-black-200)",
+  wdsColorBlack300: "var(--wds-color-black-300)",
+  wdsColorBlack400: "var(--wds-color-black-400)",
+  wdsColorBlack500: "var(--wds-color-black-500)",
+  wdsColorBlack600: "var(--wds-color-black-600)",
+  wdsColorBlack700: "var(--wds-color-black-700)",
+  wdsColorBlack800: "var(--wds-color-black-800)",
+  wdsColorBlack900: "var(--wds-color-black-900)",
+  wdsColorBorderBrandDefault: "var(--wds-color-border-brand-default)",
+  wdsColorBorderBrandSecondary: "var(--wds-color-border-brand-secondary)",
+  wdsColorBorderBrandTertiary: "var(--wds-color-border-brand-tertiary)",
+  wdsColorBorderDangerDefault: "var(--wds-color-border-danger-default)",
+  wdsColorBorderDangerSecondary: "var(--wds-color-border-danger-secondary)",
+  wdsColorBorderDefaultDefault: "var(--wds-color-border-default-default)",
+  wdsColorBorderDefaultSecondary: "var(--wds-color-border-default-secondary)",
+  wdsColorBorderDefaultTertiary: "var(--wds-color-border-default-tertiary)",
+  wdsColorBorderDisabledDefault: "var(--wds-color-border-disabled-default)",
+  wdsColorBorderNeutralDefault: "var(--wds-color-border-neutral-default)",
+  wdsColorBorderNeutralSecondary: "var(--wds-color-border-neutral-secondary)",
+  wdsColorBorderNeutralTertiary: "var(--wds-color-border-neutral-tertiary)",
+  wdsColorBorderPositiveDefault: "var(--wds-color-border-positive-default)",
+  wdsColorBorderPositiveSecondary: "var(--wds-color-border-positive-secondary)",
+  wdsColorBorderUtilitiesMeasurement: "var(--wds-color-border-utilities-measurement)",
+  wdsColorBorderUtilitiesSwatch: "var(--wds-color-border-utilities-swatch)",
+  wdsColorBorderWarningDefault: "var(--wds-color-border-warning-default)",
+  wdsColorBorderWarningSecondary: "var(--wds-color-border-warning-secondary)",
+  wdsColorBrand100: "var(--wds-color-brand-100)",
+  wdsColorBrand1000: "var(--wds-color-brand-1000)",
+  wdsColorBrand200: "var(--wds-color-brand-200)",
+  wdsColorBrand300: "var(--wds-color-brand-300)",
+  wdsColorBrand400: "var(--wds-color-brand-400)",
+  wdsColorBrand500: "var(--wds-color-brand-500)",
+  wdsColorBrand600: "var(--wds-color-brand-600)",
+  wdsColorBrand700: "var(--wds-color-brand-700)",
+  wdsColorBrand800: "var(--wds-color-brand-800)",
+  wdsColorBrand900: "var(--wds-color-brand-900)",
+  wdsColorBrandB100: "var(--wds-color-brand-b-100)",
+  wdsColorBrandB1000: "var(--wds-color-brand-b-1000)",
+  wdsColorBrandB200: "var(--wds-color-brand-b-200)",
+  wdsColorBrandB300: "var(--wds-color-brand-b-300)",
+  wdsColorBrandB400: "var(--wds-color-brand-b-400)",
+  wdsColorBrandB500: "var(--wds-color-brand-b-500)",
+  wdsColorBrandB600: "var(--wds-color-brand-b-600)",
+  wdsColorBrandB700: "var(--wds-color-brand-b-700)",
+  wdsColorBrandB800: "var(--wds-color-brand-b-800)",
+  wdsColorBrandB900: "var(--wds-color-brand-b-900)",
+  wdsColorGray100: "var(--wds-color-gray-100)",
+  wdsColorGray1000: "var(--wds-color-gray-1000)",
+  wdsColorGray150: "var(--wds-color-gray-150)",
+  wdsColorGray200: "var(--wds-color-gray-200)",
+  wdsColorGray250: "var(--wds-color-gray-250)",
+  wdsColorGray300: "var(--wds-color-gray-300)",
+  wdsColorGray350: "var(--wds-color-gray-350)",
+  wdsColorGray400: "var(--wds-color-gray-400)",
+  wdsColorGray450: "var(--wds-color-gray-450)",
+  wdsColorGray500: "var(--wds-color-gray-500)",
+  wdsColorGray550: "var(--wds-color-gray-550)",
+  wdsColorGray600: "var(--wds-color-gray-600)",
+  wdsColorGray650: "var(--wds-color-gray-650)",
+  wdsColorGray700: "var(--wds-color-gray-700)",
+  wdsColorGray750: "var(--wds-color-gray-750)",
+  wdsColorGray800: "var(--wds-color-gray-800)",
+  wdsColorGray850: "var(--wds-color-gray-850)",
+  wdsColorGray900: "var(--wds-color-gray-900)",
+  wdsColorGray950: "var(--wds-color-gray-950)",
+  wdsColorGreen100: "var(--wds-color-green-100)",
+  wdsColorGreen1000: "var(--wds-color-green-1000)",
+  wdsColorGreen200: "var(--wds-color-green-200)",
+  wdsColorGreen300: "var(--wds-color-green-300)",
+  wdsColorGreen400: "var(--wds-color-green-400)",
+  wdsColorGreen500: "var(--wds-color-green-500)",
+  wdsColorGreen600: "var(--wds-color-green-600)",
+  wdsColorGreen700: "var(--wds-color-green-700)",
+  wdsColorGreen800: "var(--wds-color-green-800)",
+  wdsColorGreen900: "var(--wds-color-green-900)",
+  wdsColorIconBrandDefault: "var(--wds-color-icon-brand-default)",
+  wdsColorIconBrandOnBrand: "var(--wds-color-icon-brand-on-brand)",
+  wdsColorIconBrandOnBrandSecondary: "var(--wds-color-icon-brand-on-brand-secondary)",
+  wdsColorIconBrandOnBrandTertiary: "var(--wds-color-icon-brand-on-brand-tertiary)",
+  wdsColorIconBrandSecondary: "var(--wds-color-icon-brand-secondary)",
+  wdsColorIconBrandTertiary: "var(--wds-color-icon-brand-tertiary)",
+  wdsColorIconDangerDefault: "var(--wds-color-icon-danger-default)",
+  wdsColorIconDangerOnDanger: "var(--wds-color-icon-danger-on-danger)",
+  wdsColorIconDangerOnDangerSecondary: "var(--wds-color-icon-danger-on-danger-secondary)",
+  wdsColorIconDangerSecondary: "var(--wds-color-icon-danger-secondary)",
+  wdsColorIconDefaultDefault: "var(--wds-color-icon-default-default)",
+  wdsColorIconDefaultSecondary: "var(--wds-color-icon-default-secondary)",
+  wdsColorIconDefaultTertiary: "var(--wds-color-icon-default-tertiary)",
+  wdsColorIconDisabledDefault: "var(--wds-color-icon-disabled-default)",
+  wdsColorIconDisabledOnDisabled: "var(--wds-color-icon-disabled-on-disabled)",
+  wdsColorIconNeutralDefault: "var(--wds-color-icon-neutral-default)",
+  wdsColorIconNeutralOnNeutral: "var(--wds-color-icon-neutral-on-neutral)",
+  wdsColorIconNeutralOnNeutralSecondary: "var(--wds-color-icon-neutral-on-neutral-secondary)",
+  wdsColorIconNeutralOnNeutralTertiary: "var(--wds-color-icon-neutral-on-neutral-tertiary)",
+  wdsColorIconNeutralSecondary: "var(--wds-color-icon-neutral-secondary)",
+  wdsColorIconNeutralTertiary: "var(--wds-color-icon-neutral-tertiary)",
+  wdsColorIconPositiveDefault: "var(--wds-color-icon-positive-default)",
+  wdsColorIconPositiveOnPositive: "var(--wds-color-icon-positive-on-positive)",
+  wdsColorIconPositiveOnPositiveSecondary: "var(--wds-color-icon-positive-on-positive-secondary)",
+  wdsColorIconPositiveSecondary: "var(--wds-color-icon-positive-secondary)",
+  wdsColorIconUtilitiesIcon: "var(--wds-color-icon-utilities-icon)",
+  wdsColorIconUtilitiesIconOnMeasurement: "var(--wds-color-icon-utilities-icon-on-measurement)",
+  wdsColorIconWarningDefault: "var(--wds-color-icon-warning-default)",
+  wdsColorIconWarningOnWarning: "var(--wds-color-icon-warning-on-warning)",
+  wdsColorIconWarningOnWarningSecondary: "var(--wds-color-icon-warning-on-warning-secondary)",
+  wdsColorIconWarningSecondary: "var(--wds-color-icon-warning-secondary)",
+  wdsColorPink100: "var(--wds-color-pink-100)",
+  wdsColorPink1000: "var(--wds-color-pink-1000)",
+  wdsColorPink200: "var(--wds-color-pink-200)",
+  wdsColorPink300: "var(--wds-color-pink-300)",
+  wdsColorPink400: "var(--wds-color-pink-400)",
+  wdsColorPink500: "var(--wds-color-pink-500)",
+  wdsColorPink600: "var(--wds-color-pink-600)",
+  wdsColorPink700: "var(--wds-color-pink-700)",
+  wdsColorPink800: "var(--wds-color-pink-800)",
+  wdsColorPink900: "var(--wds-color-pink-900)",
+  wdsColorRed100: "var(--wds-color-red-100)",
+  wdsColorRed1000: "var(--wds-color-red-1000)",
+  wdsColorRed200: "var(--wds-color-red-200)",
+  wdsColorRed300: "var(--wds-color-red-300)",
+  wdsColorRed400: "var(--wds-color-red-400)",
+  wdsColorRed500: "var(--wds-color-red-500)",
+  wdsColorRed600: "var(--wds-color-red-600)",
+  wdsColorRed700: "var(--wds-color-red-700)",
+  wdsColorRed800: "var(--wds-color-red-800)",
+  wdsColorRed900: "var(--wds-color-red-900)",
+  wdsColorSlate100: "var(--wds-color-slate-100)",
+  wdsColorSlate1000: "var(--wds-color-slate-1000)",
+  wdsColorSlate200: "var(--wds-color-slate-200)",
+  wdsColorSlate300: "var(--wds-color-slate-300)",
+  wdsColorSlate400: "var(--wds-color-slate-400)",
+  wdsColorSlate500: "var(--wds-color-slate-500)",
+  wdsColorSlate600: "var(--wds-color-slate-600)",
+  wdsColorSlate700: "var(--wds-color-slate-700)",
+  wdsColorSlate800: "var(--wds-color-slate-800)",
+  wdsColorSlate900: "var(--wds-color-slate-900)",
+  wdsColorTextBrandDefault: "var(--wds-color-text-brand-default)",
+  /** Use this on primary brand background. This aims for 4.5:1 contrast. */
+  wdsColorTextBrandOnBrand: "var(--wds-color-text-brand-on-brand)",
+  wdsColorTextBrandOnBrandSecondary: "var(--wds-color-text-brand-on-brand-secondary)",
+  wdsColorTextBrandOnBrandTertiary: "var(--wds-color-text-brand-on-brand-tertiary)",
+  wdsColorTextBrandSecondary: "var(--wds-color-text-brand-secondary)",
+  wdsColorTextBrandTertiary: "var(--wds-color-text-brand-tertiary)",
+  wdsColorTextDangerDefault: "var(--wds-color-text-danger-default)",
+  wdsColorTextDangerOnDanger: "var(--wds-color-text-danger-on-danger)",
+  wdsColorTextDangerOnDangerSecondary: "var(--wds-color-text-danger-on-danger-secondary)",
+  wdsColorTextDangerSecondary: "var(--wds-color-text-danger-secondary)",
+  wdsColorTextDefaultDefault: "var(--wds-color-text-default-default)",
+  /** This is not intended as just text on secondary backgrounds. */
+  wdsColorTextDefaultSecondary: "var(--wds-color-text-default-secondary)",
+  /** This is not intended as just text on tertiary backgrounds. */
+  wdsColorTextDefaultTertiary: "var(--wds-color-text-default-tertiary)",
+  wdsColorTextDisabledDefault: "var(--wds-color-text-disabled-default)",
+  wdsColorTextDisabledOnDisabled: "var(--wds-color-text-disabled-on-disabled)",
+  wdsColorTextNeutralDefault: "var(--wds-color-text-neutral-default)",
+  wdsColorTextNeutralOnNeutral: "var(--wds-color-text-neutral-on-neutral)",
+  wdsColorTextNeutralOnNeutralSecondary: "var(--wds-color-text-neutral-on-neutral-secondary)",
+  wdsColorTextNeutralOnNeutralTertiary: "var(--wds-color-text-neutral-on-neutral-tertiary)",
+  wdsColorTextNeutralSecondary: "var(--wds-color-text-neutral-secondary)",
+  wdsColorTextNeutralTertiary: "var(--wds-color-text-neutral-tertiary)",
+  wdsColorTextPositiveDefault: "var(--wds-color-text-positive-default)",
+  wdsColorTextPositiveOnPositive: "var(--wds-color-text-positive-on-positive)",
+  wdsColorTextPositiveOnPositiveSecondary: "var(--wds-color-text-positive-on-positive-secondary)",
+  wdsColorTextPositiveSecondary: "var(--wds-color-text-positive-secondary)",
+  wdsColorTextUtilitiesTextOnMeasurement: "var(--wds-color-text-utilities-text-on-measurement)",
+  wdsColorTextUtilitiesTextOnOverlay: "var(--wds-color-text-utilities-text-on-overlay)",
+  wdsColorTextWarningDefault: "var(--wds-color-text-warning-default)",
+  wdsColorTextWarningOnWarning: "var(--wds-color-text-warning-on-warning)",
+  wdsColorTextWarningOnWarningSecondary: "var(--wds-color-text-warning-on-warning-secondary)",
+  wdsColorTextWarningSecondary: "var(--wds-color-text-warning-secondary)",
+  wdsColorWhite100: "var(--wds-color-white-100)",
+  wdsColorWhite1000: "var(--wds-color-white-1000)",
+  wdsColorWhite200: "var(--wds-color-white-200)",
+  wdsColorWhite300: "var(--wds-color-white-300)",
+  wdsColorWhite400: "var(--wds-color-white-400)",
+  wdsColorWhite500: "var(--wds-color-white-500)",
+  wdsColorWhite600: "var(--wds-color-white-600)",
+  wdsColorWhite700: "var(--wds-color-white-700)",
+  wdsColorWhite800: "var(--wds-color-white-800)",
+  wdsColorWhite900: "var(--wds-color-white-900)",
+  wdsColorYellow100: "var(--wds-color-yellow-100)",
+  wdsColorYellow1000: "var(--wds-color-yellow-1000)",
+  wdsColorYellow200: "var(--wds-color-yellow-200)",
+  wdsColorYellow300: "var(--wds-color-yellow-300)",
+  wdsColorYellow400: "var(--wds-color-yellow-400)",
+  wdsColorYellow500: "var(--wds-color-yellow-500)",
+  wdsColorYellow600: "var(--wds-color-yellow-600)",
+  wdsColorYellow700: "var(--wds-color-yellow-700)",
+  wdsColorYellow800: "var(--wds-color-yellow-800)",
+  wdsColorYellow900: "var(--wds-color-yellow-900)",
+  wdsNewColorBaseBlack: "var(--wds-new-color-base-black)",
+  wdsNewColorBaseWhite: "var(--wds-new-color-base-white)",
+  wdsNewColorInfo100: "var(--wds-new-color-info-100)",
+  wdsNewColorInfo200: "var(--wds-new-color-info-200)",
+  wdsNewColorInfo300: "var(--wds-new-color-info-300)",
+  wdsNewColorInfo400: "var(--wds-new-color-info-400)",
+  wdsNewColorInfo50: "var(--wds-new-color-info-50)",
+  wdsNewColorInfo500: "var(--wds-new-color-info-500)",
+  wdsNewColorInfo600: "var(--wds-new-color-info-600)",
+  wdsNewColorInfo700: "var(--wds-new-color-info-700)",
+  wdsNewColorInfo800: "var(--wds-new-color-info-800)",
+  wdsNewColorInfo900: "var(--wds-new-color-info-900)",
+  wdsNewColorInfo950: "var(--wds-new-color-info-950)",
+  wdsNewColorNegative100: "var(--wds-new-color-negative-100)",
+  wdsNewColorNegative200: "var(--wds-new-color-negative-200)",
+  wdsNewColorNegative300: "var(--wds-new-color-negative-300)",
+  wdsNewColorNegative400: "var(--wds-new-color-negative-400)",
+  wdsNewColorNegative50: "var(--wds-new-color-negative-50)",
+  wdsNewColorNegative500: "var(--wds-new-color-negative-500)",
+  wdsNewColorNegative600: "var(--wds-new-color-negative-600)",
+  wdsNewColorNegative700: "var(--wds-new-color-negative-700)",
+  wdsNewColorNegative800: "var(--wds-new-color-negative-800)",
+  wdsNewColorNegative900: "var(--wds-new-color-negative-900)",
+  wdsNewColorNegative950: "var(--wds-new-color-negative-950)",
+  wdsNewColorNeutral100: "var(--wds-new-color-neutral-100)",
+  wdsNewColorNeutral200: "var(--wds-new-color-neutral-200)",
+  wdsNewColorNeutral300: "var(--wds-new-color-neutral-300)",
+  wdsNewColorNeutral400: "var(--wds-new-color-neutral-400)",
+  wdsNewColorNeutral50: "var(--wds-new-color-neutral-50)",
+  wdsNewColorNeutral500: "var(--wds-new-color-neutral-500)",
+  wdsNewColorNeutral600: "var(--wds-new-color-neutral-600)",
+  wdsNewColorNeutral700: "var(--wds-new-color-neutral-700)",
+  wdsNewColorNeutral800: "var(--wds-new-color-neutral-800)",
+  wdsNewColorNeutral900: "var(--wds-new-color-neutral-900)",
+  wdsNewColorNeutral950: "var(--wds-new-color-neutral-950)",
+  wdsNewColorPositive100: "var(--wds-new-color-positive-100)",
+  wdsNewColorPositive200: "var(--wds-new-color-positive-200)",
+  wdsNewColorPositive300: "var(--wds-new-color-positive-300)",
+  wdsNewColorPositive400: "var(--wds-new-color-positive-400)",
+  wdsNewColorPositive50: "var(--wds-new-color-positive-50)",
+  wdsNewColorPositive500: "var(--wds-new-color-positive-500)",
+  wdsNewColorPositive600: "var(--wds-new-color-positive-600)",
+  wdsNewColorPositive700: "var(--wds-new-color-positive-700)",
+  wdsNewColorPositive800: "var(--wds-new-color-positive-800)",
+  wdsNewColorPositive900: "var(--wds-new-color-positive-900)",
+  wdsNewColorPositive950: "var(--wds-new-color-positive-950)",
+  wdsNewColorPrimary100: "var(--wds-new-color-primary-100)",
+  wdsNewColorPrimary200: "var(--wds-new-color-primary-200)",
+  wdsNewColorPrimary300: "var(--wds-new-color-primary-300)",
+  wdsNewColorPrimary400: "var(--wds-new-color-primary-400)",
+  wdsNewColorPrimary50: "var(--wds-new-color-primary-50)",
+  wdsNewColorPrimary500: "var(--wds-new-color-primary-500)",
+  wdsNewColorPrimary600: "var(--wds-new-color-primary-600)",
+  wdsNewColorPrimary700: "var(--wds-new-color-primary-700)",
+  wdsNewColorPrimary800: "var(--wds-new-color-primary-800)",
+  wdsNewColorPrimary900: "var(--wds-new-color-primary-900)",
+  wdsNewColorPrimary950: "var(--wds-new-color-primary-950)",
+  wdsNewColorSecondary100: "var(--wds-new-color-secondary-100)",
+  wdsNewColorSecondary200: "var(--wds-new-color-secondary-200)",
+  wdsNewColorSecondary300: "var(--wds-new-color-secondary-300)",
+  wdsNewColorSecondary400: "var(--wds-new-color-secondary-400)",
+  wdsNewColorSecondary50: "var(--wds-new-color-secondary-50)",
+  wdsNewColorSecondary500: "var(--wds-new-color-secondary-500)",
+  wdsNewColorSecondary600: "var(--wds-new-color-secondary-600)",
+  wdsNewColorSecondary700: "var(--wds-new-color-secondary-700)",
+  wdsNewColorSecondary800: "var(--wds-new-color-secondary-800)",
+  wdsNewColorSecondary900: "var(--wds-new-color-secondary-900)",
+  wdsNewColorSecondary950: "var(--wds-new-color-secondary-950)",
+  wdsNewColorTertiary100: "var(--wds-new-color-tertiary-100)",
+  wdsNewColorTertiary200: "var(--wds-new-color-tertiary-200)",
+  wdsNewColorTertiary300: "var(--wds-new-color-tertiary-300)",
+  wdsNewColorTertiary400: "var(--wds-new-color-tertiary-400)",
+  wdsNewColorTertiary50: "var(--wds-new-color-tertiary-50)",
+  wdsNewColorTertiary500: "var(--wds-new-color-tertiary-500)",
+  wdsNewColorTertiary600: "var(--wds-new-color-tertiary-600)",
+  wdsNewColorTertiary700: "var(--wds-new-color-tertiary-700)",
+  wdsNewColorTertiary800: "var(--wds-new-color-tertiary-800)",
+  wdsNewColorTertiary900: "var(--wds-new-color-tertiary-900)",
+  wdsNewColorTertiary950: "var(--wds-new-color-tertiary-950)",
+  wdsNewColorWarning100: "var(--wds-new-color-warning-100)",
+  wdsNewColorWarning200: "var(--wds-new-color-warning-200)",
+  wdsNewColorWarning300: "var(--wds-new-color-warning-300)",
+  wdsNewColorWarning400: "var(--wds-new-color-warning-400)",
+  wdsNewColorWarning50: "var(--wds-new-color-warning-50)",
+  wdsNewColorWarning500: "var(--wds-new-color-warning-500)",
+  wdsNewColorWarning600: "var(--wds-new-color-warning-600)",
+  wdsNewColorWarning700: "var(--wds-new-color-warning-700)",
+  wdsNewColorWarning800: "var(--wds-new-color-warning-800)",
+  wdsNewColorWarning900: "var(--wds-new-color-warning-900)",
+  wdsNewColorWarning950: "var(--wds-new-color-warning-950)",
+  wdsResponsiveContentWidth: "var(--wds-responsive-content-width)",
+  wdsResponsiveDevice: "var(--wds-responsive-device)",
+  wdsResponsiveDeviceWidth: "var(--wds-responsive-device-width)",
+  wdsResponsiveMarginHorizontal: "var(--wds-responsive-margin-horizontal)",
+  wdsResponsiveMaxDeviceWidth: "var(--wds-responsive-max-device-width)",
+  wdsResponsiveRootFontSize: "var(--wds-responsive-root-font-size)",
+  wdsResponsiveScale: "var(--wds-responsive-scale)",
+  wdsResponsiveTextWidth: "var(--wds-responsive-text-width)",
+  wdsSizeBlur100: "var(--wds-size-blur-100)",
+  wdsSizeDepth0: "var(--wds-size-depth-0)",
+  wdsSizeDepth025: "var(--wds-size-depth-025)",
+  wdsSizeDepth100: "var(--wds-size-depth-100)",
+  wdsSizeDepth1200: "var(--wds-size-depth-1200)",
+  wdsSizeDepth200: "var(--wds-size-depth-200)",
+  wdsSizeDepth400: "var(--wds-size-depth-400)",
+  wdsSizeDepth800: "var(--wds-size-depth-800)",
+  wdsSizeDepthNegative025: "var(--wds-size-depth-negative-025)",
+  wdsSizeDepthNegative100: "var(--wds-size-depth-negative-100)",
+  wdsSizeDepthNegative1200: "var(--wds-size-depth-negative-1200)",
+  wdsSizeDepthNegative200: "var(--wds-size-depth-negative-200)",
+  wdsSizeDepthNegative400: "var(--wds-size-depth-negative-400)",
+  wdsSizeDepthNegative800: "var(--wds-size-depth-negative-800)",
+  wdsSizeIconLarge: "var(--wds-size-icon-large)",
+  wdsSizeIconMedium: "var(--wds-size-icon-medium)",
+  wdsSizeIconSmall: "var(--wds-size-icon-small)",
+  wdsSizeRadius100: "var(--wds-size-radius-100)",
+  wdsSizeRadius200: "var(--wds-size-radius-200)",
+  wdsSizeRadius400: "var(--wds-size-radius-400)",
+  wdsSizeRadiusFull: "var(--wds-size-radius-full)",
+  wdsSizeSpace0: "var(--wds-size-space-0)",
+  wdsSizeSpace050: "var(--wds-size-space-050)",
+  wdsSizeSpace100: "var(--wds-size-space-100)",
+  wdsSizeSpace1200: "var(--wds-size-space-1200)",
+  wdsSizeSpace150: "var(--wds-size-space-150)",
+  wdsSizeSpace1600: "var(--wds-size-space-1600)",
+  wdsSizeSpace16000: "var(--wds-size-space-16000)",
+  wdsSizeSpace200: "var(--wds-size-space-200)",
+  wdsSizeSpace2400: "var(--wds-size-space-2400)",
+  wdsSizeSpace250: "var(--wds-size-space-250)",
+  wdsSizeSpace300: "var(--wds-size-space-300)",
+  wdsSizeSpace400: "var(--wds-size-space-400)",
+  wdsSizeSpace4000: "var(--wds-size-space-4000)",
+  wdsSizeSpace600: "var(--wds-size-space-600)",
+  wdsSizeSpace800: "var(--wds-size-space-800)",
+  wdsSizeSpace8000: "var(--wds-size-space-8000)",
+  wdsSizeSpaceNegative100: "var(--wds-size-space-negative-100)",
+  wdsSizeSpaceNegative200: "var(--wds-size-space-negative-200)",
+  wdsSizeSpaceNegative300: "var(--wds-size-space-negative-300)",
+  wdsSizeSpaceNegative400: "var(--wds-size-space-negative-400)",
+  wdsSizeSpaceNegative600: "var(--wds-size-space-negative-600)",
+  wdsSizeStrokeBorder: "var(--wds-size-stroke-border)",
+  wdsSizeStrokeFocusRing: "var(--wds-size-stroke-focus-ring)",
+  wdsTypographyBodyFontFamily: "var(--wds-typography-body-font-family)",
+  wdsTypographyBodyFontStyleItalic: "var(--wds-typography-body-font-style-italic)",
+  wdsTypographyBodyFontWeightRegular: "var(--wds-typography-body-font-weight-regular)",
+  wdsTypographyBodyFontWeightStrong: "var(--wds-typography-body-font-weight-strong)",
+  wdsTypographyBodySizeLarge: "var(--wds-typography-body-size-large)",
+  wdsTypographyBodySizeMedium: "var(--wds-typography-body-size-medium)",
+  wdsTypographyBodySizeSmall: "var(--wds-typography-body-size-small)",
+  wdsTypographyCodeFontFamily: "var(--wds-typography-code-font-family)",
+  wdsTypographyCodeFontWeight: "var(--wds-typography-code-font-weight)",
+  wdsTypographyCodeSizeLarge: "var(--wds-typography-code-size-large)",
+  wdsTypographyCodeSizeMedium: "var(--wds-typography-code-size-medium)",
+  wdsTypographyCodeSizeSmall: "var(--wds-typography-code-size-small)",
+  wdsTypographyFamilyMono: "var(--wds-typography-family-mono)",
+  wdsTypographyFamilySans: "var(--wds-typography-family-sans)",
+  wdsTypographyFamilySerif: "var(--wds-typography-family-serif)",
+  wdsTypographyHeadingFontFamily: "var(--wds-typography-heading-font-family)",
+  wdsTypographyHeadingFontWeight: "var(--wds-typography-heading-font-weight)",
+  wdsTypographyHeadingSizeLarge: "var(--wds-typography-heading-size-large)",
+  wdsTypographyHeadingSizeMedium: "var(--wds-typography-heading-size-medium)",
+  wdsTypographyHeadingSizeSmall: "var(--wds-typography-heading-size-small)",
+  wdsTypographyScale01: "var(--wds-typography-scale-01)",
+  wdsTypographyScale02: "var(--wds-typography-scale-02)",
+  wdsTypographyScale03: "var(--wds-typography-scale-03)",
+  wdsTypographyScale04: "var(--wds-typography-scale-04)",
+  wdsTypographyScale05: "var(--wds-typography-scale-05)",
+  wdsTypographyScale06: "var(--wds-typography-scale-06)",
+  wdsTypographyScale07: "var(--wds-typography-scale-07)",
+  wdsTypographyScale08: "var(--wds-typography-scale-08)",
+  wdsTypographyScale09: "var(--wds-typography-scale-09)",
+  wdsTypographyScale10: "var(--wds-typography-scale-10)",
+  wdsTypographySubheadingFontFamily: "var(--wds-typography-subheading-font-family)",
+  wdsTypographySubheadingFontWeight: "var(--wds-typography-subheading-font-weight)",
+  wdsTypographySubheadingSizeLarge: "var(--wds-typography-subheading-size-large)",
+  wdsTypographySubheadingSizeMedium: "var(--wds-typography-subheading-size-medium)",
+  wdsTypographySubheadingSizeSmall: "var(--wds-typography-subheading-size-small)",
+  wdsTypographySubtitleFontFamily: "var(--wds-typography-subtitle-font-family)",
+  wdsTypographySubtitleFontWeight: "var(--wds-typography-subtitle-font-weight)",
+  wdsTypographySubtitleSizeLarge: "var(--wds-typography-subtitle-size-large)",
+  wdsTypographySubtitleSizeMedium: "var(--wds-typography-subtitle-size-medium)",
+  wdsTypographySubtitleSizeSmall: "var(--wds-typography-subtitle-size-small)",
+  wdsTypographyTitleHeroFontFamily: "var(--wds-typography-title-hero-font-family)",
+  wdsTypographyTitleHeroFontWeight: "var(--wds-typography-title-hero-font-weight)",
+  wdsTypographyTitleHeroSize: "var(--wds-typography-title-hero-size)",
+  wdsTypographyTitlePageFontFamily: "var(--wds-typography-title-page-font-family)",
+  wdsTypographyTitlePageFontWeight: "var(--wds-typography-title-page-font-weight)",
+  wdsTypographyTitlePageSizeLarge: "var(--wds-typography-title-page-size-large)",
+  wdsTypographyTitlePageSizeMedium: "var(--wds-typography-title-page-size-medium)",
+  wdsTypographyTitlePageSizeSmall: "var(--wds-typography-title-page-size-small)",
+  wdsTypographyWeightBlack: "var(--wds-typography-weight-black)",
+  wdsTypographyWeightBlackItalic: "var(--wds-typography-weight-black-italic)",
+  wdsTypographyWeightBold: "var(--wds-typography-weight-bold)",
+  wdsTypographyWeightBoldItalic: "var(--wds-typography-weight-bold-italic)",
+  wdsTypographyWeightExtraBold: "var(--wds-typography-weight-extra-bold)",
+  wdsTypographyWeightExtraBoldItalic: "var(--wds-typography-weight-extra-bold-italic)",
+  wdsTypographyWeightExtraLight: "var(--wds-typography-weight-extra-light)",
+  wdsTypographyWeightExtralightItalic: "var(--wds-typography-weight-extralight-italic)",
+  wdsTypographyWeightLight: "var(--wds-typography-weight-light)",
+  wdsTypographyWeightLightItalic: "var(--wds-typography-weight-light-italic)",
+  wdsTypographyWeightMedium: "var(--wds-typography-weight-medium)",
+  wdsTypographyWeightMediumItalic: "var(--wds-typography-weight-medium-italic)",
+  wdsTypographyWeightRegular: "var(--wds-typography-weight-regular)",
+  wdsTypographyWeightRegularItalic: "var(--wds-typography-weight-regular-italic)",
+  wdsTypographyWeightSemibold: "var(--wds-typography-weight-semibold)",
+  wdsTypographyWeightSemiboldItalic: "var(--wds-typography-weight-semibold-italic)",
+  wdsTypographyWeightThin: "var(--wds-typography-weight-thin)",
+  wdsTypographyWeightThinItalic: "var(--wds-typography-weight-thin-italic)",
+} as const;
+
+export type TokenName = keyof typeof tokens;
+
+export type TokenMode = "wds_light" | "wds_dark" | "brand_b_light" | "value" | "mode_1" | "desktop" | "mobile" | "tablet" | "default";
+
+/**
+ * Resolved token values by mode, for platforms without CSS custom properties
+ */
+export const tokenValues: {
+  [name in TokenName]: { [mode in TokenMode]?: string | number };
+} = {
+  wdsColorBackgroundBrandDefault: { wds_light: "#466237", wds_dark: "#74a45b", brand_b_light: "#770000" },
+  wdsColorBackgroundBrandHover: { wds_light: "#587c45", wds_dark: "#98bc86", brand_b_light: "#131a0f" },
+  wdsColorBackgroundBrandPressed: { wds_light: "#354b2a", wds_dark: "#587c45", brand_b_light: "#770000" },
+  wdsColorBackgroundBrandSecondary: { wds_light: "#9d6320", wds_dark: "#d78d38", brand_b_light: "#bad1ad" },
+  wdsColorBackgroundBrandSecondaryHover: { wds_light: "#d78d38", wds_dark: "#e4b177", brand_b_light: "#98bc86" },
+  wdsColorBackgroundBrandSecondaryPressed: { wds_light: "#593812", wds_dark: "#9d6320", brand_b_light: "#98bc86" },
+  wdsColorBackgroundBrandTertiary: { wds_light: "#efe9f6", wds_dark: "#52337b", brand_b_light: "#dee9d8" },
+  wdsColorBackgroundBrandTertiaryHover: { wds_light: "#f7f4fb", wds_dark: "#794bb4", brand_b_light: "#bad1ad" },
+  wdsColorBackgroundBrandTertiaryPressed: { wds_light: "#e4dbf0", wds_dark: "#29193d", brand_b_light: "#bad1ad" },
+  wdsColorBackgroundDangerDefault: { wds_light: "#ec221f", wds_dark: "#f4776a", brand_b_light: "#ec221f" },
+  wdsColorBackgroundDangerHover: { wds_light: "#f4776a", wds_dark: "#fcb3ad", brand_b_light: "#c00f0c" },
+  wdsColorBackgroundDangerPressed: { wds_light: "#c00f0c", wds_dark: "#ec221f", brand_b_light: "#c00f0c" },
+  wdsColorBackgroundDangerSecondary: { wds_light: "#fee9e7", wds_dark: "#690807", brand_b_light: "#fdd3d0" },
+  wdsColorBackgroundDangerSecondaryHover: { wds_light: "#fdd3d0", wds_dark: "#900b09", brand_b_light: "#fcb3ad" },
+  wdsColorBackgroundDangerSecondaryPressed: { wds_light: "#fcb3ad", wds_dark: "#4d0b0a", brand_b_light: "#fcb3ad" },
+  wdsColorBackgroundDefaultDefault: { wds_light: "#ffffff", wds_dark: "#222222", brand_b_light: "#ffffff" },
+  wdsColorBackgroundDefaultHover: { wds_light: "#e3e3e3", wds_dark: "#2c2c2c", brand_b_light: "#f1f1f1" },
+  wdsColorBackgroundDefaultPressed: { wds_light: "#f1f1f1", wds_dark: "#181818", brand_b_light: "#ffffff" },
+  wdsColorBackgroundDefaultSecondary: { wds_light: "#e3e3e3", wds_dark: "#363636", brand_b_light: "#f1f1f1" },
+  wdsColorBackgroundDefaultSecondaryHover: { wds_light: "#f1f1f1", wds_dark: "#414141", brand_b_light: "#d6d6d6" },
+  wdsColorBackgroundDefaultSecondaryPressed: { wds_light: "#d6d6d6", wds_dark: "#2c2c2c", brand_b_light: "#ffffff" },
+  wdsColorBackgroundDefaultTertiary: { wds_light: "#c8c8c8", wds_dark: "#4c4c4c", brand_b_light: "#bbbbbb" },
+  wdsColorBackgroundDefaultTertiaryHover: { wds_light: "#d6d6d6", wds_dark: "#575757", brand_b_light: "#a1a1a1" },
+  wdsColorBackgroundDefaultTertiaryPressed: { wds_light: "#bbbbbb", wds_dark: "#414141", brand_b_light: "#ffffff" },
+  wdsColorBackgroundDisabledDefault: { wds_light: "#a1a1a1", wds_dark: "#878787", brand_b_light: "#bbbbbb" },
+  wdsColorBackgroundNeutralDefault: { wds_light: "#303030", wds_dark: "#cdcdcd", brand_b_light: "#5a5a5a" },
+  wdsColorBackgroundNeutralHover: { wds_light: "#434343", wds_dark: "#e3e3e3", brand_b_light: "#434343" },
+  wdsColorBackgroundNeutralPressed: { wds_light: "#242424", wds_dark: "#b2b2b2", brand_b_light: "#ffffff" },
+  wdsColorBackgroundNeutralSecondary: { wds_light: "#5a5a5a", wds_dark: "#b2b2b2", brand_b_light: "#cdcdcd" },
+  wdsColorBackgroundNeutralSecondaryHover: { wds_light: "#767676", wds_dark: "#cdcdcd", brand_b_light: "#b2b2b2" },
+  wdsColorBackgroundNeutralSecondaryPressed: { wds_light: "#434343", wds_dark: "#949494", brand_b_light: "#ffffff" },
+  wdsColorBackgroundNeutralTertiary: { wds_light: "#767676", wds_dark: "#949494", brand_b_light: "#e3e3e3" },
+  wdsColorBackgroundNeutralTertiaryHover: { wds_light: "#949494", wds_dark: "#b2b2b2", brand_b_light: "#cdcdcd" },
+  wdsColorBackgroundNeutralTertiaryPressed: { wds_light: "#5a5a5a", wds_dark: "#767676", brand_b_light: "#ffffff" },
+  wdsColorBackgroundPositiveDefault: { wds_light: "#008043", wds_dark: "#009951", brand_b_light: "#14ae5c" },
+  wdsColorBackgroundPositiveHover: { wds_light: "#009951", wds_dark: "#14ae5c", brand_b_light: "#009951" },
+  wdsColorBackgroundPositivePressed: { wds_light: "#02542d", wds_dark: "#008043", brand_b_light: "#009951" },
+  wdsColorBackgroundPositiveSecondary: { wds_light: "#aff4c6", wds_dark: "#024023", brand_b_light: "#cff7d3" },
+  wdsColorBackgroundPositiveSecondaryHover: { wds_light: "#cff7d3", wds_dark: "#02542d", brand_b_light: "#aff4c6" },
+  wdsColorBackgroundPositiveSecondaryPressed: { wds_light: "#85e0a3", wds_dark: "#062d1b", brand_b_light: "#009951" },
+  wdsColorBackgroundUtilitiesBlanket: { wds_light: "#000000b2", wds_dark: "#000000b2", brand_b_light: "#000000b2" },
+  wdsColorBackgroundUtilitiesMeasurement: { wds_light: "#fae1fa", wds_dark: "#8a226f", brand_b_light: "#fae1fa" },
+  wdsColorBackgroundUtilitiesOverlay: { wds_light: "#00000080", wds_dark: "#00000080", brand_b_light: "#00000080" },
+  wdsColorBackgroundUtilitiesScrim: { wds_light: "#ffffffcc", wds_dark: "#000000cc", brand_b_light: "#ffffffcc" },
+  wdsColorBackgroundWarningDefault: { wds_light: "#975102", wds_dark: "#e5a000", brand_b_light: "#e8b931" },
+  wdsColorBackgroundWarningHover: { wds_light: "#bf6a02", wds_dark: "#e8b931", brand_b_light: "#e5a000" },
+  wdsColorBackgroundWarningPressed: { wds_light: "#682d03", wds_dark: "#bf6a02", brand_b_light: "#e5a000" },
+  wdsColorBackgroundWarningSecondary: { wds_light: "#ffe8a3", wds_dark: "#682d03", brand_b_light: "#fff1c2" },
+  wdsColorBackgroundWarningSecondaryHover: { wds_light: "#fff1c2", wds_dark: "#975102", brand_b_light: "#ffe8a3" },
+  wdsColorBackgroundWarningSecondaryPressed: { wds_light: "#e8b931", wds_dark: "#522504", brand_b_light: "#ffe8a3" },
+  wdsColorBlack100: { value: "#0c0c0d0d" },
+  wdsColorBlack1000: { value: "#0c0c0d" },
+  wdsColorBlack200: { value: "#0c0c0d1a" },
+  wdsColorBlack300: { value: "#0c0c0d33" },
+  wdsColorBlack400: { value: "#0c0c0d66" },
+  wdsColorBlack500: { value: "#0c0c0db2" },
+  wdsColorBlack600: { value: "#0c0c0dcc" },
+  wdsColorBlack700: { value: "#0c0c0dd9" },
+  wdsColorBlack800: { value: "#0c0c0de5" },
+  wdsColorBlack900: { value: "#0c0c0df2" },
+  wdsColorBorderBrandDefault: { wds_light: "#23311b", wds_dark: "#74a45b", brand_b_light: "#23311b" },
+  wdsColorBorderBrandSecondary: { wds_light: "#9d6320", wds_dark: "#d78d38", brand_b_light: "#466237" },
+  wdsColorBorderBrandTertiary: { wds_light: "#efe9f6", wds_dark: "#52337b", brand_b_light: "#587c45" },
+  wdsColorBorderDangerDefault: { wds_light: "#ec221f", wds_dark: "#f4776a", brand_b_light: "#900b09" },
+  wdsColorBorderDangerSecondary: { wds_light: "#fee9e7", wds_dark: "#690807", brand_b_light: "#c00f0c" },
+  wdsColorBorderDefaultDefault: { wds_light: "#878787", wds_dark: "#878787", brand_b_light: "#bbbbbb" },
+  wdsColorBorderDefaultSecondary: { wds_light: "#878787", wds_dark: "#878787", brand_b_light: "#878787" },
+  wdsColorBorderDefaultTertiary: { wds_light: "#878787", wds_dark: "#a1a1a1", brand_b_light: "#575757" },
+  wdsColorBorderDisabledDefault: { wds_light: "#a1a1a1", wds_dark: "#878787", brand_b_light: "#a1a1a1" },
+  wdsColorBorderNeutralDefault: { wds_light: "#5a5a5a", wds_dark: "#e3e3e3", brand_b_light: "#303030" },
+  wdsColorBorderNeutralSecondary: { wds_light: "#303030", wds_dark: "#cdcdcd", brand_b_light: "#767676" },
+  wdsColorBorderNeutralTertiary: { wds_light: "#767676", wds_dark: "#b2b2b2", brand_b_light: "#b2b2b2" },
+  wdsColorBorderPositiveDefault: { wds_light: "#008043", wds_dark: "#009951", brand_b_light: "#02542d" },
+  wdsColorBorderPositiveSecondary: { wds_light: "#aff4c6", wds_dark: "#024023", brand_b_light: "#009951" },
+  wdsColorBorderUtilitiesMeasurement: { wds_light: "#f19edc", wds_dark: "#d732a8", brand_b_light: "#f19edc" },
+  wdsColorBorderUtilitiesSwatch: { wds_light: "#0000003d", wds_dark: "#ffffff3d", brand_b_light: "#0000003d" },
+  wdsColorBorderWarningDefault: { wds_light: "#975102", wds_dark: "#e5a000", brand_b_light: "#522504" },
+  wdsColorBorderWarningSecondary: { wds_light: "#ffe8a3", wds_dark: "#682d03", brand_b_light: "#975102" },
+  wdsColorBrand100: { value: "#dee9d8" },
+  wdsColorBrand1000: { value: "#090d07" },
+  wdsColorBrand200: { value: "#bad1ad" },
+  wdsColorBrand300: { value: "#98bc86" },
+  wdsColorBrand400: { value: "#74a45b" },
+  wdsColorBrand500: { value: "#587c45" },
+  wdsColorBrand600: { value: "#466237" },
+  wdsColorBrand700: { value: "#354b2a" },
+  wdsColorBrand800: { value: "#23311b" },
+  wdsColorBrand900: { value: "#131a0f" },
+  wdsColorBrandB100: { value: "#f5f5f5" },
+  wdsColorBrandB1000: { value: "#111111" },
+  wdsColorBrandB200: { value: "#e6e6e6" },
+  wdsColorBrandB300: { value: "#d9d9d9" },
+  wdsColorBrandB400: { value: "#b3b3b3" },
+  wdsColorBrandB500: { value: "#757575" },
+  wdsColorBrandB600: { value: "#444444" },
+  wdsColorBrandB700: { value: "#383838" },
+  wdsColorBrandB800: { value: "#770000" },
+  wdsColorBrandB900: { value: "#1e1e1e" },
+  wdsColorGray100: { value: "#f1f1f1" },
+  wdsColorGray1000: { value: "#181818" },
+  wdsColorGray150: { value: "#e3e3e3" },
+  wdsColorGray200: { value: "#d6d6d6" },
+  wdsColorGray250: { value: "#c8c8c8" },
+  wdsColorGray300: { value: "#bbbbbb" },
+  wdsColorGray350: { value: "#aeaeae" },
+  wdsColorGray400: { value: "#a1a1a1" },
+  wdsColorGray450: { value: "#949494" },
+  wdsColorGray500: { value: "#878787" },
+  wdsColorGray550: { value: "#7b7b7b" },
+  wdsColorGray600: { value: "#6f6f6f" },
+  wdsColorGray650: { value: "#636363" },
+  wdsColorGray700: { value: "#575757" },
+  wdsColorGray750: { value: "#4c4c4c" },
+  wdsColorGray800: { value: "#414141" },
+  wdsColorGray850: { value: "#363636" },
+  wdsColorGray900: { value: "#2c2c2c" },
+  wdsColorGray950: { value: "#222222" },
+  wdsColorGreen100: { value: "#ebffee" },
+  wdsColorGreen1000: { value: "#062d1b" },
+  wdsColorGreen200: { value: "#cff7d3" },
+  wdsColorGreen300: { value: "#aff4c6" },
+  wdsColorGreen400: { value: "#85e0a3" },
+  wdsColorGreen500: { value: "#14ae5c" },
+  wdsColorGreen600: { value: "#009951" },
+  wdsColorGreen700: { value: "#008043" },
+  wdsColorGreen800: { value: "#02542d" },
+  wdsColorGreen900: { value: "#024023" },
+  wdsColorIconBrandDefault: { wds_light: "#466237", wds_dark: "#98bc86", brand_b_light: "#23311b" },
+  wdsColorIconBrandOnBrand: { wds_light: "#dee9d8", wds_dark: "#23311b", brand_b_light: "#dee9d8" },
+  wdsColorIconBrandOnBrandSecondary: { wds_light: "#f8ecdd", wds_dark: "#482d0f", brand_b_light: "#131a0f" },
+  wdsColorIconBrandOnBrandTertiary: { wds_light: "#794bb4", wds_dark: "#d4c5e7", brand_b_light: "#23311b" },
+  wdsColorIconBrandSecondary: { wds_light: "#354b2a", wds_dark: "#bad1ad", brand_b_light: "#466237" },
+  wdsColorIconBrandTertiary: { wds_light: "#23311b", wds_dark: "#dee9d8", brand_b_light: "#587c45" },
+  wdsColorIconDangerDefault: { wds_light: "#690807", wds_dark: "#fee9e7", brand_b_light: "#900b09" },
+  wdsColorIconDangerOnDanger: { wds_light: "#fee9e7", wds_dark: "#690807", brand_b_light: "#fee9e7" },
+  wdsColorIconDangerOnDangerSecondary: { wds_light: "#900b09", wds_dark: "#fcb3ad", brand_b_light: "#900b09" },
+  wdsColorIconDangerSecondary: { wds_light: "#900b09", wds_dark: "#fcb3ad", brand_b_light: "#c00f0c" },
+  wdsColorIconDefaultDefault: { wds_light: "#181818", wds_dark: "#f1f1f1", brand_b_light: "#2c2c2c" },
+  wdsColorIconDefaultSecondary: { wds_light: "#2c2c2c", wds_dark: "#d6d6d6", brand_b_light: "#878787" },
+  wdsColorIconDefaultTertiary: { wds_light: "#414141", wds_dark: "#c8c8c8", brand_b_light: "#a1a1a1" },
+  wdsColorIconDisabledDefault: { wds_light: "#a1a1a1", wds_dark: "#878787", brand_b_light: "#a1a1a1" },
+  wdsColorIconDisabledOnDisabled: { wds_light: "#878787", wds_dark: "#a1a1a1", brand_b_light: "#a1a1a1" },
+  wdsColorIconNeutralDefault: { wds_light: "#2c2c2c", wds_dark: "#e3e3e3", brand_b_light: "#303030" },
+  wdsColorIconNeutralOnNeutral: { wds_light: "#e3e3e3", wds_dark: "#434343", brand_b_light: "#f3f3f3" },
+  wdsColorIconNeutralOnNeutralSecondary: { wds_light: "#e3e3e3", wds_dark: "#303030", brand_b_light: "#303030" },
+  wdsColorIconNeutralOnNeutralTertiary: { wds_light: "#f3f3f3", wds_dark: "#242424", brand_b_light: "#434343" },
+  wdsColorIconNeutralSecondary: { wds_light: "#414141", wds_dark: "#d6d6d6", brand_b_light: "#5a5a5a" },
+  wdsColorIconNeutralTertiary: { wds_light: "#575757", wds_dark: "#c8c8c8", brand_b_light: "#767676" },
+  wdsColorIconPositiveDefault: { wds_light: "#024023", wds_dark: "#cff7d3", brand_b_light: "#02542d" },
+  wdsColorIconPositiveOnPositive: { wds_light: "#ebffee", wds_dark: "#ebffee", brand_b_light: "#ebffee" },
+  wdsColorIconPositiveOnPositiveSecondary: { wds_light: "#02542d", wds_dark: "#aff4c6", brand_b_light: "#02542d" },
+  wdsColorIconPositiveSecondary: { wds_light: "#02542d", wds_dark: "#85e0a3", brand_b_light: "#009951" },
+  wdsColorIconUtilitiesIcon: { wds_light: "#d732a8", wds_dark: "#f19edc", brand_b_light: "#d732a8" },
+  wdsColorIconUtilitiesIconOnMeasurement: { wds_light: "#8a226f", wds_dark: "#fae1fa", brand_b_light: "#8a226f" },
+  wdsColorIconWarningDefault: { wds_light: "#522504", wds_dark: "#ffe8a3", brand_b_light: "#522504" },
+  wdsColorIconWarningOnWarning: { wds_light: "#fffbeb", wds_dark: "#682d03", brand_b_light: "#401b01" },
+  wdsColorIconWarningOnWarningSecondary: { wds_light: "#682d03", wds_dark: "#e8b931", brand_b_light: "#682d03" },
+  wdsColorIconWarningSecondary: { wds_light: "#682d03", wds_dark: "#e5a000", brand_b_light: "#975102" },
+  wdsColorPink100: { value: "#fcf1fd" },
+  wdsColorPink1000: { value: "#3f1536" },
+  wdsColorPink200: { value: "#fae1fa" },
+  wdsColorPink300: { value: "#f5c0ef" },
+  wdsColorPink400: { value: "#f19edc" },
+  wdsColorPink500: { value: "#ea3fb8" },
+  wdsColorPink600: { value: "#d732a8" },
+  wdsColorPink700: { value: "#ba2a92" },
+  wdsColorPink800: { value: "#8a226f" },
+  wdsColorPink900: { value: "#57184a" },
+  wdsColorRed100: { value: "#fee9e7" },
+  wdsColorRed1000: { value: "#300603" },
+  wdsColorRed200: { value: "#fdd3d0" },
+  wdsColorRed300: { value: "#fcb3ad" },
+  wdsColorRed400: { value: "#f4776a" },
+  wdsColorRed500: { value: "#ec221f" },
+  wdsColorRed600: { value: "#c00f0c" },
+  wdsColorRed700: { value: "#900b09" },
+  wdsColorRed800: { value: "#690807" },
+  wdsColorRed900: { value: "#4d0b0a" },
+  wdsColorSlate100: { value: "#f3f3f3" },
+  wdsColorSlate1000: { value: "#242424" },
+  wdsColorSlate200: { value: "#e3e3e3" },
+  wdsColorSlate300: { value: "#cdcdcd" },
+  wdsColorSlate400: { value: "#b2b2b2" },
+  wdsColorSlate500: { value: "#949494" },
+  wdsColorSlate600: { value: "#767676" },
+  wdsColorSlate700: { value: "#5a5a5a" },
+  wdsColorSlate800: { value: "#434343" },
+  wdsColorSlate900: { value: "#303030" },
+  wdsColorTextBrandDefault: { wds_light: "#466237", wds_dark: "#98bc86", brand_b_light: "#23311b" },
+  wdsColorTextBrandOnBrand: { wds_light: "#dee9d8", wds_dark: "#23311b", brand_b_light: "#dee9d8" },
+  wdsColorTextBrandOnBrandSecondary: { wds_light: "#f8ecdd", wds_dark: "#482d0f", brand_b_light: "#131a0f" },
+  wdsColorTextBrandOnBrandTertiary: { wds_light: "#794bb4", wds_dark: "#d4c5e7", brand_b_light: "#23311b" },
+  wdsColorTextBrandSecondary: { wds_light: "#354b2a", wds_dark: "#bad1ad", brand_b_light: "#466237" },
+  wdsColorTextBrandTertiary: { wds_light: "#23311b", wds_dark: "#dee9d8", brand_b_light: "#587c45" },
+  wdsColorTextDangerDefault: { wds_light: "#690807", wds_dark: "#fee9e7", brand_b_light: "#900b09" },
+  wdsColorTextDangerOnDanger: { wds_light: "#fee9e7", wds_dark: "#690807", brand_b_light: "#fee9e7" },
+  wdsColorTextDangerOnDangerSecondary: { wds_light: "#900b09", wds_dark: "#fcb3ad", brand_b_light: "#900b09" },
+  wdsColorTextDangerSecondary: { wds_light: "#900b09", wds_dark: "#fcb3ad", brand_b_light: "#c00f0c" },
+  wdsColorTextDefaultDefault: { wds_light: "#181818", wds_dark: "#f1f1f1", brand_b_light: "#2c2c2c" },
+  wdsColorTextDefaultSecondary: { wds_light: "#2c2c2c", wds_dark: "#d6d6d6", brand_b_light: "#878787" },
+  wdsColorTextDefaultTertiary: { wds_light: "#414141", wds_dark: "#c8c8c8", brand_b_light: "#a1a1a1" },
+  wdsColorTextDisabledDefault: { wds_light: "#a1a1a1", wds_dark: "#878787", brand_b_light: "#a1a1a1" },
+  wdsColorTextDisabledOnDisabled: { wds_light: "#878787", wds_dark: "#a1a1a1", brand_b_light: "#a1a1a1" },
+  wdsColorTextNeutralDefault: { wds_light: "#2c2c2c", wds_dark: "#e3e3e3", brand_b_light: "#303030" },
+  wdsColorTextNeutralOnNeutral: { wds_light: "#e3e3e3", wds_dark: "#434343", brand_b_light: "#f3f3f3" },
+  wdsColorTextNeutralOnNeutralSecondary: { wds_light: "#e3e3e3", wds_dark: "#303030", brand_b_light: "#303030" },
+  wdsColorTextNeutralOnNeutralTertiary: { wds_light: "#f3f3f3", wds_dark: "#242424", brand_b_light: "#434343" },
+  wdsColorTextNeutralSecondary: { wds_light: "#414141", wds_dark: "#d6d6d6", brand_b_light: "#5a5a5a" },
+  wdsColorTextNeutralTertiary: { wds_light: "#575757", wds_dark: "#c8c8c8", brand_b_light: "#767676" },
+  wdsColorTextPositiveDefault: { wds_light: "#024023", wds_dark: "#cff7d3", brand_b_light: "#02542d" },
+  wdsColorTextPositiveOnPositive: { wds_light: "#ebffee", wds_dark: "#062d1b", brand_b_light: "#ebffee" },
+  wdsColorTextPositiveOnPositiveSecondary: { wds_light: "#02542d", wds_dark: "#aff4c6", brand_b_light: "#02542d" },
+  wdsColorTextPositiveSecondary: { wds_light: "#02542d", wds_dark: "#85e0a3", brand_b_light: "#009951" },
+  wdsColorTextUtilitiesTextOnMeasurement: { wds_light: "#8a226f", wds_dark: "#fae1fa", brand_b_light: "#8a226f" },
+  wdsColorTextUtilitiesTextOnOverlay: { wds_light: "#0c0c0d", wds_dark: "#ffffff", brand_b_light: "#0c0c0d" },
+  wdsColorTextWarningDefault: { wds_light: "#522504", wds_dark: "#ffe8a3", brand_b_light: "#522504" },
+  wdsColorTextWarningOnWarning: { wds_light: "#fffbeb", wds_dark: "#682d03", brand_b_light: "#401b01" },
+  wdsColorTextWarningOnWarningSecondary: { wds_light: "#682d03", wds_dark: "#e8b931", brand_b_light: "#682d03" },
+  wdsColorTextWarningSecondary: { wds_light: "#682d03", wds_dark: "#e5a000", brand_b_light: "#975102" },
+  wdsColorWhite100: { value: "#ffffff0d" },
+  wdsColorWhite1000: { value: "#ffffff" },
+  wdsColorWhite200: { value: "#ffffff1a" },
+  wdsColorWhite300: { value: "#ffffff33" },
+  wdsColorWhite400: { value: "#ffffff66" },
+  wdsColorWhite500: { value: "#ffffffb2" },
+  wdsColorWhite600: { value: "#ffffffcc" },
+  wdsColorWhite700: { value: "#ffffffd9" },
+  wdsColorWhite800: { value: "#ffffffe5" },
+  wdsColorWhite900: { value: "#fffffff2" },
+  wdsColorYellow100: { value: "#fffbeb" },
+  wdsColorYellow1000: { value: "#401b01" },
+  wdsColorYellow200: { value: "#fff1c2" },
+  wdsColorYellow300: { value: "#ffe8a3" },
+  wdsColorYellow400: { value: "#e8b931" },
+  wdsColorYellow500: { value: "#e5a000" },
+  wdsColorYellow600: { value: "#bf6a02" },
+  wdsColorYellow700: { value: "#975102" },
+  wdsColorYellow800: { value: "#682d03" },
+  wdsColorYellow900: { value: "#522504" },
+  wdsNewColorBaseBlack: { mode_1: "#030712" },
+  wdsNewColorBaseWhite: { mode_1: "#ffffff" },
+  wdsNewColorInfo100: { mode_1: "#d6e0ff" },
+  wdsNewColorInfo200: { mode_1: "#a8bdff" },
+  wdsNewColorInfo300: { mode_1: "#809dff" },
+  wdsNewColorInfo400: { mode_1: "#527aff" },
+  wdsNewColorInfo50: { mode_1: "#ebefff" },
+  wdsNewColorInfo500: { mode_1: "#295bff" },
+  wdsNewColorInfo600: { mode_1: "#0037eb" },
+  wdsNewColorInfo700: { mode_1: "#002ab3" },
+  wdsNewColorInfo800: { mode_1: "#001b75" },
+  wdsNewColorInfo900: { mode_1: "#000e3d" },
+  wdsNewColorInfo950: { mode_1: "#00071f" },
+  wdsNewColorNegative100: { mode_1: "#fcd9de" },
+  wdsNewColorNegative200: { mode_1: "#fab3bd" },
+  wdsNewColorNegative300: { mode_1: "#f78c9c" },
+  wdsNewColorNegative400: { mode_1: "#f5667a" },
+  wdsNewColorNegative50: { mode_1: "#feecee" },
+  wdsNewColorNegative500: { mode_1: "#f2415a" },
+  wdsNewColorNegative600: { mode_1: "#e5102e" },
+  wdsNewColorNegative700: { mode_1: "#ac0c22" },
+  wdsNewColorNegative800: { mode_1: "#730817" },
+  wdsNewColorNegative900: { mode_1: "#39040b" },
+  wdsNewColorNegative950: { mode_1: "#1d0206" },
+  wdsNewColorNeutral100: { mode_1: "#e6e7e6" },
+  wdsNewColorNeutral200: { mode_1: "#d5d6d5" },
+  wdsNewColorNeutral300: { mode_1: "#c2c3c1" },
+  wdsNewColorNeutral400: { mode_1: "#b0b2b0" },
+  wdsNewColorNeutral50: { mode_1: "#f8f8f8" },
+  wdsNewColorNeutral500: { mode_1: "#90928f" },
+  wdsNewColorNeutral600: { mode_1: "#6b6e6a" },
+  wdsNewColorNeutral700: { mode_1: "#474a45" },
+  wdsNewColorNeutral800: { mode_1: "#3a3d39" },
+  wdsNewColorNeutral900: { mode_1: "#222520" },
+  wdsNewColorNeutral950: { mode_1: "#090d07" },
+  wdsNewColorPositive100: { mode_1: "#d0f5e1" },
+  wdsNewColorPositive200: { mode_1: "#a2ecc2" },
+  wdsNewColorPositive300: { mode_1: "#73e2a4" },
+  wdsNewColorPositive400: { mode_1: "#45d985" },
+  wdsNewColorPositive50: { mode_1: "#e6faee" },
+  wdsNewColorPositive500: { mode_1: "#27be69" },
+  wdsNewColorPositive600: { mode_1: "#1f9854" },
+  wdsNewColorPositive700: { mode_1: "#17723f" },
+  wdsNewColorPositive800: { mode_1: "#104c2a" },
+  wdsNewColorPositive900: { mode_1: "#082615" },
+  wdsNewColorPositive950: { mode_1: "#031109" },
+  wdsNewColorPrimary100: { mode_1: "#dee9d8" },
+  wdsNewColorPrimary200: { mode_1: "#bad1ad" },
+  wdsNewColorPrimary300: { mode_1: "#98bc86" },
+  wdsNewColorPrimary400: { mode_1: "#74a45b" },
+  wdsNewColorPrimary50: { mode_1: "#eef4eb" },
+  wdsNewColorPrimary500: { mode_1: "#587c45" },
+  wdsNewColorPrimary600: { mode_1: "#466237" },
+  wdsNewColorPrimary700: { mode_1: "#354b2a" },
+  wdsNewColorPrimary800: { mode_1: "#23311b" },
+  wdsNewColorPrimary900: { mode_1: "#131a0f" },
+  wdsNewColorPrimary950: { mode_1: "#090d07" },
+  wdsNewColorSecondary100: { mode_1: "#f1d8bb" },
+  wdsNewColorSecondary200: { mode_1: "#e4b177" },
+  wdsNewColorSecondary300: { mode_1: "#d78d38" },
+  wdsNewColorSecondary400: { mode_1: "#9d6320" },
+  wdsNewColorSecondary50: { mode_1: "#f8ecdd" },
+  wdsNewColorSecondary500: { mode_1: "#593812" },
+  wdsNewColorSecondary600: { mode_1: "#482d0f" },
+  wdsNewColorSecondary700: { mode_1: "#37230b" },
+  wdsNewColorSecondary800: { mode_1: "#221507" },
+  wdsNewColorSecondary900: { mode_1: "#110b03" },
+  wdsNewColorSecondary950: { mode_1: "#080502" },
+  wdsNewColorTertiary100: { mode_1: "#f7f4fb" },
+  wdsNewColorTertiary200: { mode_1: "#efe9f6" },
+  wdsNewColorTertiary300: { mode_1: "#e4dbf0" },
+  wdsNewColorTertiary400: { mode_1: "#dcd0ec" },
+  wdsNewColorTertiary50: { mode_1: "#faf8fc" },
+  wdsNewColorTertiary500: { mode_1: "#d4c5e7" },
+  wdsNewColorTertiary600: { mode_1: "#a788ce" },
+  wdsNewColorTertiary700: { mode_1: "#794bb4" },
+  wdsNewColorTertiary800: { mode_1: "#52337b" },
+  wdsNewColorTertiary900: { mode_1: "#29193d" },
+  wdsNewColorTertiary950: { mode_1: "#130c1d" },
+  wdsNewColorWarning100: { mode_1: "#fff3d1" },
+  wdsNewColorWarning200: { mode_1: "#ffe59e" },
+  wdsNewColorWarning300: { mode_1: "#ffd970" },
+  wdsNewColorWarning400: { mode_1: "#ffcb3d" },
+  wdsNewColorWarning50: { mode_1: "#fff8e5" },
+  wdsNewColorWarning500: { mode_1: "#ffbf0f" },
+  wdsNewColorWarning600: { mode_1: "#d69d00" },
+  wdsNewColorWarning700: { mode_1: "#a37800" },
+  wdsNewColorWarning800: { mode_1: "#6b4f00" },
+  wdsNewColorWarning900: { mode_1: "#382900" },
+  wdsNewColorWarning950: { mode_1: "#1a1300" },
+  wdsResponsiveContentWidth: { desktop: "75rem", mobile: "75rem", tablet: "75rem" },
+  wdsResponsiveDevice: { desktop: "desktop", mobile: "mobile", tablet: "tablet" },
+  wdsResponsiveDeviceWidth: { desktop: "90rem", mobile: "23.4375rem", tablet: "48rem" },
+  wdsResponsiveMarginHorizontal: { desktop: "4rem", mobile: "2rem", tablet: "3rem" },
+  wdsResponsiveMaxDeviceWidth: { desktop: "625rem", mobile: "37.5rem", tablet: "64rem" },
+  wdsResponsiveRootFontSize: { desktop: "1rem", mobile: "0.875rem", tablet: "1rem" },
+  wdsResponsiveScale: { desktop: "0.0625rem", mobile: "0.0625rem", tablet: "0.0625rem" },
+  wdsResponsiveTextWidth: { desktop: "50rem", mobile: "50rem", tablet: "50rem" },
+  wdsSizeBlur100: { default: "0.25rem" },
+  wdsSizeDepth0: { default: "0rem" },
+  wdsSizeDepth025: { default: "0.0625rem" },
+  wdsSizeDepth100: { default: "0.25rem" },
+  wdsSizeDepth1200: { default: "3rem" },
+  wdsSizeDepth200: { default: "0.5rem" },
+  wdsSizeDepth400: { default: "1rem" },
+  wdsSizeDepth800: { default: "2rem" },
+  wdsSizeDepthNegative025: { default: "-0.0625rem" },
+  wdsSizeDepthNegative100: { default: "-0.25rem" },
+  wdsSizeDepthNegative1200: { default: "-3rem" },
+  wdsSizeDepthNegative200: { default: "-0.5rem" },
+  wdsSizeDepthNegative400: { default: "-1rem" },
+  wdsSizeDepthNegative800: { default: "-2rem" },
+  wdsSizeIconLarge: { default: "2.5rem" },
+  wdsSizeIconMedium: { default: "2rem" },
+  wdsSizeIconSmall: { default: "1.5rem" },
+  wdsSizeRadius100: { default: "0.25rem" },
+  wdsSizeRadius200: { default: "0.5rem" },
+  wdsSizeRadius400: { default: "1rem" },
+  wdsSizeRadiusFull: { default: "624.9375rem" },
+  wdsSizeSpace0: { default: "0rem" },
+  wdsSizeSpace050: { default: "0.125rem" },
+  wdsSizeSpace100: { default: "0.25rem" },
+  wdsSizeSpace1200: { default: "3rem" },
+  wdsSizeSpace150: { default: "0.375rem" },
+  wdsSizeSpace1600: { default: "4rem" },
+  wdsSizeSpace16000: { default: "40rem" },
+  wdsSizeSpace200: { default: "0.5rem" },
+  wdsSizeSpace2400: { default: "6rem" },
+  wdsSizeSpace250: { default: "0.625rem" },
+  wdsSizeSpace300: { default: "0.75rem" },
+  wdsSizeSpace400: { default: "1rem" },
+  wdsSizeSpace4000: { default: "10rem" },
+  wdsSizeSpace600: { default: "1.5rem" },
+  wdsSizeSpace800: { default: "2rem" },
+  wdsSizeSpace8000: { default: "20rem" },
+  wdsSizeSpaceNegative100: { default: "-0.25rem" },
+  wdsSizeSpaceNegative200: { default: "-0.5rem" },
+  wdsSizeSpaceNegative300: { default: "-0.75rem" },
+  wdsSizeSpaceNegative400: { default: "-1rem" },
+  wdsSizeSpaceNegative600: { default: "-1.5rem" },
+  wdsSizeStrokeBorder: { default: "0.0625rem" },
+  wdsSizeStrokeFocusRing: { default: "0.125rem" },
+  wdsTypographyBodyFontFamily: { mode_1: "\"inter\", sans-serif" },
+  wdsTypographyBodyFontStyleItalic: { mode_1: "italic" },
+  wdsTypographyBodyFontWeightRegular: { mode_1: "400" },
+  wdsTypographyBodyFontWeightStrong: { mode_1: "600" },
+  wdsTypographyBodySizeLarge: { mode_1: "1.25rem" },
+  wdsTypographyBodySizeMedium: { mode_1: "1rem" },
+  wdsTypographyBodySizeSmall: { mode_1: "0.875rem" },
+  wdsTypographyCodeFontFamily: { mode_1: "\"jetbrains mono\", monospace" },
+  wdsTypographyCodeFontWeight: { mode_1: "400" },
+  wdsTypographyCodeSizeLarge: { mode_1: "1.25rem" },
+  wdsTypographyCodeSizeMedium: { mode_1: "1rem" },
+  wdsTypographyCodeSizeSmall: { mode_1: "0.875rem" },
+  wdsTypographyFamilyMono: { default: "\"jetbrains mono\", monospace" },
+  wdsTypographyFamilySans: { default: "\"inter\", sans-serif" },
+  wdsTypographyFamilySerif: { default: "\"domine\", serif" },
+  wdsTypographyHeadingFontFamily: { mode_1: "\"domine\", serif" },
+  wdsTypographyHeadingFontWeight: { mode_1: "600" },
+  wdsTypographyHeadingSizeLarge: { mode_1: "2rem" },
+  wdsTypographyHeadingSizeMedium: { mode_1: "1.5rem" },
+  wdsTypographyHeadingSizeSmall: { mode_1: "1.25rem" },
+  wdsTypographyScale01: { default: "0.75rem" },
+  wdsTypographyScale02: { default: "0.875rem" },
+  wdsTypographyScale03: { default: "1rem" },
+  wdsTypographyScale04: { default: "1.25rem" },
+  wdsTypographyScale05: { default: "1.5rem" },
+  wdsTypographyScale06: { default: "2rem" },
+  wdsTypographyScale07: { default: "2.5rem" },
+  wdsTypographyScale08: { default: "3rem" },
+  wdsTypographyScale09: { default: "4rem" },
+  wdsTypographyScale10: { default: "4.5rem" },
+  wdsTypographySubheadingFontFamily: { mode_1: "\"domine\", serif" },
+  wdsTypographySubheadingFontWeight: { mode_1: "400" },
+  wdsTypographySubheadingSizeLarge: { mode_1: "1.5rem" },
+  wdsTypographySubheadingSizeMedium: { mode_1: "1.25rem" },
+  wdsTypographySubheadingSizeSmall: { mode_1: "1rem" },
+  wdsTypographySubtitleFontFamily: { mode_1: "\"inter\", sans-serif" },
+  wdsTypographySubtitleFontWeight: { mode_1: "400" },
+  wdsTypographySubtitleSizeLarge: { mode_1: "2.5rem" },
+  wdsTypographySubtitleSizeMedium: { mode_1: "2rem" },
+  wdsTypographySubtitleSizeSmall: { mode_1: "1.5rem" },
+  wdsTypographyTitleHeroFontFamily: { mode_1: "\"domine\", serif" },
+  wdsTypographyTitleHeroFontWeight: { mode_1: "700" },
+  wdsTypographyTitleHeroSize: { mode_1: "4.5rem" },
+  wdsTypographyTitlePageFontFamily: { mode_1: "\"domine\", serif" },
+  wdsTypographyTitlePageFontWeight: { mode_1: "700" },
+  wdsTypographyTitlePageSizeLarge: { mode_1: "4rem" },
+  wdsTypographyTitlePageSizeMedium: { mode_1: "3rem" },
+  wdsTypographyTitlePageSizeSmall: { mode_1: "2.5rem" },
+  wdsTypographyWeightBlack: { default: 900 },
+  wdsTypographyWeightBlackItalic: { default: "900 italic" },
+  wdsTypographyWeightBold: { default: 700 },
+  wdsTypographyWeightBoldItalic: { default: "700 italic" },
+  wdsTypographyWeightExtraBold: { default: 800 },
+  wdsTypographyWeightExtraBoldItalic: { default: "800 italic" },
+  wdsTypographyWeightExtraLight: { default: 200 },
+  wdsTypographyWeightExtralightItalic: { default: "200 italic" },
+  wdsTypographyWeightLight: { default: 300 },
+  wdsTypographyWeightLightItalic: { default: "300 italic" },
+  wdsTypographyWeightMedium: { default: 500 },
+  wdsTypographyWeightMediumItalic: { default: "500 italic" },
+  wdsTypographyWeightRegular: { default: 400 },
+  wdsTypographyWeightRegularItalic: { default: "italic" },
+  wdsTypographyWeightSemibold: { default: 600 },
+  wdsTypographyWeightSemiboldItalic: { default: "600 italic" },
+  wdsTypographyWeightThin: { default: 100 },
+  wdsTypographyWeightThinItalic: { default: "100 italic" },
+};
+
+/**
+ * Min width each breakpoint mode starts at, mobile first. eg. `(min-width: ${breakpoints.tablet})`
+ */
+export const breakpoints = {
+  tablet: "37.5rem",
+  desktop: "64rem",
+} as const;
+
+/**
+ * Breakpoint modes, mobile first
+ */
+export type Breakpoint = "mobile" | "tablet" | "desktop";
+
+/**
+ * Brand names, default first. Each has a `.wds-brand-[brand]` class in theme.css
+ */
+export const brands = ["wds", "b"] as const;
+
+export type Brand = (typeof brands)[number];
+
+/**
+ * Names of the size collection's --wds-size-space-* tokens, eg. "100" for --wds-size-space-100
+ */
+export type SpaceScale = "negative-600" | "negative-400" | "negative-300" | "negative-200" | "negative-100" | "0" | "050" | "100" | "150" | "200" | "250" | "300" | "400" | "600" | "800" | "1200" | "1600" | "2400" | "4000" | "8000" | "16000";
+
+/**
+ * Non-negative steps of the size collection's --wds-size-space-* tokens, eg. "400" for --wds-size-space-400
+ */
+export type LayoutSpaceScale = "0" | "050" | "100" | "150" | "200" | "250" | "300" | "400" | "600" | "800" | "1200" | "1600" | "2400" | "4000" | "8000" | "16000";
+
+/**
+ * Names of the size collection's --wds-size-radius-* tokens, eg. "full" for --wds-size-radius-full
+ */
+export type RadiusScale = "100" | "200" | "400" | "full";
+
+/**
+ * Names of the color collection's --wds-color-* tokens, eg. "text-default-default" for --wds-color-text-default-default
+ */
+export type ColorName = "background-brand-default" | "background-brand-hover" | "background-brand-pressed" | "background-brand-secondary" | "background-brand-secondary-hover" | "background-brand-secondary-pressed" | "background-brand-tertiary" | "background-brand-tertiary-hover" | "background-brand-tertiary-pressed" | "background-danger-default" | "background-danger-hover" | "background-danger-pressed" | "background-danger-secondary" | "background-danger-secondary-hover" | "background-danger-secondary-pressed" | "background-default-default" | "background-default-hover" | "background-default-pressed" | "background-default-secondary" | "background-default-secondary-hover" | "background-default-secondary-pressed" | "background-default-tertiary" | "background-default-tertiary-hover" | "background-default-tertiary-pressed" | "background-disabled-default" | "background-neutral-default" | "background-neutral-hover" | "background-neutral-pressed" | "background-neutral-secondary" | "background-neutral-secondary-hover" | "background-neutral-secondary-pressed" | "background-neutral-tertiary" | "background-neutral-tertiary-hover" | "background-neutral-tertiary-pressed" | "background-positive-default" | "background-positive-hover" | "background-positive-pressed" | "background-positive-secondary" | "background-positive-secondary-hover" | "background-positive-secondary-pressed" | "background-utilities-blanket" | "background-utilities-measurement" | "background-utilities-overlay" | "background-utilities-scrim" | "background-warning-default" | "background-warning-hover" | "background-warning-pressed" | "background-warning-secondary" | "background-warning-secondary-hover" | "background-warning-secondary-pressed" | "border-brand-default" | "border-brand-secondary" | "border-brand-tertiary" | "border-danger-default" | "border-danger-secondary" | "border-default-default" | "border-default-secondary" | "border-default-tertiary" | "border-disabled-default" | "border-neutral-default" | "border-neutral-secondary" | "border-neutral-tertiary" | "border-positive-default" | "border-positive-secondary" | "border-utilities-measurement" | "border-utilities-swatch" | "border-warning-default" | "border-warning-secondary" | "icon-brand-default" | "icon-brand-on-brand" | "icon-brand-on-brand-secondary" | "icon-brand-on-brand-tertiary" | "icon-brand-secondary" | "icon-brand-tertiary" | "icon-danger-default" | "icon-danger-on-danger" | "icon-danger-on-danger-secondary" | "icon-danger-secondary" | "icon-default-default" | "icon-default-secondary" | "icon-default-tertiary" | "icon-disabled-default" | "icon-disabled-on-disabled" | "icon-neutral-default" | "icon-neutral-on-neutral" | "icon-neutral-on-neutral-secondary" | "icon-neutral-on-neutral-tertiary" | "icon-neutral-secondary" | "icon-neutral-tertiary" | "icon-positive-default" | "icon-positive-on-positive" | "icon-positive-on-positive-secondary" | "icon-positive-secondary" | "icon-utilities-icon" | "icon-utilities-icon-on-measurement" | "icon-warning-default" | "icon-warning-on-warning" | "icon-warning-on-warning-secondary" | "icon-warning-secondary" | "text-brand-default" | "text-brand-on-brand" | "text-brand-on-brand-secondary" | "text-brand-on-brand-tertiary" | "text-brand-secondary" | "text-brand-tertiary" | "text-danger-default" | "text-danger-on-danger" | "text-danger-on-danger-secondary" | "text-danger-secondary" | "text-default-default" | "text-default-secondary" | "text-default-tertiary" | "text-disabled-default" | "text-disabled-on-disabled" | "text-neutral-default" | "text-neutral-on-neutral" | "text-neutral-on-neutral-secondary" | "text-neutral-on-neutral-tertiary" | "text-neutral-secondary" | "text-neutral-tertiary" | "text-positive-default" | "text-positive-on-positive" | "text-positive-on-positive-secondary" | "text-positive-secondary" | "text-utilities-text-on-measurement" | "text-utilities-text-on-overlay" | "text-warning-default" | "text-warning-on-warning" | "text-warning-on-warning-secondary" | "text-warning-secondary";
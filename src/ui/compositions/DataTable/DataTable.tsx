@@ -0,0 +1,320 @@
+import clsx from "clsx";
+import {
+  Button,
+  ButtonGroup,
+  Notification,
+  Pagination,
+  Table,
+  TableBody,
+  TableCell,
+  TableColumn,
+  TableHead,
+  TableRow,
+  Text,
+  type TableCellProps,
+  type TableProps,
+} from "primitives";
+import {
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+  type CSSProperties,
+  type ReactNode,
+} from "react";
+import type { Key, Selection, SortDescriptor } from "react-aria-components";
+import "./dataTable.css";
+
+type DataTableValue = string | number | boolean | Date | null | undefined;
+
+export type DataTableColumn<T> = {
+  id: string;
+  header: ReactNode;
+  /**
+   * The value that's sorted, filtered and shown by default. A key of the row, or a function of it.
+   */
+  accessor?: keyof T | ((row: T) => DataTableValue);
+  /**
+   * Renders the cell. Without it, the cell is the accessor's value.
+   */
+  cell?: (row: T) => ReactNode;
+  align?: TableCellProps["align"];
+  sortable?: boolean;
+  /**
+   * CSS width of the column, eg. 120 or "20%"
+   */
+  width?: CSSProperties["width"];
+  isRowHeader?: boolean;
+};
+
+export type DataTableQuery = {
+  sortDescriptor?: SortDescriptor;
+  page: number;
+  pageSize: number;
+  filterText: string;
+};
+
+export type DataTableProps<T extends object> = Omit<
+  TableProps,
+  | "children"
+  | "sortDescriptor"
+  | "onSortChange"
+  | "selectedKeys"
+  | "defaultSelectedKeys"
+  | "onSelectionChange"
+  | "selectionBehavior"
+> & {
+  columns: DataTableColumn<T>[];
+  /**
+   * Every row, or in server mode (with `totalRows`) the rows of the current page in order.
+   */
+  rows: T[];
+  /**
+   * Defaults to the row's `id`
+   */
+  getRowId?: (row: T) => Key;
+  pageSize?: number;
+  defaultSortDescriptor?: SortDescriptor;
+  /**
+   * Shows rows with an accessor value containing the text, ignoring case. The page returns to 1 when it changes.
+   */
+  filterText?: string;
+  onSelectionChange?: (keys: Set<Key>) => void;
+  /**
+   * Actions for the selected rows, shown in a bar above the table while any are selected
+   */
+  bulkActions?: (keys: Set<Key>, clearSelection: () => void) => ReactNode;
+  /**
+   * Shows a page of skeleton rows instead of the rows
+   */
+  isLoading?: boolean;
+  /**
+   * Shown as an alert instead of the rows
+   */
+  error?: ReactNode;
+  /**
+   * Shown when there are no rows. Defaults to "No results".
+   */
+  emptyState?: ReactNode;
+  /**
+   * Rows on the server. With it, the table doesn't sort, filter or page `rows`, and the query is loaded with onQueryChange.
+   */
+  totalRows?: number;
+  /**
+   * Called with the initial query, and whenever the sort, page or filter changes
+   */
+  onQueryChange?: (query: DataTableQuery) => void;
+};
+/**
+ * Table of rows with column definitions, managing sorting, pagination, selection, and loading, empty and error states.
+ * Keywords: data grid, list, records
+ */
+export function DataTable<T extends object>({
+  columns,
+  rows,
+  getRowId = (row) => (row as { id: Key }).id,
+  pageSize = 10,
+  defaultSortDescriptor,
+  filterText = "",
+  selectionMode = "none",
+  onSelectionChange,
+  bulkActions,
+  isLoading = false,
+  error,
+  emptyState = "No results",
+  totalRows,
+  onQueryChange,
+  className,
+  ...props
+}: DataTableProps<T>) {
+  const isServer = totalRows !== undefined;
+  const [sortDescriptor, setSortDescriptor] = useState(defaultSortDescriptor);
+  const [page, setPage] = useState(1);
+  const [selectedKeys, setSelectedKeys] = useState<Set<Key>>(new Set());
+  // Return to the first page when the filter changes, while rendering so the old page isn't queried
+  const [pageFilterText, setPageFilterText] = useState(filterText);
+  if (pageFilterText !== filterText) {
+    setPageFilterText(filterText);
+    setPage(1);
+  }
+
+  const filteredRows = useMemo(() => {
+    if (isServer || !filterText) return rows;
+    const text = filterText.toLocaleLowerCase();
+    return rows.filter((row) =>
+      columns.some((column) =>
+        displayValue(valueOf(row, column)).toLocaleLowerCase().includes(text),
+      ),
+    );
+  }, [isServer, rows, columns, filterText]);
+  const sortedRows = useMemo(() => {
+    const column = columns.find(({ id }) => id === sortDescriptor?.column);
+    if (isServer || !column) return filteredRows;
+    const direction = sortDescriptor?.direction === "descending" ? -1 : 1;
+    // Empty values sort last in either direction
+    return [...filteredRows].sort((a, b) => {
+      const [valueA, valueB] = [valueOf(a, column), valueOf(b, column)];
+      if (isEmpty(valueA) || isEmpty(valueB))
+        return Number(isEmpty(valueA)) - Number(isEmpty(valueB));
+      return compareValues(valueA, valueB) * direction;
+    });
+  }, [isServer, filteredRows, columns, sortDescriptor]);
+
+  const total = isServer ? totalRows : sortedRows.length;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const current = Math.min(page, pageCount);
+  const pageRows = isServer
+    ? rows
+    : sortedRows.slice((current - 1) * pageSize, current * pageSize);
+
+  const onQueryChangeRef = useRef(onQueryChange);
+  onQueryChangeRef.current = onQueryChange;
+  useEffect(() => {
+    onQueryChangeRef.current?.({
+      sortDescriptor,
+      page: current,
+      pageSize,
+      filterText,
+    });
+  }, [sortDescriptor, current, pageSize, filterText]);
+
+  const updateSelection = (keys: Set<Key>) => {
+    setSelectedKeys(keys);
+    onSelectionChange?.(keys);
+  };
+  const clearSelection = () => updateSelection(new Set());
+
+  const skeletonRows = Array.from({ length: pageSize }, (_, i) => ({
+    id: `skeleton-${i}`,
+  }));
+  // Skeleton rows have no row
+  const items: Array<{ id: Key; row?: T }> = isLoading
+    ? skeletonRows
+    : error
+      ? []
+      : pageRows.map((row) => ({ id: getRowId(row), row }));
+
+  return (
+    <div className={clsx(className, "data-table")} aria-busy={isLoading}>
+      {selectionMode !== "none" && bulkActions && selectedKeys.size > 0 && (
+        <div className="data-table-bulk-actions">
+          <Text>{selectedKeys.size} selected</Text>
+          <ButtonGroup>
+            {bulkActions(selectedKeys, clearSelection)}
+            <Button variant="subtle" onPress={clearSelection}>
+              Clear selection
+            </Button>
+          </ButtonGroup>
+        </div>
+      )}
+      <Table
+        {...props}
+        selectionMode={selectionMode}
+        selectionBehavior="toggle"
+        selectedKeys={selectedKeys}
+        onSelectionChange={(keys: Selection) => {
+          // The table only has this page's rows. Its selection replaces theirs and keeps rows selected on other pages, for select all and deselect all alike.
+          const pageKeys = new Set(pageRows.map(getRowId));
+          updateSelection(
+            new Set([
+              ...[...selectedKeys].filter((key) => !pageKeys.has(key)),
+              ...(keys === "all"
+                ? pageKeys
+                : [...keys].filter((key) => pageKeys.has(key))),
+            ]),
+          );
+        }}
+        disabledKeys={
+          isLoading ? skeletonRows.map(({ id }) => id) : props.disabledKeys
+        }
+        sortDescriptor={sortDescriptor}
+        onSortChange={(descriptor) => {
+          setSortDescriptor(descriptor);
+          setPage(1);
+        }}
+      >
+        <TableHead columns={columns}>
+          {(column) => (
+            <TableColumn
+              isRowHeader={column.isRowHeader}
+              allowsSorting={column.sortable}
+              align={column.align}
+              style={{ width: column.width }}
+            >
+              {column.header}
+            </TableColumn>
+          )}
+        </TableHead>
+        <TableBody
+          items={items}
+          dependencies={[columns, isLoading]}
+          renderEmptyState={() => (
+            <div className="data-table-state">
+              {error ? (
+                <Notification variant="alert">{error}</Notification>
+              ) : (
+                <Text>{emptyState}</Text>
+              )}
+            </div>
+          )}
+        >
+          {(item) => (
+            <TableRow columns={columns}>
+              {(column) => (
+                <TableCell align={column.align}>
+                  {item.row ? (
+                    column.cell ? (
+                      column.cell(item.row)
+                    ) : (
+                      displayValue(valueOf(item.row, column))
+                    )
+                  ) : (
+                    <span aria-hidden="true" className="data-table-skeleton" />
+                  )}
+                </TableCell>
+              )}
+            </TableRow>
+          )}
+        </TableBody>
+      </Table>
+      {total > pageSize && (
+        <Pagination
+          aria-label="Table pages"
+          page={current}
+          total={total}
+          pageSize={pageSize}
+          onPageChange={setPage}
+        />
+      )}
+    </div>
+  );
+}
+
+function valueOf<T>(row: T, { accessor }: DataTableColumn<T>): DataTableValue {
+  if (accessor === undefined) return undefined;
+  return typeof accessor === "function"
+    ? accessor(row)
+    : (row[accessor] as DataTableValue);
+}
+
+function displayValue(value: DataTableValue): string {
+  if (value === null || value === undefined) return "";
+  return value instanceof Date ? value.toLocaleDateString() : String(value);
+}
+
+function isEmpty(value: DataTableValue): boolean {
+  return value === null || value === undefined || value === "";
+}
+
+const collator = new Intl.Collator(undefined, { numeric: true });
+/**
+ * Numbers and dates by value, everything else as text. Empty values are left to the caller.
+ */
+function compareValues(a: DataTableValue, b: DataTableValue): number {
+  if (
+    (typeof a === "number" || a instanceof Date) &&
+    (typeof b === "number" || b instanceof Date)
+  )
+    return Number(a) - Number(b);
+  return collator.compare(displayValue(a), displayValue(b));
+}
@@ -1,4 +1,5 @@
 export * from "./Cards/Cards";
+export * from "./DataTable/DataTable";
 export * from "./Footers/Footers";
 export * from "./Forms/Forms";
 export * from "./Headers/Headers";
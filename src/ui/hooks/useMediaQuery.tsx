@@ -1,10 +1,5 @@
 import { useMemo, useSyncExternalStore } from "react";
-
-const breakpoints = {
-  mobile: 375,
-  tablet: 600,
-  desktop: 1024,
-};
+import { breakpoints } from "../../tokens";
 
 export function useCustomMediaQuery(mediaQuery: string): boolean {
   const [subscribe, getSnapshot] = useMemo(() => {
@@ -23,22 +18,18 @@ export function useCustomMediaQuery(mediaQuery: string): boolean {
   return useSyncExternalStore(subscribe, getSnapshot);
 }
 
+// Up to just below a breakpoint, so the range doesn't overlap the min-width query starting at it
+const maxWidthBelow = (breakpoint: string) =>
+  `(max-width: calc(${breakpoint} - 0.02px))`;
+
 export const useMediaQuery = () => {
-  const isMobile = useCustomMediaQuery(
-    `(max-width: ${breakpoints.tablet - 1}px)`,
-  );
+  const isMobile = useCustomMediaQuery(maxWidthBelow(breakpoints.tablet));
   const isTablet = useCustomMediaQuery(
-    `(min-width: ${breakpoints.tablet}px) and (max-width: ${breakpoints.desktop - 1}px)`,
-  );
-  const isDesktop = useCustomMediaQuery(
-    `(min-width: ${breakpoints.desktop}px)`,
-  );
-  const isTabletUp = useCustomMediaQuery(
-    `(min-width: ${breakpoints.tablet}px)`,
-  );
-  const isTabletDown = useCustomMediaQuery(
-    `(max-width: ${breakpoints.desktop - 1}px)`,
+    `(min-width: ${breakpoints.tablet}) and ${maxWidthBelow(breakpoints.desktop)}`,
   );
+  const isDesktop = useCustomMediaQuery(`(min-width: ${breakpoints.desktop})`);
+  const isTabletUp = useCustomMediaQuery(`(min-width: ${breakpoints.tablet})`);
+  const isTabletDown = useCustomMediaQuery(maxWidthBelow(breakpoints.desktop));
 
   const matches = useMemo(() => {
     return {
@@ -0,0 +1,63 @@
+import { useCallback, useSyncExternalStore, type RefObject } from "react";
+import { breakpoints, tokens, tokenValues, type TokenName } from "../../tokens";
+
+// Root attributes the theme is applied with, by themeService in src/data/services
+const THEME_ATTRIBUTES = ["class", "data-theme"];
+// Queries that switch color scheme and breakpoint modes in theme.css
+const THEME_QUERIES = [
+  "(prefers-color-scheme: dark)",
+  ...Object.values(breakpoints).map((minWidth) => `(min-width: ${minWidth})`),
+];
+
+/**
+ * The custom property of a token, eg. "wdsSizeSpace100" => "--wds-size-space-100"
+ */
+export function tokenProperty(name: TokenName): string {
+  return tokens[name].replace(/^var\((.+)\)$/, "$1");
+}
+
+/**
+ * A token's resolved value in the active theme: the brand, color scheme and breakpoint mode that apply.
+ * Updates when the theme, color scheme or viewport breakpoint changes. eg. `useToken("wdsColorTextBrandDefault")` => "#466237"
+ * Pass a ref to read the value where a brand class on an ancestor applies, otherwise it's read from the root.
+ * Without a DOM (eg. server rendering), it's the value in the token's default mode.
+ */
+export function useToken(
+  name: TokenName,
+  ref?: RefObject<Element | null>,
+): string {
+  const getSnapshot = useCallback(() => {
+    const element = ref?.current || document.documentElement;
+    return (
+      getComputedStyle(element).getPropertyValue(tokenProperty(name)).trim() ||
+      defaultValue(name)
+    );
+  }, [name, ref]);
+  const getServerSnapshot = useCallback(() => defaultValue(name), [name]);
+
+  return useSyncExternalStore(subscribeToTheme, getSnapshot, getServerSnapshot);
+}
+
+function subscribeToTheme(onStoreChange: () => void) {
+  const observer = new MutationObserver(onStoreChange);
+  observer.observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: THEME_ATTRIBUTES,
+  });
+  const mediaQueryLists = THEME_QUERIES.map((query) =>
+    globalThis.matchMedia(query),
+  );
+  mediaQueryLists.forEach((mediaQueryList) =>
+    mediaQueryList.addEventListener("change", onStoreChange),
+  );
+  return () => {
+    observer.disconnect();
+    mediaQueryLists.forEach((mediaQueryList) =>
+      mediaQueryList.removeEventListener("change", onStoreChange),
+    );
+  };
+}
+
+function defaultValue(name: TokenName): string {
+  return String(Object.values(tokenValues[name])[0] ?? "");
+}
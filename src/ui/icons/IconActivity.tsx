@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconActivity = (props: IconProps) => (
-  <Icon {...props}><path d="M14.6666 8H12L9.99998 14L5.99998 2L3.99998 8H1.33331" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14.667 8H12L10 14L6 2L4 8H1.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
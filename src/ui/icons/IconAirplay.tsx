@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAirplay = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33331 11.3333H2.66665C2.31302 11.3333 1.97389 11.1929 1.72384 10.9428C1.47379 10.6928 1.33331 10.3536 1.33331 10V3.33333C1.33331 2.97971 1.47379 2.64057 1.72384 2.39052C1.97389 2.14048 2.31302 2 2.66665 2H13.3333C13.6869 2 14.0261 2.14048 14.2761 2.39052C14.5262 2.64057 14.6666 2.97971 14.6666 3.33333V10C14.6666 10.3536 14.5262 10.6928 14.2761 10.9428C14.0261 11.1929 13.6869 11.3333 13.3333 11.3333H12.6666M7.99998 10L11.3333 14H4.66665L7.99998 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 11.333H2.667C2.313 11.333 1.974 11.193 1.724 10.943C1.474 10.693 1.333 10.354 1.333 10V3.333C1.333 2.98 1.474 2.641 1.724 2.391C1.974 2.14 2.313 2 2.667 2H13.333C13.687 2 14.026 2.14 14.276 2.391C14.526 2.641 14.667 2.98 14.667 3.333V10C14.667 10.354 14.526 10.693 14.276 10.943C14.026 11.193 13.687 11.333 13.333 11.333H12.667M8 10L11.333 14H4.667L8 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAlertOctagon = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15557)"><path d="M8.00004 5.33325V7.99992M8.00004 10.6666H8.00671M5.24004 1.33325H10.76L14.6667 5.23992V10.7599L10.76 14.6666H5.24004L1.33337 10.7599V5.23992L5.24004 1.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15557"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 5.333V8M8 10.667H8.007M5.24 1.333H10.76L14.667 5.24V10.76L10.76 14.667H5.24L1.333 10.76V5.24L5.24 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAlignCenter = (props: IconProps) => (
-  <Icon {...props}><path d="M12 6.66667H4M14 4H2M14 9.33333H2M12 12H4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12 6.667H4M14 4H2M14 9.333H2M12 12H4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
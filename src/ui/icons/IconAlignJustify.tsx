@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAlignJustify = (props: IconProps) => (
-  <Icon {...props}><path d="M14 6.66667H2M14 4H2M14 9.33333H2M14 12H2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 6.667H2M14 4H2M14 9.333H2M14 12H2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
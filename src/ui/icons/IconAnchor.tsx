@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAnchor = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15569)"><path d="M8.00001 5.33325C9.10458 5.33325 10 4.43782 10 3.33325C10 2.22868 9.10458 1.33325 8.00001 1.33325C6.89544 1.33325 6.00001 2.22868 6.00001 3.33325C6.00001 4.43782 6.89544 5.33325 8.00001 5.33325ZM8.00001 5.33325V14.6666M8.00001 14.6666C6.2319 14.6666 4.53621 13.9642 3.28596 12.714C2.03572 11.4637 1.33334 9.76803 1.33334 7.99992H3.33334M8.00001 14.6666C9.76812 14.6666 11.4638 13.9642 12.7141 12.714C13.9643 11.4637 14.6667 9.76803 14.6667 7.99992H12.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15569"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 5.333C9.105 5.333 10 4.438 10 3.333C10 2.229 9.105 1.333 8 1.333C6.895 1.333 6 2.229 6 3.333C6 4.438 6.895 5.333 8 5.333ZM8 5.333V14.667M8 14.667C6.232 14.667 4.536 13.964 3.286 12.714C2.036 11.464 1.333 9.768 1.333 8H3.333M8 14.667C9.768 14.667 11.464 13.964 12.714 12.714C13.964 11.464 14.667 9.768 14.667 8H12.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
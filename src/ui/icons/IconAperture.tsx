@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAperture = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15571)"><path d="M9.53998 5.33325L13.3666 11.9599M6.45998 5.33325H14.1133M4.91998 7.99992L8.74665 1.37325M6.45998 10.6666L2.63331 4.03992M9.53998 10.6666H1.88665M11.08 7.99992L7.25331 14.6266M14.6666 7.99992C14.6666 11.6818 11.6819 14.6666 7.99998 14.6666C4.31808 14.6666 1.33331 11.6818 1.33331 7.99992C1.33331 4.31802 4.31808 1.33325 7.99998 1.33325C11.6819 1.33325 14.6666 4.31802 14.6666 7.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15571"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M9.54 5.333L13.367 11.96M6.46 5.333H14.113M4.92 8L8.747 1.373M6.46 10.667L2.633 4.04M9.54 10.667H1.887M11.08 8L7.253 14.627M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArchive = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15573)"><path d="M14 5.33333V14H1.99996V5.33333M6.66663 8H9.33329M0.666626 2H15.3333V5.33333H0.666626V2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15573"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14 5.333V14H2V5.333M6.667 8H9.333M0.667 2H15.333V5.333H0.667V2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowDown = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99992 3.33325V12.6666M7.99992 12.6666L12.6666 7.99992M7.99992 12.6666L3.33325 7.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 3.333V12.667M8 12.667L12.667 8M8 12.667L3.333 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
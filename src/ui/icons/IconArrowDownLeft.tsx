@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowDownLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M11.3334 4.66675L4.66675 11.3334M4.66675 11.3334H11.3334M4.66675 11.3334V4.66675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M11.333 4.667L4.667 11.333M4.667 11.333H11.333M4.667 11.333V4.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
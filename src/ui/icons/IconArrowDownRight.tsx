@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowDownRight = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66675 4.66675L11.3334 11.3334M11.3334 11.3334V4.66675M11.3334 11.3334H4.66675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 4.667L11.333 11.333M11.333 11.333V4.667M11.333 11.333H4.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
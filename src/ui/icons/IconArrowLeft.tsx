@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M12.6668 7.99992H3.3335M3.3335 7.99992L8.00016 12.6666M3.3335 7.99992L8.00016 3.33325" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.667 8H3.333M3.333 8L8 12.667M3.333 8L8 3.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowLeftCircle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15583)"><path d="M8.00016 5.33325L5.3335 7.99992M5.3335 7.99992L8.00016 10.6666M5.3335 7.99992H10.6668M14.6668 7.99992C14.6668 11.6818 11.6821 14.6666 8.00016 14.6666C4.31826 14.6666 1.3335 11.6818 1.3335 7.99992C1.3335 4.31802 4.31826 1.33325 8.00016 1.33325C11.6821 1.33325 14.6668 4.31802 14.6668 7.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15583"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 5.333L5.333 8M5.333 8L8 10.667M5.333 8H10.667M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowRight = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33331 7.99992H12.6666M12.6666 7.99992L7.99998 3.33325M12.6666 7.99992L7.99998 12.6666" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 8H12.667M12.667 8L8 3.333M12.667 8L8 12.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
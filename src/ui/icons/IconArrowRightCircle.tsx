@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowRightCircle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15587)"><path d="M8.00001 10.6666L10.6667 7.99992M10.6667 7.99992L8.00001 5.33325M10.6667 7.99992H5.33334M14.6667 7.99992C14.6667 11.6818 11.6819 14.6666 8.00001 14.6666C4.31811 14.6666 1.33334 11.6818 1.33334 7.99992C1.33334 4.31802 4.31811 1.33325 8.00001 1.33325C11.6819 1.33325 14.6667 4.31802 14.6667 7.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15587"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 10.667L10.667 8M10.667 8L8 5.333M10.667 8H5.333M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowUp = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99992 12.6666V3.33325M7.99992 3.33325L3.33325 7.99992M7.99992 3.33325L12.6666 7.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 12.667V3.333M8 3.333L3.333 8M8 3.333L12.667 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowUpCircle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15591)"><path d="M10.6667 7.99992L8.00004 5.33325M8.00004 5.33325L5.33337 7.99992M8.00004 5.33325V10.6666M14.6667 7.99992C14.6667 11.6818 11.6819 14.6666 8.00004 14.6666C4.31814 14.6666 1.33337 11.6818 1.33337 7.99992C1.33337 4.31802 4.31814 1.33325 8.00004 1.33325C11.6819 1.33325 14.6667 4.31802 14.6667 7.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15591"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 8L8 5.333M8 5.333L5.333 8M8 5.333V10.667M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
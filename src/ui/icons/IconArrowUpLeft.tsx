@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowUpLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M11.3333 11.3334L4.66663 4.66675M4.66663 4.66675V11.3334M4.66663 4.66675H11.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M11.333 11.333L4.667 4.667M4.667 4.667V11.333M4.667 4.667H11.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconArrowUpRight = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66675 11.3334L11.3334 4.66675M11.3334 4.66675H4.66675M11.3334 4.66675V11.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 11.333L11.333 4.667M11.333 4.667H4.667M11.333 4.667V11.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
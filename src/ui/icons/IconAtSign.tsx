@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAtSign = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15599)"><path d="M10.6666 5.33333V8.66666C10.6666 9.19709 10.8773 9.7058 11.2524 10.0809C11.6275 10.4559 12.1362 10.6667 12.6666 10.6667C13.197 10.6667 13.7057 10.4559 14.0808 10.0809C14.4559 9.7058 14.6666 9.19709 14.6666 8.66666V7.99999C14.6665 6.49535 14.1574 5.03498 13.2221 3.85635C12.2868 2.67772 10.9803 1.85014 9.51502 1.50819C8.04974 1.16624 6.51188 1.33002 5.15149 1.9729C3.7911 2.61579 2.68819 3.69996 2.0221 5.04914C1.356 6.39832 1.1659 7.93315 1.4827 9.40407C1.7995 10.875 2.60458 12.1955 3.76701 13.1508C4.92945 14.1062 6.38088 14.6402 7.8853 14.6661C9.38973 14.692 10.8587 14.2082 12.0533 13.2933M10.6666 7.99999C10.6666 9.47275 9.47269 10.6667 7.99993 10.6667C6.52717 10.6667 5.33326 9.47275 5.33326 7.99999C5.33326 6.52723 6.52717 5.33333 7.99993 5.33333C9.47269 5.33333 10.6666 6.52723 10.6666 7.99999Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15599"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 5.333V8.667C10.667 9.197 10.877 9.706 11.252 10.081C11.627 10.456 12.136 10.667 12.667 10.667C13.197 10.667 13.706 10.456 14.081 10.081C14.456 9.706 14.667 9.197 14.667 8.667V8C14.666 6.495 14.157 5.035 13.222 3.856C12.287 2.678 10.98 1.85 9.515 1.508C8.05 1.166 6.512 1.33 5.151 1.973C3.791 2.616 2.688 3.7 2.022 5.049C1.356 6.398 1.166 7.933 1.483 9.404C1.8 10.875 2.605 12.195 3.767 13.151C4.929 14.106 6.381 14.64 7.885 14.666C9.39 14.692 10.859 14.208 12.053 13.293M10.667 8C10.667 9.473 9.473 10.667 8 10.667C6.527 10.667 5.333 9.473 5.333 8C5.333 6.527 6.527 5.333 8 5.333C9.473 5.333 10.667 6.527 10.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
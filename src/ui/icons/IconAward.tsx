@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconAward = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15601)"><path d="M5.4735 9.26008L4.66683 15.3334L8.00016 13.3334L11.3335 15.3334L10.5268 9.25341M12.6668 5.33341C12.6668 7.91074 10.5775 10.0001 8.00016 10.0001C5.42283 10.0001 3.3335 7.91074 3.3335 5.33341C3.3335 2.75609 5.42283 0.666748 8.00016 0.666748C10.5775 0.666748 12.6668 2.75609 12.6668 5.33341Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15601"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.473 9.26L4.667 15.333L8 13.333L11.334 15.333L10.527 9.253M12.667 5.333C12.667 7.911 10.578 10 8 10C5.423 10 3.333 7.911 3.333 5.333C3.333 2.756 5.423 0.667 8 0.667C10.578 0.667 12.667 2.756 12.667 5.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
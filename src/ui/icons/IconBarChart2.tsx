@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBarChart2 = (props: IconProps) => (
-  <Icon {...props}><path d="M12 13.3334V6.66675M8 13.3334V2.66675M4 13.3334V9.33342" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12 13.333V6.667M8 13.333V2.667M4 13.333V9.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBattery = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15609)"><path d="M15.3333 8.66667V7.33333M1.99996 4H11.3333C12.0697 4 12.6666 4.59695 12.6666 5.33333V10.6667C12.6666 11.403 12.0697 12 11.3333 12H1.99996C1.26358 12 0.666626 11.403 0.666626 10.6667V5.33333C0.666626 4.59695 1.26358 4 1.99996 4Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15609"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 8.667V7.333M2 4H11.333C12.07 4 12.667 4.597 12.667 5.333V10.667C12.667 11.403 12.07 12 11.333 12H2C1.264 12 0.667 11.403 0.667 10.667V5.333C0.667 4.597 1.264 4 2 4Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBatteryCharging = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15607)"><path d="M3.33335 12H2.00002C1.6464 12 1.30726 11.8595 1.05721 11.6095C0.807163 11.3594 0.666687 11.0203 0.666687 10.6667V5.33333C0.666687 4.97971 0.807163 4.64057 1.05721 4.39052C1.30726 4.14048 1.6464 4 2.00002 4H4.12669M10 4H11.3334C11.687 4 12.0261 4.14048 12.2762 4.39052C12.5262 4.64057 12.6667 4.97971 12.6667 5.33333V10.6667C12.6667 11.0203 12.5262 11.3594 12.2762 11.6095C12.0261 11.8595 11.687 12 11.3334 12H9.20669M15.3334 8.66667V7.33333M7.33335 4L4.66669 8H8.66669L6.00002 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15607"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.333 12H2C1.646 12 1.307 11.86 1.057 11.61C0.807 11.359 0.667 11.02 0.667 10.667V5.333C0.667 4.98 0.807 4.641 1.057 4.391C1.307 4.14 1.646 4 2 4H4.127M10 4H11.333C11.687 4 12.026 4.14 12.276 4.391C12.526 4.641 12.667 4.98 12.667 5.333V10.667C12.667 11.02 12.526 11.359 12.276 11.61C12.026 11.86 11.687 12 11.333 12H9.207M15.333 8.667V7.333M7.333 4L4.667 8H8.667L6 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
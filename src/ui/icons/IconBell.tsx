@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBell = (props: IconProps) => (
-  <Icon {...props}><path d="M9.15333 13.9999C9.03613 14.202 8.86789 14.3697 8.66548 14.4863C8.46307 14.6029 8.23359 14.6642 8 14.6642C7.76641 14.6642 7.53693 14.6029 7.33452 14.4863C7.1321 14.3697 6.96387 14.202 6.84667 13.9999M12 5.33325C12 4.27239 11.5786 3.25497 10.8284 2.50482C10.0783 1.75468 9.06087 1.33325 8 1.33325C6.93913 1.33325 5.92172 1.75468 5.17157 2.50482C4.42143 3.25497 4 4.27239 4 5.33325C4 9.99992 2 11.3333 2 11.3333H14C14 11.3333 12 9.99992 12 5.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M9.153 14C9.036 14.202 8.868 14.37 8.665 14.486C8.463 14.603 8.234 14.664 8 14.664C7.766 14.664 7.537 14.603 7.335 14.486C7.132 14.37 6.964 14.202 6.847 14M12 5.333C12 4.272 11.579 3.255 10.828 2.505C10.078 1.755 9.061 1.333 8 1.333C6.939 1.333 5.922 1.755 5.172 2.505C4.421 3.255 4 4.272 4 5.333C4 10 2 11.333 2 11.333H14C14 11.333 12 10 12 5.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
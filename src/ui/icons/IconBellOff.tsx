@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBellOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15611)"><path d="M9.15329 14.0001C9.03609 14.2021 8.86785 14.3698 8.66544 14.4864C8.46303 14.603 8.23355 14.6644 7.99996 14.6644C7.76637 14.6644 7.53689 14.603 7.33448 14.4864C7.13206 14.3698 6.96383 14.2021 6.84663 14.0001M12.42 8.66675C12.1234 7.58102 11.982 6.45878 12 5.33341C12.001 4.60879 11.8052 3.89748 11.4335 3.27548C11.0618 2.65347 10.5281 2.14412 9.88937 1.80184C9.25068 1.45956 8.53101 1.29721 7.80723 1.33213C7.08344 1.36704 6.38274 1.59791 5.77996 2.00008M4.17329 4.17342C4.05747 4.54916 3.99903 4.94023 3.99996 5.33341C3.99996 10.0001 1.99996 11.3334 1.99996 11.3334H11.3333M0.666626 0.666748L15.3333 15.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15611"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M9.153 14C9.036 14.202 8.868 14.37 8.665 14.486C8.463 14.603 8.234 14.664 8 14.664C7.766 14.664 7.537 14.603 7.334 14.486C7.132 14.37 6.964 14.202 6.847 14M12.42 8.667C12.123 7.581 11.982 6.459 12 5.333C12.001 4.609 11.805 3.897 11.434 3.275C11.062 2.653 10.528 2.144 9.889 1.802C9.251 1.46 8.531 1.297 7.807 1.332C7.083 1.367 6.383 1.598 5.78 2M4.173 4.173C4.057 4.549 3.999 4.94 4 5.333C4 10 2 11.333 2 11.333H11.333M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
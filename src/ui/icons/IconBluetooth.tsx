@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBluetooth = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15615)"><path d="M4.33325 4.33341L11.6666 11.6667L7.99992 15.3334V0.666748L11.6666 4.33341L4.33325 11.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15615"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4.333 4.333L11.667 11.667L8 15.333V0.667L11.667 4.333L4.333 11.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBold = (props: IconProps) => (
-  <Icon {...props}><path d="M4 8.00008H9.33333C10.0406 8.00008 10.7189 7.71913 11.219 7.21903C11.719 6.71894 12 6.04066 12 5.33341C12 4.62617 11.719 3.94789 11.219 3.4478C10.7189 2.9477 10.0406 2.66675 9.33333 2.66675H4V8.00008ZM4 8.00008H10C10.7072 8.00008 11.3855 8.28103 11.8856 8.78113C12.3857 9.28123 12.6667 9.9595 12.6667 10.6667C12.6667 11.374 12.3857 12.0523 11.8856 12.5524C11.3855 13.0525 10.7072 13.3334 10 13.3334H4V8.00008Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4 8H9.333C10.041 8 10.719 7.719 11.219 7.219C11.719 6.719 12 6.041 12 5.333C12 4.626 11.719 3.948 11.219 3.448C10.719 2.948 10.041 2.667 9.333 2.667H4V8ZM4 8H10C10.707 8 11.386 8.281 11.886 8.781C12.386 9.281 12.667 9.96 12.667 10.667C12.667 11.374 12.386 12.052 11.886 12.552C11.386 13.053 10.707 13.333 10 13.333H4V8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBook = (props: IconProps) => (
-  <Icon {...props}><path d="M2.6665 12.9999C2.6665 12.5579 2.8421 12.134 3.15466 11.8214C3.46722 11.5088 3.89114 11.3333 4.33317 11.3333H13.3332M2.6665 12.9999C2.6665 13.4419 2.8421 13.8659 3.15466 14.1784C3.46722 14.491 3.89114 14.6666 4.33317 14.6666H13.3332V1.33325H4.33317C3.89114 1.33325 3.46722 1.50885 3.15466 1.82141C2.8421 2.13397 2.6665 2.55789 2.6665 2.99992V12.9999Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 13C2.667 12.558 2.842 12.134 3.155 11.821C3.467 11.509 3.891 11.333 4.333 11.333H13.333M2.667 13C2.667 13.442 2.842 13.866 3.155 14.178C3.467 14.491 3.891 14.667 4.333 14.667H13.333V1.333H4.333C3.891 1.333 3.467 1.509 3.155 1.821C2.842 2.134 2.667 2.558 2.667 3V13Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBookOpen = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00016 4.66667C8.00016 3.95942 7.71921 3.28115 7.21911 2.78105C6.71902 2.28095 6.04074 2 5.3335 2H1.3335V12H6.00016C6.5306 12 7.0393 12.2107 7.41438 12.5858C7.78945 12.9609 8.00016 13.4696 8.00016 14M8.00016 4.66667V14M8.00016 4.66667C8.00016 3.95942 8.28111 3.28115 8.78121 2.78105C9.28131 2.28095 9.95959 2 10.6668 2H14.6668V12H10.0002C9.46973 12 8.96102 12.2107 8.58595 12.5858C8.21088 12.9609 8.00016 13.4696 8.00016 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 4.667C8 3.959 7.719 3.281 7.219 2.781C6.719 2.281 6.041 2 5.333 2H1.333V12H6C6.531 12 7.039 12.211 7.414 12.586C7.789 12.961 8 13.47 8 14M8 4.667V14M8 4.667C8 3.959 8.281 3.281 8.781 2.781C9.281 2.281 9.96 2 10.667 2H14.667V12H10C9.47 12 8.961 12.211 8.586 12.586C8.211 12.961 8 13.47 8 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
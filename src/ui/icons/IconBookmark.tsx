@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBookmark = (props: IconProps) => (
-  <Icon {...props}><path d="M12.6667 14L8.00001 10.6667L3.33334 14V3.33333C3.33334 2.97971 3.47382 2.64057 3.72387 2.39052C3.97392 2.14048 4.31305 2 4.66668 2H11.3333C11.687 2 12.0261 2.14048 12.2762 2.39052C12.5262 2.64057 12.6667 2.97971 12.6667 3.33333V14Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.667 14L8 10.667L3.333 14V3.333C3.333 2.98 3.474 2.641 3.724 2.391C3.974 2.14 4.313 2 4.667 2H11.333C11.687 2 12.026 2.14 12.276 2.391C12.526 2.641 12.667 2.98 12.667 3.333V14Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconBriefcase = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6667 14V3.33333C10.6667 2.97971 10.5262 2.64057 10.2762 2.39052C10.0261 2.14048 9.687 2 9.33337 2H6.66671C6.31309 2 5.97395 2.14048 5.7239 2.39052C5.47385 2.64057 5.33337 2.97971 5.33337 3.33333V14M2.66671 4.66667H13.3334C14.0698 4.66667 14.6667 5.26362 14.6667 6V12.6667C14.6667 13.403 14.0698 14 13.3334 14H2.66671C1.93033 14 1.33337 13.403 1.33337 12.6667V6C1.33337 5.26362 1.93033 4.66667 2.66671 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 14V3.333C10.667 2.98 10.526 2.641 10.276 2.391C10.026 2.14 9.687 2 9.333 2H6.667C6.313 2 5.974 2.14 5.724 2.391C5.474 2.641 5.333 2.98 5.333 3.333V14M2.667 4.667H13.333C14.07 4.667 14.667 5.264 14.667 6V12.667C14.667 13.403 14.07 14 13.333 14H2.667C1.93 14 1.333 13.403 1.333 12.667V6C1.333 5.264 1.93 4.667 2.667 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
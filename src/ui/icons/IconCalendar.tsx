@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCalendar = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6667 1.33337V4.00004M5.33333 1.33337V4.00004M2 6.66671H14M3.33333 2.66671H12.6667C13.403 2.66671 14 3.26366 14 4.00004V13.3334C14 14.0698 13.403 14.6667 12.6667 14.6667H3.33333C2.59695 14.6667 2 14.0698 2 13.3334V4.00004C2 3.26366 2.59695 2.66671 3.33333 2.66671Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 1.333V4M5.333 1.333V4M2 6.667H14M3.333 2.667H12.667C13.403 2.667 14 3.264 14 4V13.333C14 14.07 13.403 14.667 12.667 14.667H3.333C2.597 14.667 2 14.07 2 13.333V4C2 3.264 2.597 2.667 3.333 2.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCamera = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15633)"><path d="M15.3334 12.6667C15.3334 13.0203 15.1929 13.3594 14.9429 13.6095C14.6928 13.8595 14.3537 14 14.0001 14H2.00008C1.64646 14 1.30732 13.8595 1.05727 13.6095C0.807224 13.3594 0.666748 13.0203 0.666748 12.6667V5.33333C0.666748 4.97971 0.807224 4.64057 1.05727 4.39052C1.30732 4.14048 1.64646 4 2.00008 4H4.66675L6.00008 2H10.0001L11.3334 4H14.0001C14.3537 4 14.6928 4.14048 14.9429 4.39052C15.1929 4.64057 15.3334 4.97971 15.3334 5.33333V12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8.00008 11.3333C9.47284 11.3333 10.6667 10.1394 10.6667 8.66667C10.6667 7.19391 9.47284 6 8.00008 6C6.52732 6 5.33341 7.19391 5.33341 8.66667C5.33341 10.1394 6.52732 11.3333 8.00008 11.3333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15633"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 12.667C15.333 13.02 15.193 13.359 14.943 13.61C14.693 13.86 14.354 14 14 14H2C1.646 14 1.307 13.86 1.057 13.61C0.807 13.359 0.667 13.02 0.667 12.667V5.333C0.667 4.98 0.807 4.641 1.057 4.391C1.307 4.14 1.646 4 2 4H4.667L6 2H10L11.333 4H14C14.354 4 14.693 4.14 14.943 4.391C15.193 4.641 15.333 4.98 15.333 5.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 11.333C9.473 11.333 10.667 10.139 10.667 8.667C10.667 7.194 9.473 6 8 6C6.527 6 5.333 7.194 5.333 8.667C5.333 10.139 6.527 11.333 8 11.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
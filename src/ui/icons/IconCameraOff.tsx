@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCameraOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15631)"><path d="M0.666748 0.666626L15.3334 15.3333M14.0001 14H2.00008C1.64646 14 1.30732 13.8595 1.05727 13.6094C0.807224 13.3594 0.666748 13.0202 0.666748 12.6666V5.33329C0.666748 4.97967 0.807224 4.64053 1.05727 4.39048C1.30732 4.14044 1.64646 3.99996 2.00008 3.99996H4.00008M6.00008 1.99996H10.0001L11.3334 3.99996H14.0001C14.3537 3.99996 14.6928 4.14044 14.9429 4.39048C15.1929 4.64053 15.3334 4.97967 15.3334 5.33329V11.56M10.1867 10.1866C9.96548 10.51 9.67567 10.7806 9.33794 10.9793C9.00021 11.1779 8.62285 11.2997 8.23271 11.336C7.84257 11.3722 7.44923 11.322 7.08068 11.189C6.71213 11.056 6.37742 10.8434 6.10036 10.5663C5.8233 10.2893 5.6107 9.95458 5.47768 9.58602C5.34467 9.21747 5.2945 8.82414 5.33075 8.434C5.367 8.04385 5.48879 7.6665 5.68743 7.32876C5.88608 6.99103 6.15672 6.70123 6.48008 6.47996" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15631"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 0.667L15.333 15.333M14 14H2C1.646 14 1.307 13.86 1.057 13.609C0.807 13.359 0.667 13.02 0.667 12.667V5.333C0.667 4.98 0.807 4.641 1.057 4.39C1.307 4.14 1.646 4 2 4H4M6 2H10L11.333 4H14C14.354 4 14.693 4.14 14.943 4.39C15.193 4.641 15.333 4.98 15.333 5.333V11.56M10.187 10.187C9.965 10.51 9.676 10.781 9.338 10.979C9 11.178 8.623 11.3 8.233 11.336C7.843 11.372 7.449 11.322 7.081 11.189C6.712 11.056 6.377 10.843 6.1 10.566C5.823 10.289 5.611 9.955 5.478 9.586C5.345 9.217 5.295 8.824 5.331 8.434C5.367 8.044 5.489 7.667 5.687 7.329C5.886 6.991 6.157 6.701 6.48 6.48" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
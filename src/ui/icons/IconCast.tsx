@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCast = (props: IconProps) => (
-  <Icon {...props}><path d="M1.33325 10.7333C1.97385 10.8639 2.56188 11.1801 3.02417 11.6424C3.48647 12.1047 3.80261 12.6927 3.93325 13.3333M1.33325 8.03329C2.68711 8.18387 3.94944 8.79066 4.91266 9.75388C5.87589 10.7171 6.48268 11.9794 6.63325 13.3333M1.33325 5.33329V3.99996C1.33325 3.64634 1.47373 3.3072 1.72378 3.05715C1.97382 2.8071 2.31296 2.66663 2.66659 2.66663H13.3333C13.6869 2.66663 14.026 2.8071 14.2761 3.05715C14.5261 3.3072 14.6666 3.64634 14.6666 3.99996V12C14.6666 12.3536 14.5261 12.6927 14.2761 12.9428C14.026 13.1928 13.6869 13.3333 13.3333 13.3333H9.33325M1.33325 13.3333H1.33992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M1.333 10.733C1.974 10.864 2.562 11.18 3.024 11.642C3.486 12.105 3.803 12.693 3.933 13.333M1.333 8.033C2.687 8.184 3.949 8.791 4.913 9.754C5.876 10.717 6.483 11.979 6.633 13.333M1.333 5.333V4C1.333 3.646 1.474 3.307 1.724 3.057C1.974 2.807 2.313 2.667 2.667 2.667H13.333C13.687 2.667 14.026 2.807 14.276 3.057C14.526 3.307 14.667 3.646 14.667 4V12C14.667 12.354 14.526 12.693 14.276 12.943C14.026 13.193 13.687 13.333 13.333 13.333H9.333M1.333 13.333H1.34" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCheck = (props: IconProps) => (
-  <Icon {...props}><path d="M13.3333 4L5.99999 11.3333L2.66666 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M13.333 4L6 11.333L2.667 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCheckCircle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15637)"><path d="M14.6668 7.38662V7.99995C14.666 9.43756 14.2005 10.8364 13.3397 11.9878C12.4789 13.1393 11.269 13.9816 9.8904 14.3892C8.51178 14.7968 7.03834 14.7479 5.68981 14.2497C4.34128 13.7515 3.18993 12.8307 2.40747 11.6247C1.62501 10.4186 1.25336 8.99199 1.34795 7.55749C1.44254 6.12299 1.9983 4.7575 2.93235 3.66467C3.8664 2.57183 5.12869 1.81021 6.53096 1.49338C7.93323 1.17656 9.40034 1.32151 10.7135 1.90662M14.6668 2.66662L8.00017 9.33995L6.00017 7.33995" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15637"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.667 7.387V8C14.666 9.438 14.2 10.836 13.34 11.988C12.479 13.139 11.269 13.982 9.89 14.389C8.512 14.797 7.038 14.748 5.69 14.25C4.341 13.752 3.19 12.831 2.407 11.625C1.625 10.419 1.253 8.992 1.348 7.557C1.443 6.123 1.998 4.758 2.932 3.665C3.866 2.572 5.129 1.81 6.531 1.493C7.933 1.177 9.4 1.322 10.713 1.907M14.667 2.667L8 9.34L6 7.34" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
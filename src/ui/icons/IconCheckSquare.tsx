@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCheckSquare = (props: IconProps) => (
-  <Icon {...props}><path d="M6 7.33333L8 9.33333L14.6667 2.66667M14 8V12.6667C14 13.0203 13.8595 13.3594 13.6095 13.6095C13.3594 13.8595 13.0203 14 12.6667 14H3.33333C2.97971 14 2.64057 13.8595 2.39052 13.6095C2.14048 13.3594 2 13.0203 2 12.6667V3.33333C2 2.97971 2.14048 2.64057 2.39052 2.39052C2.64057 2.14048 2.97971 2 3.33333 2H10.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 7.333L8 9.333L14.667 2.667M14 8V12.667C14 13.02 13.86 13.359 13.61 13.61C13.359 13.86 13.02 14 12.667 14H3.333C2.98 14 2.641 13.86 2.391 13.61C2.14 13.359 2 13.02 2 12.667V3.333C2 2.98 2.14 2.641 2.391 2.391C2.641 2.14 2.98 2 3.333 2H10.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconChevronsDown = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66675 8.66667L8.00008 12L11.3334 8.66667M4.66675 4L8.00008 7.33333L11.3334 4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 8.667L8 12L11.333 8.667M4.667 4L8 7.333L11.333 4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconChevronsLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M7.33333 11.3333L4 7.99996L7.33333 4.66663M12 11.3333L8.66667 7.99996L12 4.66663" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M7.333 11.333L4 8L7.333 4.667M12 11.333L8.667 8L12 4.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconChevronsRight = (props: IconProps) => (
-  <Icon {...props}><path d="M8.66667 11.3333L12 7.99996L8.66667 4.66663M4 11.3333L7.33333 7.99996L4 4.66663" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8.667 11.333L12 8L8.667 4.667M4 11.333L7.333 8L4 4.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
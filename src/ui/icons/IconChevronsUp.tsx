@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconChevronsUp = (props: IconProps) => (
-  <Icon {...props}><path d="M11.3332 7.33333L7.99984 4L4.6665 7.33333M11.3332 12L7.99984 8.66667L4.6665 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M11.333 7.333L8 4L4.667 7.333M11.333 12L8 8.667L4.667 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
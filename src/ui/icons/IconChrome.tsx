@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconChrome = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15659)"><path d="M8.00001 5.33337C6.52725 5.33337 5.33334 6.52728 5.33334 8.00004C5.33334 9.4728 6.52725 10.6667 8.00001 10.6667C9.47277 10.6667 10.6667 9.4728 10.6667 8.00004C10.6667 6.52728 9.47277 5.33337 8.00001 5.33337ZM8.00001 5.33337H14.1133M2.63334 4.04004L5.69334 9.33337M7.25334 14.6267L10.3067 9.33337M14.6667 8.00004C14.6667 11.6819 11.6819 14.6667 8.00001 14.6667C4.31811 14.6667 1.33334 11.6819 1.33334 8.00004C1.33334 4.31814 4.31811 1.33337 8.00001 1.33337C11.6819 1.33337 14.6667 4.31814 14.6667 8.00004Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15659"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 5.333C6.527 5.333 5.333 6.527 5.333 8C5.333 9.473 6.527 10.667 8 10.667C9.473 10.667 10.667 9.473 10.667 8C10.667 6.527 9.473 5.333 8 5.333ZM8 5.333H14.113M2.633 4.04L5.693 9.333M7.253 14.627L10.307 9.333M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconClipboard = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6666 2.66671H12C12.3536 2.66671 12.6927 2.80718 12.9428 3.05723C13.1928 3.30728 13.3333 3.64642 13.3333 4.00004V13.3334C13.3333 13.687 13.1928 14.0261 12.9428 14.2762C12.6927 14.5262 12.3536 14.6667 12 14.6667H3.99996C3.64634 14.6667 3.3072 14.5262 3.05715 14.2762C2.8071 14.0261 2.66663 13.687 2.66663 13.3334V4.00004C2.66663 3.64642 2.8071 3.30728 3.05715 3.05723C3.3072 2.80718 3.64634 2.66671 3.99996 2.66671H5.33329M5.99996 1.33337H9.99996C10.3681 1.33337 10.6666 1.63185 10.6666 2.00004V3.33337C10.6666 3.70156 10.3681 4.00004 9.99996 4.00004H5.99996C5.63177 4.00004 5.33329 3.70156 5.33329 3.33337V2.00004C5.33329 1.63185 5.63177 1.33337 5.99996 1.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 2.667H12C12.354 2.667 12.693 2.807 12.943 3.057C13.193 3.307 13.333 3.646 13.333 4V13.333C13.333 13.687 13.193 14.026 12.943 14.276C12.693 14.526 12.354 14.667 12 14.667H4C3.646 14.667 3.307 14.526 3.057 14.276C2.807 14.026 2.667 13.687 2.667 13.333V4C2.667 3.646 2.807 3.307 3.057 3.057C3.307 2.807 3.646 2.667 4 2.667H5.333M6 1.333H10C10.368 1.333 10.667 1.632 10.667 2V3.333C10.667 3.702 10.368 4 10 4H6C5.632 4 5.333 3.702 5.333 3.333V2C5.333 1.632 5.632 1.333 6 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
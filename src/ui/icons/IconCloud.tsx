@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloud = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15677)"><path d="M12 6.66663H11.16C10.9106 5.70062 10.3952 4.82395 9.67243 4.13622C8.94966 3.44849 8.04848 2.97729 7.07128 2.77614C6.09409 2.575 5.08007 2.65199 4.14444 2.99835C3.20881 3.34472 2.3891 3.94658 1.77844 4.73555C1.16778 5.52451 0.790662 6.46894 0.689941 7.46153C0.589219 8.45411 0.76893 9.45505 1.20865 10.3506C1.64838 11.2462 2.33048 12.0004 3.17746 12.5277C4.02443 13.0549 5.00232 13.334 6 13.3333H12C12.8841 13.3333 13.7319 12.9821 14.357 12.357C14.9821 11.7319 15.3333 10.884 15.3333 9.99996C15.3333 9.1159 14.9821 8.26806 14.357 7.64294C13.7319 7.01782 12.8841 6.66663 12 6.66663Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15677"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12 6.667H11.16C10.911 5.701 10.395 4.824 9.672 4.136C8.95 3.448 8.048 2.977 7.071 2.776C6.094 2.575 5.08 2.652 4.144 2.998C3.209 3.345 2.389 3.947 1.778 4.736C1.168 5.525 0.791 6.469 0.69 7.462C0.589 8.454 0.769 9.455 1.209 10.351C1.648 11.246 2.33 12 3.177 12.528C4.024 13.055 5.002 13.334 6 13.333H12C12.884 13.333 13.732 12.982 14.357 12.357C14.982 11.732 15.333 10.884 15.333 10C15.333 9.116 14.982 8.268 14.357 7.643C13.732 7.018 12.884 6.667 12 6.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloudDrizzle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15667)"><path d="M5.33344 12.6667V14M5.33344 8.66668V10M10.6668 12.6667V14M10.6668 8.66668V10M8.0001 14V15.3333M8.0001 10V11.3333M13.3334 11.0533C14.0343 10.7464 14.6082 10.2077 14.9588 9.52771C15.3095 8.84769 15.4155 8.06775 15.2592 7.3188C15.1028 6.56985 14.6936 5.89749 14.1001 5.41457C13.5067 4.93165 12.7652 4.66758 12.0001 4.66668H11.1601C10.9488 3.84836 10.546 3.09198 9.98498 2.45988C9.42395 1.82778 8.72073 1.33806 7.93328 1.03109C7.14583 0.724123 6.29671 0.60869 5.45589 0.694308C4.61507 0.779926 3.80664 1.06414 3.09723 1.52353C2.38782 1.98293 1.79775 2.60433 1.37564 3.33654C0.953534 4.06875 0.711485 4.89079 0.669445 5.73491C0.627404 6.57903 0.786576 7.42106 1.13384 8.19158C1.4811 8.96211 2.00652 9.63907 2.66677 10.1667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15667"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.333 12.667V14M5.333 8.667V10M10.667 12.667V14M10.667 8.667V10M8 14V15.333M8 10V11.333M13.333 11.053C14.034 10.746 14.608 10.208 14.959 9.528C15.309 8.848 15.415 8.068 15.259 7.319C15.103 6.57 14.694 5.897 14.1 5.415C13.507 4.932 12.765 4.668 12 4.667H11.16C10.949 3.848 10.546 3.092 9.985 2.46C9.424 1.828 8.721 1.338 7.933 1.031C7.146 0.724 6.297 0.609 5.456 0.694C4.615 0.78 3.807 1.064 3.097 1.524C2.388 1.983 1.798 2.604 1.376 3.337C0.954 4.069 0.711 4.891 0.669 5.735C0.627 6.579 0.787 7.421 1.134 8.192C1.481 8.962 2.007 9.639 2.667 10.167" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloudLightning = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15669)"><path d="M12.6667 11.2667C13.4768 11.1022 14.1969 10.6425 14.6872 9.97698C15.1774 9.31143 15.4029 8.48745 15.3198 7.665C15.2368 6.84255 14.8511 6.08031 14.2376 5.52625C13.6241 4.97218 12.8267 4.66583 12 4.66666H11.16C10.9392 3.81154 10.5094 3.02466 9.9093 2.37665C9.30921 1.72865 8.55759 1.23982 7.72192 0.954038C6.88625 0.66826 5.99269 0.594484 5.12146 0.739335C4.25023 0.884185 3.42862 1.24313 2.73037 1.78394C2.03213 2.32474 1.47912 3.03049 1.12099 3.8378C0.762865 4.64512 0.610831 5.52874 0.678539 6.40932C0.746248 7.28991 1.03158 8.1399 1.50892 8.88297C1.98626 9.62605 2.64066 10.239 3.41337 10.6667M8.6667 7.33333L6.00004 11.3333H10L7.33337 15.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15669"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12.667 11.267C13.477 11.102 14.197 10.643 14.687 9.977C15.177 9.311 15.403 8.487 15.32 7.665C15.237 6.843 14.851 6.08 14.238 5.526C13.624 4.972 12.827 4.666 12 4.667H11.16C10.939 3.812 10.509 3.025 9.909 2.377C9.309 1.729 8.558 1.24 7.722 0.954C6.886 0.668 5.993 0.594 5.121 0.739C4.25 0.884 3.429 1.243 2.73 1.784C2.032 2.325 1.479 3.03 1.121 3.838C0.763 4.645 0.611 5.529 0.679 6.409C0.746 7.29 1.032 8.14 1.509 8.883C1.986 9.626 2.641 10.239 3.413 10.667M8.667 7.333L6 11.333H10L7.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
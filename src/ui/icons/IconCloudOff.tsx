@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloudOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15671)"><path d="M15.0734 11.3C15.2882 10.7928 15.374 10.2404 15.3231 9.69199C15.2722 9.14361 15.0863 8.61637 14.7818 8.15742C14.4774 7.69846 14.064 7.32209 13.5786 7.06194C13.0931 6.80179 12.5508 6.66597 12.0001 6.66663H11.1601C10.8879 5.59495 10.2895 4.63435 9.44743 3.91773C8.60541 3.20111 7.56147 2.76391 6.46008 2.66663M3.33341 3.33329C2.29213 3.90905 1.47328 4.81648 1.00713 5.91123C0.540987 7.00598 0.454311 8.22517 0.760893 9.37485C1.06748 10.5245 1.74971 11.5387 2.69906 12.256C3.64842 12.9732 4.81037 13.3525 6.00008 13.3333H12.0001C12.3866 13.3328 12.7701 13.2652 13.1334 13.1333M0.666742 0.666626L15.3334 15.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15671"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.073 11.3C15.288 10.793 15.374 10.24 15.323 9.692C15.272 9.144 15.086 8.616 14.782 8.157C14.477 7.698 14.064 7.322 13.579 7.062C13.093 6.802 12.551 6.666 12 6.667H11.16C10.888 5.595 10.29 4.634 9.447 3.918C8.605 3.201 7.561 2.764 6.46 2.667M3.333 3.333C2.292 3.909 1.473 4.816 1.007 5.911C0.541 7.006 0.454 8.225 0.761 9.375C1.067 10.524 1.75 11.539 2.699 12.256C3.648 12.973 4.81 13.352 6 13.333H12C12.387 13.333 12.77 13.265 13.133 13.133M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloudRain = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15673)"><path d="M10.6665 8.66668V14M5.33319 8.66668V14M7.99986 10V15.3333M13.3332 11.0533C14.034 10.7464 14.6079 10.2077 14.9586 9.52771C15.3092 8.84769 15.4153 8.06775 15.2589 7.3188C15.1026 6.56985 14.6933 5.89749 14.0999 5.41457C13.5065 4.93165 12.765 4.66758 11.9999 4.66668H11.1599C10.9485 3.84836 10.5458 3.09198 9.98473 2.45988C9.4237 1.82778 8.72048 1.33806 7.93304 1.03109C7.14559 0.724123 6.29646 0.60869 5.45565 0.694308C4.61483 0.779926 3.8064 1.06414 3.09699 1.52353C2.38758 1.98293 1.7975 2.60433 1.3754 3.33654C0.95329 4.06875 0.711241 4.89079 0.669201 5.73491C0.62716 6.57903 0.786332 7.42106 1.1336 8.19158C1.48086 8.96211 2.00627 9.63907 2.66653 10.1667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15673"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.666 8.667V14M5.333 8.667V14M8 10V15.333M13.333 11.053C14.034 10.746 14.608 10.208 14.959 9.528C15.309 8.848 15.415 8.068 15.259 7.319C15.103 6.57 14.693 5.897 14.1 5.415C13.507 4.932 12.765 4.668 12 4.667H11.16C10.948 3.848 10.546 3.092 9.985 2.46C9.424 1.828 8.72 1.338 7.933 1.031C7.146 0.724 6.296 0.609 5.456 0.694C4.615 0.78 3.806 1.064 3.097 1.524C2.388 1.983 1.798 2.604 1.375 3.337C0.953 4.069 0.711 4.891 0.669 5.735C0.627 6.579 0.786 7.421 1.134 8.192C1.481 8.962 2.006 9.639 2.667 10.167" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCloudSnow = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15675)"><path d="M13.3332 11.72C14.034 11.413 14.6079 10.8743 14.9586 10.1943C15.3092 9.51432 15.4153 8.73438 15.2589 7.98543C15.1026 7.23648 14.6933 6.56411 14.0999 6.08119C13.5065 5.59828 12.765 5.3342 11.9999 5.3333H11.1599C10.9485 4.51499 10.5458 3.7586 9.98473 3.1265C9.4237 2.49441 8.72048 2.00469 7.93304 1.69772C7.14559 1.39075 6.29646 1.27532 5.45565 1.36093C4.61483 1.44655 3.8064 1.73077 3.09699 2.19016C2.38758 2.64955 1.7975 3.27096 1.3754 4.00317C0.95329 4.73538 0.711241 5.55742 0.669201 6.40154C0.62716 7.24566 0.786332 8.08768 1.1336 8.85821C1.48086 9.62873 2.00627 10.3057 2.66653 10.8333M5.33319 10.6666H5.33986M5.33319 13.3333H5.33986M7.99986 12H8.00653M7.99986 14.6666H8.00653M10.6665 10.6666H10.6732M10.6665 13.3333H10.6732" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15675"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M13.333 11.72C14.034 11.413 14.608 10.874 14.959 10.194C15.309 9.514 15.415 8.734 15.259 7.985C15.103 7.236 14.693 6.564 14.1 6.081C13.507 5.598 12.765 5.334 12 5.333H11.16C10.948 4.515 10.546 3.759 9.985 3.127C9.424 2.494 8.72 2.005 7.933 1.698C7.146 1.391 6.296 1.275 5.456 1.361C4.615 1.447 3.806 1.731 3.097 2.19C2.388 2.65 1.798 3.271 1.375 4.003C0.953 4.735 0.711 5.557 0.669 6.402C0.627 7.246 0.786 8.088 1.134 8.858C1.481 9.629 2.006 10.306 2.667 10.833M5.333 10.667H5.34M5.333 13.333H5.34M8 12H8.007M8 14.667H8.007M10.666 10.667H10.673M10.666 13.333H10.673" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCode = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6666 12L14.6666 8L10.6666 4M5.33331 4L1.33331 8L5.33331 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 12L14.667 8L10.667 4M5.333 4L1.333 8L5.333 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCodepen = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15681)"><path d="M8.00004 1.33337L14.6667 5.66671M8.00004 1.33337L1.33337 5.66671M8.00004 1.33337V5.66671M14.6667 5.66671V10.3334M14.6667 5.66671L8.00004 10.3334M14.6667 10.3334L8.00004 14.6667M14.6667 10.3334L8.00004 5.66671M8.00004 14.6667L1.33337 10.3334M8.00004 14.6667V10.3334M1.33337 10.3334V5.66671M1.33337 10.3334L8.00004 5.66671M1.33337 5.66671L8.00004 10.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15681"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 1.333L14.667 5.667M8 1.333L1.333 5.667M8 1.333V5.667M14.667 5.667V10.333M14.667 5.667L8 10.333M14.667 10.333L8 14.667M14.667 10.333L8 5.667M8 14.667L1.333 10.333M8 14.667V10.333M1.333 10.333V5.667M1.333 10.333L8 5.667M1.333 5.667L8 10.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
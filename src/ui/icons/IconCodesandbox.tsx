@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCodesandbox = (props: IconProps) => (
-  <Icon {...props}><path d="M5 2.80668L8 4.54002L11 2.80668M5 13.1934V9.73335L2 8.00002M14 8.00002L11 9.73335V13.1934M2.18 4.64002L8 8.00668L13.82 4.64002M8 14.72V8.00002M14 10.6667V5.33335C13.9998 5.09953 13.938 4.86989 13.821 4.66746C13.704 4.46503 13.5358 4.29692 13.3333 4.18002L8.66667 1.51335C8.46397 1.39633 8.23405 1.33472 8 1.33472C7.76595 1.33472 7.53603 1.39633 7.33333 1.51335L2.66667 4.18002C2.46417 4.29692 2.29599 4.46503 2.17897 4.66746C2.06196 4.86989 2.00024 5.09953 2 5.33335V10.6667C2.00024 10.9005 2.06196 11.1301 2.17897 11.3326C2.29599 11.535 2.46417 11.7031 2.66667 11.82L7.33333 14.4867C7.53603 14.6037 7.76595 14.6653 8 14.6653C8.23405 14.6653 8.46397 14.6037 8.66667 14.4867L13.3333 11.82C13.5358 11.7031 13.704 11.535 13.821 11.3326C13.938 11.1301 13.9998 10.9005 14 10.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5 2.807L8 4.54L11 2.807M5 13.193V9.733L2 8M14 8L11 9.733V13.193M2.18 4.64L8 8.007L13.82 4.64M8 14.72V8M14 10.667V5.333C14 5.1 13.938 4.87 13.821 4.667C13.704 4.465 13.536 4.297 13.333 4.18L8.667 1.513C8.464 1.396 8.234 1.335 8 1.335C7.766 1.335 7.536 1.396 7.333 1.513L2.667 4.18C2.464 4.297 2.296 4.465 2.179 4.667C2.062 4.87 2 5.1 2 5.333V10.667C2 10.9 2.062 11.13 2.179 11.333C2.296 11.535 2.464 11.703 2.667 11.82L7.333 14.487C7.536 14.604 7.766 14.665 8 14.665C8.234 14.665 8.464 14.604 8.667 14.487L13.333 11.82C13.536 11.703 13.704 11.535 13.821 11.333C13.938 11.13 14 10.9 14 10.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
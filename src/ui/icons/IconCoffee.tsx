@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCoffee = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15685)"><path d="M11.9999 5.33329H12.6666C13.3738 5.33329 14.0521 5.61424 14.5522 6.11434C15.0523 6.61444 15.3333 7.29272 15.3333 7.99996C15.3333 8.7072 15.0523 9.38548 14.5522 9.88558C14.0521 10.3857 13.3738 10.6666 12.6666 10.6666H11.9999M11.9999 5.33329H1.33325V11.3333C1.33325 12.0405 1.6142 12.7188 2.1143 13.2189C2.6144 13.719 3.29267 14 3.99992 14H9.33325C10.0405 14 10.7188 13.719 11.2189 13.2189C11.719 12.7188 11.9999 12.0405 11.9999 11.3333V5.33329ZM3.99992 0.666626V2.66663M6.66658 0.666626V2.66663M9.33325 0.666626V2.66663" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15685"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12 5.333H12.667C13.374 5.333 14.052 5.614 14.552 6.114C15.052 6.614 15.333 7.293 15.333 8C15.333 8.707 15.052 9.385 14.552 9.886C14.052 10.386 13.374 10.667 12.667 10.667H12M12 5.333H1.333V11.333C1.333 12.04 1.614 12.719 2.114 13.219C2.614 13.719 3.293 14 4 14H9.333C10.04 14 10.719 13.719 11.219 13.219C11.719 12.719 12 12.04 12 11.333V5.333ZM4 0.667V2.667M6.667 0.667V2.667M9.333 0.667V2.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
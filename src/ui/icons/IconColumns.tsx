@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconColumns = (props: IconProps) => (
-  <Icon {...props}><path d="M8 2H12.6667C13.0203 2 13.3594 2.14048 13.6095 2.39052C13.8595 2.64057 14 2.97971 14 3.33333V12.6667C14 13.0203 13.8595 13.3594 13.6095 13.6095C13.3594 13.8595 13.0203 14 12.6667 14H8M8 2H3.33333C2.97971 2 2.64057 2.14048 2.39052 2.39052C2.14048 2.64057 2 2.97971 2 3.33333V12.6667C2 13.0203 2.14048 13.3594 2.39052 13.6095C2.64057 13.8595 2.97971 14 3.33333 14H8M8 2V14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 2H12.667C13.02 2 13.359 2.14 13.61 2.391C13.86 2.641 14 2.98 14 3.333V12.667C14 13.02 13.86 13.359 13.61 13.61C13.359 13.86 13.02 14 12.667 14H8M8 2H3.333C2.98 2 2.641 2.14 2.391 2.391C2.14 2.641 2 2.98 2 3.333V12.667C2 13.02 2.14 13.359 2.391 13.61C2.641 13.86 2.98 14 3.333 14H8M8 2V14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
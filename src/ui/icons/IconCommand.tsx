@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCommand = (props: IconProps) => (
-  <Icon {...props}><path d="M12 2C11.4696 2 10.9609 2.21071 10.5858 2.58579C10.2107 2.96086 10 3.46957 10 4V12C10 12.5304 10.2107 13.0391 10.5858 13.4142C10.9609 13.7893 11.4696 14 12 14C12.5304 14 13.0391 13.7893 13.4142 13.4142C13.7893 13.0391 14 12.5304 14 12C14 11.4696 13.7893 10.9609 13.4142 10.5858C13.0391 10.2107 12.5304 10 12 10H4C3.46957 10 2.96086 10.2107 2.58579 10.5858C2.21071 10.9609 2 11.4696 2 12C2 12.5304 2.21071 13.0391 2.58579 13.4142C2.96086 13.7893 3.46957 14 4 14C4.53043 14 5.03914 13.7893 5.41421 13.4142C5.78929 13.0391 6 12.5304 6 12V4C6 3.46957 5.78929 2.96086 5.41421 2.58579C5.03914 2.21071 4.53043 2 4 2C3.46957 2 2.96086 2.21071 2.58579 2.58579C2.21071 2.96086 2 3.46957 2 4C2 4.53043 2.21071 5.03914 2.58579 5.41421C2.96086 5.78929 3.46957 6 4 6H12C12.5304 6 13.0391 5.78929 13.4142 5.41421C13.7893 5.03914 14 4.53043 14 4C14 3.46957 13.7893 2.96086 13.4142 2.58579C13.0391 2.21071 12.5304 2 12 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12 2C11.47 2 10.961 2.211 10.586 2.586C10.211 2.961 10 3.47 10 4V12C10 12.53 10.211 13.039 10.586 13.414C10.961 13.789 11.47 14 12 14C12.53 14 13.039 13.789 13.414 13.414C13.789 13.039 14 12.53 14 12C14 11.47 13.789 10.961 13.414 10.586C13.039 10.211 12.53 10 12 10H4C3.47 10 2.961 10.211 2.586 10.586C2.211 10.961 2 11.47 2 12C2 12.53 2.211 13.039 2.586 13.414C2.961 13.789 3.47 14 4 14C4.53 14 5.039 13.789 5.414 13.414C5.789 13.039 6 12.53 6 12V4C6 3.47 5.789 2.961 5.414 2.586C5.039 2.211 4.53 2 4 2C3.47 2 2.961 2.211 2.586 2.586C2.211 2.961 2 3.47 2 4C2 4.53 2.211 5.039 2.586 5.414C2.961 5.789 3.47 6 4 6H12C12.53 6 13.039 5.789 13.414 5.414C13.789 5.039 14 4.53 14 4C14 3.47 13.789 2.961 13.414 2.586C13.039 2.211 12.53 2 12 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCopy = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15693)"><path d="M3.3335 10H2.66683C2.31321 10 1.97407 9.85956 1.72402 9.60952C1.47397 9.35947 1.3335 9.02033 1.3335 8.66671V2.66671C1.3335 2.31309 1.47397 1.97395 1.72402 1.7239C1.97407 1.47385 2.31321 1.33337 2.66683 1.33337H8.66683C9.02045 1.33337 9.35959 1.47385 9.60964 1.7239C9.85969 1.97395 10.0002 2.31309 10.0002 2.66671V3.33337M7.3335 6.00004H13.3335C14.0699 6.00004 14.6668 6.59699 14.6668 7.33337V13.3334C14.6668 14.0698 14.0699 14.6667 13.3335 14.6667H7.3335C6.59712 14.6667 6.00016 14.0698 6.00016 13.3334V7.33337C6.00016 6.59699 6.59712 6.00004 7.3335 6.00004Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15693"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.333 10H2.667C2.313 10 1.974 9.86 1.724 9.61C1.474 9.359 1.333 9.02 1.333 8.667V2.667C1.333 2.313 1.474 1.974 1.724 1.724C1.974 1.474 2.313 1.333 2.667 1.333H8.667C9.02 1.333 9.36 1.474 9.61 1.724C9.86 1.974 10 2.313 10 2.667V3.333M7.333 6H13.334C14.07 6 14.667 6.597 14.667 7.333V13.333C14.667 14.07 14.07 14.667 13.334 14.667H7.333C6.597 14.667 6 14.07 6 13.333V7.333C6 6.597 6.597 6 7.333 6Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
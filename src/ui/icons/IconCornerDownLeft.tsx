@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerDownLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M5.99999 6.66669L2.66666 10M2.66666 10L5.99999 13.3334M2.66666 10H10.6667C11.3739 10 12.0522 9.71907 12.5523 9.21897C13.0524 8.71887 13.3333 8.0406 13.3333 7.33335V2.66669" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 6.667L2.667 10M2.667 10L6 13.333M2.667 10H10.667C11.374 10 12.052 9.719 12.552 9.219C13.052 8.719 13.333 8.041 13.333 7.333V2.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerDownRight = (props: IconProps) => (
-  <Icon {...props}><path d="M10 6.66669L13.3334 10M13.3334 10L10 13.3334M13.3334 10H5.33335C4.62611 10 3.94783 9.71907 3.44774 9.21897C2.94764 8.71887 2.66669 8.0406 2.66669 7.33335V2.66669" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10 6.667L13.333 10M13.333 10L10 13.333M13.333 10H5.333C4.626 10 3.948 9.719 3.448 9.219C2.948 8.719 2.667 8.041 2.667 7.333V2.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerLeftDown = (props: IconProps) => (
-  <Icon {...props}><path d="M9.33329 10L5.99996 13.3334M5.99996 13.3334L2.66663 10M5.99996 13.3334V5.33335C5.99996 4.62611 6.28091 3.94783 6.78101 3.44774C7.2811 2.94764 7.95938 2.66669 8.66663 2.66669H13.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M9.333 10L6 13.333M6 13.333L2.667 10M6 13.333V5.333C6 4.626 6.281 3.948 6.781 3.448C7.281 2.948 7.959 2.667 8.667 2.667H13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
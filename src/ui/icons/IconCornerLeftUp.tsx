@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerLeftUp = (props: IconProps) => (
-  <Icon {...props}><path d="M9.33329 6.00002L5.99996 2.66669M5.99996 2.66669L2.66663 6.00002M5.99996 2.66669V10.6667C5.99996 11.3739 6.28091 12.0522 6.78101 12.5523C7.2811 13.0524 7.95938 13.3334 8.66663 13.3334H13.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M9.333 6L6 2.667M6 2.667L2.667 6M6 2.667V10.667C6 11.374 6.281 12.052 6.781 12.552C7.281 13.052 7.959 13.333 8.667 13.333H13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
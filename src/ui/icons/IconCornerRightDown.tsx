@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerRightDown = (props: IconProps) => (
-  <Icon {...props}><path d="M6.66675 10L10.0001 13.3334M10.0001 13.3334L13.3334 10M10.0001 13.3334V5.33335C10.0001 4.62611 9.71913 3.94783 9.21903 3.44774C8.71893 2.94764 8.04066 2.66669 7.33341 2.66669H2.66675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6.667 10L10 13.333M10 13.333L13.333 10M10 13.333V5.333C10 4.626 9.719 3.948 9.219 3.448C8.719 2.948 8.041 2.667 7.333 2.667H2.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
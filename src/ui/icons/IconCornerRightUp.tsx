@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerRightUp = (props: IconProps) => (
-  <Icon {...props}><path d="M6.66675 6.00002L10.0001 2.66669M10.0001 2.66669L13.3334 6.00002M10.0001 2.66669V10.6667C10.0001 11.3739 9.71913 12.0522 9.21903 12.5523C8.71893 13.0524 8.04066 13.3334 7.33341 13.3334H2.66675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6.667 6L10 2.667M10 2.667L13.333 6M10 2.667V10.667C10 11.374 9.719 12.052 9.219 12.552C8.719 13.052 8.041 13.333 7.333 13.333H2.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerUpLeft = (props: IconProps) => (
-  <Icon {...props}><path d="M6.00008 9.33335L2.66675 6.00002M2.66675 6.00002L6.00008 2.66669M2.66675 6.00002H10.6667C11.374 6.00002 12.0523 6.28097 12.5524 6.78107C13.0525 7.28117 13.3334 7.95944 13.3334 8.66669V13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 9.333L2.667 6M2.667 6L6 2.667M2.667 6H10.667C11.374 6 12.052 6.281 12.552 6.781C13.053 7.281 13.333 7.959 13.333 8.667V13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
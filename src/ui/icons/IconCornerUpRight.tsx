@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCornerUpRight = (props: IconProps) => (
-  <Icon {...props}><path d="M9.99984 9.33335L13.3332 6.00002M13.3332 6.00002L9.99984 2.66669M13.3332 6.00002H5.33317C4.62593 6.00002 3.94765 6.28097 3.44755 6.78107C2.94746 7.28117 2.6665 7.95944 2.6665 8.66669V13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10 9.333L13.333 6M13.333 6L10 2.667M13.333 6H5.333C4.626 6 3.948 6.281 3.448 6.781C2.947 7.281 2.667 7.959 2.667 8.667V13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCpu = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15711)"><path d="M5.99984 0.666687V2.66669M9.99984 0.666687V2.66669M5.99984 13.3334V15.3334M9.99984 13.3334V15.3334M13.3332 6.00002H15.3332M13.3332 9.33335H15.3332M0.666504 6.00002H2.6665M0.666504 9.33335H2.6665M3.99984 2.66669H11.9998C12.7362 2.66669 13.3332 3.26364 13.3332 4.00002V12C13.3332 12.7364 12.7362 13.3334 11.9998 13.3334H3.99984C3.26346 13.3334 2.6665 12.7364 2.6665 12V4.00002C2.6665 3.26364 3.26346 2.66669 3.99984 2.66669ZM5.99984 6.00002H9.99984V10H5.99984V6.00002Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15711"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M6 0.667V2.667M10 0.667V2.667M6 13.333V15.333M10 13.333V15.333M13.333 6H15.333M13.333 9.333H15.333M0.667 6H2.667M0.667 9.333H2.667M4 2.667H12C12.736 2.667 13.333 3.264 13.333 4V12C13.333 12.736 12.736 13.333 12 13.333H4C3.263 13.333 2.667 12.736 2.667 12V4C2.667 3.264 3.263 2.667 4 2.667ZM6 6H10V10H6V6Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCreditCard = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15713)"><path d="M0.666656 6.66669H15.3333M1.99999 2.66669H14C14.7364 2.66669 15.3333 3.26364 15.3333 4.00002V12C15.3333 12.7364 14.7364 13.3334 14 13.3334H1.99999C1.26361 13.3334 0.666656 12.7364 0.666656 12V4.00002C0.666656 3.26364 1.26361 2.66669 1.99999 2.66669Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15713"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 6.667H15.333M2 2.667H14C14.736 2.667 15.333 3.264 15.333 4V12C15.333 12.736 14.736 13.333 14 13.333H2C1.264 13.333 0.667 12.736 0.667 12V4C0.667 3.264 1.264 2.667 2 2.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCrop = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15715)"><path d="M4.08669 0.666687L4.00002 10.6667C4.00002 11.0203 4.1405 11.3594 4.39054 11.6095C4.64059 11.8595 4.97973 12 5.33335 12H15.3334M0.666687 4.08669L10.6667 4.00002C11.0203 4.00002 11.3594 4.1405 11.6095 4.39054C11.8595 4.64059 12 4.97973 12 5.33335V15.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15715"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4.087 0.667L4 10.667C4 11.02 4.141 11.359 4.391 11.61C4.641 11.86 4.98 12 5.333 12H15.333M0.667 4.087L10.667 4C11.02 4 11.359 4.141 11.61 4.391C11.86 4.641 12 4.98 12 5.333V15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
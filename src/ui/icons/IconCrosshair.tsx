@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconCrosshair = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15717)"><path d="M14.6667 7.99998C14.6667 11.6819 11.6819 14.6666 8.00004 14.6666M14.6667 7.99998C14.6667 4.31808 11.6819 1.33331 8.00004 1.33331M14.6667 7.99998H12M8.00004 14.6666C4.31814 14.6666 1.33337 11.6819 1.33337 7.99998M8.00004 14.6666V12M1.33337 7.99998C1.33337 4.31808 4.31814 1.33331 8.00004 1.33331M1.33337 7.99998H4.00004M8.00004 1.33331V3.99998" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15717"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.667 8C14.667 11.682 11.682 14.667 8 14.667M14.667 8C14.667 4.318 11.682 1.333 8 1.333M14.667 8H12M8 14.667C4.318 14.667 1.333 11.682 1.333 8M8 14.667V12M1.333 8C1.333 4.318 4.318 1.333 8 1.333M1.333 8H4M8 1.333V4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
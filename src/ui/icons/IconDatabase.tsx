@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDatabase = (props: IconProps) => (
-  <Icon {...props}><path d="M14 3.33331C14 4.43788 11.3137 5.33331 8 5.33331C4.68629 5.33331 2 4.43788 2 3.33331M14 3.33331C14 2.22874 11.3137 1.33331 8 1.33331C4.68629 1.33331 2 2.22874 2 3.33331M14 3.33331V12.6666C14 13.7733 11.3333 14.6666 8 14.6666C4.66667 14.6666 2 13.7733 2 12.6666V3.33331M14 7.99998C14 9.10665 11.3333 9.99998 8 9.99998C4.66667 9.99998 2 9.10665 2 7.99998" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 3.333C14 4.438 11.314 5.333 8 5.333C4.686 5.333 2 4.438 2 3.333M14 3.333C14 2.229 11.314 1.333 8 1.333C4.686 1.333 2 2.229 2 3.333M14 3.333V12.667C14 13.773 11.333 14.667 8 14.667C4.667 14.667 2 13.773 2 12.667V3.333M14 8C14 9.107 11.333 10 8 10C4.667 10 2 9.107 2 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
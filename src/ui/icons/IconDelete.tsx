@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDelete = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15721)"><path d="M12.0001 6.00002L8.00008 10M8.00008 6.00002L12.0001 10M14.0001 2.66669H5.33341L0.666748 8.00002L5.33341 13.3334H14.0001C14.3537 13.3334 14.6928 13.1929 14.9429 12.9428C15.1929 12.6928 15.3334 12.3536 15.3334 12V4.00002C15.3334 3.6464 15.1929 3.30726 14.9429 3.05721C14.6928 2.80716 14.3537 2.66669 14.0001 2.66669Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15721"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12 6L8 10M8 6L12 10M14 2.667H5.333L0.667 8L5.333 13.333H14C14.354 13.333 14.693 13.193 14.943 12.943C15.193 12.693 15.333 12.354 15.333 12V4C15.333 3.646 15.193 3.307 14.943 3.057C14.693 2.807 14.354 2.667 14 2.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDisc = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15723)"><path d="M7.99992 14.6666C11.6818 14.6666 14.6666 11.6819 14.6666 7.99998C14.6666 4.31808 11.6818 1.33331 7.99992 1.33331C4.31802 1.33331 1.33325 4.31808 1.33325 7.99998C1.33325 11.6819 4.31802 14.6666 7.99992 14.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M7.99992 9.99998C9.10449 9.99998 9.99992 9.10455 9.99992 7.99998C9.99992 6.89541 9.10449 5.99998 7.99992 5.99998C6.89535 5.99998 5.99992 6.89541 5.99992 7.99998C5.99992 9.10455 6.89535 9.99998 7.99992 9.99998Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15723"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 14.667C11.682 14.667 14.667 11.682 14.667 8C14.667 4.318 11.682 1.333 8 1.333C4.318 1.333 1.333 4.318 1.333 8C1.333 11.682 4.318 14.667 8 14.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 10C9.104 10 10 9.105 10 8C10 6.895 9.104 6 8 6C6.895 6 6 6.895 6 8C6 9.105 6.895 10 8 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDivide = (props: IconProps) => (
-  <Icon {...props}><path d="M3.3335 8.00002H12.6668M9.3335 4.00002C9.3335 4.7364 8.73654 5.33335 8.00016 5.33335C7.26378 5.33335 6.66683 4.7364 6.66683 4.00002C6.66683 3.26364 7.26378 2.66669 8.00016 2.66669C8.73654 2.66669 9.3335 3.26364 9.3335 4.00002ZM9.3335 12C9.3335 12.7364 8.73654 13.3334 8.00016 13.3334C7.26378 13.3334 6.66683 12.7364 6.66683 12C6.66683 11.2636 7.26378 10.6667 8.00016 10.6667C8.73654 10.6667 9.3335 11.2636 9.3335 12Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 8H12.667M9.334 4C9.334 4.736 8.737 5.333 8 5.333C7.264 5.333 6.667 4.736 6.667 4C6.667 3.264 7.264 2.667 8 2.667C8.737 2.667 9.334 3.264 9.334 4ZM9.334 12C9.334 12.736 8.737 13.333 8 13.333C7.264 13.333 6.667 12.736 6.667 12C6.667 11.264 7.264 10.667 8 10.667C8.737 10.667 9.334 11.264 9.334 12Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
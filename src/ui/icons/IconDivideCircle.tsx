@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDivideCircle = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15725)"><path d="M5.33325 7.99998H10.6666M8.66659 10.6666C8.66659 11.0348 8.36811 11.3333 7.99992 11.3333C7.63173 11.3333 7.33325 11.0348 7.33325 10.6666C7.33325 10.2985 7.63173 9.99998 7.99992 9.99998C8.36811 9.99998 8.66659 10.2985 8.66659 10.6666ZM8.66659 5.33331C8.66659 5.7015 8.36811 5.99998 7.99992 5.99998C7.63173 5.99998 7.33325 5.7015 7.33325 5.33331C7.33325 4.96512 7.63173 4.66665 7.99992 4.66665C8.36811 4.66665 8.66659 4.96512 8.66659 5.33331ZM14.6666 7.99998C14.6666 11.6819 11.6818 14.6666 7.99992 14.6666C4.31802 14.6666 1.33325 11.6819 1.33325 7.99998C1.33325 4.31808 4.31802 1.33331 7.99992 1.33331C11.6818 1.33331 14.6666 4.31808 14.6666 7.99998Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15725"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.333 8H10.667M8.667 10.667C8.667 11.035 8.368 11.333 8 11.333C7.632 11.333 7.333 11.035 7.333 10.667C7.333 10.299 7.632 10 8 10C8.368 10 8.667 10.299 8.667 10.667ZM8.667 5.333C8.667 5.702 8.368 6 8 6C7.632 6 7.333 5.702 7.333 5.333C7.333 4.965 7.632 4.667 8 4.667C8.368 4.667 8.667 4.965 8.667 5.333ZM14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDivideSquare = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33333 8H10.6667M3.33333 2H12.6667C13.403 2 14 2.59695 14 3.33333V12.6667C14 13.403 13.403 14 12.6667 14H3.33333C2.59695 14 2 13.403 2 12.6667V3.33333C2 2.59695 2.59695 2 3.33333 2ZM8.66667 10.6667C8.66667 11.0349 8.36819 11.3333 8 11.3333C7.63181 11.3333 7.33333 11.0349 7.33333 10.6667C7.33333 10.2985 7.63181 10 8 10C8.36819 10 8.66667 10.2985 8.66667 10.6667ZM8.66667 5.33333C8.66667 5.70152 8.36819 6 8 6C7.63181 6 7.33333 5.70152 7.33333 5.33333C7.33333 4.96514 7.63181 4.66667 8 4.66667C8.36819 4.66667 8.66667 4.96514 8.66667 5.33333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 8H10.667M3.333 2H12.667C13.403 2 14 2.597 14 3.333V12.667C14 13.403 13.403 14 12.667 14H3.333C2.597 14 2 13.403 2 12.667V3.333C2 2.597 2.597 2 3.333 2ZM8.667 10.667C8.667 11.035 8.368 11.333 8 11.333C7.632 11.333 7.333 11.035 7.333 10.667C7.333 10.299 7.632 10 8 10C8.368 10 8.667 10.299 8.667 10.667ZM8.667 5.333C8.667 5.702 8.368 6 8 6C7.632 6 7.333 5.702 7.333 5.333C7.333 4.965 7.632 4.667 8 4.667C8.368 4.667 8.667 4.965 8.667 5.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDollarSign = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15731)"><path d="M8 0.666656V15.3333M11.3333 3.33332H6.33333C5.71449 3.33332 5.121 3.57916 4.68342 4.01674C4.24583 4.45433 4 5.04782 4 5.66666C4 6.2855 4.24583 6.87899 4.68342 7.31657C5.121 7.75416 5.71449 7.99999 6.33333 7.99999H9.66667C10.2855 7.99999 10.879 8.24582 11.3166 8.68341C11.7542 9.12099 12 9.71448 12 10.3333C12 10.9522 11.7542 11.5457 11.3166 11.9832C10.879 12.4208 10.2855 12.6667 9.66667 12.6667H4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15731"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 0.667V15.333M11.333 3.333H6.333C5.714 3.333 5.121 3.579 4.683 4.017C4.246 4.454 4 5.048 4 5.667C4 6.285 4.246 6.879 4.683 7.317C5.121 7.754 5.714 8 6.333 8H9.667C10.286 8 10.879 8.246 11.317 8.683C11.754 9.121 12 9.714 12 10.333C12 10.952 11.754 11.546 11.317 11.983C10.879 12.421 10.286 12.667 9.667 12.667H4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
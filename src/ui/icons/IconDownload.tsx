@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDownload = (props: IconProps) => (
-  <Icon {...props}><path d="M14 10V12.6667C14 13.0203 13.8595 13.3594 13.6095 13.6095C13.3594 13.8595 13.0203 14 12.6667 14H3.33333C2.97971 14 2.64057 13.8595 2.39052 13.6095C2.14048 13.3594 2 13.0203 2 12.6667V10M4.66667 6.66667L8 10M8 10L11.3333 6.66667M8 10V2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 10V12.667C14 13.02 13.86 13.359 13.61 13.61C13.359 13.86 13.02 14 12.667 14H3.333C2.98 14 2.641 13.86 2.391 13.61C2.14 13.359 2 13.02 2 12.667V10M4.667 6.667L8 10M8 10L11.333 6.667M8 10V2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
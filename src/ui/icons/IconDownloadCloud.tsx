@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDownloadCloud = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15733)"><path d="M5.33335 11.3333L8.00002 14M8.00002 14L10.6667 11.3333M8.00002 14V7.99999M13.92 12.06C14.4996 11.6524 14.9343 11.0708 15.1609 10.3994C15.3875 9.72808 15.3943 9.002 15.1803 8.32654C14.9663 7.65107 14.5426 7.06138 13.9707 6.64303C13.3989 6.22467 12.7086 5.99943 12 5.99999H11.16C10.9595 5.21857 10.5843 4.49282 10.0628 3.87737C9.54118 3.26193 8.88678 2.77283 8.14882 2.44689C7.41086 2.12095 6.60858 1.96667 5.80237 1.99566C4.99616 2.02466 4.20702 2.23617 3.49438 2.61427C2.78175 2.99237 2.16417 3.52722 1.68814 4.17854C1.21212 4.82986 0.890051 5.58068 0.74619 6.37449C0.60233 7.16829 0.640423 7.98438 0.857603 8.76133C1.07478 9.53828 1.46539 10.2558 2.00002 10.86" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15733"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.333 11.333L8 14M8 14L10.667 11.333M8 14V8M13.92 12.06C14.5 11.652 14.934 11.071 15.161 10.399C15.387 9.728 15.394 9.002 15.18 8.327C14.966 7.651 14.543 7.061 13.971 6.643C13.399 6.225 12.709 5.999 12 6H11.16C10.96 5.219 10.584 4.493 10.063 3.877C9.541 3.262 8.887 2.773 8.149 2.447C7.411 2.121 6.609 1.967 5.802 1.996C4.996 2.025 4.207 2.236 3.494 2.614C2.782 2.992 2.164 3.527 1.688 4.179C1.212 4.83 0.89 5.581 0.746 6.374C0.602 7.168 0.64 7.984 0.858 8.761C1.075 9.538 1.465 10.256 2 10.86" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDribbble = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15737)"><path d="M5.70671 1.83334C8.62004 5.85334 9.72004 8.11334 11.06 13.6467M12.7534 3.39334C10.2734 6.29334 6.79337 7.16668 1.50004 7.29334M14.5 8.56001C12.1667 7.94001 10.08 8.01334 8.54004 8.56001C6.82004 9.17334 5.20004 10.4667 3.58004 12.7733M14.6667 8.00001C14.6667 11.6819 11.6819 14.6667 8.00004 14.6667C4.31814 14.6667 1.33337 11.6819 1.33337 8.00001C1.33337 4.31811 4.31814 1.33334 8.00004 1.33334C11.6819 1.33334 14.6667 4.31811 14.6667 8.00001Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15737"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.707 1.833C8.62 5.853 9.72 8.113 11.06 13.647M12.753 3.393C10.273 6.293 6.793 7.167 1.5 7.293M14.5 8.56C12.167 7.94 10.08 8.013 8.54 8.56C6.82 9.173 5.2 10.467 3.58 12.773M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
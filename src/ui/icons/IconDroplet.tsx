@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconDroplet = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99992 1.79333L11.7733 5.56667C12.5195 6.31241 13.0278 7.26271 13.2339 8.29737C13.4399 9.33203 13.3345 10.4046 12.9309 11.3793C12.5274 12.3541 11.8438 13.1872 10.9667 13.7734C10.0895 14.3596 9.05824 14.6725 8.00326 14.6725C6.94828 14.6725 5.91699 14.3596 5.03985 13.7734C4.16272 13.1872 3.47913 12.3541 3.07557 11.3793C2.672 10.4046 2.56659 9.33203 2.77266 8.29737C2.97873 7.26271 3.48703 6.31241 4.23326 5.56667L7.99992 1.79333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 1.793L11.773 5.567C12.52 6.312 13.028 7.263 13.234 8.297C13.44 9.332 13.335 10.405 12.931 11.379C12.527 12.354 11.844 13.187 10.967 13.773C10.089 14.36 9.058 14.672 8.003 14.672C6.948 14.672 5.917 14.36 5.04 13.773C4.163 13.187 3.479 12.354 3.076 11.379C2.672 10.405 2.567 9.332 2.773 8.297C2.979 7.263 3.487 6.312 4.233 5.567L8 1.793Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconEdit = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15745)"><path d="M7.3335 2.66665H2.66683C2.31321 2.66665 1.97407 2.80713 1.72402 3.05718C1.47397 3.30723 1.3335 3.64637 1.3335 3.99999V13.3333C1.3335 13.6869 1.47397 14.0261 1.72402 14.2761C1.97407 14.5262 2.31321 14.6667 2.66683 14.6667H12.0002C12.3538 14.6667 12.6929 14.5262 12.943 14.2761C13.193 14.0261 13.3335 13.6869 13.3335 13.3333V8.66665M12.3335 1.66665C12.5987 1.40144 12.9584 1.25244 13.3335 1.25244C13.7086 1.25244 14.0683 1.40144 14.3335 1.66665C14.5987 1.93187 14.7477 2.29158 14.7477 2.66665C14.7477 3.04173 14.5987 3.40144 14.3335 3.66665L8.00016 9.99999L5.3335 10.6667L6.00016 7.99999L12.3335 1.66665Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15745"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M7.333 2.667H2.667C2.313 2.667 1.974 2.807 1.724 3.057C1.474 3.307 1.333 3.646 1.333 4V13.333C1.333 13.687 1.474 14.026 1.724 14.276C1.974 14.526 2.313 14.667 2.667 14.667H12C12.354 14.667 12.693 14.526 12.943 14.276C13.193 14.026 13.334 13.687 13.334 13.333V8.667M12.334 1.667C12.599 1.401 12.958 1.252 13.334 1.252C13.709 1.252 14.068 1.401 14.334 1.667C14.599 1.932 14.748 2.292 14.748 2.667C14.748 3.042 14.599 3.401 14.334 3.667L8 10L5.333 10.667L6 8L12.334 1.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconEdit3 = (props: IconProps) => (
-  <Icon {...props}><path d="M8 13.3333H14M11 2.33334C11.2652 2.06813 11.6249 1.91913 12 1.91913C12.1857 1.91913 12.3696 1.95571 12.5412 2.02678C12.7128 2.09785 12.8687 2.20202 13 2.33334C13.1313 2.46466 13.2355 2.62057 13.3066 2.79215C13.3776 2.96373 13.4142 3.14762 13.4142 3.33334C13.4142 3.51906 13.3776 3.70296 13.3066 3.87454C13.2355 4.04612 13.1313 4.20202 13 4.33334L4.66667 12.6667L2 13.3333L2.66667 10.6667L11 2.33334Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 13.333H14M11 2.333C11.265 2.068 11.625 1.919 12 1.919C12.186 1.919 12.37 1.956 12.541 2.027C12.713 2.098 12.869 2.202 13 2.333C13.131 2.465 13.236 2.621 13.307 2.792C13.378 2.964 13.414 3.148 13.414 3.333C13.414 3.519 13.378 3.703 13.307 3.875C13.236 4.046 13.131 4.202 13 4.333L4.667 12.667L2 13.333L2.667 10.667L11 2.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconExternalLink = (props: IconProps) => (
-  <Icon {...props}><path d="M12 8.66667V12.6667C12 13.0203 11.8595 13.3594 11.6095 13.6095C11.3594 13.8595 11.0203 14 10.6667 14H3.33333C2.97971 14 2.64057 13.8595 2.39052 13.6095C2.14048 13.3594 2 13.0203 2 12.6667V5.33333C2 4.97971 2.14048 4.64057 2.39052 4.39052C2.64057 4.14048 2.97971 4 3.33333 4H7.33333M10 2H14M14 2V6M14 2L6.66667 9.33333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12 8.667V12.667C12 13.02 11.86 13.359 11.61 13.61C11.359 13.86 11.02 14 10.667 14H3.333C2.98 14 2.641 13.86 2.391 13.61C2.14 13.359 2 13.02 2 12.667V5.333C2 4.98 2.14 4.641 2.391 4.391C2.641 4.14 2.98 4 3.333 4H7.333M10 2H14M14 2V6M14 2L6.667 9.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconEyeOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15749)"><path d="M11.96 11.96C10.8204 12.8287 9.43273 13.3099 7.99999 13.3333C3.33332 13.3333 0.666656 8 0.666656 8C1.49592 6.4546 2.64608 5.10441 4.03999 4.04001M6.59999 2.82667C7.05888 2.71926 7.5287 2.66556 7.99999 2.66667C12.6667 2.66667 15.3333 8 15.3333 8C14.9286 8.75708 14.446 9.46983 13.8933 10.1267M9.41332 9.41334C9.23022 9.60984 9.00942 9.76744 8.76409 9.87675C8.51876 9.98607 8.25392 10.0448 7.98538 10.0496C7.71684 10.0543 7.4501 10.0049 7.20106 9.90433C6.95203 9.80374 6.7258 9.65402 6.53589 9.46411C6.34597 9.27419 6.19625 9.04797 6.09566 8.79893C5.99507 8.5499 5.94567 8.28315 5.95041 8.01461C5.95515 7.74607 6.01393 7.48123 6.12324 7.2359C6.23255 6.99057 6.39016 6.76977 6.58666 6.58667M0.666656 0.666672L15.3333 15.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15749"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.96 11.96C10.82 12.829 9.433 13.31 8 13.333C3.333 13.333 0.667 8 0.667 8C1.496 6.455 2.646 5.104 4.04 4.04M6.6 2.827C7.059 2.719 7.529 2.666 8 2.667C12.667 2.667 15.333 8 15.333 8C14.929 8.757 14.446 9.47 13.893 10.127M9.413 9.413C9.23 9.61 9.009 9.767 8.764 9.877C8.519 9.986 8.254 10.045 7.985 10.05C7.717 10.054 7.45 10.005 7.201 9.904C6.952 9.804 6.726 9.654 6.536 9.464C6.346 9.274 6.196 9.048 6.096 8.799C5.995 8.55 5.946 8.283 5.95 8.015C5.955 7.746 6.014 7.481 6.123 7.236C6.233 6.991 6.39 6.77 6.587 6.587M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFacebook = (props: IconProps) => (
-  <Icon {...props}><path d="M12 1.33333H9.99996C9.1159 1.33333 8.26806 1.68452 7.64294 2.30964C7.01782 2.93476 6.66663 3.78261 6.66663 4.66666V6.66666H4.66663V9.33333H6.66663V14.6667H9.33329V9.33333H11.3333L12 6.66666H9.33329V4.66666C9.33329 4.48985 9.40353 4.32028 9.52855 4.19526C9.65358 4.07023 9.82315 3.99999 9.99996 3.99999H12V1.33333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12 1.333H10C9.116 1.333 8.268 1.685 7.643 2.31C7.018 2.935 6.667 3.783 6.667 4.667V6.667H4.667V9.333H6.667V14.667H9.333V9.333H11.333L12 6.667H9.333V4.667C9.333 4.49 9.404 4.32 9.529 4.195C9.654 4.07 9.823 4 10 4H12V1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFastForward = (props: IconProps) => (
-  <Icon {...props}><path d="M8.66671 12.6667L14.6667 7.99999L8.66671 3.33333V12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M1.33337 12.6667L7.33337 7.99999L1.33337 3.33333V12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8.667 12.667L14.667 8L8.667 3.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M1.333 12.667L7.333 8L1.333 3.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFeather = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15757)"><path d="M10.6666 5.33333L1.33325 14.6667M11.6666 10H5.99992M13.4933 8.16C14.2438 7.40944 14.6655 6.39145 14.6655 5.33C14.6655 4.26854 14.2438 3.25056 13.4933 2.5C12.7427 1.74944 11.7247 1.32777 10.6633 1.32777C9.6018 1.32777 8.58381 1.74944 7.83325 2.5L3.33325 7V12.6667H8.99992L13.4933 8.16Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15757"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 5.333L1.333 14.667M11.667 10H6M13.493 8.16C14.244 7.409 14.665 6.391 14.665 5.33C14.665 4.269 14.244 3.251 13.493 2.5C12.743 1.749 11.725 1.328 10.663 1.328C9.602 1.328 8.584 1.749 7.833 2.5L3.333 7V12.667H9L13.493 8.16Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFigma = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15759)"><path d="M7.99992 1.33333H5.66659C5.04775 1.33333 4.45425 1.57916 4.01667 2.01675C3.57908 2.45433 3.33325 3.04782 3.33325 3.66666C3.33325 4.2855 3.57908 4.87899 4.01667 5.31658C4.45425 5.75416 5.04775 5.99999 5.66659 5.99999M7.99992 1.33333V5.99999M7.99992 1.33333H10.3333C10.6397 1.33333 10.9431 1.39368 11.2262 1.51094C11.5093 1.6282 11.7665 1.80008 11.9832 2.01675C12.1998 2.23342 12.3717 2.49064 12.489 2.77373C12.6062 3.05683 12.6666 3.36024 12.6666 3.66666C12.6666 3.97308 12.6062 4.2765 12.489 4.55959C12.3717 4.84268 12.1998 5.09991 11.9832 5.31658C11.7665 5.53325 11.5093 5.70512 11.2262 5.82238C10.9431 5.93964 10.6397 5.99999 10.3333 5.99999M7.99992 5.99999H5.66659M7.99992 5.99999H10.3333M7.99992 5.99999V10.6667M5.66659 5.99999C5.04775 5.99999 4.45425 6.24583 4.01667 6.68341C3.57908 7.121 3.33325 7.71449 3.33325 8.33333C3.33325 8.95217 3.57908 9.54566 4.01667 9.98324C4.45425 10.4208 5.04775 10.6667 5.66659 10.6667M10.3333 5.99999C10.0268 5.99999 9.72342 6.06035 9.44032 6.17761C9.15723 6.29487 8.90001 6.46674 8.68334 6.68341C8.46667 6.90008 8.29479 7.15731 8.17753 7.4404C8.06027 7.72349 7.99992 8.02691 7.99992 8.33333C7.99992 8.63975 8.06027 8.94316 8.17753 9.22626C8.29479 9.50935 8.46667 9.76657 8.68334 9.98324C8.90001 10.1999 9.15723 10.3718 9.44032 10.489C9.72342 10.6063 10.0268 10.6667 10.3333 10.6667C10.6397 10.6667 10.9431 10.6063 11.2262 10.489C11.5093 10.3718 11.7665 10.1999 11.9832 9.98324C12.1998 9.76657 12.3717 9.50935 12.489 9.22626C12.6062 8.94316 12.6666 8.63975 12.6666 8.33333C12.6666 8.02691 12.6062 7.72349 12.489 7.4404C12.3717 7.15731 12.1998 6.90008 11.9832 6.68341C11.7665 6.46674 11.5093 6.29487 11.2262 6.17761C10.9431 6.06035 10.6397 5.99999 10.3333 5.99999ZM5.66659 10.6667C5.04775 10.6667 4.45425 10.9125 4.01667 11.3501C3.57908 11.7877 3.33325 12.3812 3.33325 13C3.33325 13.6188 3.57908 14.2123 4.01667 14.6499C4.45425 15.0875 5.04775 15.3333 5.66659 15.3333C6.28542 15.3333 6.87892 15.0875 7.3165 14.6499C7.75409 14.2123 7.99992 13.6188 7.99992 13V10.6667M5.66659 10.6667H7.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15759"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 1.333H5.667C5.048 1.333 4.454 1.579 4.017 2.017C3.579 2.454 3.333 3.048 3.333 3.667C3.333 4.285 3.579 4.879 4.017 5.317C4.454 5.754 5.048 6 5.667 6M8 1.333V6M8 1.333H10.333C10.64 1.333 10.943 1.394 11.226 1.511C11.509 1.628 11.767 1.8 11.983 2.017C12.2 2.233 12.372 2.491 12.489 2.774C12.606 3.057 12.667 3.36 12.667 3.667C12.667 3.973 12.606 4.277 12.489 4.56C12.372 4.843 12.2 5.1 11.983 5.317C11.767 5.533 11.509 5.705 11.226 5.822C10.943 5.94 10.64 6 10.333 6M8 6H5.667M8 6H10.333M8 6V10.667M5.667 6C5.048 6 4.454 6.246 4.017 6.683C3.579 7.121 3.333 7.714 3.333 8.333C3.333 8.952 3.579 9.546 4.017 9.983C4.454 10.421 5.048 10.667 5.667 10.667M10.333 6C10.027 6 9.723 6.06 9.44 6.178C9.157 6.295 8.9 6.467 8.683 6.683C8.467 6.9 8.295 7.157 8.178 7.44C8.06 7.723 8 8.027 8 8.333C8 8.64 8.06 8.943 8.178 9.226C8.295 9.509 8.467 9.767 8.683 9.983C8.9 10.2 9.157 10.372 9.44 10.489C9.723 10.606 10.027 10.667 10.333 10.667C10.64 10.667 10.943 10.606 11.226 10.489C11.509 10.372 11.767 10.2 11.983 9.983C12.2 9.767 12.372 9.509 12.489 9.226C12.606 8.943 12.667 8.64 12.667 8.333C12.667 8.027 12.606 7.723 12.489 7.44C12.372 7.157 12.2 6.9 11.983 6.683C11.767 6.467 11.509 6.295 11.226 6.178C10.943 6.06 10.64 6 10.333 6ZM5.667 10.667C5.048 10.667 4.454 10.912 4.017 11.35C3.579 11.788 3.333 12.381 3.333 13C3.333 13.619 3.579 14.212 4.017 14.65C4.454 15.088 5.048 15.333 5.667 15.333C6.285 15.333 6.879 15.088 7.316 14.65C7.754 14.212 8 13.619 8 13V10.667M5.667 10.667H8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
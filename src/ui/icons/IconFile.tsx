@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFile = (props: IconProps) => (
-  <Icon {...props}><path d="M8.66666 1.33333H3.99999C3.64637 1.33333 3.30723 1.47381 3.05718 1.72386C2.80713 1.9739 2.66666 2.31304 2.66666 2.66667V13.3333C2.66666 13.687 2.80713 14.0261 3.05718 14.2761C3.30723 14.5262 3.64637 14.6667 3.99999 14.6667H12C12.3536 14.6667 12.6927 14.5262 12.9428 14.2761C13.1928 14.0261 13.3333 13.687 13.3333 13.3333V6M8.66666 1.33333L13.3333 6M8.66666 1.33333L8.66666 6H13.3333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8.667 1.333H4C3.646 1.333 3.307 1.474 3.057 1.724C2.807 1.974 2.667 2.313 2.667 2.667V13.333C2.667 13.687 2.807 14.026 3.057 14.276C3.307 14.526 3.646 14.667 4 14.667H12C12.354 14.667 12.693 14.526 12.943 14.276C13.193 14.026 13.333 13.687 13.333 13.333V6M8.667 1.333L13.333 6M8.667 1.333L8.667 6H13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFileMinus = (props: IconProps) => (
-  <Icon {...props}><path d="M9.33341 1.33333H4.00008C3.64646 1.33333 3.30732 1.4738 3.05727 1.72385C2.80722 1.9739 2.66675 2.31304 2.66675 2.66666V13.3333C2.66675 13.687 2.80722 14.0261 3.05727 14.2761C3.30732 14.5262 3.64646 14.6667 4.00008 14.6667H12.0001C12.3537 14.6667 12.6928 14.5262 12.9429 14.2761C13.1929 14.0261 13.3334 13.687 13.3334 13.3333V5.33333M9.33341 1.33333L13.3334 5.33333M9.33341 1.33333L9.33341 5.33333H13.3334M6.00008 9.99999H10.0001" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M9.333 1.333H4C3.646 1.333 3.307 1.474 3.057 1.724C2.807 1.974 2.667 2.313 2.667 2.667V13.333C2.667 13.687 2.807 14.026 3.057 14.276C3.307 14.526 3.646 14.667 4 14.667H12C12.354 14.667 12.693 14.526 12.943 14.276C13.193 14.026 13.333 13.687 13.333 13.333V5.333M9.333 1.333L13.333 5.333M9.333 1.333L9.333 5.333H13.333M6 10H10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
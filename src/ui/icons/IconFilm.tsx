@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFilm = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15769)"><path d="M4.66665 1.33333V14.6667M11.3333 1.33333V14.6667M1.33331 8H14.6666M1.33331 4.66667H4.66665M1.33331 11.3333H4.66665M11.3333 11.3333H14.6666M11.3333 4.66667H14.6666M2.78665 1.33333H13.2133C14.016 1.33333 14.6666 1.98401 14.6666 2.78667V13.2133C14.6666 14.016 14.016 14.6667 13.2133 14.6667H2.78665C1.98399 14.6667 1.33331 14.016 1.33331 13.2133V2.78667C1.33331 1.98401 1.98399 1.33333 2.78665 1.33333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15769"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4.667 1.333V14.667M11.333 1.333V14.667M1.333 8H14.667M1.333 4.667H4.667M1.333 11.333H4.667M11.333 11.333H14.667M11.333 4.667H14.667M2.787 1.333H13.213C14.016 1.333 14.667 1.984 14.667 2.787V13.213C14.667 14.016 14.016 14.667 13.213 14.667H2.787C1.984 14.667 1.333 14.016 1.333 13.213V2.787C1.333 1.984 1.984 1.333 2.787 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
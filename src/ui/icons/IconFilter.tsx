@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFilter = (props: IconProps) => (
-  <Icon {...props}><path d="M14.6667 2H1.33337L6.66671 8.30667V12.6667L9.33337 14V8.30667L14.6667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14.667 2H1.333L6.667 8.307V12.667L9.333 14V8.307L14.667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFlag = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66663 10C2.66663 10 3.33329 9.33333 5.33329 9.33333C7.33329 9.33333 8.66663 10.6667 10.6666 10.6667C12.6666 10.6667 13.3333 10 13.3333 10V2C13.3333 2 12.6666 2.66667 10.6666 2.66667C8.66663 2.66667 7.33329 1.33333 5.33329 1.33333C3.33329 1.33333 2.66663 2 2.66663 2V10ZM2.66663 10V14.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 10C2.667 10 3.333 9.333 5.333 9.333C7.333 9.333 8.667 10.667 10.667 10.667C12.667 10.667 13.333 10 13.333 10V2C13.333 2 12.667 2.667 10.667 2.667C8.667 2.667 7.333 1.333 5.333 1.333C3.333 1.333 2.667 2 2.667 2V10ZM2.667 10V14.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFolderMinus = (props: IconProps) => (
-  <Icon {...props}><path d="M5.99992 9.33333H9.99992M14.6666 12.6667C14.6666 13.0203 14.5261 13.3594 14.2761 13.6095C14.026 13.8595 13.6869 14 13.3333 14H2.66659C2.31296 14 1.97382 13.8595 1.72378 13.6095C1.47373 13.3594 1.33325 13.0203 1.33325 12.6667V3.33333C1.33325 2.97971 1.47373 2.64057 1.72378 2.39052C1.97382 2.14048 2.31296 2 2.66659 2H5.99992L7.33325 4H13.3333C13.6869 4 14.026 4.14048 14.2761 4.39052C14.5261 4.64057 14.6666 4.97971 14.6666 5.33333V12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 9.333H10M14.667 12.667C14.667 13.02 14.526 13.359 14.276 13.61C14.026 13.86 13.687 14 13.333 14H2.667C2.313 14 1.974 13.86 1.724 13.61C1.474 13.359 1.333 13.02 1.333 12.667V3.333C1.333 2.98 1.474 2.641 1.724 2.391C1.974 2.14 2.313 2 2.667 2H6L7.333 4H13.333C13.687 4 14.026 4.14 14.276 4.391C14.526 4.641 14.667 4.98 14.667 5.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
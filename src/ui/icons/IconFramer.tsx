@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFramer = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15781)"><path d="M3.3335 10.6667V6H12.6668V1.33333H3.3335L12.6668 10.6667H8.00016M3.3335 10.6667L8.00016 15.3333V10.6667M3.3335 10.6667H8.00016" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15781"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.333 10.667V6H12.667V1.333H3.333L12.667 10.667H8M3.333 10.667L8 15.333V10.667M3.333 10.667H8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconFrown = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15783)"><path d="M10.6668 10.6667C10.6668 10.6667 9.66683 9.33333 8.00016 9.33333C6.3335 9.33333 5.3335 10.6667 5.3335 10.6667M6.00016 6H6.00683M10.0002 6H10.0068M14.6668 8C14.6668 11.6819 11.6821 14.6667 8.00016 14.6667C4.31826 14.6667 1.3335 11.6819 1.3335 8C1.3335 4.3181 4.31826 1.33333 8.00016 1.33333C11.6821 1.33333 14.6668 4.3181 14.6668 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15783"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 10.667C10.667 10.667 9.667 9.333 8 9.333C6.333 9.333 5.333 10.667 5.333 10.667M6 6H6.007M10 6H10.007M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGift = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15785)"><path d="M13.3333 8.00001V14.6667H2.66668V8.00001M8.00001 14.6667V4.66668M8.00001 4.66668H5.00001C4.55798 4.66668 4.13406 4.49108 3.8215 4.17852C3.50894 3.86596 3.33334 3.44204 3.33334 3.00001C3.33334 2.55798 3.50894 2.13406 3.8215 1.8215C4.13406 1.50894 4.55798 1.33334 5.00001 1.33334C7.33334 1.33334 8.00001 4.66668 8.00001 4.66668ZM8.00001 4.66668H11C11.442 4.66668 11.866 4.49108 12.1785 4.17852C12.4911 3.86596 12.6667 3.44204 12.6667 3.00001C12.6667 2.55798 12.4911 2.13406 12.1785 1.8215C11.866 1.50894 11.442 1.33334 11 1.33334C8.66668 1.33334 8.00001 4.66668 8.00001 4.66668ZM1.33334 4.66668H14.6667V8.00001H1.33334V4.66668Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15785"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M13.333 8V14.667H2.667V8M8 14.667V4.667M8 4.667H5C4.558 4.667 4.134 4.491 3.821 4.179C3.509 3.866 3.333 3.442 3.333 3C3.333 2.558 3.509 2.134 3.821 1.821C4.134 1.509 4.558 1.333 5 1.333C7.333 1.333 8 4.667 8 4.667ZM8 4.667H11C11.442 4.667 11.866 4.491 12.178 4.179C12.491 3.866 12.667 3.442 12.667 3C12.667 2.558 12.491 2.134 12.178 1.821C11.866 1.509 11.442 1.333 11 1.333C8.667 1.333 8 4.667 8 4.667ZM1.333 4.667H14.667V8H1.333V4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGitBranch = (props: IconProps) => (
-  <Icon {...props}><path d="M4 2V10M4 10C2.89543 10 2 10.8954 2 12C2 13.1046 2.89543 14 4 14C5.10457 14 6 13.1046 6 12M4 10C5.10457 10 6 10.8954 6 12M12 6C13.1046 6 14 5.10457 14 4C14 2.89543 13.1046 2 12 2C10.8954 2 10 2.89543 10 4C10 5.10457 10.8954 6 12 6ZM12 6C12 7.5913 11.3679 9.11742 10.2426 10.2426C9.11742 11.3679 7.5913 12 6 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4 2V10M4 10C2.895 10 2 10.895 2 12C2 13.105 2.895 14 4 14C5.105 14 6 13.105 6 12M4 10C5.105 10 6 10.895 6 12M12 6C13.105 6 14 5.105 14 4C14 2.895 13.105 2 12 2C10.895 2 10 2.895 10 4C10 5.105 10.895 6 12 6ZM12 6C12 7.591 11.368 9.117 10.243 10.243C9.117 11.368 7.591 12 6 12" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
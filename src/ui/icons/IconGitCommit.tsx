@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGitCommit = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15789)"><path d="M0.699951 8.00001H4.66662M11.34 8.00001H15.3066M10.6666 8.00001C10.6666 9.47277 9.47271 10.6667 7.99995 10.6667C6.52719 10.6667 5.33328 9.47277 5.33328 8.00001C5.33328 6.52725 6.52719 5.33334 7.99995 5.33334C9.47271 5.33334 10.6666 6.52725 10.6666 8.00001Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15789"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.7 8H4.667M11.34 8H15.307M10.667 8C10.667 9.473 9.473 10.667 8 10.667C6.527 10.667 5.333 9.473 5.333 8C5.333 6.527 6.527 5.333 8 5.333C9.473 5.333 10.667 6.527 10.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGitMerge = (props: IconProps) => (
-  <Icon {...props}><path d="M10 12C10 13.1046 10.8954 14 12 14C13.1046 14 14 13.1046 14 12C14 10.8954 13.1046 10 12 10C10.8954 10 10 10.8954 10 12ZM10 12C8.4087 12 6.88258 11.3679 5.75736 10.2426C4.63214 9.11742 4 7.5913 4 6M4 6C5.10457 6 6 5.10457 6 4C6 2.89543 5.10457 2 4 2C2.89543 2 2 2.89543 2 4C2 5.10457 2.89543 6 4 6ZM4 6L4 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10 12C10 13.105 10.895 14 12 14C13.105 14 14 13.105 14 12C14 10.895 13.105 10 12 10C10.895 10 10 10.895 10 12ZM10 12C8.409 12 6.883 11.368 5.757 10.243C4.632 9.117 4 7.591 4 6M4 6C5.105 6 6 5.105 6 4C6 2.895 5.105 2 4 2C2.895 2 2 2.895 2 4C2 5.105 2.895 6 4 6ZM4 6L4 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGithub = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15795)"><path d="M5.99992 12.6667C2.66659 13.6667 2.66659 11 1.33325 10.6667M10.6666 14.6667V12.0867C10.6916 11.7688 10.6486 11.4492 10.5406 11.1492C10.4325 10.8492 10.2619 10.5756 10.0399 10.3467C12.1333 10.1133 14.3333 9.32 14.3333 5.68C14.3331 4.74922 13.975 3.85413 13.3333 3.18C13.6372 2.36567 13.6157 1.46557 13.2733 0.666666C13.2733 0.666666 12.4866 0.433332 10.6666 1.65333C9.13859 1.23921 7.52791 1.23921 5.99992 1.65333C4.17992 0.433332 3.39325 0.666666 3.39325 0.666666C3.05084 1.46557 3.02935 2.36567 3.33325 3.18C2.68667 3.85913 2.32827 4.76231 2.33325 5.7C2.33325 9.31333 4.53325 10.1067 6.62659 10.3667C6.40725 10.5933 6.23809 10.8636 6.13012 11.1599C6.02215 11.4563 5.97779 11.772 5.99992 12.0867V14.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15795"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M6 12.667C2.667 13.667 2.667 11 1.333 10.667M10.667 14.667V12.087C10.692 11.769 10.649 11.449 10.541 11.149C10.432 10.849 10.262 10.576 10.04 10.347C12.133 10.113 14.333 9.32 14.333 5.68C14.333 4.749 13.975 3.854 13.333 3.18C13.637 2.366 13.616 1.466 13.273 0.667C13.273 0.667 12.487 0.433 10.667 1.653C9.139 1.239 7.528 1.239 6 1.653C4.18 0.433 3.393 0.667 3.393 0.667C3.051 1.466 3.029 2.366 3.333 3.18C2.687 3.859 2.328 4.762 2.333 5.7C2.333 9.313 4.533 10.107 6.627 10.367C6.407 10.593 6.238 10.864 6.13 11.16C6.022 11.456 5.978 11.772 6 12.087V14.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
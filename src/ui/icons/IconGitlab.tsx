@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGitlab = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15797)"><path d="M15.1001 9.59334L8.0001 14.7533L0.900096 9.59334C0.804913 9.52334 0.734309 9.42502 0.698386 9.31247C0.662463 9.19991 0.663061 9.07887 0.700096 8.96667L1.51343 6.44667L3.1401 1.44C3.15587 1.39921 3.18099 1.36268 3.21343 1.33334C3.26626 1.28509 3.33522 1.25833 3.40676 1.25833C3.47831 1.25833 3.54727 1.28509 3.6001 1.33334C3.63435 1.36645 3.65959 1.40775 3.67343 1.45334L5.3001 6.44667H10.7001L12.3268 1.44C12.3425 1.39921 12.3677 1.36268 12.4001 1.33334C12.4529 1.28509 12.5219 1.25833 12.5934 1.25833C12.665 1.25833 12.7339 1.28509 12.7868 1.33334C12.821 1.36645 12.8463 1.40775 12.8601 1.45334L14.4868 6.46L15.3334 8.96667C15.3671 9.08233 15.3626 9.20576 15.3206 9.31865C15.2785 9.43155 15.2012 9.52787 15.1001 9.59334Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15797"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.1 9.593L8 14.753L0.9 9.593C0.805 9.523 0.734 9.425 0.698 9.312C0.662 9.2 0.663 9.079 0.7 8.967L1.513 6.447L3.14 1.44C3.156 1.399 3.181 1.363 3.213 1.333C3.266 1.285 3.335 1.258 3.407 1.258C3.478 1.258 3.547 1.285 3.6 1.333C3.634 1.366 3.66 1.408 3.673 1.453L5.3 6.447H10.7L12.327 1.44C12.342 1.399 12.368 1.363 12.4 1.333C12.453 1.285 12.522 1.258 12.593 1.258C12.665 1.258 12.734 1.285 12.787 1.333C12.821 1.366 12.846 1.408 12.86 1.453L14.487 6.46L15.333 8.967C15.367 9.082 15.363 9.206 15.321 9.319C15.278 9.432 15.201 9.528 15.1 9.593Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
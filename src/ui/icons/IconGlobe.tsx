@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconGlobe = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15799)"><path d="M14.6668 8.00001C14.6668 11.6819 11.6821 14.6667 8.00016 14.6667M14.6668 8.00001C14.6668 4.31811 11.6821 1.33334 8.00016 1.33334M14.6668 8.00001H1.3335M8.00016 14.6667C4.31826 14.6667 1.3335 11.6819 1.3335 8.00001M8.00016 14.6667C9.66768 12.8411 10.6153 10.472 10.6668 8.00001C10.6153 5.52803 9.66768 3.15891 8.00016 1.33334M8.00016 14.6667C6.33264 12.8411 5.38499 10.472 5.3335 8.00001C5.38499 5.52803 6.33264 3.15891 8.00016 1.33334M1.3335 8.00001C1.3335 4.31811 4.31826 1.33334 8.00016 1.33334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15799"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.667 8C14.667 11.682 11.682 14.667 8 14.667M14.667 8C14.667 4.318 11.682 1.333 8 1.333M14.667 8H1.333M8 14.667C4.318 14.667 1.333 11.682 1.333 8M8 14.667C9.668 12.841 10.615 10.472 10.667 8C10.615 5.528 9.668 3.159 8 1.333M8 14.667C6.333 12.841 5.385 10.472 5.333 8C5.385 5.528 6.333 3.159 8 1.333M1.333 8C1.333 4.318 4.318 1.333 8 1.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconHardDrive = (props: IconProps) => (
-  <Icon {...props}><path d="M14.6667 8.00002H1.33334M14.6667 8.00002V12C14.6667 12.3536 14.5262 12.6928 14.2762 12.9428C14.0261 13.1929 13.687 13.3334 13.3333 13.3334H2.66668C2.31305 13.3334 1.97392 13.1929 1.72387 12.9428C1.47382 12.6928 1.33334 12.3536 1.33334 12V8.00002M14.6667 8.00002L12.3667 3.40669C12.2563 3.18455 12.0861 2.9976 11.8753 2.86687C11.6645 2.73615 11.4214 2.66682 11.1733 2.66669H4.82668C4.57862 2.66682 4.33552 2.73615 4.12471 2.86687C3.91389 2.9976 3.74373 3.18455 3.63334 3.40669L1.33334 8.00002M4.00001 10.6667H4.00668M6.66668 10.6667H6.67334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14.667 8H1.333M14.667 8V12C14.667 12.354 14.526 12.693 14.276 12.943C14.026 13.193 13.687 13.333 13.333 13.333H2.667C2.313 13.333 1.974 13.193 1.724 12.943C1.474 12.693 1.333 12.354 1.333 12V8M14.667 8L12.367 3.407C12.256 3.185 12.086 2.998 11.875 2.867C11.665 2.736 11.421 2.667 11.173 2.667H4.827C4.579 2.667 4.336 2.736 4.125 2.867C3.914 2.998 3.744 3.185 3.633 3.407L1.333 8M4 10.667H4.007M6.667 10.667H6.673" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
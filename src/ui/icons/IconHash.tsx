@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconHash = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66669 6H13.3334M2.66669 10H13.3334M6.66669 2L5.33335 14M10.6667 2L9.33335 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 6H13.333M2.667 10H13.333M6.667 2L5.333 14M10.667 2L9.333 14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
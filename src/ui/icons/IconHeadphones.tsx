@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconHeadphones = (props: IconProps) => (
-  <Icon {...props}><path d="M2 12V8C2 6.4087 2.63214 4.88258 3.75736 3.75736C4.88258 2.63214 6.4087 2 8 2C9.5913 2 11.1174 2.63214 12.2426 3.75736C13.3679 4.88258 14 6.4087 14 8V12M14 12.6667C14 13.0203 13.8595 13.3594 13.6095 13.6095C13.3594 13.8595 13.0203 14 12.6667 14H12C11.6464 14 11.3072 13.8595 11.0572 13.6095C10.8071 13.3594 10.6667 13.0203 10.6667 12.6667V10.6667C10.6667 10.313 10.8071 9.97391 11.0572 9.72386C11.3072 9.47381 11.6464 9.33333 12 9.33333H14V12.6667ZM2 12.6667C2 13.0203 2.14048 13.3594 2.39052 13.6095C2.64057 13.8595 2.97971 14 3.33333 14H4C4.35362 14 4.69276 13.8595 4.94281 13.6095C5.19286 13.3594 5.33333 13.0203 5.33333 12.6667V10.6667C5.33333 10.313 5.19286 9.97391 4.94281 9.72386C4.69276 9.47381 4.35362 9.33333 4 9.33333H2V12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2 12V8C2 6.409 2.632 4.883 3.757 3.757C4.883 2.632 6.409 2 8 2C9.591 2 11.117 2.632 12.243 3.757C13.368 4.883 14 6.409 14 8V12M14 12.667C14 13.02 13.86 13.359 13.61 13.61C13.359 13.86 13.02 14 12.667 14H12C11.646 14 11.307 13.86 11.057 13.61C10.807 13.359 10.667 13.02 10.667 12.667V10.667C10.667 10.313 10.807 9.974 11.057 9.724C11.307 9.474 11.646 9.333 12 9.333H14V12.667ZM2 12.667C2 13.02 2.14 13.359 2.391 13.61C2.641 13.86 2.98 14 3.333 14H4C4.354 14 4.693 13.86 4.943 13.61C5.193 13.359 5.333 13.02 5.333 12.667V10.667C5.333 10.313 5.193 9.974 4.943 9.724C4.693 9.474 4.354 9.333 4 9.333H2V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
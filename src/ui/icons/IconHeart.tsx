@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconHeart = (props: IconProps) => (
-  <Icon {...props}><path d="M13.8933 3.07333C13.5528 2.73267 13.1485 2.46243 12.7036 2.27805C12.2586 2.09368 11.7817 1.99878 11.3 1.99878C10.8183 1.99878 10.3414 2.09368 9.89643 2.27805C9.45146 2.46243 9.04717 2.73267 8.70667 3.07333L8 3.78L7.29333 3.07333C6.60554 2.38554 5.67269 1.99914 4.7 1.99914C3.72731 1.99914 2.79446 2.38554 2.10666 3.07333C1.41887 3.76112 1.03247 4.69397 1.03247 5.66666C1.03247 6.63935 1.41887 7.5722 2.10666 8.26L8 14.1533L13.8933 8.26C14.234 7.91949 14.5042 7.51521 14.6886 7.07023C14.873 6.62526 14.9679 6.14832 14.9679 5.66666C14.9679 5.185 14.873 4.70807 14.6886 4.26309C14.5042 3.81812 14.234 3.41383 13.8933 3.07333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M13.893 3.073C13.553 2.733 13.149 2.462 12.704 2.278C12.259 2.094 11.782 1.999 11.3 1.999C10.818 1.999 10.341 2.094 9.896 2.278C9.451 2.462 9.047 2.733 8.707 3.073L8 3.78L7.293 3.073C6.606 2.386 5.673 1.999 4.7 1.999C3.727 1.999 2.794 2.386 2.107 3.073C1.419 3.761 1.032 4.694 1.032 5.667C1.032 6.639 1.419 7.572 2.107 8.26L8 14.153L13.893 8.26C14.234 7.919 14.504 7.515 14.689 7.07C14.873 6.625 14.968 6.148 14.968 5.667C14.968 5.185 14.873 4.708 14.689 4.263C14.504 3.818 14.234 3.414 13.893 3.073Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
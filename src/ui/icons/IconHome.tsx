@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconHome = (props: IconProps) => (
-  <Icon {...props}><path d="M6 14.6666V7.99998H10V14.6666M2 5.99998L8 1.33331L14 5.99998V13.3333C14 13.6869 13.8595 14.0261 13.6095 14.2761C13.3594 14.5262 13.0203 14.6666 12.6667 14.6666H3.33333C2.97971 14.6666 2.64057 14.5262 2.39052 14.2761C2.14048 14.0261 2 13.6869 2 13.3333V5.99998Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 14.667V8H10V14.667M2 6L8 1.333L14 6V13.333C14 13.687 13.86 14.026 13.61 14.276C13.359 14.526 13.02 14.667 12.667 14.667H3.333C2.98 14.667 2.641 14.526 2.391 14.276C2.14 14.026 2 13.687 2 13.333V6Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
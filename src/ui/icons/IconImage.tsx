@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconImage = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33333 14H12.6667C13.403 14 14 13.403 14 12.6667V3.33333C14 2.59695 13.403 2 12.6667 2H3.33333C2.59695 2 2 2.59695 2 3.33333V12.6667C2 13.403 2.59695 14 3.33333 14ZM3.33333 14L10.6667 6.66667L14 10M6.66667 5.66667C6.66667 6.21895 6.21895 6.66667 5.66667 6.66667C5.11438 6.66667 4.66667 6.21895 4.66667 5.66667C4.66667 5.11438 5.11438 4.66667 5.66667 4.66667C6.21895 4.66667 6.66667 5.11438 6.66667 5.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 14H12.667C13.403 14 14 13.403 14 12.667V3.333C14 2.597 13.403 2 12.667 2H3.333C2.597 2 2 2.597 2 3.333V12.667C2 13.403 2.597 14 3.333 14ZM3.333 14L10.667 6.667L14 10M6.667 5.667C6.667 6.219 6.219 6.667 5.667 6.667C5.114 6.667 4.667 6.219 4.667 5.667C4.667 5.114 5.114 4.667 5.667 4.667C6.219 4.667 6.667 5.114 6.667 5.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
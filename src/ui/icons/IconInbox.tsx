@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconInbox = (props: IconProps) => (
-  <Icon {...props}><path d="M14.6668 8.00002H10.6668L9.3335 10H6.66683L5.3335 8.00002H1.3335M14.6668 8.00002V12C14.6668 12.3536 14.5264 12.6928 14.2763 12.9428C14.0263 13.1929 13.6871 13.3334 13.3335 13.3334H2.66683C2.31321 13.3334 1.97407 13.1929 1.72402 12.9428C1.47397 12.6928 1.3335 12.3536 1.3335 12V8.00002M14.6668 8.00002L12.3668 3.40669C12.2564 3.18455 12.0863 2.9976 11.8755 2.86687C11.6647 2.73615 11.4216 2.66682 11.1735 2.66669H4.82683C4.57877 2.66682 4.33567 2.73615 4.12486 2.86687C3.91405 2.9976 3.74388 3.18455 3.6335 3.40669L1.3335 8.00002" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14.667 8H10.667L9.334 10H6.667L5.333 8H1.333M14.667 8V12C14.667 12.354 14.526 12.693 14.276 12.943C14.026 13.193 13.687 13.333 13.334 13.333H2.667C2.313 13.333 1.974 13.193 1.724 12.943C1.474 12.693 1.333 12.354 1.333 12V8M14.667 8L12.367 3.407C12.256 3.185 12.086 2.998 11.876 2.867C11.665 2.736 11.422 2.667 11.174 2.667H4.827C4.579 2.667 4.336 2.736 4.125 2.867C3.914 2.998 3.744 3.185 3.634 3.407L1.333 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconInstagram = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15823)"><path d="M11.6666 4.33331H11.6733M4.66665 1.33331H11.3333C13.1743 1.33331 14.6666 2.8257 14.6666 4.66665V11.3333C14.6666 13.1743 13.1743 14.6666 11.3333 14.6666H4.66665C2.8257 14.6666 1.33331 13.1743 1.33331 11.3333V4.66665C1.33331 2.8257 2.8257 1.33331 4.66665 1.33331ZM10.6666 7.57998C10.7489 8.13481 10.6542 8.70146 10.3958 9.19932C10.1375 9.69719 9.72874 10.1009 9.22773 10.3531C8.72672 10.6053 8.15894 10.693 7.60517 10.6039C7.0514 10.5148 6.53982 10.2534 6.14321 9.85675C5.74659 9.46014 5.48513 8.94856 5.39602 8.39479C5.30691 7.84102 5.39469 7.27324 5.64686 6.77223C5.89904 6.27122 6.30277 5.86247 6.80064 5.60414C7.2985 5.34581 7.86515 5.25104 8.41998 5.33331C8.98593 5.41724 9.50988 5.68096 9.91444 6.08552C10.319 6.49008 10.5827 7.01403 10.6666 7.57998Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15823"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.667 4.333H11.673M4.667 1.333H11.333C13.174 1.333 14.667 2.826 14.667 4.667V11.333C14.667 13.174 13.174 14.667 11.333 14.667H4.667C2.826 14.667 1.333 13.174 1.333 11.333V4.667C1.333 2.826 2.826 1.333 4.667 1.333ZM10.667 7.58C10.749 8.135 10.654 8.701 10.396 9.199C10.137 9.697 9.729 10.101 9.228 10.353C8.727 10.605 8.159 10.693 7.605 10.604C7.051 10.515 6.54 10.253 6.143 9.857C5.747 9.46 5.485 8.949 5.396 8.395C5.307 7.841 5.395 7.273 5.647 6.772C5.899 6.271 6.303 5.862 6.801 5.604C7.298 5.346 7.865 5.251 8.42 5.333C8.986 5.417 9.51 5.681 9.914 6.086C10.319 6.49 10.583 7.014 10.667 7.58Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
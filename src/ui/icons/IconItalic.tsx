@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconItalic = (props: IconProps) => (
-  <Icon {...props}><path d="M12.6667 2.66669H6.66671M9.33337 13.3334H3.33337M10 2.66669L6.00004 13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.667 2.667H6.667M9.333 13.333H3.333M10 2.667L6 13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconKey = (props: IconProps) => (
-  <Icon {...props}><path d="M14.0001 1.33331L12.6667 2.66665M12.6667 2.66665L14.6667 4.66665L12.3334 6.99998L10.3334 4.99998M12.6667 2.66665L10.3334 4.99998M7.59339 7.73998C7.93762 8.07962 8.21126 8.484 8.39856 8.92984C8.58586 9.37567 8.68313 9.85416 8.68475 10.3377C8.68637 10.8213 8.59231 11.3004 8.408 11.7475C8.22369 12.1946 7.95277 12.6008 7.61082 12.9427C7.26888 13.2847 6.86268 13.5556 6.4156 13.7399C5.96852 13.9242 5.48939 14.0183 5.00582 14.0167C4.52224 14.015 4.04376 13.9178 3.59792 13.7305C3.15209 13.5432 2.74771 13.2695 2.40806 12.9253C1.74015 12.2338 1.37057 11.3076 1.37892 10.3462C1.38728 9.38479 1.7729 8.46514 2.45273 7.78531C3.13256 7.10548 4.0522 6.71986 5.01359 6.71151C5.97498 6.70315 6.90119 7.07273 7.59273 7.74065L7.59339 7.73998ZM7.59339 7.73998L10.3334 4.99998" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 1.333L12.667 2.667M12.667 2.667L14.667 4.667L12.333 7L10.333 5M12.667 2.667L10.333 5M7.593 7.74C7.938 8.08 8.211 8.484 8.399 8.93C8.586 9.376 8.683 9.854 8.685 10.338C8.686 10.821 8.592 11.3 8.408 11.748C8.224 12.195 7.953 12.601 7.611 12.943C7.269 13.285 6.863 13.556 6.416 13.74C5.969 13.924 5.489 14.018 5.006 14.017C4.522 14.015 4.044 13.918 3.598 13.73C3.152 13.543 2.748 13.27 2.408 12.925C1.74 12.234 1.371 11.308 1.379 10.346C1.387 9.385 1.773 8.465 2.453 7.785C3.133 7.105 4.052 6.72 5.014 6.712C5.975 6.703 6.901 7.073 7.593 7.741L7.593 7.74ZM7.593 7.74L10.333 5" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
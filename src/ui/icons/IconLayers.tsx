@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLayers = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15829)"><path d="M1.33325 11.3333L7.99992 14.6666L14.6666 11.3333M1.33325 7.99998L7.99992 11.3333L14.6666 7.99998M7.99992 1.33331L1.33325 4.66665L7.99992 7.99998L14.6666 4.66665L7.99992 1.33331Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15829"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M1.333 11.333L8 14.667L14.667 11.333M1.333 8L8 11.333L14.667 8M8 1.333L1.333 4.667L8 8L14.667 4.667L8 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLifeBuoy = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15833)"><path d="M3.28658 3.28665L6.11325 6.11331M9.88659 9.88665L12.7133 12.7133M12.7133 3.28665L9.88659 6.11331L12.2399 3.75998M3.28658 12.7133L6.11325 9.88665M14.6666 7.99998C14.6666 11.6819 11.6818 14.6666 7.99992 14.6666C4.31802 14.6666 1.33325 11.6819 1.33325 7.99998C1.33325 4.31808 4.31802 1.33331 7.99992 1.33331C11.6818 1.33331 14.6666 4.31808 14.6666 7.99998ZM10.6666 7.99998C10.6666 9.47274 9.47268 10.6666 7.99992 10.6666C6.52716 10.6666 5.33325 9.47274 5.33325 7.99998C5.33325 6.52722 6.52716 5.33331 7.99992 5.33331C9.47268 5.33331 10.6666 6.52722 10.6666 7.99998Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15833"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.287 3.287L6.113 6.113M9.887 9.887L12.713 12.713M12.713 3.287L9.887 6.113L12.24 3.76M3.287 12.713L6.113 9.887M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8ZM10.667 8C10.667 9.473 9.473 10.667 8 10.667C6.527 10.667 5.333 9.473 5.333 8C5.333 6.527 6.527 5.333 8 5.333C9.473 5.333 10.667 6.527 10.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLink2 = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15835)"><path d="M9.99984 4.66669H11.9998C12.4376 4.66669 12.871 4.75291 13.2754 4.92042C13.6799 5.08794 14.0473 5.33347 14.3569 5.643C14.6664 5.95253 14.9119 6.31999 15.0794 6.72441C15.247 7.12883 15.3332 7.56228 15.3332 8.00002C15.3332 8.43776 15.247 8.87121 15.0794 9.27563C14.9119 9.68005 14.6664 10.0475 14.3569 10.357C14.0473 10.6666 13.6799 10.9121 13.2754 11.0796C12.871 11.2471 12.4376 11.3334 11.9998 11.3334H9.99984M5.99984 11.3334H3.99984C3.5621 11.3334 3.12864 11.2471 2.72423 11.0796C2.31981 10.9121 1.95234 10.6666 1.64281 10.357C1.01769 9.73192 0.666504 8.88408 0.666504 8.00002C0.666504 7.11597 1.01769 6.26812 1.64281 5.643C2.26794 5.01788 3.11578 4.66669 3.99984 4.66669H5.99984M5.33317 8.00002H10.6665" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15835"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10 4.667H12C12.438 4.667 12.871 4.753 13.275 4.92C13.68 5.088 14.047 5.333 14.357 5.643C14.666 5.953 14.912 6.32 15.079 6.724C15.247 7.129 15.333 7.562 15.333 8C15.333 8.438 15.247 8.871 15.079 9.276C14.912 9.68 14.666 10.047 14.357 10.357C14.047 10.667 13.68 10.912 13.275 11.08C12.871 11.247 12.438 11.333 12 11.333H10M6 11.333H4C3.562 11.333 3.129 11.247 2.724 11.08C2.32 10.912 1.952 10.667 1.643 10.357C1.018 9.732 0.667 8.884 0.667 8C0.667 7.116 1.018 6.268 1.643 5.643C2.268 5.018 3.116 4.667 4 4.667H6M5.333 8H10.666" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
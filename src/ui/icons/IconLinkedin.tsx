@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLinkedin = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6667 5.33337C11.7275 5.33337 12.745 5.7548 13.4951 6.50495C14.2452 7.25509 14.6667 8.27251 14.6667 9.33337V14H12V9.33337C12 8.97975 11.8595 8.64061 11.6095 8.39057C11.3594 8.14052 11.0203 8.00004 10.6667 8.00004C10.3131 8.00004 9.97392 8.14052 9.72387 8.39057C9.47382 8.64061 9.33334 8.97975 9.33334 9.33337V14H6.66668V9.33337C6.66668 8.27251 7.0881 7.25509 7.83825 6.50495C8.58839 5.7548 9.60581 5.33337 10.6667 5.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M4.00001 6.00004H1.33334V14H4.00001V6.00004Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M2.66668 4.00004C3.40306 4.00004 4.00001 3.40309 4.00001 2.66671C4.00001 1.93033 3.40306 1.33337 2.66668 1.33337C1.9303 1.33337 1.33334 1.93033 1.33334 2.66671C1.33334 3.40309 1.9303 4.00004 2.66668 4.00004Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 5.333C11.727 5.333 12.745 5.755 13.495 6.505C14.245 7.255 14.667 8.273 14.667 9.333V14H12V9.333C12 8.98 11.86 8.641 11.61 8.391C11.359 8.141 11.02 8 10.667 8C10.313 8 9.974 8.141 9.724 8.391C9.474 8.641 9.333 8.98 9.333 9.333V14H6.667V9.333C6.667 8.273 7.088 7.255 7.838 6.505C8.588 5.755 9.606 5.333 10.667 5.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M4 6H1.333V14H4V6Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M2.667 4C3.403 4 4 3.403 4 2.667C4 1.93 3.403 1.333 2.667 1.333C1.93 1.333 1.333 1.93 1.333 2.667C1.333 3.403 1.93 4 2.667 4Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconList = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33333 4H14M5.33333 8H14M5.33333 12H14M2 4H2.00667M2 8H2.00667M2 12H2.00667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 4H14M5.333 8H14M5.333 12H14M2 4H2.007M2 8H2.007M2 12H2.007" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
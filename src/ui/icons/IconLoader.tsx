@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLoader = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15843)"><path d="M8.00004 1.33337V4.00004M8.00004 12V14.6667M3.28671 3.28671L5.17337 5.17337M10.8267 10.8267L12.7134 12.7134M1.33337 8.00004H4.00004M12 8.00004H14.6667M3.28671 12.7134L5.17337 10.8267M10.8267 5.17337L12.7134 3.28671" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15843"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 1.333V4M8 12V14.667M3.287 3.287L5.173 5.173M10.827 10.827L12.713 12.713M1.333 8H4M12 8H14.667M3.287 12.713L5.173 10.827M10.827 5.173L12.713 3.287" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLock = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66667 7.33337V4.66671C4.66667 3.78265 5.01786 2.93481 5.64298 2.30968C6.2681 1.68456 7.11595 1.33337 8 1.33337C8.88406 1.33337 9.7319 1.68456 10.357 2.30968C10.9821 2.93481 11.3333 3.78265 11.3333 4.66671V7.33337M3.33333 7.33337H12.6667C13.403 7.33337 14 7.93033 14 8.66671V13.3334C14 14.0698 13.403 14.6667 12.6667 14.6667H3.33333C2.59695 14.6667 2 14.0698 2 13.3334V8.66671C2 7.93033 2.59695 7.33337 3.33333 7.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 7.333V4.667C4.667 3.783 5.018 2.935 5.643 2.31C6.268 1.685 7.116 1.333 8 1.333C8.884 1.333 9.732 1.685 10.357 2.31C10.982 2.935 11.333 3.783 11.333 4.667V7.333M3.333 7.333H12.667C13.403 7.333 14 7.93 14 8.667V13.333C14 14.07 13.403 14.667 12.667 14.667H3.333C2.597 14.667 2 14.07 2 13.333V8.667C2 7.93 2.597 7.333 3.333 7.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
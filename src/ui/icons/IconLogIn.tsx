@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconLogIn = (props: IconProps) => (
-  <Icon {...props}><path d="M10 2H12.6667C13.0203 2 13.3594 2.14048 13.6095 2.39052C13.8595 2.64057 14 2.97971 14 3.33333V12.6667C14 13.0203 13.8595 13.3594 13.6095 13.6095C13.3594 13.8595 13.0203 14 12.6667 14H10M6.66667 11.3333L10 8M10 8L6.66667 4.66667M10 8H2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10 2H12.667C13.02 2 13.359 2.14 13.61 2.391C13.86 2.641 14 2.98 14 3.333V12.667C14 13.02 13.86 13.359 13.61 13.61C13.359 13.86 13.02 14 12.667 14H10M6.667 11.333L10 8M10 8L6.667 4.667M10 8H2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
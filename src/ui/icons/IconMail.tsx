@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMail = (props: IconProps) => (
-  <Icon {...props}><path d="M14.6666 3.99996C14.6666 3.26663 14.0666 2.66663 13.3333 2.66663H2.66659C1.93325 2.66663 1.33325 3.26663 1.33325 3.99996M14.6666 3.99996V12C14.6666 12.7333 14.0666 13.3333 13.3333 13.3333H2.66659C1.93325 13.3333 1.33325 12.7333 1.33325 12V3.99996M14.6666 3.99996L7.99992 8.66663L1.33325 3.99996" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14.667 4C14.667 3.267 14.067 2.667 13.333 2.667H2.667C1.933 2.667 1.333 3.267 1.333 4M14.667 4V12C14.667 12.733 14.067 13.333 13.333 13.333H2.667C1.933 13.333 1.333 12.733 1.333 12V4M14.667 4L8 8.667L1.333 4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
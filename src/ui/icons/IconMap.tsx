@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMap = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15855)"><path d="M5.33317 12L0.666504 14.6667V4.00004L5.33317 1.33337M5.33317 12L10.6665 14.6667M5.33317 12V1.33337M10.6665 14.6667L15.3332 12V1.33337L10.6665 4.00004M10.6665 14.6667V4.00004M10.6665 4.00004L5.33317 1.33337" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15855"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.333 12L0.667 14.667V4L5.333 1.333M5.333 12L10.666 14.667M5.333 12V1.333M10.666 14.667L15.333 12V1.333L10.666 4M10.666 14.667V4M10.666 4L5.333 1.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMapPin = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15853)"><path d="M14 6.66663C14 11.3333 8 15.3333 8 15.3333C8 15.3333 2 11.3333 2 6.66663C2 5.07533 2.63214 3.5492 3.75736 2.42398C4.88258 1.29877 6.4087 0.666626 8 0.666626C9.5913 0.666626 11.1174 1.29877 12.2426 2.42398C13.3679 3.5492 14 5.07533 14 6.66663Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 8.66663C9.10457 8.66663 10 7.7712 10 6.66663C10 5.56206 9.10457 4.66663 8 4.66663C6.89543 4.66663 6 5.56206 6 6.66663C6 7.7712 6.89543 8.66663 8 8.66663Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15853"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14 6.667C14 11.333 8 15.333 8 15.333C8 15.333 2 11.333 2 6.667C2 5.075 2.632 3.549 3.757 2.424C4.883 1.299 6.409 0.667 8 0.667C9.591 0.667 11.117 1.299 12.243 2.424C13.368 3.549 14 5.075 14 6.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 8.667C9.105 8.667 10 7.771 10 6.667C10 5.562 9.105 4.667 8 4.667C6.895 4.667 6 5.562 6 6.667C6 7.771 6.895 8.667 8 8.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
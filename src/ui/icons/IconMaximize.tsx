@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMaximize = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33333 2H3.33333C2.97971 2 2.64057 2.14048 2.39052 2.39052C2.14048 2.64057 2 2.97971 2 3.33333V5.33333M14 5.33333V3.33333C14 2.97971 13.8595 2.64057 13.6095 2.39052C13.3594 2.14048 13.0203 2 12.6667 2H10.6667M10.6667 14H12.6667C13.0203 14 13.3594 13.8595 13.6095 13.6095C13.8595 13.3594 14 13.0203 14 12.6667V10.6667M2 10.6667V12.6667C2 13.0203 2.14048 13.3594 2.39052 13.6095C2.64057 13.8595 2.97971 14 3.33333 14H5.33333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 2H3.333C2.98 2 2.641 2.14 2.391 2.391C2.14 2.641 2 2.98 2 3.333V5.333M14 5.333V3.333C14 2.98 13.86 2.641 13.61 2.391C13.359 2.14 13.02 2 12.667 2H10.667M10.667 14H12.667C13.02 14 13.359 13.86 13.61 13.61C13.86 13.359 14 13.02 14 12.667V10.667M2 10.667V12.667C2 13.02 2.14 13.359 2.391 13.61C2.641 13.86 2.98 14 3.333 14H5.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
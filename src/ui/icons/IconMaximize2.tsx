@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMaximize2 = (props: IconProps) => (
-  <Icon {...props}><path d="M10 2H14M14 2V6M14 2L9.33333 6.66667M6 14H2M2 14V10M2 14L6.66667 9.33333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10 2H14M14 2V6M14 2L9.333 6.667M6 14H2M2 14V10M2 14L6.667 9.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMessageCircle = (props: IconProps) => (
-  <Icon {...props}><path d="M14 7.66669C14.0023 8.5466 13.7967 9.41461 13.4 10.2C12.9296 11.1412 12.2065 11.9328 11.3116 12.4862C10.4168 13.0396 9.3855 13.3329 8.33333 13.3334C7.45342 13.3356 6.58541 13.1301 5.8 12.7334L2 14L3.26667 10.2C2.86995 9.41461 2.66437 8.5466 2.66667 7.66669C2.66707 6.61452 2.96041 5.58325 3.51381 4.68839C4.06722 3.79352 4.85884 3.0704 5.8 2.60002C6.58541 2.20331 7.45342 1.99772 8.33333 2.00002H8.66667C10.0562 2.07668 11.3687 2.66319 12.3528 3.64726C13.3368 4.63132 13.9233 5.94379 14 7.33335V7.66669Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 7.667C14.002 8.547 13.797 9.415 13.4 10.2C12.93 11.141 12.207 11.933 11.312 12.486C10.417 13.04 9.386 13.333 8.333 13.333C7.453 13.336 6.585 13.13 5.8 12.733L2 14L3.267 10.2C2.87 9.415 2.664 8.547 2.667 7.667C2.667 6.615 2.96 5.583 3.514 4.688C4.067 3.794 4.859 3.07 5.8 2.6C6.585 2.203 7.453 1.998 8.333 2H8.667C10.056 2.077 11.369 2.663 12.353 3.647C13.337 4.631 13.923 5.944 14 7.333V7.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMessageSquare = (props: IconProps) => (
-  <Icon {...props}><path d="M14 10C14 10.3536 13.8595 10.6928 13.6095 10.9428C13.3594 11.1929 13.0203 11.3333 12.6667 11.3333H4.66667L2 14V3.33333C2 2.97971 2.14048 2.64057 2.39052 2.39052C2.64057 2.14048 2.97971 2 3.33333 2H12.6667C13.0203 2 13.3594 2.14048 13.6095 2.39052C13.8595 2.64057 14 2.97971 14 3.33333V10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 10C14 10.354 13.86 10.693 13.61 10.943C13.359 11.193 13.02 11.333 12.667 11.333H4.667L2 14V3.333C2 2.98 2.14 2.641 2.391 2.391C2.641 2.14 2.98 2 3.333 2H12.667C13.02 2 13.359 2.14 13.61 2.391C13.86 2.641 14 2.98 14 3.333V10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMic = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15871)"><path d="M12.6668 6.66663V7.99996C12.6668 9.23764 12.1752 10.4246 11.3 11.2998C10.4248 12.175 9.23784 12.6666 8.00016 12.6666M8.00016 12.6666C6.76249 12.6666 5.5755 12.175 4.70033 11.2998C3.82516 10.4246 3.3335 9.23764 3.3335 7.99996V6.66663M8.00016 12.6666V15.3333M5.3335 15.3333H10.6668M8.00016 0.666626C7.46973 0.666626 6.96102 0.87734 6.58595 1.25241C6.21088 1.62749 6.00016 2.13619 6.00016 2.66663V7.99996C6.00016 8.53039 6.21088 9.0391 6.58595 9.41417C6.96102 9.78925 7.46973 9.99996 8.00016 9.99996C8.5306 9.99996 9.0393 9.78925 9.41438 9.41417C9.78945 9.0391 10.0002 8.53039 10.0002 7.99996V2.66663C10.0002 2.13619 9.78945 1.62749 9.41438 1.25241C9.0393 0.87734 8.5306 0.666626 8.00016 0.666626Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15871"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12.667 6.667V8C12.667 9.238 12.175 10.425 11.3 11.3C10.425 12.175 9.238 12.667 8 12.667M8 12.667C6.762 12.667 5.575 12.175 4.7 11.3C3.825 10.425 3.333 9.238 3.333 8V6.667M8 12.667V15.333M5.333 15.333H10.667M8 0.667C7.47 0.667 6.961 0.877 6.586 1.252C6.211 1.627 6 2.136 6 2.667V8C6 8.53 6.211 9.039 6.586 9.414C6.961 9.789 7.47 10 8 10C8.531 10 9.039 9.789 9.414 9.414C9.789 9.039 10 8.53 10 8V2.667C10 2.136 9.789 1.627 9.414 1.252C9.039 0.877 8.531 0.667 8 0.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMicOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15869)"><path d="M0.666748 0.666687L15.3334 15.3334M6.00008 6.00002V8.00002C6.00043 8.39533 6.11792 8.78167 6.3377 9.11024C6.55749 9.43882 6.86972 9.69489 7.23495 9.84612C7.60019 9.99735 8.00205 10.037 8.38978 9.95993C8.77751 9.8829 9.13372 9.6927 9.41341 9.41335M10.0001 6.22669V2.66669C10.0006 2.17071 9.81677 1.69223 9.48433 1.32415C9.15189 0.956074 8.69455 0.724648 8.20108 0.674803C7.70761 0.624958 7.21322 0.760249 6.81389 1.05441C6.41456 1.34858 6.13878 1.78063 6.04008 2.26669M11.3334 11.3C10.6826 11.9643 9.84817 12.419 8.93715 12.6058C8.02614 12.7925 7.0801 12.7028 6.22041 12.3482C5.36072 11.9936 4.62659 11.3902 4.11219 10.6155C3.5978 9.84071 3.32661 8.92996 3.33341 8.00002V6.66669M12.6667 6.66669V8.00002C12.6665 8.27498 12.642 8.54938 12.5934 8.82002M8.00008 12.6667V15.3334M5.33341 15.3334H10.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15869"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 0.667L15.333 15.333M6 6V8C6 8.395 6.118 8.782 6.338 9.11C6.557 9.439 6.87 9.695 7.235 9.846C7.6 9.997 8.002 10.037 8.39 9.96C8.778 9.883 9.134 9.693 9.413 9.413M10 6.227V2.667C10.001 2.171 9.817 1.692 9.484 1.324C9.152 0.956 8.695 0.725 8.201 0.675C7.708 0.625 7.213 0.76 6.814 1.054C6.415 1.349 6.139 1.781 6.04 2.267M11.333 11.3C10.683 11.964 9.848 12.419 8.937 12.606C8.026 12.793 7.08 12.703 6.22 12.348C5.361 11.994 4.627 11.39 4.112 10.616C3.598 9.841 3.327 8.93 3.333 8V6.667M12.667 6.667V8C12.666 8.275 12.642 8.549 12.593 8.82M8 12.667V15.333M5.333 15.333H10.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMinimize = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33333 2V4C5.33333 4.35362 5.19286 4.69276 4.94281 4.94281C4.69276 5.19286 4.35362 5.33333 4 5.33333H2M14 5.33333H12C11.6464 5.33333 11.3072 5.19286 11.0572 4.94281C10.8071 4.69276 10.6667 4.35362 10.6667 4V2M10.6667 14V12C10.6667 11.6464 10.8071 11.3072 11.0572 11.0572C11.3072 10.8071 11.6464 10.6667 12 10.6667H14M2 10.6667H4C4.35362 10.6667 4.69276 10.8071 4.94281 11.0572C5.19286 11.3072 5.33333 11.6464 5.33333 12V14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 2V4C5.333 4.354 5.193 4.693 4.943 4.943C4.693 5.193 4.354 5.333 4 5.333H2M14 5.333H12C11.646 5.333 11.307 5.193 11.057 4.943C10.807 4.693 10.667 4.354 10.667 4V2M10.667 14V12C10.667 11.646 10.807 11.307 11.057 11.057C11.307 10.807 11.646 10.667 12 10.667H14M2 10.667H4C4.354 10.667 4.693 10.807 4.943 11.057C5.193 11.307 5.333 11.646 5.333 12V14" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
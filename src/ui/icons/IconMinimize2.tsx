@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMinimize2 = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66667 9.33333H6.66667M6.66667 9.33333V13.3333M6.66667 9.33333L2 14M13.3333 6.66667H9.33333M9.33333 6.66667V2.66667M9.33333 6.66667L14 2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 9.333H6.667M6.667 9.333V13.333M6.667 9.333L2 14M13.333 6.667H9.333M9.333 6.667V2.667M9.333 6.667L14 2" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
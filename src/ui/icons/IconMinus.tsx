@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMinus = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33337 8H12.6667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 8H12.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
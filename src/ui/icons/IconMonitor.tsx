@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMonitor = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33325 14H10.6666M7.99992 11.3333V14M2.66659 2H13.3333C14.0696 2 14.6666 2.59695 14.6666 3.33333V10C14.6666 10.7364 14.0696 11.3333 13.3333 11.3333H2.66659C1.93021 11.3333 1.33325 10.7364 1.33325 10V3.33333C1.33325 2.59695 1.93021 2 2.66659 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 14H10.667M8 11.333V14M2.667 2H13.333C14.07 2 14.667 2.597 14.667 3.333V10C14.667 10.736 14.07 11.333 13.333 11.333H2.667C1.93 11.333 1.333 10.736 1.333 10V3.333C1.333 2.597 1.93 2 2.667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
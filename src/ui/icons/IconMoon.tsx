@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMoon = (props: IconProps) => (
-  <Icon {...props}><path d="M13.9999 8.52667C13.8951 9.66147 13.4692 10.7429 12.7721 11.6445C12.075 12.5461 11.1356 13.2305 10.0637 13.6177C8.99188 14.0049 7.83192 14.0787 6.7196 13.8307C5.60728 13.5827 4.5886 13.023 3.78275 12.2172C2.97691 11.4113 2.41723 10.3927 2.16921 9.28033C1.92118 8.16801 1.99508 7.00806 2.38224 5.9362C2.7694 4.86434 3.45382 3.92491 4.35541 3.22784C5.257 2.53076 6.33846 2.10487 7.47327 2C6.80888 2.89884 6.48917 4.0063 6.57229 5.12094C6.65541 6.23559 7.13584 7.28337 7.9262 8.07373C8.71656 8.86409 9.76435 9.34452 10.879 9.42764C11.9936 9.51077 13.1011 9.19106 13.9999 8.52667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 8.527C13.895 9.661 13.469 10.743 12.772 11.645C12.075 12.546 11.136 13.23 10.064 13.618C8.992 14.005 7.832 14.079 6.72 13.831C5.607 13.583 4.589 13.023 3.783 12.217C2.977 11.411 2.417 10.393 2.169 9.28C1.921 8.168 1.995 7.008 2.382 5.936C2.769 4.864 3.454 3.925 4.355 3.228C5.257 2.531 6.338 2.105 7.473 2C6.809 2.899 6.489 4.006 6.572 5.121C6.655 6.236 7.136 7.283 7.926 8.074C8.717 8.864 9.764 9.345 10.879 9.428C11.994 9.511 13.101 9.191 14 8.527Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMoreHorizontal = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00008 8.66671C8.36827 8.66671 8.66675 8.36823 8.66675 8.00004C8.66675 7.63185 8.36827 7.33337 8.00008 7.33337C7.63189 7.33337 7.33341 7.63185 7.33341 8.00004C7.33341 8.36823 7.63189 8.66671 8.00008 8.66671Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M12.6667 8.66671C13.0349 8.66671 13.3334 8.36823 13.3334 8.00004C13.3334 7.63185 13.0349 7.33337 12.6667 7.33337C12.2986 7.33337 12.0001 7.63185 12.0001 8.00004C12.0001 8.36823 12.2986 8.66671 12.6667 8.66671Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M3.33341 8.66671C3.7016 8.66671 4.00008 8.36823 4.00008 8.00004C4.00008 7.63185 3.7016 7.33337 3.33341 7.33337C2.96522 7.33337 2.66675 7.63185 2.66675 8.00004C2.66675 8.36823 2.96522 8.66671 3.33341 8.66671Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 8.667C8.368 8.667 8.667 8.368 8.667 8C8.667 7.632 8.368 7.333 8 7.333C7.632 7.333 7.333 7.632 7.333 8C7.333 8.368 7.632 8.667 8 8.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M12.667 8.667C13.035 8.667 13.333 8.368 13.333 8C13.333 7.632 13.035 7.333 12.667 7.333C12.299 7.333 12 7.632 12 8C12 8.368 12.299 8.667 12.667 8.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M3.333 8.667C3.702 8.667 4 8.368 4 8C4 7.632 3.702 7.333 3.333 7.333C2.965 7.333 2.667 7.632 2.667 8C2.667 8.368 2.965 8.667 3.333 8.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
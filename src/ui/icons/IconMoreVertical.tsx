@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMoreVertical = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00016 8.66663C8.36835 8.66663 8.66683 8.36815 8.66683 7.99996C8.66683 7.63177 8.36835 7.33329 8.00016 7.33329C7.63197 7.33329 7.3335 7.63177 7.3335 7.99996C7.3335 8.36815 7.63197 8.66663 8.00016 8.66663Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8.00016 3.99996C8.36835 3.99996 8.66683 3.70148 8.66683 3.33329C8.66683 2.9651 8.36835 2.66663 8.00016 2.66663C7.63197 2.66663 7.3335 2.9651 7.3335 3.33329C7.3335 3.70148 7.63197 3.99996 8.00016 3.99996Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8.00016 13.3333C8.36835 13.3333 8.66683 13.0348 8.66683 12.6666C8.66683 12.2984 8.36835 12 8.00016 12C7.63197 12 7.3335 12.2984 7.3335 12.6666C7.3335 13.0348 7.63197 13.3333 8.00016 13.3333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 8.667C8.368 8.667 8.667 8.368 8.667 8C8.667 7.632 8.368 7.333 8 7.333C7.632 7.333 7.333 7.632 7.333 8C7.333 8.368 7.632 8.667 8 8.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 4C8.368 4 8.667 3.701 8.667 3.333C8.667 2.965 8.368 2.667 8 2.667C7.632 2.667 7.333 2.965 7.333 3.333C7.333 3.701 7.632 4 8 4Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 13.333C8.368 13.333 8.667 13.035 8.667 12.667C8.667 12.298 8.368 12 8 12C7.632 12 7.333 12.298 7.333 12.667C7.333 13.035 7.632 13.333 8 13.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
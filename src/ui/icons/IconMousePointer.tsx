@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMousePointer = (props: IconProps) => (
-  <Icon {...props}><path d="M8.66667 8.66667L12.6667 12.6667M2 2L6.71333 13.3133L8.38667 8.38667L13.3133 6.71333L2 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8.667 8.667L12.667 12.667M2 2L6.713 13.313L8.387 8.387L13.313 6.713L2 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
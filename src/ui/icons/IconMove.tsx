@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMove = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15893)"><path d="M3.33334 6.00004L1.33334 8.00004M1.33334 8.00004L3.33334 10M1.33334 8.00004H14.6667M6.00001 3.33337L8.00001 1.33337M8.00001 1.33337L10 3.33337M8.00001 1.33337V14.6667M10 12.6667L8.00001 14.6667M8.00001 14.6667L6.00001 12.6667M12.6667 6.00004L14.6667 8.00004M14.6667 8.00004L12.6667 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15893"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.333 6L1.333 8M1.333 8L3.333 10M1.333 8H14.667M6 3.333L8 1.333M8 1.333L10 3.333M8 1.333V14.667M10 12.667L8 14.667M8 14.667L6 12.667M12.667 6L14.667 8M14.667 8L12.667 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
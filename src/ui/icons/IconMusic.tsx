@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconMusic = (props: IconProps) => (
-  <Icon {...props}><path d="M6 12V3.33333L14 2V10.6667M6 12C6 13.1046 5.10457 14 4 14C2.89543 14 2 13.1046 2 12C2 10.8954 2.89543 10 4 10C5.10457 10 6 10.8954 6 12ZM14 10.6667C14 11.7712 13.1046 12.6667 12 12.6667C10.8954 12.6667 10 11.7712 10 10.6667C10 9.5621 10.8954 8.66667 12 8.66667C13.1046 8.66667 14 9.5621 14 10.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6 12V3.333L14 2V10.667M6 12C6 13.105 5.105 14 4 14C2.895 14 2 13.105 2 12C2 10.895 2.895 10 4 10C5.105 10 6 10.895 6 12ZM14 10.667C14 11.771 13.105 12.667 12 12.667C10.895 12.667 10 11.771 10 10.667C10 9.562 10.895 8.667 12 8.667C13.105 8.667 14 9.562 14 10.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
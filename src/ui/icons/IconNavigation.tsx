@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconNavigation = (props: IconProps) => (
-  <Icon {...props}><path d="M2 7.33337L14.6667 1.33337L8.66667 14L7.33333 8.66671L2 7.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2 7.333L14.667 1.333L8.667 14L7.333 8.667L2 7.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
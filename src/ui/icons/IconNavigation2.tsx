@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconNavigation2 = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00004 1.33337L12.6667 14L8.00004 11.3334L3.33337 14L8.00004 1.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 1.333L12.667 14L8 11.333L3.333 14L8 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
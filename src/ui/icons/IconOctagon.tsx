@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconOctagon = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15901)"><path d="M5.23992 1.33337H10.7599L14.6666 5.24004V10.76L10.7599 14.6667H5.23992L1.33325 10.76V5.24004L5.23992 1.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15901"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.24 1.333H10.76L14.667 5.24V10.76L10.76 14.667H5.24L1.333 10.76V5.24L5.24 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPaperclip = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15905)"><path d="M14.2934 7.36665L8.1667 13.4933C7.41613 14.2439 6.39815 14.6655 5.3367 14.6655C4.27524 14.6655 3.25726 14.2439 2.5067 13.4933C1.75613 12.7428 1.33447 11.7248 1.33447 10.6633C1.33447 9.60186 1.75613 8.58388 2.5067 7.83332L8.63336 1.70665C9.13374 1.20628 9.81239 0.925171 10.52 0.925171C11.2277 0.925171 11.9063 1.20628 12.4067 1.70665C12.9071 2.20703 13.1882 2.88568 13.1882 3.59332C13.1882 4.30096 12.9071 4.97961 12.4067 5.47999L6.27336 11.6067C6.02318 11.8568 5.68385 11.9974 5.33003 11.9974C4.97621 11.9974 4.63688 11.8568 4.3867 11.6067C4.13651 11.3565 3.99596 11.0171 3.99596 10.6633C3.99596 10.3095 4.13651 9.97017 4.3867 9.71999L10.0467 4.06665" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15905"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.293 7.367L8.167 13.493C7.416 14.244 6.398 14.665 5.337 14.665C4.275 14.665 3.257 14.244 2.507 13.493C1.756 12.743 1.334 11.725 1.334 10.663C1.334 9.602 1.756 8.584 2.507 7.833L8.633 1.707C9.134 1.206 9.812 0.925 10.52 0.925C11.228 0.925 11.906 1.206 12.407 1.707C12.907 2.207 13.188 2.886 13.188 3.593C13.188 4.301 12.907 4.98 12.407 5.48L6.273 11.607C6.023 11.857 5.684 11.997 5.33 11.997C4.976 11.997 4.637 11.857 4.387 11.607C4.137 11.357 3.996 11.017 3.996 10.663C3.996 10.309 4.137 9.97 4.387 9.72L10.047 4.067" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPenTool = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15911)"><path d="M1.33334 1.33337L11 3.66671L12 8.66671L8.66668 12L3.66668 11L1.33334 1.33337ZM1.33334 1.33337L6.39068 6.39071M8.00001 12.6667L12.6667 8.00004L14.6667 10L10 14.6667L8.00001 12.6667ZM8.66668 7.33337C8.66668 8.06975 8.06972 8.66671 7.33334 8.66671C6.59696 8.66671 6.00001 8.06975 6.00001 7.33337C6.00001 6.59699 6.59696 6.00004 7.33334 6.00004C8.06972 6.00004 8.66668 6.59699 8.66668 7.33337Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15911"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M1.333 1.333L11 3.667L12 8.667L8.667 12L3.667 11L1.333 1.333ZM1.333 1.333L6.391 6.391M8 12.667L12.667 8L14.667 10L10 14.667L8 12.667ZM8.667 7.333C8.667 8.07 8.07 8.667 7.333 8.667C6.597 8.667 6 8.07 6 7.333C6 6.597 6.597 6 7.333 6C8.07 6 8.667 6.597 8.667 7.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPhone = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15927)"><path d="M14.6665 11.28V13.28C14.6672 13.4657 14.6292 13.6494 14.5548 13.8195C14.4804 13.9897 14.3713 14.1424 14.2345 14.2679C14.0977 14.3934 13.9362 14.489 13.7603 14.5485C13.5844 14.6079 13.398 14.63 13.2131 14.6133C11.1617 14.3904 9.19113 13.6894 7.45979 12.5667C5.84901 11.5431 4.48335 10.1774 3.45979 8.56665C2.33311 6.82745 1.63195 4.84731 1.41313 2.78665C1.39647 2.60229 1.41838 2.41649 1.47746 2.24107C1.53654 2.06564 1.63151 1.90444 1.7563 1.76773C1.8811 1.63102 2.033 1.52179 2.20232 1.447C2.37164 1.37221 2.55469 1.33349 2.73979 1.33332H4.73979C5.06333 1.33013 5.37699 1.4447 5.6223 1.65567C5.86761 1.86664 6.02784 2.15961 6.07313 2.47998C6.15754 3.12003 6.31409 3.74847 6.53979 4.35332C6.62949 4.59193 6.6489 4.85126 6.59573 5.10057C6.54256 5.34988 6.41903 5.57872 6.23979 5.75998L5.39313 6.60665C6.34216 8.27568 7.7241 9.65761 9.39313 10.6066L10.2398 9.75998C10.4211 9.58074 10.6499 9.45722 10.8992 9.40405C11.1485 9.35088 11.4078 9.37029 11.6465 9.45998C12.2513 9.68568 12.8797 9.84224 13.5198 9.92665C13.8436 9.97234 14.1394 10.1355 14.3508 10.385C14.5622 10.6345 14.6746 10.953 14.6665 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15927"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.666 11.28V13.28C14.667 13.466 14.629 13.649 14.555 13.819C14.48 13.99 14.371 14.142 14.235 14.268C14.098 14.393 13.936 14.489 13.76 14.549C13.584 14.608 13.398 14.63 13.213 14.613C11.162 14.39 9.191 13.689 7.46 12.567C5.849 11.543 4.483 10.177 3.46 8.567C2.333 6.827 1.632 4.847 1.413 2.787C1.396 2.602 1.418 2.416 1.477 2.241C1.537 2.066 1.632 1.904 1.756 1.768C1.881 1.631 2.033 1.522 2.202 1.447C2.372 1.372 2.555 1.333 2.74 1.333H4.74C5.063 1.33 5.377 1.445 5.622 1.656C5.868 1.867 6.028 2.16 6.073 2.48C6.158 3.12 6.314 3.748 6.54 4.353C6.629 4.592 6.649 4.851 6.596 5.101C6.543 5.35 6.419 5.579 6.24 5.76L5.393 6.607C6.342 8.276 7.724 9.658 9.393 10.607L10.24 9.76C10.421 9.581 10.65 9.457 10.899 9.404C11.149 9.351 11.408 9.37 11.646 9.46C12.251 9.686 12.88 9.842 13.52 9.927C13.844 9.972 14.139 10.136 14.351 10.385C14.562 10.634 14.675 10.953 14.666 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPhoneCall = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15915)"><path d="M10.0334 3.33329C10.6845 3.46034 11.283 3.7788 11.7521 4.24792C12.2212 4.71703 12.5397 5.31547 12.6667 5.96663M10.0334 0.666626C11.3862 0.816917 12.6478 1.42274 13.6109 2.38463C14.574 3.34652 15.1814 4.6073 15.3334 5.95996M14.6667 11.28V13.28C14.6675 13.4656 14.6294 13.6494 14.555 13.8195C14.4807 13.9896 14.3716 14.1424 14.2348 14.2679C14.0979 14.3934 13.9364 14.4889 13.7605 14.5484C13.5847 14.6079 13.3983 14.63 13.2134 14.6133C11.1619 14.3904 9.19137 13.6894 7.46004 12.5666C5.84926 11.5431 4.48359 10.1774 3.46004 8.56663C2.33336 6.82743 1.6322 4.84729 1.41337 2.78663C1.39671 2.60227 1.41862 2.41647 1.4777 2.24104C1.53679 2.06562 1.63175 1.90442 1.75655 1.76771C1.88134 1.63099 2.03324 1.52177 2.20256 1.44697C2.37189 1.37218 2.55493 1.33347 2.74004 1.33329H4.74004C5.06357 1.33011 5.37723 1.44468 5.62254 1.65565C5.86786 1.86662 6.02809 2.15959 6.07337 2.47996C6.15779 3.12 6.31434 3.74844 6.54004 4.35329C6.62973 4.59191 6.64914 4.85124 6.59597 5.10055C6.5428 5.34986 6.41928 5.5787 6.24004 5.75996L5.39337 6.60663C6.34241 8.27566 7.72434 9.65759 9.39337 10.6066L10.24 9.75996C10.4213 9.58072 10.6501 9.45719 10.8994 9.40402C11.1488 9.35085 11.4081 9.37026 11.6467 9.45996C12.2516 9.68566 12.88 9.84221 13.52 9.92663C13.8439 9.97231 14.1396 10.1354 14.3511 10.385C14.5625 10.6345 14.6748 10.953 14.6667 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15915"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.033 3.333C10.684 3.46 11.283 3.779 11.752 4.248C12.221 4.717 12.54 5.315 12.667 5.967M10.033 0.667C11.386 0.817 12.648 1.423 13.611 2.385C14.574 3.347 15.181 4.607 15.333 5.96M14.667 11.28V13.28C14.668 13.466 14.629 13.649 14.555 13.819C14.481 13.99 14.372 14.142 14.235 14.268C14.098 14.393 13.936 14.489 13.761 14.548C13.585 14.608 13.398 14.63 13.213 14.613C11.162 14.39 9.191 13.689 7.46 12.567C5.849 11.543 4.484 10.177 3.46 8.567C2.333 6.827 1.632 4.847 1.413 2.787C1.397 2.602 1.419 2.416 1.478 2.241C1.537 2.066 1.632 1.904 1.757 1.768C1.881 1.631 2.033 1.522 2.203 1.447C2.372 1.372 2.555 1.333 2.74 1.333H4.74C5.064 1.33 5.377 1.445 5.623 1.656C5.868 1.867 6.028 2.16 6.073 2.48C6.158 3.12 6.314 3.748 6.54 4.353C6.63 4.592 6.649 4.851 6.596 5.101C6.543 5.35 6.419 5.579 6.24 5.76L5.393 6.607C6.342 8.276 7.724 9.658 9.393 10.607L10.24 9.76C10.421 9.581 10.65 9.457 10.899 9.404C11.149 9.351 11.408 9.37 11.647 9.46C12.252 9.686 12.88 9.842 13.52 9.927C13.844 9.972 14.14 10.135 14.351 10.385C14.563 10.634 14.675 10.953 14.667 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
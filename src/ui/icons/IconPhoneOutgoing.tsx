@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPhoneOutgoing = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15925)"><path d="M15.3331 4.66663V0.666626M15.3331 0.666626H11.3331M15.3331 0.666626L10.6665 5.33329M14.6665 11.28V13.28C14.6672 13.4656 14.6292 13.6494 14.5548 13.8195C14.4804 13.9896 14.3713 14.1424 14.2345 14.2679C14.0977 14.3934 13.9362 14.4889 13.7603 14.5484C13.5844 14.6079 13.398 14.63 13.2131 14.6133C11.1617 14.3904 9.19113 13.6894 7.45979 12.5666C5.84901 11.5431 4.48335 10.1774 3.45979 8.56663C2.33311 6.82743 1.63195 4.84729 1.41313 2.78663C1.39647 2.60227 1.41838 2.41647 1.47746 2.24104C1.53654 2.06562 1.63151 1.90442 1.7563 1.76771C1.8811 1.63099 2.033 1.52177 2.20232 1.44697C2.37164 1.37218 2.55469 1.33347 2.73979 1.33329H4.73979C5.06333 1.33011 5.37699 1.44468 5.6223 1.65565C5.86761 1.86662 6.02784 2.15959 6.07313 2.47996C6.15754 3.12 6.31409 3.74844 6.53979 4.35329C6.62949 4.59191 6.6489 4.85124 6.59573 5.10055C6.54256 5.34986 6.41903 5.5787 6.23979 5.75996L5.39313 6.60663C6.34216 8.27566 7.7241 9.65759 9.39313 10.6066L10.2398 9.75996C10.4211 9.58072 10.6499 9.45719 10.8992 9.40402C11.1485 9.35085 11.4078 9.37026 11.6465 9.45996C12.2513 9.68566 12.8797 9.84221 13.5198 9.92663C13.8436 9.97231 14.1394 10.1354 14.3508 10.385C14.5622 10.6345 14.6746 10.953 14.6665 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15925"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 4.667V0.667M15.333 0.667H11.333M15.333 0.667L10.666 5.333M14.666 11.28V13.28C14.667 13.466 14.629 13.649 14.555 13.819C14.48 13.99 14.371 14.142 14.235 14.268C14.098 14.393 13.936 14.489 13.76 14.548C13.584 14.608 13.398 14.63 13.213 14.613C11.162 14.39 9.191 13.689 7.46 12.567C5.849 11.543 4.483 10.177 3.46 8.567C2.333 6.827 1.632 4.847 1.413 2.787C1.396 2.602 1.418 2.416 1.477 2.241C1.537 2.066 1.632 1.904 1.756 1.768C1.881 1.631 2.033 1.522 2.202 1.447C2.372 1.372 2.555 1.333 2.74 1.333H4.74C5.063 1.33 5.377 1.445 5.622 1.656C5.868 1.867 6.028 2.16 6.073 2.48C6.158 3.12 6.314 3.748 6.54 4.353C6.629 4.592 6.649 4.851 6.596 5.101C6.543 5.35 6.419 5.579 6.24 5.76L5.393 6.607C6.342 8.276 7.724 9.658 9.393 10.607L10.24 9.76C10.421 9.581 10.65 9.457 10.899 9.404C11.149 9.351 11.408 9.37 11.646 9.46C12.251 9.686 12.88 9.842 13.52 9.927C13.844 9.972 14.139 10.135 14.351 10.385C14.562 10.634 14.675 10.953 14.666 11.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
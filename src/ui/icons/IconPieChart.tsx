@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPieChart = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15929)"><path d="M14.14 10.5933C13.7159 11.5962 13.0525 12.4801 12.2079 13.1675C11.3633 13.8548 10.3632 14.3249 9.29496 14.5364C8.22674 14.748 7.12295 14.6947 6.0801 14.3811C5.03725 14.0676 4.08709 13.5033 3.31268 12.7377C2.53828 11.9721 1.96321 11.0284 1.63776 9.98922C1.31231 8.95002 1.24638 7.84691 1.44574 6.77634C1.64509 5.70577 2.10367 4.70034 2.78137 3.84794C3.45907 2.99554 4.33526 2.32213 5.33334 1.88659M14.6667 7.99992C14.6667 7.12444 14.4942 6.25753 14.1592 5.4487C13.8242 4.63986 13.3331 3.90493 12.714 3.28587C12.095 2.66682 11.3601 2.17575 10.5512 1.84072C9.74239 1.50569 8.87548 1.33325 8 1.33325V7.99992H14.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15929"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.14 10.593C13.716 11.596 13.053 12.48 12.208 13.168C11.363 13.855 10.363 14.325 9.295 14.536C8.227 14.748 7.123 14.695 6.08 14.381C5.037 14.068 4.087 13.503 3.313 12.738C2.538 11.972 1.963 11.028 1.638 9.989C1.312 8.95 1.246 7.847 1.446 6.776C1.645 5.706 2.104 4.7 2.781 3.848C3.459 2.996 4.335 2.322 5.333 1.887M14.667 8C14.667 7.124 14.494 6.258 14.159 5.449C13.824 4.64 13.333 3.905 12.714 3.286C12.095 2.667 11.36 2.176 10.551 1.841C9.742 1.506 8.875 1.333 8 1.333V8H14.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
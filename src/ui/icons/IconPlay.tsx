@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPlay = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33337 2L12.6667 8L3.33337 14V2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 2L12.667 8L3.333 14V2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
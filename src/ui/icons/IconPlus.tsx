@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPlus = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99992 3.33325V12.6666M3.33325 7.99992H12.6666" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 3.333V12.667M3.333 8H12.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPocket = (props: IconProps) => (
-  <Icon {...props}><path d="M5.33325 6.66667L7.99992 9.33333L10.6666 6.66667M2.66659 2H13.3333C13.6869 2 14.026 2.14048 14.2761 2.39052C14.5261 2.64057 14.6666 2.97971 14.6666 3.33333V7.33333C14.6666 9.10144 13.9642 10.7971 12.714 12.0474C11.4637 13.2976 9.76803 14 7.99992 14C7.12444 14 6.25753 13.8276 5.4487 13.4925C4.63986 13.1575 3.90493 12.6664 3.28587 12.0474C2.03563 10.7971 1.33325 9.10144 1.33325 7.33333V3.33333C1.33325 2.97971 1.47373 2.64057 1.72378 2.39052C1.97382 2.14048 2.31296 2 2.66659 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.333 6.667L8 9.333L10.667 6.667M2.667 2H13.333C13.687 2 14.026 2.14 14.276 2.391C14.526 2.641 14.667 2.98 14.667 3.333V7.333C14.667 9.101 13.964 10.797 12.714 12.047C11.464 13.298 9.768 14 8 14C7.124 14 6.258 13.828 5.449 13.492C4.64 13.158 3.905 12.666 3.286 12.047C2.036 10.797 1.333 9.101 1.333 7.333V3.333C1.333 2.98 1.474 2.641 1.724 2.391C1.974 2.14 2.313 2 2.667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
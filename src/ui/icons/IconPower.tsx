@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPower = (props: IconProps) => (
-  <Icon {...props}><path d="M12.2399 4.42659C13.0788 5.26578 13.6501 6.33488 13.8814 7.49871C14.1128 8.66254 13.9939 9.86884 13.5397 10.9651C13.0855 12.0613 12.3165 12.9983 11.3298 13.6575C10.3431 14.3167 9.18319 14.6685 7.99658 14.6685C6.80998 14.6685 5.65002 14.3167 4.66337 13.6575C3.67671 12.9983 2.90768 12.0613 2.45349 10.9651C1.99931 9.86884 1.88038 8.66254 2.11173 7.49871C2.34308 6.33488 2.91433 5.26578 3.75325 4.42659M7.99992 1.33325V7.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.24 4.427C13.079 5.266 13.65 6.335 13.881 7.499C14.113 8.663 13.994 9.869 13.54 10.965C13.085 12.061 12.316 12.998 11.33 13.658C10.343 14.317 9.183 14.668 7.997 14.668C6.81 14.668 5.65 14.317 4.663 13.658C3.677 12.998 2.908 12.061 2.453 10.965C1.999 9.869 1.88 8.663 2.112 7.499C2.343 6.335 2.914 5.266 3.753 4.427M8 1.333V8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconPrinter = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15945)"><path d="M4.00016 5.99992V1.33325H12.0002V5.99992M4.00016 11.9999H2.66683C2.31321 11.9999 1.97407 11.8594 1.72402 11.6094C1.47397 11.3593 1.3335 11.0202 1.3335 10.6666V7.33325C1.3335 6.97963 1.47397 6.64049 1.72402 6.39044C1.97407 6.14039 2.31321 5.99992 2.66683 5.99992H13.3335C13.6871 5.99992 14.0263 6.14039 14.2763 6.39044C14.5264 6.64049 14.6668 6.97963 14.6668 7.33325V10.6666C14.6668 11.0202 14.5264 11.3593 14.2763 11.6094C14.0263 11.8594 13.6871 11.9999 13.3335 11.9999H12.0002M4.00016 9.33325H12.0002V14.6666H4.00016V9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15945"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4 6V1.333H12V6M4 12H2.667C2.313 12 1.974 11.859 1.724 11.609C1.474 11.359 1.333 11.02 1.333 10.667V7.333C1.333 6.98 1.474 6.64 1.724 6.39C1.974 6.14 2.313 6 2.667 6H13.334C13.687 6 14.026 6.14 14.276 6.39C14.526 6.64 14.667 6.98 14.667 7.333V10.667C14.667 11.02 14.526 11.359 14.276 11.609C14.026 11.859 13.687 12 13.334 12H12M4 9.333H12V14.667H4V9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRadio = (props: IconProps) => (
-  <Icon {...props}><path d="M10.8267 5.17329C11.1986 5.54478 11.4936 5.98593 11.6949 6.47153C11.8962 6.95712 11.9998 7.47763 11.9998 8.00329C11.9998 8.52895 11.8962 9.04946 11.6949 9.53505C11.4936 10.0206 11.1986 10.4618 10.8267 10.8333M5.17332 10.8266C4.80142 10.4551 4.50638 10.014 4.30508 9.52838C4.10379 9.04279 4.00018 8.52228 4.00018 7.99662C4.00018 7.47096 4.10379 6.95045 4.30508 6.46486C4.50638 5.97927 4.80142 5.53811 5.17332 5.16662M12.7133 3.28662C13.9631 4.53681 14.6652 6.23219 14.6652 7.99995C14.6652 9.76772 13.9631 11.4631 12.7133 12.7133M3.28666 12.7133C2.03685 11.4631 1.33475 9.76772 1.33475 7.99995C1.33475 6.23219 2.03685 4.53681 3.28666 3.28662M9.33332 7.99995C9.33332 8.73633 8.73637 9.33329 7.99999 9.33329C7.26361 9.33329 6.66666 8.73633 6.66666 7.99995C6.66666 7.26357 7.26361 6.66662 7.99999 6.66662C8.73637 6.66662 9.33332 7.26357 9.33332 7.99995Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.827 5.173C11.199 5.545 11.494 5.986 11.695 6.472C11.896 6.957 12 7.478 12 8.003C12 8.529 11.896 9.049 11.695 9.535C11.494 10.021 11.199 10.462 10.827 10.833M5.173 10.827C4.801 10.455 4.506 10.014 4.305 9.528C4.104 9.043 4 8.522 4 7.997C4 7.471 4.104 6.95 4.305 6.465C4.506 5.979 4.801 5.538 5.173 5.167M12.713 3.287C13.963 4.537 14.665 6.232 14.665 8C14.665 9.768 13.963 11.463 12.713 12.713M3.287 12.713C2.037 11.463 1.335 9.768 1.335 8C1.335 6.232 2.037 4.537 3.287 3.287M9.333 8C9.333 8.736 8.736 9.333 8 9.333C7.264 9.333 6.667 8.736 6.667 8C6.667 7.264 7.264 6.667 8 6.667C8.736 6.667 9.333 7.264 9.333 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRefreshCcw = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15949)"><path d="M0.666687 2.66655V6.66655M0.666687 6.66655H4.66669M0.666687 6.66655L3.76002 3.75989C4.47652 3.04303 5.36294 2.51936 6.33656 2.23774C7.31018 1.95612 8.33928 1.92572 9.32783 2.14939C10.3164 2.37306 11.2322 2.84351 11.9897 3.51683C12.7473 4.19016 13.3219 5.04441 13.66 5.99989M15.3334 13.3332V9.33322M15.3334 9.33322H11.3334M15.3334 9.33322L12.24 12.2399C11.5235 12.9567 10.6371 13.4804 9.66348 13.762C8.68986 14.0437 7.66076 14.0741 6.67221 13.8504C5.68366 13.6267 4.76789 13.1563 4.01033 12.4829C3.25278 11.8096 2.67813 10.9554 2.34002 9.99989" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15949"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 2.667V6.667M0.667 6.667H4.667M0.667 6.667L3.76 3.76C4.477 3.043 5.363 2.519 6.337 2.238C7.31 1.956 8.339 1.926 9.328 2.149C10.316 2.373 11.232 2.844 11.99 3.517C12.747 4.19 13.322 5.044 13.66 6M15.333 13.333V9.333M15.333 9.333H11.333M15.333 9.333L12.24 12.24C11.524 12.957 10.637 13.48 9.663 13.762C8.69 14.044 7.661 14.074 6.672 13.85C5.684 13.627 4.768 13.156 4.01 12.483C3.253 11.81 2.678 10.955 2.34 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRefreshCw = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15951)"><path d="M15.3333 2.66655V6.66655M15.3333 6.66655H11.3333M15.3333 6.66655L12.24 3.75989C11.5235 3.04303 10.637 2.51936 9.66342 2.23774C8.68979 1.95612 7.6607 1.92572 6.67215 2.14939C5.6836 2.37306 4.76783 2.84351 4.01027 3.51683C3.25271 4.19016 2.67807 5.04441 2.33996 5.99989M0.666626 13.3332V9.33322M0.666626 9.33322H4.66663M0.666626 9.33322L3.75996 12.2399C4.47646 12.9567 5.36287 13.4804 6.3365 13.762C7.31012 14.0437 8.33922 14.0741 9.32777 13.8504C10.3163 13.6267 11.2321 13.1563 11.9896 12.4829C12.7472 11.8096 13.3218 10.9554 13.66 9.99989" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15951"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 2.667V6.667M15.333 6.667H11.333M15.333 6.667L12.24 3.76C11.524 3.043 10.637 2.519 9.663 2.238C8.69 1.956 7.661 1.926 6.672 2.149C5.684 2.373 4.768 2.844 4.01 3.517C3.253 4.19 2.678 5.044 2.34 6M0.667 13.333V9.333M0.667 9.333H4.667M0.667 9.333L3.76 12.24C4.476 12.957 5.363 13.48 6.337 13.762C7.31 14.044 8.339 14.074 9.328 13.85C10.316 13.627 11.232 13.156 11.99 12.483C12.747 11.81 13.322 10.955 13.66 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRepeat = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15953)"><path d="M11.3333 0.666748L14 3.33341M14 3.33341L11.3333 6.00008M14 3.33341L4.66667 3.33341C3.95942 3.33341 3.28115 3.61437 2.78105 4.11446C2.28095 4.61456 2 5.29284 2 6.00008V7.33341M4.66667 15.3334L2 12.6667M2 12.6667L4.66667 10.0001M2 12.6667L11.3333 12.6667C12.0406 12.6667 12.7189 12.3858 13.219 11.8857C13.719 11.3856 14 10.7073 14 10.0001V8.66675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15953"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.333 0.667L14 3.333M14 3.333L11.333 6M14 3.333L4.667 3.333C3.959 3.333 3.281 3.614 2.781 4.114C2.281 4.615 2 5.293 2 6V7.333M4.667 15.333L2 12.667M2 12.667L4.667 10M2 12.667L11.333 12.667C12.041 12.667 12.719 12.386 13.219 11.886C13.719 11.386 14 10.707 14 10V8.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRewind = (props: IconProps) => (
-  <Icon {...props}><path d="M7.33325 12.6666L1.33325 7.99992L7.33325 3.33325V12.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M14.6666 12.6666L8.66658 7.99992L14.6666 3.33325V12.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M7.333 12.667L1.333 8L7.333 3.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M14.667 12.667L8.667 8L14.667 3.333V12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRotateCcw = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15957)"><path d="M0.666748 2.66655V6.66655M0.666748 6.66655H4.66675M0.666748 6.66655L3.76008 3.75988C4.68069 2.84083 5.87505 2.24586 7.1632 2.06463C8.45135 1.88339 9.76351 2.12571 10.902 2.75506C12.0404 3.38441 12.9435 4.36671 13.4752 5.55395C14.0068 6.74119 14.1382 8.06905 13.8496 9.33746C13.5609 10.6059 12.8679 11.7461 11.8748 12.5864C10.8818 13.4267 9.64258 13.9215 8.34389 13.9962C7.0452 14.0709 5.7574 13.7216 4.67452 13.0008C3.59164 12.28 2.77234 11.2268 2.34008 9.99988" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15957"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 2.667V6.667M0.667 6.667H4.667M0.667 6.667L3.76 3.76C4.681 2.841 5.875 2.246 7.163 2.065C8.451 1.883 9.764 2.126 10.902 2.755C12.04 3.384 12.944 4.367 13.475 5.554C14.007 6.741 14.138 8.069 13.85 9.337C13.561 10.606 12.868 11.746 11.875 12.586C10.882 13.427 9.643 13.921 8.344 13.996C7.045 14.071 5.757 13.722 4.675 13.001C3.592 12.28 2.772 11.227 2.34 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRotateCw = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15959)"><path d="M15.3333 2.66659V6.66659M15.3333 6.66659H11.3333M15.3333 6.66659L12.2467 3.75993C11.3271 2.83975 10.1333 2.24339 8.84531 2.06069C7.55729 1.87799 6.24478 2.11887 5.10557 2.74702C3.96636 3.37517 3.06217 4.35656 2.52924 5.54331C1.99632 6.73005 1.86354 8.05786 2.15091 9.32663C2.43828 10.5954 3.13024 11.7364 4.1225 12.5777C5.11477 13.419 6.35359 13.915 7.65228 13.991C8.95097 14.067 10.2392 13.7188 11.3228 12.9989C12.4064 12.2791 13.2266 11.2265 13.66 9.99993" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15959"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 2.667V6.667M15.333 6.667H11.333M15.333 6.667L12.247 3.76C11.327 2.84 10.133 2.243 8.845 2.061C7.557 1.878 6.245 2.119 5.106 2.747C3.966 3.375 3.062 4.357 2.529 5.543C1.996 6.73 1.864 8.058 2.151 9.327C2.438 10.595 3.13 11.736 4.122 12.578C5.115 13.419 6.354 13.915 7.652 13.991C8.951 14.067 10.239 13.719 11.323 12.999C12.406 12.279 13.227 11.226 13.66 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
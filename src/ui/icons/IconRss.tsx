@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconRss = (props: IconProps) => (
-  <Icon {...props}><path d="M2.6665 7.33341C4.2578 7.33341 5.78393 7.96556 6.90914 9.09077C8.03436 10.216 8.6665 11.7421 8.6665 13.3334M2.6665 2.66675C5.49548 2.66675 8.20859 3.79055 10.209 5.79094C12.2094 7.79133 13.3332 10.5044 13.3332 13.3334M3.99984 12.6667C3.99984 13.0349 3.70136 13.3334 3.33317 13.3334C2.96498 13.3334 2.6665 13.0349 2.6665 12.6667C2.6665 12.2986 2.96498 12.0001 3.33317 12.0001C3.70136 12.0001 3.99984 12.2986 3.99984 12.6667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 7.333C4.258 7.333 5.784 7.966 6.909 9.091C8.034 10.216 8.666 11.742 8.666 13.333M2.667 2.667C5.495 2.667 8.209 3.791 10.209 5.791C12.209 7.791 13.333 10.504 13.333 13.333M4 12.667C4 13.035 3.701 13.333 3.333 13.333C2.965 13.333 2.667 13.035 2.667 12.667C2.667 12.299 2.965 12 3.333 12C3.701 12 4 12.299 4 12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
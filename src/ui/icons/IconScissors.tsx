@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconScissors = (props: IconProps) => (
-  <Icon {...props}><path d="M13.3333 2.66667L5.41333 10.5867M9.64667 9.65333L13.3333 13.3333M5.41333 5.41333L8 8M6 4C6 5.10457 5.10457 6 4 6C2.89543 6 2 5.10457 2 4C2 2.89543 2.89543 2 4 2C5.10457 2 6 2.89543 6 4ZM6 12C6 13.1046 5.10457 14 4 14C2.89543 14 2 13.1046 2 12C2 10.8954 2.89543 10 4 10C5.10457 10 6 10.8954 6 12Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M13.333 2.667L5.413 10.587M9.647 9.653L13.333 13.333M5.413 5.413L8 8M6 4C6 5.105 5.105 6 4 6C2.895 6 2 5.105 2 4C2 2.895 2.895 2 4 2C5.105 2 6 2.895 6 4ZM6 12C6 13.105 5.105 14 4 14C2.895 14 2 13.105 2 12C2 10.895 2.895 10 4 10C5.105 10 6 10.895 6 12Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
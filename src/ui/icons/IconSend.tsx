@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSend = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15969)"><path d="M14.6667 1.33325L7.33337 8.66658M14.6667 1.33325L10 14.6666L7.33337 8.66658M14.6667 1.33325L1.33337 5.99992L7.33337 8.66658" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15969"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M14.667 1.333L7.333 8.667M14.667 1.333L10 14.667L7.333 8.667M14.667 1.333L1.333 6L7.333 8.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
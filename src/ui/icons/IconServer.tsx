@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconServer = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15971)"><path d="M4.00004 3.99992H4.00671M4.00004 11.9999H4.00671M2.66671 1.33325H13.3334C14.0698 1.33325 14.6667 1.93021 14.6667 2.66659V5.33325C14.6667 6.06963 14.0698 6.66659 13.3334 6.66659H2.66671C1.93033 6.66659 1.33337 6.06963 1.33337 5.33325V2.66659C1.33337 1.93021 1.93033 1.33325 2.66671 1.33325ZM2.66671 9.33325H13.3334C14.0698 9.33325 14.6667 9.93021 14.6667 10.6666V13.3333C14.6667 14.0696 14.0698 14.6666 13.3334 14.6666H2.66671C1.93033 14.6666 1.33337 14.0696 1.33337 13.3333V10.6666C1.33337 9.93021 1.93033 9.33325 2.66671 9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15971"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4 4H4.007M4 12H4.007M2.667 1.333H13.333C14.07 1.333 14.667 1.93 14.667 2.667V5.333C14.667 6.07 14.07 6.667 13.333 6.667H2.667C1.93 6.667 1.333 6.07 1.333 5.333V2.667C1.333 1.93 1.93 1.333 2.667 1.333ZM2.667 9.333H13.333C14.07 9.333 14.667 9.93 14.667 10.667V13.333C14.667 14.07 14.07 14.667 13.333 14.667H2.667C1.93 14.667 1.333 14.07 1.333 13.333V10.667C1.333 9.93 1.93 9.333 2.667 9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSettings = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15973)"><path d="M8.00008 10.0001C9.10465 10.0001 10.0001 9.10465 10.0001 8.00008C10.0001 6.89551 9.10465 6.00008 8.00008 6.00008C6.89551 6.00008 6.00008 6.89551 6.00008 8.00008C6.00008 9.10465 6.89551 10.0001 8.00008 10.0001Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M12.9334 10.0001C12.8447 10.2012 12.8182 10.4242 12.8574 10.6405C12.8966 10.8567 12.9997 11.0563 13.1534 11.2134L13.1934 11.2534C13.3174 11.3772 13.4157 11.5243 13.4828 11.6862C13.5499 11.848 13.5845 12.0215 13.5845 12.1967C13.5845 12.372 13.5499 12.5455 13.4828 12.7073C13.4157 12.8692 13.3174 13.0162 13.1934 13.1401C13.0696 13.264 12.9225 13.3624 12.7607 13.4295C12.5988 13.4966 12.4253 13.5311 12.2501 13.5311C12.0749 13.5311 11.9014 13.4966 11.7395 13.4295C11.5776 13.3624 11.4306 13.264 11.3067 13.1401L11.2667 13.1001C11.1096 12.9464 10.9101 12.8433 10.6938 12.8041C10.4775 12.7649 10.2545 12.7913 10.0534 12.8801C9.85623 12.9646 9.68807 13.1049 9.56962 13.2838C9.45117 13.4626 9.3876 13.6722 9.38675 13.8867V14.0001C9.38675 14.3537 9.24627 14.6928 8.99622 14.9429C8.74617 15.1929 8.40704 15.3334 8.05341 15.3334C7.69979 15.3334 7.36065 15.1929 7.11061 14.9429C6.86056 14.6928 6.72008 14.3537 6.72008 14.0001V13.9401C6.71492 13.7194 6.64349 13.5054 6.51509 13.3259C6.38668 13.1464 6.20724 13.0096 6.00008 12.9334C5.799 12.8447 5.57595 12.8182 5.35969 12.8574C5.14343 12.8966 4.94387 12.9997 4.78675 13.1534L4.74675 13.1934C4.62292 13.3174 4.47587 13.4157 4.314 13.4828C4.15214 13.5499 3.97864 13.5845 3.80341 13.5845C3.62819 13.5845 3.45469 13.5499 3.29283 13.4828C3.13096 13.4157 2.98391 13.3174 2.86008 13.1934C2.73611 13.0696 2.63777 12.9225 2.57067 12.7607C2.50357 12.5988 2.46903 12.4253 2.46903 12.2501C2.46903 12.0749 2.50357 11.9014 2.57067 11.7395C2.63777 11.5776 2.73611 11.4306 2.86008 11.3067L2.90008 11.2667C3.05377 11.1096 3.15687 10.9101 3.19608 10.6938C3.2353 10.4775 3.20882 10.2545 3.12008 10.0534C3.03557 9.85623 2.89525 9.68807 2.71639 9.56962C2.53753 9.45117 2.32794 9.3876 2.11341 9.38675H2.00008C1.64646 9.38675 1.30732 9.24627 1.05727 8.99622C0.807224 8.74617 0.666748 8.40704 0.666748 8.05341C0.666748 7.69979 0.807224 7.36065 1.05727 7.11061C1.30732 6.86056 1.64646 6.72008 2.00008 6.72008H2.06008C2.28074 6.71492 2.49475 6.64349 2.67428 6.51509C2.85381 6.38668 2.99056 6.20724 3.06675 6.00008C3.15549 5.799 3.18196 5.57595 3.14275 5.35969C3.10354 5.14343 3.00044 4.94387 2.84675 4.78675L2.80675 4.74675C2.68278 4.62292 2.58443 4.47587 2.51733 4.314C2.45024 4.15214 2.4157 3.97864 2.4157 3.80341C2.4157 3.62819 2.45024 3.45469 2.51733 3.29283C2.58443 3.13096 2.68278 2.98391 2.80675 2.86008C2.93058 2.73611 3.07763 2.63777 3.23949 2.57067C3.40136 2.50357 3.57486 2.46903 3.75008 2.46903C3.9253 2.46903 4.0988 2.50357 4.26067 2.57067C4.42253 2.63777 4.56958 2.73611 4.69341 2.86008L4.73341 2.90008C4.89053 3.05377 5.09009 3.15687 5.30635 3.19608C5.52262 3.2353 5.74567 3.20882 5.94675 3.12008H6.00008C6.19726 3.03557 6.36543 2.89525 6.48388 2.71639C6.60233 2.53753 6.66589 2.32794 6.66675 2.11341V2.00008C6.66675 1.64646 6.80722 1.30732 7.05727 1.05727C7.30732 0.807224 7.64646 0.666748 8.00008 0.666748C8.3537 0.666748 8.69284 0.807224 8.94289 1.05727C9.19294 1.30732 9.33341 1.64646 9.33341 2.00008V2.06008C9.33427 2.27461 9.39784 2.4842 9.51629 2.66306C9.63474 2.84192 9.8029 2.98224 10.0001 3.06675C10.2012 3.15549 10.4242 3.18196 10.6405 3.14275C10.8567 3.10354 11.0563 3.00044 11.2134 2.84675L11.2534 2.80675C11.3772 2.68278 11.5243 2.58443 11.6862 2.51733C11.848 2.45024 12.0215 2.4157 12.1967 2.4157C12.372 2.4157 12.5455 2.45024 12.7073 2.51733C12.8692 2.58443 13.0162 2.68278 13.1401 2.80675C13.264 2.93058 13.3624 3.07763 13.4295 3.23949C13.4966 3.40136 13.5311 3.57486 13.5311 3.75008C13.5311 3.9253 13.4966 4.0988 13.4295 4.26067C13.3624 4.42253 13.264 4.56958 13.1401 4.69341L13.1001 4.73341C12.9464 4.89053 12.8433 5.09009 12.8041 5.30635C12.7649 5.52262 12.7913 5.74567 12.8801 5.94675V6.00008C12.9646 6.19726 13.1049 6.36543 13.2838 6.48388C13.4626 6.60233 13.6722 6.66589 13.8867 6.66675H14.0001C14.3537 6.66675 14.6928 6.80722 14.9429 7.05727C15.1929 7.30732 15.3334 7.64646 15.3334 8.00008C15.3334 8.3537 15.1929 8.69284 14.9429 8.94289C14.6928 9.19294 14.3537 9.33341 14.0001 9.33341H13.9401C13.7256 9.33427 13.516 9.39784 13.3371 9.51629C13.1582 9.63474 13.0179 9.8029 12.9334 10.0001Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15973"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 10C9.105 10 10 9.105 10 8C10 6.896 9.105 6 8 6C6.896 6 6 6.896 6 8C6 9.105 6.896 10 8 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M12.933 10C12.845 10.201 12.818 10.424 12.857 10.64C12.897 10.857 13 11.056 13.153 11.213L13.193 11.253C13.317 11.377 13.416 11.524 13.483 11.686C13.55 11.848 13.585 12.021 13.585 12.197C13.585 12.372 13.55 12.546 13.483 12.707C13.416 12.869 13.317 13.016 13.193 13.14C13.07 13.264 12.922 13.362 12.761 13.43C12.599 13.497 12.425 13.531 12.25 13.531C12.075 13.531 11.901 13.497 11.739 13.43C11.578 13.362 11.431 13.264 11.307 13.14L11.267 13.1C11.11 12.946 10.91 12.843 10.694 12.804C10.477 12.765 10.255 12.791 10.053 12.88C9.856 12.965 9.688 13.105 9.57 13.284C9.451 13.463 9.388 13.672 9.387 13.887V14C9.387 14.354 9.246 14.693 8.996 14.943C8.746 15.193 8.407 15.333 8.053 15.333C7.7 15.333 7.361 15.193 7.111 14.943C6.861 14.693 6.72 14.354 6.72 14V13.94C6.715 13.719 6.643 13.505 6.515 13.326C6.387 13.146 6.207 13.01 6 12.933C5.799 12.845 5.576 12.818 5.36 12.857C5.143 12.897 4.944 13 4.787 13.153L4.747 13.193C4.623 13.317 4.476 13.416 4.314 13.483C4.152 13.55 3.979 13.585 3.803 13.585C3.628 13.585 3.455 13.55 3.293 13.483C3.131 13.416 2.984 13.317 2.86 13.193C2.736 13.07 2.638 12.922 2.571 12.761C2.504 12.599 2.469 12.425 2.469 12.25C2.469 12.075 2.504 11.901 2.571 11.739C2.638 11.578 2.736 11.431 2.86 11.307L2.9 11.267C3.054 11.11 3.157 10.91 3.196 10.694C3.235 10.477 3.209 10.255 3.12 10.053C3.036 9.856 2.895 9.688 2.716 9.57C2.538 9.451 2.328 9.388 2.113 9.387H2C1.646 9.387 1.307 9.246 1.057 8.996C0.807 8.746 0.667 8.407 0.667 8.053C0.667 7.7 0.807 7.361 1.057 7.111C1.307 6.861 1.646 6.72 2 6.72H2.06C2.281 6.715 2.495 6.643 2.674 6.515C2.854 6.387 2.991 6.207 3.067 6C3.155 5.799 3.182 5.576 3.143 5.36C3.104 5.143 3 4.944 2.847 4.787L2.807 4.747C2.683 4.623 2.584 4.476 2.517 4.314C2.45 4.152 2.416 3.979 2.416 3.803C2.416 3.628 2.45 3.455 2.517 3.293C2.584 3.131 2.683 2.984 2.807 2.86C2.931 2.736 3.078 2.638 3.239 2.571C3.401 2.504 3.575 2.469 3.75 2.469C3.925 2.469 4.099 2.504 4.261 2.571C4.423 2.638 4.57 2.736 4.693 2.86L4.733 2.9C4.891 3.054 5.09 3.157 5.306 3.196C5.523 3.235 5.746 3.209 5.947 3.12H6C6.197 3.036 6.365 2.895 6.484 2.716C6.602 2.538 6.666 2.328 6.667 2.113V2C6.667 1.646 6.807 1.307 7.057 1.057C7.307 0.807 7.646 0.667 8 0.667C8.354 0.667 8.693 0.807 8.943 1.057C9.193 1.307 9.333 1.646 9.333 2V2.06C9.334 2.275 9.398 2.484 9.516 2.663C9.635 2.842 9.803 2.982 10 3.067C10.201 3.155 10.424 3.182 10.64 3.143C10.857 3.104 11.056 3 11.213 2.847L11.253 2.807C11.377 2.683 11.524 2.584 11.686 2.517C11.848 2.45 12.021 2.416 12.197 2.416C12.372 2.416 12.546 2.45 12.707 2.517C12.869 2.584 13.016 2.683 13.14 2.807C13.264 2.931 13.362 3.078 13.43 3.239C13.497 3.401 13.531 3.575 13.531 3.75C13.531 3.925 13.497 4.099 13.43 4.261C13.362 4.423 13.264 4.57 13.14 4.693L13.1 4.733C12.946 4.891 12.843 5.09 12.804 5.306C12.765 5.523 12.791 5.746 12.88 5.947V6C12.965 6.197 13.105 6.365 13.284 6.484C13.463 6.602 13.672 6.666 13.887 6.667H14C14.354 6.667 14.693 6.807 14.943 7.057C15.193 7.307 15.333 7.646 15.333 8C15.333 8.354 15.193 8.693 14.943 8.943C14.693 9.193 14.354 9.333 14 9.333H13.94C13.726 9.334 13.516 9.398 13.337 9.516C13.158 9.635 13.018 9.803 12.933 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShare = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66675 7.99992V13.3333C2.66675 13.6869 2.80722 14.026 3.05727 14.2761C3.30732 14.5261 3.64646 14.6666 4.00008 14.6666H12.0001C12.3537 14.6666 12.6928 14.5261 12.9429 14.2761C13.1929 14.026 13.3334 13.6869 13.3334 13.3333V7.99992M10.6667 3.99992L8.00008 1.33325M8.00008 1.33325L5.33341 3.99992M8.00008 1.33325L8.00008 9.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 8V13.333C2.667 13.687 2.807 14.026 3.057 14.276C3.307 14.526 3.646 14.667 4 14.667H12C12.354 14.667 12.693 14.526 12.943 14.276C13.193 14.026 13.333 13.687 13.333 13.333V8M10.667 4L8 1.333M8 1.333L5.333 4M8 1.333L8 10" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
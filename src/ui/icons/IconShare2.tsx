@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShare2 = (props: IconProps) => (
-  <Icon {...props}><path d="M5.72667 9.00659L10.28 11.6599M10.2733 4.33992L5.72667 6.99325M14 3.33325C14 4.43782 13.1046 5.33325 12 5.33325C10.8954 5.33325 10 4.43782 10 3.33325C10 2.22868 10.8954 1.33325 12 1.33325C13.1046 1.33325 14 2.22868 14 3.33325ZM6 7.99992C6 9.10449 5.10457 9.99992 4 9.99992C2.89543 9.99992 2 9.10449 2 7.99992C2 6.89535 2.89543 5.99992 4 5.99992C5.10457 5.99992 6 6.89535 6 7.99992ZM14 12.6666C14 13.7712 13.1046 14.6666 12 14.6666C10.8954 14.6666 10 13.7712 10 12.6666C10 11.562 10.8954 10.6666 12 10.6666C13.1046 10.6666 14 11.562 14 12.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M5.727 9.007L10.28 11.66M10.273 4.34L5.727 6.993M14 3.333C14 4.438 13.105 5.333 12 5.333C10.895 5.333 10 4.438 10 3.333C10 2.229 10.895 1.333 12 1.333C13.105 1.333 14 2.229 14 3.333ZM6 8C6 9.104 5.105 10 4 10C2.895 10 2 9.104 2 8C2 6.895 2.895 6 4 6C5.105 6 6 6.895 6 8ZM14 12.667C14 13.771 13.105 14.667 12 14.667C10.895 14.667 10 13.771 10 12.667C10 11.562 10.895 10.667 12 10.667C13.105 10.667 14 11.562 14 12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShield = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99984 14.6666C7.99984 14.6666 13.3332 11.9999 13.3332 7.99992V3.33325L7.99984 1.33325L2.6665 3.33325V7.99992C2.6665 11.9999 7.99984 14.6666 7.99984 14.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 14.667C8 14.667 13.333 12 13.333 8V3.333L8 1.333L2.667 3.333V8C2.667 12 8 14.667 8 14.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
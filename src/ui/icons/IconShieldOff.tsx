@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShieldOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15979)"><path d="M13.1265 9.33341C13.2606 8.90154 13.3302 8.45227 13.3332 8.00008V3.33341L7.99984 1.33341L5.89317 2.12008M3.15317 3.15341L2.6665 3.33341V8.00008C2.6665 12.0001 7.99984 14.6667 7.99984 14.6667C9.41119 13.922 10.6796 12.9335 11.7465 11.7467M0.666504 0.666748L15.3332 15.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15979"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M13.127 9.333C13.261 8.902 13.33 8.452 13.333 8V3.333L8 1.333L5.893 2.12M3.153 3.153L2.667 3.333V8C2.667 12 8 14.667 8 14.667C9.411 13.922 10.68 12.934 11.746 11.747M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
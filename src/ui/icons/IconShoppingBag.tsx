@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShoppingBag = (props: IconProps) => (
-  <Icon {...props}><path d="M2 3.99992L4 1.33325H12L14 3.99992M2 3.99992V13.3333C2 13.6869 2.14048 14.026 2.39052 14.2761C2.64057 14.5261 2.97971 14.6666 3.33333 14.6666H12.6667C13.0203 14.6666 13.3594 14.5261 13.6095 14.2761C13.8595 14.026 14 13.6869 14 13.3333V3.99992M2 3.99992H14M10.6667 6.66658C10.6667 7.37383 10.3857 8.05211 9.88562 8.5522C9.38552 9.0523 8.70724 9.33325 8 9.33325C7.29276 9.33325 6.61448 9.0523 6.11438 8.5522C5.61428 8.05211 5.33333 7.37383 5.33333 6.66658" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2 4L4 1.333H12L14 4M2 4V13.333C2 13.687 2.14 14.026 2.391 14.276C2.641 14.526 2.98 14.667 3.333 14.667H12.667C13.02 14.667 13.359 14.526 13.61 14.276C13.86 14.026 14 13.687 14 13.333V4M2 4H14M10.667 6.667C10.667 7.374 10.386 8.052 9.886 8.552C9.386 9.052 8.707 9.333 8 9.333C7.293 9.333 6.614 9.052 6.114 8.552C5.614 8.052 5.333 7.374 5.333 6.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
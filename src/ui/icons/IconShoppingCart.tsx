@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShoppingCart = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15985)"><path d="M0.666687 0.666748H3.33335L5.12002 9.59342C5.18098 9.90035 5.34796 10.1761 5.59172 10.3723C5.83548 10.5685 6.14049 10.6727 6.45335 10.6667H12.9334C13.2462 10.6727 13.5512 10.5685 13.795 10.3723C14.0387 10.1761 14.2057 9.90035 14.2667 9.59342L15.3334 4.00008H4.00002M6.66669 14.0001C6.66669 14.3683 6.36821 14.6667 6.00002 14.6667C5.63183 14.6667 5.33335 14.3683 5.33335 14.0001C5.33335 13.6319 5.63183 13.3334 6.00002 13.3334C6.36821 13.3334 6.66669 13.6319 6.66669 14.0001ZM14 14.0001C14 14.3683 13.7015 14.6667 13.3334 14.6667C12.9652 14.6667 12.6667 14.3683 12.6667 14.0001C12.6667 13.6319 12.9652 13.3334 13.3334 13.3334C13.7015 13.3334 14 13.6319 14 14.0001Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15985"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 0.667H3.333L5.12 9.593C5.181 9.9 5.348 10.176 5.592 10.372C5.835 10.569 6.14 10.673 6.453 10.667H12.933C13.246 10.673 13.551 10.569 13.795 10.372C14.039 10.176 14.206 9.9 14.267 9.593L15.333 4H4M6.667 14C6.667 14.368 6.368 14.667 6 14.667C5.632 14.667 5.333 14.368 5.333 14C5.333 13.632 5.632 13.333 6 13.333C6.368 13.333 6.667 13.632 6.667 14ZM14 14C14 14.368 13.701 14.667 13.333 14.667C12.965 14.667 12.667 14.368 12.667 14C12.667 13.632 12.965 13.333 13.333 13.333C13.701 13.333 14 13.632 14 14Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
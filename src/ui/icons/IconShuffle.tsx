@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconShuffle = (props: IconProps) => (
-  <Icon {...props}><path d="M10.6666 2H14M14 2V5.33333M14 2L2.66663 13.3333M14 10.6667V14M14 14H10.6666M14 14L9.99996 10M2.66663 2.66667L5.99996 6" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.667 2H14M14 2V5.333M14 2L2.667 13.333M14 10.667V14M14 14H10.667M14 14L10 10M2.667 2.667L6 6" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
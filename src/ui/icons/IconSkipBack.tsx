@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSkipBack = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33325 12.6667V3.33341M12.6666 13.3334L5.99992 8.00008L12.6666 2.66675V13.3334Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 12.667V3.333M12.667 13.333L6 8L12.667 2.667V13.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSkipForward = (props: IconProps) => (
-  <Icon {...props}><path d="M12.6666 3.33341V12.6667M3.33325 2.66675L9.99992 8.00008L3.33325 13.3334V2.66675Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.667 3.333V12.667M3.333 2.667L10 8L3.333 13.333V2.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSlack = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15995)"><path d="M9.66658 6.66659C9.11325 6.66659 8.66658 6.21992 8.66658 5.66659V2.33325C8.66658 1.77992 9.11325 1.33325 9.66658 1.33325C10.2199 1.33325 10.6666 1.77992 10.6666 2.33325V5.66659C10.6666 6.21992 10.2199 6.66659 9.66658 6.66659Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M13.6666 6.66659H12.6666V5.66659C12.6666 5.11325 13.1133 4.66659 13.6666 4.66659C14.2199 4.66659 14.6666 5.11325 14.6666 5.66659C14.6666 6.21992 14.2199 6.66659 13.6666 6.66659Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.33325 9.33325C6.88659 9.33325 7.33325 9.77992 7.33325 10.3333V13.6666C7.33325 14.2199 6.88659 14.6666 6.33325 14.6666C5.77992 14.6666 5.33325 14.2199 5.33325 13.6666V10.3333C5.33325 9.77992 5.77992 9.33325 6.33325 9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M2.33325 9.33325H3.33325V10.3333C3.33325 10.8866 2.88659 11.3333 2.33325 11.3333C1.77992 11.3333 1.33325 10.8866 1.33325 10.3333C1.33325 9.77992 1.77992 9.33325 2.33325 9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M9.33325 9.66658C9.33325 9.11325 9.77992 8.66658 10.3333 8.66658H13.6666C14.2199 8.66658 14.6666 9.11325 14.6666 9.66658C14.6666 10.2199 14.2199 10.6666 13.6666 10.6666H10.3333C9.77992 10.6666 9.33325 10.2199 9.33325 9.66658Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M10.3333 12.6666H9.33325V13.6666C9.33325 14.2199 9.77992 14.6666 10.3333 14.6666C10.8866 14.6666 11.3333 14.2199 11.3333 13.6666C11.3333 13.1133 10.8866 12.6666 10.3333 12.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.66659 6.33325C6.66659 5.77992 6.21992 5.33325 5.66659 5.33325H2.33325C1.77992 5.33325 1.33325 5.77992 1.33325 6.33325C1.33325 6.88659 1.77992 7.33325 2.33325 7.33325H5.66659C6.21992 7.33325 6.66659 6.88659 6.66659 6.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M5.66659 3.33325H6.66659V2.33325C6.66659 1.77992 6.21992 1.33325 5.66659 1.33325C5.11325 1.33325 4.66659 1.77992 4.66659 2.33325C4.66659 2.88659 5.11325 3.33325 5.66659 3.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15995"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M9.667 6.667C9.113 6.667 8.667 6.22 8.667 5.667V2.333C8.667 1.78 9.113 1.333 9.667 1.333C10.22 1.333 10.667 1.78 10.667 2.333V5.667C10.667 6.22 10.22 6.667 9.667 6.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M13.667 6.667H12.667V5.667C12.667 5.113 13.113 4.667 13.667 4.667C14.22 4.667 14.667 5.113 14.667 5.667C14.667 6.22 14.22 6.667 13.667 6.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.333 9.333C6.887 9.333 7.333 9.78 7.333 10.333V13.667C7.333 14.22 6.887 14.667 6.333 14.667C5.78 14.667 5.333 14.22 5.333 13.667V10.333C5.333 9.78 5.78 9.333 6.333 9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M2.333 9.333H3.333V10.333C3.333 10.887 2.887 11.333 2.333 11.333C1.78 11.333 1.333 10.887 1.333 10.333C1.333 9.78 1.78 9.333 2.333 9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M9.333 9.667C9.333 9.113 9.78 8.667 10.333 8.667H13.667C14.22 8.667 14.667 9.113 14.667 9.667C14.667 10.22 14.22 10.667 13.667 10.667H10.333C9.78 10.667 9.333 10.22 9.333 9.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M10.333 12.667H9.333V13.667C9.333 14.22 9.78 14.667 10.333 14.667C10.887 14.667 11.333 14.22 11.333 13.667C11.333 13.113 10.887 12.667 10.333 12.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.667 6.333C6.667 5.78 6.22 5.333 5.667 5.333H2.333C1.78 5.333 1.333 5.78 1.333 6.333C1.333 6.887 1.78 7.333 2.333 7.333H5.667C6.22 7.333 6.667 6.887 6.667 6.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M5.667 3.333H6.667V2.333C6.667 1.78 6.22 1.333 5.667 1.333C5.113 1.333 4.667 1.78 4.667 2.333C4.667 2.887 5.113 3.333 5.667 3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
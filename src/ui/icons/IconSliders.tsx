@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSliders = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_15999)"><path d="M2.6665 14V9.33333M2.6665 6.66667V2M7.99984 14V8M7.99984 5.33333V2M13.3332 14V10.6667M13.3332 8V2M0.666504 9.33333H4.6665M5.99984 5.33333H9.99984M11.3332 10.6667H15.3332" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_15999"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M2.667 14V9.333M2.667 6.667V2M8 14V8M8 5.333V2M13.333 14V10.667M13.333 8V2M0.667 9.333H4.667M6 5.333H10M11.333 10.667H15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
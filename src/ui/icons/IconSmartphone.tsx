@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSmartphone = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00001 11.9999H8.00668M4.66668 1.33325H11.3333C12.0697 1.33325 12.6667 1.93021 12.6667 2.66659V13.3333C12.6667 14.0696 12.0697 14.6666 11.3333 14.6666H4.66668C3.9303 14.6666 3.33334 14.0696 3.33334 13.3333V2.66659C3.33334 1.93021 3.9303 1.33325 4.66668 1.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 12H8.007M4.667 1.333H11.333C12.07 1.333 12.667 1.93 12.667 2.667V13.333C12.667 14.07 12.07 14.667 11.333 14.667H4.667C3.93 14.667 3.333 14.07 3.333 13.333V2.667C3.333 1.93 3.93 1.333 4.667 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSmile = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16003)"><path d="M5.33331 9.33325C5.33331 9.33325 6.33331 10.6666 7.99998 10.6666C9.66665 10.6666 10.6666 9.33325 10.6666 9.33325M5.99998 5.99992H6.00665M9.99998 5.99992H10.0066M14.6666 7.99992C14.6666 11.6818 11.6819 14.6666 7.99998 14.6666C4.31808 14.6666 1.33331 11.6818 1.33331 7.99992C1.33331 4.31802 4.31808 1.33325 7.99998 1.33325C11.6819 1.33325 14.6666 4.31802 14.6666 7.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16003"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M5.333 9.333C5.333 9.333 6.333 10.667 8 10.667C9.667 10.667 10.667 9.333 10.667 9.333M6 6H6.007M10 6H10.007M14.667 8C14.667 11.682 11.682 14.667 8 14.667C4.318 14.667 1.333 11.682 1.333 8C1.333 4.318 4.318 1.333 8 1.333C11.682 1.333 14.667 4.318 14.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
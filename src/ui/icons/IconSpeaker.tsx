@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSpeaker = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99996 3.99992H8.00663M3.99996 1.33325H12C12.7363 1.33325 13.3333 1.93021 13.3333 2.66659V13.3333C13.3333 14.0696 12.7363 14.6666 12 14.6666H3.99996C3.26358 14.6666 2.66663 14.0696 2.66663 13.3333V2.66659C2.66663 1.93021 3.26358 1.33325 3.99996 1.33325ZM10.6666 9.33325C10.6666 10.806 9.47272 11.9999 7.99996 11.9999C6.5272 11.9999 5.33329 10.806 5.33329 9.33325C5.33329 7.86049 6.5272 6.66658 7.99996 6.66658C9.47272 6.66658 10.6666 7.86049 10.6666 9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 4H8.007M4 1.333H12C12.736 1.333 13.333 1.93 13.333 2.667V13.333C13.333 14.07 12.736 14.667 12 14.667H4C3.264 14.667 2.667 14.07 2.667 13.333V2.667C2.667 1.93 3.264 1.333 4 1.333ZM10.667 9.333C10.667 10.806 9.473 12 8 12C6.527 12 5.333 10.806 5.333 9.333C5.333 7.86 6.527 6.667 8 6.667C9.473 6.667 10.667 7.86 10.667 9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSquare = (props: IconProps) => (
-  <Icon {...props}><path d="M12.6667 2H3.33333C2.59695 2 2 2.59695 2 3.33333V12.6667C2 13.403 2.59695 14 3.33333 14H12.6667C13.403 14 14 13.403 14 12.6667V3.33333C14 2.59695 13.403 2 12.6667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.667 2H3.333C2.597 2 2 2.597 2 3.333V12.667C2 13.403 2.597 14 3.333 14H12.667C13.403 14 14 13.403 14 12.667V3.333C14 2.597 13.403 2 12.667 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconStar = (props: IconProps) => (
-  <Icon {...props}><path d="M7.99992 1.33325L10.0599 5.50659L14.6666 6.17992L11.3333 9.42659L12.1199 14.0133L7.99992 11.8466L3.87992 14.0133L4.66659 9.42659L1.33325 6.17992L5.93992 5.50659L7.99992 1.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 1.333L10.06 5.507L14.667 6.18L11.333 9.427L12.12 14.013L8 11.847L3.88 14.013L4.667 9.427L1.333 6.18L5.94 5.507L8 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
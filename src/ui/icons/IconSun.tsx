@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSun = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16013)"><path d="M8.00008 0.666748V2.00008M8.00008 14.0001V15.3334M2.81341 2.81341L3.76008 3.76008M12.2401 12.2401L13.1867 13.1867M0.666748 8.00008H2.00008M14.0001 8.00008H15.3334M2.81341 13.1867L3.76008 12.2401M12.2401 3.76008L13.1867 2.81341M11.3334 8.00008C11.3334 9.84103 9.84103 11.3334 8.00008 11.3334C6.15913 11.3334 4.66675 9.84103 4.66675 8.00008C4.66675 6.15913 6.15913 4.66675 8.00008 4.66675C9.84103 4.66675 11.3334 6.15913 11.3334 8.00008Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16013"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 0.667V2M8 14V15.333M2.813 2.813L3.76 3.76M12.24 12.24L13.187 13.187M0.667 8H2M14 8H15.333M2.813 13.187L3.76 12.24M12.24 3.76L13.187 2.813M11.333 8C11.333 9.841 9.841 11.333 8 11.333C6.159 11.333 4.667 9.841 4.667 8C4.667 6.159 6.159 4.667 8 4.667C9.841 4.667 11.333 6.159 11.333 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
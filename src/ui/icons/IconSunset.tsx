@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconSunset = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16017)"><path d="M11.3332 11.9999C11.3332 11.1159 10.982 10.268 10.3569 9.6429C9.73174 9.01777 8.88389 8.66658 7.99984 8.66658C7.11578 8.66658 6.26794 9.01777 5.64281 9.6429C5.01769 10.268 4.6665 11.1159 4.6665 11.9999M7.99984 5.99992V1.33325M7.99984 5.99992L10.6665 3.33325M7.99984 5.99992L5.33317 3.33325M2.81317 6.81325L3.75984 7.75992M0.666504 11.9999H1.99984M13.9998 11.9999H15.3332M12.2398 7.75992L13.1865 6.81325M15.3332 14.6666H0.666504" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16017"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.333 12C11.333 11.116 10.982 10.268 10.357 9.643C9.732 9.018 8.884 8.667 8 8.667C7.116 8.667 6.268 9.018 5.643 9.643C5.018 10.268 4.667 11.116 4.667 12M8 6V1.333M8 6L10.666 3.333M8 6L5.333 3.333M2.813 6.813L3.76 7.76M0.667 12H2M14 12H15.333M12.24 7.76L13.187 6.813M15.333 14.667H0.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTablet = (props: IconProps) => (
-  <Icon {...props}><path d="M8.00002 11.9999H8.00669M4.00002 1.33325H12C12.7364 1.33325 13.3334 1.93021 13.3334 2.66659V13.3333C13.3334 14.0696 12.7364 14.6666 12 14.6666H4.00002C3.26364 14.6666 2.66669 14.0696 2.66669 13.3333V2.66659C2.66669 1.93021 3.26364 1.33325 4.00002 1.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8 12H8.007M4 1.333H12C12.736 1.333 13.333 1.93 13.333 2.667V13.333C13.333 14.07 12.736 14.667 12 14.667H4C3.264 14.667 2.667 14.07 2.667 13.333V2.667C2.667 1.93 3.264 1.333 4 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTag = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66671 4.66659H4.67337M13.7267 8.93992L8.94671 13.7199C8.82288 13.8439 8.67583 13.9422 8.51396 14.0093C8.3521 14.0764 8.17859 14.111 8.00337 14.111C7.82815 14.111 7.65465 14.0764 7.49279 14.0093C7.33092 13.9422 7.18387 13.8439 7.06004 13.7199L1.33337 7.99992V1.33325H8.00004L13.7267 7.05992C13.975 7.30974 14.1144 7.64767 14.1144 7.99992C14.1144 8.35217 13.975 8.6901 13.7267 8.93992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 4.667H4.673M13.727 8.94L8.947 13.72C8.823 13.844 8.676 13.942 8.514 14.009C8.352 14.076 8.179 14.111 8.003 14.111C7.828 14.111 7.655 14.076 7.493 14.009C7.331 13.942 7.184 13.844 7.06 13.72L1.333 8V1.333H8L13.727 7.06C13.975 7.31 14.114 7.648 14.114 8C14.114 8.352 13.975 8.69 13.727 8.94Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
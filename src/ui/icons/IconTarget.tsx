@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTarget = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16025)"><path d="M8.00004 14.6666C11.6819 14.6666 14.6667 11.6818 14.6667 7.99992C14.6667 4.31802 11.6819 1.33325 8.00004 1.33325C4.31814 1.33325 1.33337 4.31802 1.33337 7.99992C1.33337 11.6818 4.31814 14.6666 8.00004 14.6666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8.00004 11.9999C10.2092 11.9999 12 10.2091 12 7.99992C12 5.79078 10.2092 3.99992 8.00004 3.99992C5.7909 3.99992 4.00004 5.79078 4.00004 7.99992C4.00004 10.2091 5.7909 11.9999 8.00004 11.9999Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8.00004 9.33325C8.73642 9.33325 9.33337 8.7363 9.33337 7.99992C9.33337 7.26354 8.73642 6.66658 8.00004 6.66658C7.26366 6.66658 6.66671 7.26354 6.66671 7.99992C6.66671 8.7363 7.26366 9.33325 8.00004 9.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16025"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 14.667C11.682 14.667 14.667 11.682 14.667 8C14.667 4.318 11.682 1.333 8 1.333C4.318 1.333 1.333 4.318 1.333 8C1.333 11.682 4.318 14.667 8 14.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 12C10.209 12 12 10.209 12 8C12 5.791 10.209 4 8 4C5.791 4 4 5.791 4 8C4 10.209 5.791 12 8 12Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M8 9.333C8.736 9.333 9.333 8.736 9.333 8C9.333 7.264 8.736 6.667 8 6.667C7.264 6.667 6.667 7.264 6.667 8C6.667 8.736 7.264 9.333 8 9.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTerminal = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66675 11.3333L6.66675 7.33325L2.66675 3.33325M8.00008 12.6666H13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 11.333L6.667 7.333L2.667 3.333M8 12.667H13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
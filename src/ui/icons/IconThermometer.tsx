@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconThermometer = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16029)"><path d="M9.33341 9.84008V2.33341C9.33341 1.89139 9.15782 1.46746 8.84526 1.1549C8.5327 0.842343 8.10878 0.666748 7.66675 0.666748C7.22472 0.666748 6.8008 0.842343 6.48824 1.1549C6.17568 1.46746 6.00008 1.89139 6.00008 2.33341V9.84008C5.46493 10.1976 5.05896 10.7178 4.84213 11.3238C4.6253 11.9298 4.60909 12.5895 4.79592 13.2053C4.98274 13.8212 5.36269 14.3607 5.87964 14.7441C6.39659 15.1275 7.02314 15.3345 7.66675 15.3345C8.31036 15.3345 8.93691 15.1275 9.45386 14.7441C9.97081 14.3607 10.3508 13.8212 10.5376 13.2053C10.7244 12.5895 10.7082 11.9298 10.4914 11.3238C10.2745 10.7178 9.86856 10.1976 9.33341 9.84008Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16029"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M9.333 9.84V2.333C9.333 1.891 9.158 1.467 8.845 1.155C8.533 0.842 8.109 0.667 7.667 0.667C7.225 0.667 6.801 0.842 6.488 1.155C6.176 1.467 6 1.891 6 2.333V9.84C5.465 10.198 5.059 10.718 4.842 11.324C4.625 11.93 4.609 12.589 4.796 13.205C4.983 13.821 5.363 14.361 5.88 14.744C6.397 15.127 7.023 15.335 7.667 15.335C8.31 15.335 8.937 15.127 9.454 14.744C9.971 14.361 10.351 13.821 10.538 13.205C10.724 12.589 10.708 11.93 10.491 11.324C10.274 10.718 9.869 10.198 9.333 9.84Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
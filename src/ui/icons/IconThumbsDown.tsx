@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconThumbsDown = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16031)"><path d="M11.3334 8.66658L8.66669 14.6666C8.13625 14.6666 7.62755 14.4559 7.25247 14.0808C6.8774 13.7057 6.66669 13.197 6.66669 12.6666V9.99991H2.89335C2.70008 10.0021 2.50864 9.96225 2.33231 9.8831C2.15597 9.80396 1.99894 9.68743 1.87211 9.54157C1.74529 9.39572 1.65168 9.22403 1.59779 9.03841C1.5439 8.85279 1.53102 8.65768 1.56002 8.46658L2.48002 2.46658C2.52824 2.14864 2.68973 1.85884 2.93475 1.65058C3.17977 1.44231 3.4918 1.32961 3.81335 1.33325H11.3334M11.3334 8.66658V1.33325M11.3334 8.66658H13.1134C13.4907 8.67325 13.8573 8.54116 14.1436 8.29537C14.43 8.04958 14.6161 7.70721 14.6667 7.33325V2.66658C14.6161 2.29262 14.43 1.95025 14.1436 1.70446C13.8573 1.45867 13.4907 1.32658 13.1134 1.33325H11.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16031"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.333 8.667L8.667 14.667C8.136 14.667 7.628 14.456 7.252 14.081C6.877 13.706 6.667 13.197 6.667 12.667V10H2.893C2.7 10.002 2.509 9.962 2.332 9.883C2.156 9.804 1.999 9.687 1.872 9.542C1.745 9.396 1.652 9.224 1.598 9.038C1.544 8.853 1.531 8.658 1.56 8.467L2.48 2.467C2.528 2.149 2.69 1.859 2.935 1.651C3.18 1.442 3.492 1.33 3.813 1.333H11.333M11.333 8.667V1.333M11.333 8.667H13.113C13.491 8.673 13.857 8.541 14.144 8.295C14.43 8.05 14.616 7.707 14.667 7.333V2.667C14.616 2.293 14.43 1.95 14.144 1.704C13.857 1.459 13.491 1.327 13.113 1.333H11.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconThumbsUp = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16033)"><path d="M4.66683 7.33325L7.3335 1.33325C7.86393 1.33325 8.37264 1.54397 8.74771 1.91904C9.12278 2.29411 9.3335 2.80282 9.3335 3.33325V5.99992H13.1068C13.3001 5.99773 13.4915 6.03759 13.6679 6.11673C13.8442 6.19587 14.0012 6.31241 14.1281 6.45826C14.2549 6.60411 14.3485 6.7758 14.4024 6.96142C14.4563 7.14704 14.4692 7.34216 14.4402 7.53325L13.5202 13.5333C13.4719 13.8512 13.3105 14.141 13.0654 14.3493C12.8204 14.5575 12.5084 14.6702 12.1868 14.6666H4.66683M4.66683 7.33325V14.6666M4.66683 7.33325H2.66683C2.31321 7.33325 1.97407 7.47373 1.72402 7.72378C1.47397 7.97382 1.3335 8.31296 1.3335 8.66658V13.3333C1.3335 13.6869 1.47397 14.026 1.72402 14.2761C1.97407 14.5261 2.31321 14.6666 2.66683 14.6666H4.66683" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16033"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M4.667 7.333L7.333 1.333C7.864 1.333 8.373 1.544 8.748 1.919C9.123 2.294 9.334 2.803 9.334 3.333V6H13.107C13.3 5.998 13.492 6.038 13.668 6.117C13.844 6.196 14.001 6.312 14.128 6.458C14.255 6.604 14.348 6.776 14.402 6.961C14.456 7.147 14.469 7.342 14.44 7.533L13.52 13.533C13.472 13.851 13.31 14.141 13.065 14.349C12.82 14.557 12.508 14.67 12.187 14.667H4.667M4.667 7.333V14.667M4.667 7.333H2.667C2.313 7.333 1.974 7.474 1.724 7.724C1.474 7.974 1.333 8.313 1.333 8.667V13.333C1.333 13.687 1.474 14.026 1.724 14.276C1.974 14.526 2.313 14.667 2.667 14.667H4.667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconToggleLeft = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16035)"><path d="M10.6665 3.33325H5.33317C2.75584 3.33325 0.666504 5.42259 0.666504 7.99992C0.666504 10.5772 2.75584 12.6666 5.33317 12.6666H10.6665C13.2438 12.6666 15.3332 10.5772 15.3332 7.99992C15.3332 5.42259 13.2438 3.33325 10.6665 3.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M5.33317 9.99992C6.43774 9.99992 7.33317 9.10449 7.33317 7.99992C7.33317 6.89535 6.43774 5.99992 5.33317 5.99992C4.2286 5.99992 3.33317 6.89535 3.33317 7.99992C3.33317 9.10449 4.2286 9.99992 5.33317 9.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16035"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.666 3.333H5.333C2.756 3.333 0.667 5.423 0.667 8C0.667 10.577 2.756 12.667 5.333 12.667H10.666C13.244 12.667 15.333 10.577 15.333 8C15.333 5.423 13.244 3.333 10.666 3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M5.333 10C6.438 10 7.333 9.104 7.333 8C7.333 6.895 6.438 6 5.333 6C4.229 6 3.333 6.895 3.333 8C3.333 9.104 4.229 10 5.333 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconToggleRight = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16037)"><path d="M10.6667 3.33325H5.33332C2.75599 3.33325 0.666656 5.42259 0.666656 7.99992C0.666656 10.5772 2.75599 12.6666 5.33332 12.6666H10.6667C13.244 12.6666 15.3333 10.5772 15.3333 7.99992C15.3333 5.42259 13.244 3.33325 10.6667 3.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M10.6667 9.99992C11.7712 9.99992 12.6667 9.10449 12.6667 7.99992C12.6667 6.89535 11.7712 5.99992 10.6667 5.99992C9.56209 5.99992 8.66666 6.89535 8.66666 7.99992C8.66666 9.10449 9.56209 9.99992 10.6667 9.99992Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16037"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 3.333H5.333C2.756 3.333 0.667 5.423 0.667 8C0.667 10.577 2.756 12.667 5.333 12.667H10.667C13.244 12.667 15.333 10.577 15.333 8C15.333 5.423 13.244 3.333 10.667 3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M10.667 10C11.771 10 12.667 9.104 12.667 8C12.667 6.895 11.771 6 10.667 6C9.562 6 8.667 6.895 8.667 8C8.667 9.104 9.562 10 10.667 10Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTool = (props: IconProps) => (
-  <Icon {...props}><path d="M9.80003 4.19991C9.67787 4.32452 9.60945 4.49207 9.60945 4.66657C9.60945 4.84107 9.67787 5.00862 9.80003 5.13324L10.8667 6.19991C10.9913 6.32206 11.1589 6.39048 11.3334 6.39048C11.5079 6.39048 11.6754 6.32206 11.8 6.19991L14.3134 3.68657C14.6486 4.42736 14.7501 5.25273 14.6043 6.05267C14.4586 6.85261 14.0725 7.58913 13.4975 8.16409C12.9226 8.73905 12.1861 9.12513 11.3861 9.27088C10.5862 9.41663 9.76082 9.31513 9.02003 8.9799L4.41336 13.5866C4.14814 13.8518 3.78843 14.0008 3.41336 14.0008C3.03829 14.0008 2.67858 13.8518 2.41336 13.5866C2.14814 13.3214 1.99915 12.9616 1.99915 12.5866C1.99915 12.2115 2.14814 11.8518 2.41336 11.5866L7.02003 6.9799C6.6848 6.23911 6.5833 5.41375 6.72905 4.61381C6.87481 3.81387 7.26088 3.07734 7.83584 2.50239C8.4108 1.92743 9.14732 1.54135 9.94726 1.3956C10.7472 1.24985 11.5726 1.35135 12.3134 1.68657L9.80003 4.19991Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M9.8 4.2C9.678 4.325 9.609 4.492 9.609 4.667C9.609 4.841 9.678 5.009 9.8 5.133L10.867 6.2C10.991 6.322 11.159 6.39 11.333 6.39C11.508 6.39 11.675 6.322 11.8 6.2L14.313 3.687C14.649 4.427 14.75 5.253 14.604 6.053C14.459 6.853 14.072 7.589 13.498 8.164C12.923 8.739 12.186 9.125 11.386 9.271C10.586 9.417 9.761 9.315 9.02 8.98L4.413 13.587C4.148 13.852 3.788 14.001 3.413 14.001C3.038 14.001 2.679 13.852 2.413 13.587C2.148 13.321 1.999 12.962 1.999 12.587C1.999 12.211 2.148 11.852 2.413 11.587L7.02 6.98C6.685 6.239 6.583 5.414 6.729 4.614C6.875 3.814 7.261 3.077 7.836 2.502C8.411 1.927 9.147 1.541 9.947 1.396C10.747 1.25 11.573 1.351 12.313 1.687L9.8 4.2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTrash = (props: IconProps) => (
-  <Icon {...props}><path d="M2 3.99992H3.33333M3.33333 3.99992H14M3.33333 3.99992L3.33333 13.3333C3.33333 13.6869 3.47381 14.026 3.72386 14.2761C3.97391 14.5261 4.31304 14.6666 4.66667 14.6666H11.3333C11.687 14.6666 12.0261 14.5261 12.2761 14.2761C12.5262 14.026 12.6667 13.6869 12.6667 13.3333V3.99992M5.33333 3.99992V2.66659C5.33333 2.31296 5.47381 1.97382 5.72386 1.72378C5.97391 1.47373 6.31304 1.33325 6.66667 1.33325H9.33333C9.68696 1.33325 10.0261 1.47373 10.2761 1.72378C10.5262 1.97382 10.6667 2.31296 10.6667 2.66659V3.99992" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2 4H3.333M3.333 4H14M3.333 4L3.333 13.333C3.333 13.687 3.474 14.026 3.724 14.276C3.974 14.526 4.313 14.667 4.667 14.667H11.333C11.687 14.667 12.026 14.526 12.276 14.276C12.526 14.026 12.667 13.687 12.667 13.333V4M5.333 4V2.667C5.333 2.313 5.474 1.974 5.724 1.724C5.974 1.474 6.313 1.333 6.667 1.333H9.333C9.687 1.333 10.026 1.474 10.276 1.724C10.526 1.974 10.667 2.313 10.667 2.667V4" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
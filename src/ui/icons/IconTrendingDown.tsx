@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTrendingDown = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16047)"><path d="M15.3334 12L9.00008 5.66667L5.66675 9L0.666748 4M15.3334 12H11.3334M15.3334 12L15.3334 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16047"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 12L9 5.667L5.667 9L0.667 4M15.333 12H11.333M15.333 12L15.333 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
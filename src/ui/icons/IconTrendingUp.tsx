@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTrendingUp = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16049)"><path d="M15.3334 4L9.00008 10.3333L5.66675 7L0.666748 12M15.3334 4H11.3334M15.3334 4L15.3334 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16049"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 4L9 10.333L5.667 7L0.667 12M15.333 4H11.333M15.333 4L15.333 8" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
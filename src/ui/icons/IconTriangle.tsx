@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTriangle = (props: IconProps) => (
-  <Icon {...props}><path d="M6.86001 2.57323L1.21335 11.9999C1.09693 12.2015 1.03533 12.4301 1.03467 12.6629C1.03402 12.8957 1.09434 13.1246 1.20963 13.3269C1.32492 13.5292 1.49116 13.6977 1.69182 13.8158C1.89247 13.9339 2.12055 13.9973 2.35335 13.9999H13.6467C13.8795 13.9973 14.1076 13.9339 14.3082 13.8158C14.5089 13.6977 14.6751 13.5292 14.7904 13.3269C14.9057 13.1246 14.966 12.8957 14.9654 12.6629C14.9647 12.4301 14.9031 12.2015 14.7867 11.9999L9.14001 2.57323C9.02117 2.3773 8.85383 2.21531 8.65414 2.10288C8.45446 1.99046 8.22917 1.9314 8.00001 1.9314C7.77086 1.9314 7.54557 1.99046 7.34588 2.10288C7.1462 2.21531 6.97886 2.3773 6.86001 2.57323Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6.86 2.573L1.213 12C1.097 12.201 1.035 12.43 1.035 12.663C1.034 12.896 1.094 13.125 1.21 13.327C1.325 13.529 1.491 13.698 1.692 13.816C1.892 13.934 2.121 13.997 2.353 14H13.647C13.88 13.997 14.108 13.934 14.308 13.816C14.509 13.698 14.675 13.529 14.79 13.327C14.906 13.125 14.966 12.896 14.965 12.663C14.965 12.43 14.903 12.201 14.787 12L9.14 2.573C9.021 2.377 8.854 2.215 8.654 2.103C8.454 1.99 8.229 1.931 8 1.931C7.771 1.931 7.546 1.99 7.346 2.103C7.146 2.215 6.979 2.377 6.86 2.573Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
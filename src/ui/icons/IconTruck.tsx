@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTruck = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16053)"><path d="M10.6665 10.6667V2H0.666504V10.6667H10.6665ZM10.6665 10.6667H15.3332V7.33333L13.3332 5.33333H10.6665L10.6665 10.6667ZM5.33317 12.3333C5.33317 13.2538 4.58698 14 3.6665 14C2.74603 14 1.99984 13.2538 1.99984 12.3333C1.99984 11.4129 2.74603 10.6667 3.6665 10.6667C4.58698 10.6667 5.33317 11.4129 5.33317 12.3333ZM13.9998 12.3333C13.9998 13.2538 13.2536 14 12.3332 14C11.4127 14 10.6665 13.2538 10.6665 12.3333C10.6665 11.4129 11.4127 10.6667 12.3332 10.6667C13.2536 10.6667 13.9998 11.4129 13.9998 12.3333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16053"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.666 10.667V2H0.667V10.667H10.666ZM10.666 10.667H15.333V7.333L13.333 5.333H10.666L10.666 10.667ZM5.333 12.333C5.333 13.254 4.587 14 3.667 14C2.746 14 2 13.254 2 12.333C2 11.413 2.746 10.667 3.667 10.667C4.587 10.667 5.333 11.413 5.333 12.333ZM14 12.333C14 13.254 13.254 14 12.333 14C11.413 14 10.666 13.254 10.666 12.333C10.666 11.413 11.413 10.667 12.333 10.667C13.254 10.667 14 11.413 14 12.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTv = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16055)"><path d="M11.3333 1.33325L8.00001 4.66659L4.66668 1.33325M2.66668 4.66659H13.3333C14.0697 4.66659 14.6667 5.26354 14.6667 5.99992V13.3333C14.6667 14.0696 14.0697 14.6666 13.3333 14.6666H2.66668C1.9303 14.6666 1.33334 14.0696 1.33334 13.3333V5.99992C1.33334 5.26354 1.9303 4.66659 2.66668 4.66659Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16055"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.333 1.333L8 4.667L4.667 1.333M2.667 4.667H13.333C14.07 4.667 14.667 5.264 14.667 6V13.333C14.667 14.07 14.07 14.667 13.333 14.667H2.667C1.93 14.667 1.333 14.07 1.333 13.333V6C1.333 5.264 1.93 4.667 2.667 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
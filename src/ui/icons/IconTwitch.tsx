@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTwitch = (props: IconProps) => (
-  <Icon {...props}><path d="M7.33333 7.33325V4.66659M10.6667 7.33325V4.66659M14 1.33325H2V11.9999H5.33333V14.6666L8 11.9999H11.3333L14 9.33325V1.33325Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M7.333 7.333V4.667M10.667 7.333V4.667M14 1.333H2V12H5.333V14.667L8 12H11.333L14 9.333V1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconTwitter = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16059)"><path d="M15.3333 2.00011C14.6949 2.45043 13.988 2.79485 13.24 3.02011C12.8385 2.55845 12.3048 2.23124 11.7113 2.08273C11.1178 1.93422 10.493 1.97158 9.92135 2.18975C9.34974 2.40792 8.85892 2.79638 8.51528 3.30259C8.17164 3.8088 7.99176 4.40834 7.99996 5.02011V5.68678C6.82838 5.71716 5.66747 5.45732 4.62063 4.93041C3.57379 4.4035 2.6735 3.62587 1.99996 2.66678C1.99996 2.66678 -0.666707 8.66678 5.33329 11.3334C3.96031 12.2654 2.32473 12.7327 0.666626 12.6668C6.66663 16.0001 14 12.6668 14 5.00011C13.9993 4.81441 13.9815 4.62917 13.9466 4.44678C14.627 3.77577 15.1072 2.92859 15.3333 2.00011Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16059"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 2C14.695 2.45 13.988 2.795 13.24 3.02C12.838 2.558 12.305 2.231 11.711 2.083C11.118 1.934 10.493 1.972 9.921 2.19C9.35 2.408 8.859 2.796 8.515 3.303C8.172 3.809 7.992 4.408 8 5.02V5.687C6.828 5.717 5.667 5.457 4.621 4.93C3.574 4.404 2.674 3.626 2 2.667C2 2.667 -0.667 8.667 5.333 11.333C3.96 12.265 2.325 12.733 0.667 12.667C6.667 16 14 12.667 14 5C13.999 4.814 13.982 4.629 13.947 4.447C14.627 3.776 15.107 2.929 15.333 2Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
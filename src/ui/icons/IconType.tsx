@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconType = (props: IconProps) => (
-  <Icon {...props}><path d="M2.66663 4.66675V2.66675H13.3333V4.66675M5.99996 13.3334H9.99996M7.99996 2.66675V13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M2.667 4.667V2.667H13.333V4.667M6 13.333H10M8 2.667V13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUmbrella = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16063)"><path d="M12.0001 12.6666C12.0001 13.197 11.7894 13.7057 11.4143 14.0808C11.0392 14.4559 10.5305 14.6666 10.0001 14.6666C9.46965 14.6666 8.96094 14.4559 8.58587 14.0808C8.21079 13.7057 8.00008 13.197 8.00008 12.6666V7.99992M15.3334 7.99992C15.1593 6.17563 14.3114 4.48175 12.9554 3.24903C11.5994 2.0163 9.83266 1.33325 8.00008 1.33325C6.1675 1.33325 4.40072 2.0163 3.04472 3.24903C1.68873 4.48175 0.840884 6.17563 0.666748 7.99992H15.3334Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16063"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M12 12.667C12 13.197 11.789 13.706 11.414 14.081C11.039 14.456 10.53 14.667 10 14.667C9.47 14.667 8.961 14.456 8.586 14.081C8.211 13.706 8 13.197 8 12.667V8M15.333 8C15.159 6.176 14.311 4.482 12.955 3.249C11.599 2.016 9.833 1.333 8 1.333C6.168 1.333 4.401 2.016 3.045 3.249C1.689 4.482 0.841 6.176 0.667 8H15.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
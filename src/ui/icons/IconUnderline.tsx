@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUnderline = (props: IconProps) => (
-  <Icon {...props}><path d="M4.00008 2V6.66667C4.00008 7.72753 4.42151 8.74495 5.17165 9.49509C5.9218 10.2452 6.93922 10.6667 8.00008 10.6667C9.06095 10.6667 10.0784 10.2452 10.8285 9.49509C11.5787 8.74495 12.0001 7.72753 12.0001 6.66667V2M2.66675 14H13.3334" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4 2V6.667C4 7.728 4.422 8.745 5.172 9.495C5.922 10.245 6.939 10.667 8 10.667C9.061 10.667 10.078 10.245 10.829 9.495C11.579 8.745 12 7.728 12 6.667V2M2.667 14H13.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
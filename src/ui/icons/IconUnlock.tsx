@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUnlock = (props: IconProps) => (
-  <Icon {...props}><path d="M4.66667 7.33344V4.66677C4.66584 3.84013 4.97219 3.04268 5.52625 2.42921C6.08031 1.81575 6.84255 1.43004 7.665 1.34696C8.48745 1.26389 9.31143 1.48937 9.97698 1.97964C10.6425 2.46992 11.1022 3.19 11.2667 4.0001M3.33333 7.33344H12.6667C13.403 7.33344 14 7.93039 14 8.66677V13.3334C14 14.0698 13.403 14.6668 12.6667 14.6668H3.33333C2.59695 14.6668 2 14.0698 2 13.3334V8.66677C2 7.93039 2.59695 7.33344 3.33333 7.33344Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M4.667 7.333V4.667C4.666 3.84 4.972 3.043 5.526 2.429C6.08 1.816 6.843 1.43 7.665 1.347C8.487 1.264 9.311 1.489 9.977 1.98C10.643 2.47 11.102 3.19 11.267 4M3.333 7.333H12.667C13.403 7.333 14 7.93 14 8.667V13.333C14 14.07 13.403 14.667 12.667 14.667H3.333C2.597 14.667 2 14.07 2 13.333V8.667C2 7.93 2.597 7.333 3.333 7.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
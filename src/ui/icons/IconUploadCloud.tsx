@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUploadCloud = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16069)"><path d="M10.6666 10.6667L7.99997 8.00007M7.99997 8.00007L5.33331 10.6667M7.99997 8.00007V14.0001M13.5933 12.2601C14.2435 11.9056 14.7572 11.3447 15.0532 10.6658C15.3492 9.98698 15.4108 9.22889 15.2281 8.5112C15.0454 7.7935 14.629 7.15708 14.0444 6.70237C13.4599 6.24766 12.7405 6.00056 12 6.00007H11.16C10.9582 5.21956 10.5821 4.49496 10.0599 3.88073C9.5378 3.2665 8.8832 2.77864 8.14537 2.45381C7.40754 2.12898 6.60567 1.97564 5.80005 2.00533C4.99443 2.03501 4.20602 2.24694 3.49409 2.62518C2.78216 3.00342 2.16525 3.53814 1.68972 4.18913C1.2142 4.84011 0.892434 5.59043 0.748627 6.38367C0.60482 7.17691 0.64271 7.99242 0.859449 8.76891C1.07619 9.5454 1.46613 10.2626 1.99997 10.8667" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16069"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 10.667L8 8M8 8L5.333 10.667M8 8V14M13.593 12.26C14.243 11.906 14.757 11.345 15.053 10.666C15.349 9.987 15.411 9.229 15.228 8.511C15.045 7.793 14.629 7.157 14.044 6.702C13.46 6.248 12.741 6.001 12 6H11.16C10.958 5.22 10.582 4.495 10.06 3.881C9.538 3.267 8.883 2.779 8.145 2.454C7.408 2.129 6.606 1.976 5.8 2.005C4.994 2.035 4.206 2.247 3.494 2.625C2.782 3.003 2.165 3.538 1.69 4.189C1.214 4.84 0.892 5.59 0.749 6.384C0.605 7.177 0.643 7.992 0.859 8.769C1.076 9.545 1.466 10.263 2 10.867" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
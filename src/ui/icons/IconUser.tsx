@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUser = (props: IconProps) => (
-  <Icon {...props}><path d="M13.3334 14V12.6667C13.3334 11.9594 13.0525 11.2811 12.5524 10.781C12.0523 10.281 11.374 10 10.6667 10H5.33341C4.62617 10 3.94789 10.281 3.4478 10.781C2.9477 11.2811 2.66675 11.9594 2.66675 12.6667V14M10.6667 4.66667C10.6667 6.13943 9.47284 7.33333 8.00008 7.33333C6.52732 7.33333 5.33341 6.13943 5.33341 4.66667C5.33341 3.19391 6.52732 2 8.00008 2C9.47284 2 10.6667 3.19391 10.6667 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M13.333 14V12.667C13.333 11.959 13.053 11.281 12.552 10.781C12.052 10.281 11.374 10 10.667 10H5.333C4.626 10 3.948 10.281 3.448 10.781C2.948 11.281 2.667 11.959 2.667 12.667V14M10.667 4.667C10.667 6.139 9.473 7.333 8 7.333C6.527 7.333 5.333 6.139 5.333 4.667C5.333 3.194 6.527 2 8 2C9.473 2 10.667 3.194 10.667 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUserCheck = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16073)"><path d="M10.6667 14V12.6667C10.6667 11.9594 10.3857 11.2811 9.88561 10.781C9.38551 10.281 8.70723 10 7.99999 10H3.33332C2.62608 10 1.9478 10.281 1.44771 10.781C0.947608 11.2811 0.666656 11.9594 0.666656 12.6667V14M11.3333 7.33333L12.6667 8.66667L15.3333 6M8.33332 4.66667C8.33332 6.13943 7.13942 7.33333 5.66666 7.33333C4.1939 7.33333 2.99999 6.13943 2.99999 4.66667C2.99999 3.19391 4.1939 2 5.66666 2C7.13942 2 8.33332 3.19391 8.33332 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16073"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 14V12.667C10.667 11.959 10.386 11.281 9.886 10.781C9.386 10.281 8.707 10 8 10H3.333C2.626 10 1.948 10.281 1.448 10.781C0.948 11.281 0.667 11.959 0.667 12.667V14M11.333 7.333L12.667 8.667L15.333 6M8.333 4.667C8.333 6.139 7.139 7.333 5.667 7.333C4.194 7.333 3 6.139 3 4.667C3 3.194 4.194 2 5.667 2C7.139 2 8.333 3.194 8.333 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUserMinus = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16075)"><path d="M10.6667 14V12.6667C10.6667 11.9594 10.3857 11.2811 9.88564 10.781C9.38554 10.281 8.70726 10 8.00002 10H3.33335C2.62611 10 1.94783 10.281 1.44774 10.781C0.947639 11.2811 0.666687 11.9594 0.666687 12.6667V14M15.3334 7.33333H11.3334M8.33335 4.66667C8.33335 6.13943 7.13945 7.33333 5.66669 7.33333C4.19393 7.33333 3.00002 6.13943 3.00002 4.66667C3.00002 3.19391 4.19393 2 5.66669 2C7.13945 2 8.33335 3.19391 8.33335 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16075"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 14V12.667C10.667 11.959 10.386 11.281 9.886 10.781C9.386 10.281 8.707 10 8 10H3.333C2.626 10 1.948 10.281 1.448 10.781C0.948 11.281 0.667 11.959 0.667 12.667V14M15.333 7.333H11.333M8.333 4.667C8.333 6.139 7.139 7.333 5.667 7.333C4.194 7.333 3 6.139 3 4.667C3 3.194 4.194 2 5.667 2C7.139 2 8.333 3.194 8.333 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUserX = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16079)"><path d="M10.6666 14V12.6667C10.6666 11.9594 10.3857 11.2811 9.88558 10.781C9.38548 10.281 8.7072 10 7.99996 10H3.33329C2.62605 10 1.94777 10.281 1.44767 10.781C0.947578 11.2811 0.666626 11.9594 0.666626 12.6667V14M12 5.33333L15.3333 8.66667M15.3333 5.33333L12 8.66667M8.33329 4.66667C8.33329 6.13943 7.13939 7.33333 5.66663 7.33333C4.19387 7.33333 2.99996 6.13943 2.99996 4.66667C2.99996 3.19391 4.19387 2 5.66663 2C7.13939 2 8.33329 3.19391 8.33329 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16079"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 14V12.667C10.667 11.959 10.386 11.281 9.886 10.781C9.385 10.281 8.707 10 8 10H3.333C2.626 10 1.948 10.281 1.448 10.781C0.948 11.281 0.667 11.959 0.667 12.667V14M12 5.333L15.333 8.667M15.333 5.333L12 8.667M8.333 4.667C8.333 6.139 7.139 7.333 5.667 7.333C4.194 7.333 3 6.139 3 4.667C3 3.194 4.194 2 5.667 2C7.139 2 8.333 3.194 8.333 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
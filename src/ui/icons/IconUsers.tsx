@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconUsers = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16083)"><path d="M11.3334 14V12.6667C11.3334 11.9594 11.0525 11.2811 10.5524 10.781C10.0523 10.281 9.37399 10 8.66675 10H3.33341C2.62617 10 1.94789 10.281 1.4478 10.781C0.9477 11.2811 0.666748 11.9594 0.666748 12.6667V14M15.3334 14V12.6667C15.333 12.0758 15.1363 11.5018 14.7743 11.0349C14.4123 10.5679 13.9055 10.2344 13.3334 10.0867M10.6667 2.08667C11.2404 2.23353 11.7488 2.56713 12.1118 3.03487C12.4749 3.50261 12.672 4.07789 12.672 4.67C12.672 5.26211 12.4749 5.83739 12.1118 6.30513C11.7488 6.77287 11.2404 7.10647 10.6667 7.25333M8.66675 4.66667C8.66675 6.13943 7.47284 7.33333 6.00008 7.33333C4.52732 7.33333 3.33341 6.13943 3.33341 4.66667C3.33341 3.19391 4.52732 2 6.00008 2C7.47284 2 8.66675 3.19391 8.66675 4.66667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16083"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M11.333 14V12.667C11.333 11.959 11.053 11.281 10.552 10.781C10.052 10.281 9.374 10 8.667 10H3.333C2.626 10 1.948 10.281 1.448 10.781C0.948 11.281 0.667 11.959 0.667 12.667V14M15.333 14V12.667C15.333 12.076 15.136 11.502 14.774 11.035C14.412 10.568 13.905 10.234 13.333 10.087M10.667 2.087C11.24 2.234 11.749 2.567 12.112 3.035C12.475 3.503 12.672 4.078 12.672 4.67C12.672 5.262 12.475 5.837 12.112 6.305C11.749 6.773 11.24 7.106 10.667 7.253M8.667 4.667C8.667 6.139 7.473 7.333 6 7.333C4.527 7.333 3.333 6.139 3.333 4.667C3.333 3.194 4.527 2 6 2C7.473 2 8.667 3.194 8.667 4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
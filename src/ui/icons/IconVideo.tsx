@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVideo = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16087)"><path d="M15.3332 4.66683L10.6665 8.00016L15.3332 11.3335V4.66683Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M9.33317 3.3335H1.99984C1.26346 3.3335 0.666504 3.93045 0.666504 4.66683V11.3335C0.666504 12.0699 1.26346 12.6668 1.99984 12.6668H9.33317C10.0696 12.6668 10.6665 12.0699 10.6665 11.3335V4.66683C10.6665 3.93045 10.0696 3.3335 9.33317 3.3335Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16087"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.333 4.667L10.666 8L15.333 11.334V4.667Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M9.333 3.333H2C1.263 3.333 0.667 3.93 0.667 4.667V11.334C0.667 12.07 1.263 12.667 2 12.667H9.333C10.07 12.667 10.666 12.07 10.666 11.334V4.667C10.666 3.93 10.07 3.333 9.333 3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVideoOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16085)"><path d="M10.6667 10.6665V11.3332C10.6667 11.6868 10.5263 12.0259 10.2762 12.276C10.0262 12.526 9.68704 12.6665 9.33341 12.6665H2.00008C1.64646 12.6665 1.30732 12.526 1.05727 12.276C0.807224 12.0259 0.666748 11.6868 0.666748 11.3332V4.6665C0.666748 4.31288 0.807224 3.97374 1.05727 3.72369C1.30732 3.47365 1.64646 3.33317 2.00008 3.33317H3.33341M7.10675 3.33317H9.33341C9.68704 3.33317 10.0262 3.47365 10.2762 3.72369C10.5263 3.97374 10.6667 4.31288 10.6667 4.6665V6.89317L11.3334 7.55984L15.3334 4.6665V11.3332M0.666748 0.666504L15.3334 15.3332" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16085"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M10.667 10.666V11.333C10.667 11.687 10.526 12.026 10.276 12.276C10.026 12.526 9.687 12.666 9.333 12.666H2C1.646 12.666 1.307 12.526 1.057 12.276C0.807 12.026 0.667 11.687 0.667 11.333V4.667C0.667 4.313 0.807 3.974 1.057 3.724C1.307 3.474 1.646 3.333 2 3.333H3.333M7.107 3.333H9.333C9.687 3.333 10.026 3.474 10.276 3.724C10.526 3.974 10.667 4.313 10.667 4.667V6.893L11.333 7.56L15.333 4.667V11.333M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
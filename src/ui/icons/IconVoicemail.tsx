@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVoicemail = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16089)"><path d="M3.6665 10.6665C5.32336 10.6665 6.6665 9.32336 6.6665 7.6665C6.6665 6.00965 5.32336 4.6665 3.6665 4.6665C2.00965 4.6665 0.666504 6.00965 0.666504 7.6665C0.666504 9.32336 2.00965 10.6665 3.6665 10.6665ZM3.6665 10.6665H12.3332M12.3332 10.6665C13.99 10.6665 15.3332 9.32336 15.3332 7.6665C15.3332 6.00965 13.99 4.6665 12.3332 4.6665C10.6763 4.6665 9.33317 6.00965 9.33317 7.6665C9.33317 9.32336 10.6763 10.6665 12.3332 10.6665Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16089"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M3.667 10.666C5.323 10.666 6.667 9.323 6.667 7.667C6.667 6.01 5.323 4.667 3.667 4.667C2.01 4.667 0.667 6.01 0.667 7.667C0.667 9.323 2.01 10.666 3.667 10.666ZM3.667 10.666H12.333M12.333 10.666C13.99 10.666 15.333 9.323 15.333 7.667C15.333 6.01 13.99 4.667 12.333 4.667C10.676 4.667 9.333 6.01 9.333 7.667C9.333 9.323 10.676 10.666 12.333 10.666Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
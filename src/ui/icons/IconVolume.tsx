@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVolume = (props: IconProps) => (
-  <Icon {...props}><path d="M7.33337 3.3335L4.00004 6.00016H1.33337V10.0002H4.00004L7.33337 12.6668V3.3335Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M7.333 3.333L4 6H1.333V10H4L7.333 12.667V3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
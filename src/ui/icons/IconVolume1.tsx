@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVolume1 = (props: IconProps) => (
-  <Icon {...props}><path d="M10.36 5.64016C10.9849 6.26526 11.336 7.11295 11.336 7.99683C11.336 8.88071 10.9849 9.7284 10.36 10.3535M7.33334 3.3335L4.00001 6.00016H1.33334V10.0002H4.00001L7.33334 12.6668V3.3335Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M10.36 5.64C10.985 6.265 11.336 7.113 11.336 7.997C11.336 8.881 10.985 9.728 10.36 10.354M7.333 3.333L4 6H1.333V10H4L7.333 12.667V3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
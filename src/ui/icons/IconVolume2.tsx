@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconVolume2 = (props: IconProps) => (
-  <Icon {...props}><path d="M12.7133 3.28662C13.9631 4.53681 14.6652 6.23219 14.6652 7.99995C14.6652 9.76772 13.9631 11.4631 12.7133 12.7133M10.36 5.63995C10.9849 6.26505 11.3359 7.11274 11.3359 7.99662C11.3359 8.8805 10.9849 9.7282 10.36 10.3533M7.33331 3.33329L3.99998 5.99995H1.33331V9.99996H3.99998L7.33331 12.6666V3.33329Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M12.713 3.287C13.963 4.537 14.665 6.232 14.665 8C14.665 9.768 13.963 11.463 12.713 12.713M10.36 5.64C10.985 6.265 11.336 7.113 11.336 7.997C11.336 8.88 10.985 9.728 10.36 10.353M7.333 3.333L4 6H1.333V10H4L7.333 12.667V3.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconWatch = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16099)"><path d="M7.99992 5.99985V7.99985L8.99992 8.99985M11.0066 11.5665L10.7733 14.1199C10.7432 14.4523 10.5896 14.7614 10.3427 14.986C10.0958 15.2107 9.7737 15.3345 9.43992 15.3332H6.55325C6.21947 15.3345 5.89732 15.2107 5.65045 14.986C5.40359 14.7614 5.24996 14.4523 5.21992 14.1199L4.98659 11.5665M4.99325 4.43318L5.22659 1.87985C5.25652 1.54857 5.40921 1.24044 5.65466 1.01595C5.90012 0.791462 6.22062 0.666828 6.55325 0.666515H9.45325C9.78703 0.665161 10.1092 0.789047 10.3561 1.0137C10.6029 1.23835 10.7565 1.54742 10.7866 1.87985L11.0199 4.43318M12.6666 7.99985C12.6666 10.5772 10.5772 12.6665 7.99992 12.6665C5.42259 12.6665 3.33325 10.5772 3.33325 7.99985C3.33325 5.42252 5.42259 3.33318 7.99992 3.33318C10.5772 3.33318 12.6666 5.42252 12.6666 7.99985Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16099"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8 6V8L9 9M11.007 11.566L10.773 14.12C10.743 14.452 10.59 14.761 10.343 14.986C10.096 15.211 9.774 15.335 9.44 15.333H6.553C6.219 15.335 5.897 15.211 5.65 14.986C5.404 14.761 5.25 14.452 5.22 14.12L4.987 11.566M4.993 4.433L5.227 1.88C5.257 1.549 5.409 1.24 5.655 1.016C5.9 0.791 6.221 0.667 6.553 0.667H9.453C9.787 0.665 10.109 0.789 10.356 1.014C10.603 1.238 10.757 1.547 10.787 1.88L11.02 4.433M12.667 8C12.667 10.577 10.577 12.666 8 12.666C5.423 12.666 3.333 10.577 3.333 8C3.333 5.423 5.423 3.333 8 3.333C10.577 3.333 12.667 5.423 12.667 8Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
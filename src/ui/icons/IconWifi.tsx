@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconWifi = (props: IconProps) => (
-  <Icon {...props}><path d="M3.33344 8.36653C4.65115 7.26897 6.31185 6.66794 8.02678 6.66794C9.74171 6.66794 11.4024 7.26897 12.7201 8.36653M0.946777 5.99986C2.89506 4.2825 5.40297 3.33496 8.00011 3.33496C10.5972 3.33496 13.1052 4.2825 15.0534 5.99986M5.68678 10.7399C6.36358 10.259 7.17323 10.0007 8.00344 10.0007C8.83366 10.0007 9.64331 10.259 10.3201 10.7399M8.00011 13.3332H8.00678" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M3.333 8.367C4.651 7.269 6.312 6.668 8.027 6.668C9.742 6.668 11.402 7.269 12.72 8.367M0.947 6C2.895 4.282 5.403 3.335 8 3.335C10.597 3.335 13.105 4.282 15.053 6M5.687 10.74C6.364 10.259 7.173 10.001 8.003 10.001C8.834 10.001 9.643 10.259 10.32 10.74M8 13.333H8.007" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
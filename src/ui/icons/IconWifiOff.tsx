@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconWifiOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16101)"><path d="M0.666748 0.666504L15.3334 15.3332M11.1467 7.37317C11.6928 7.63967 12.2034 7.97337 12.6667 8.3665M3.33341 8.3665C4.32147 7.54039 5.51066 6.99065 6.78008 6.77317M7.14008 3.3665C8.56836 3.25142 10.0052 3.42528 11.3648 3.87772C12.7244 4.33015 13.9789 5.05189 15.0534 5.99984M0.946748 5.99984C1.87152 5.1824 2.93188 4.53265 4.08008 4.07984M5.68675 10.7398C6.36355 10.259 7.1732 10.0007 8.00342 10.0007C8.83363 10.0007 9.64328 10.259 10.3201 10.7398M8.00008 13.3332H8.00675" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16101"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M0.667 0.667L15.333 15.333M11.147 7.373C11.693 7.64 12.203 7.973 12.667 8.367M3.333 8.367C4.321 7.54 5.511 6.991 6.78 6.773M7.14 3.366C8.568 3.251 10.005 3.425 11.365 3.878C12.724 4.33 13.979 5.052 15.053 6M0.947 6C1.872 5.182 2.932 4.533 4.08 4.08M5.687 10.74C6.364 10.259 7.173 10.001 8.003 10.001C8.834 10.001 9.643 10.259 10.32 10.74M8 13.333H8.007" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconWind = (props: IconProps) => (
-  <Icon {...props}><path d="M6.3935 3.05983C6.54837 2.90403 6.73933 2.78892 6.94941 2.72472C7.15949 2.66052 7.38218 2.64922 7.59768 2.69182C7.81318 2.73442 8.01482 2.82961 8.18467 2.96892C8.35451 3.10823 8.48731 3.28735 8.57125 3.49035C8.65519 3.69336 8.68767 3.91395 8.66581 4.13253C8.64394 4.35112 8.56842 4.56091 8.44593 4.74327C8.32345 4.92562 8.15781 5.07489 7.96373 5.1778C7.76966 5.28071 7.55317 5.33408 7.3335 5.33316H1.3335M8.3935 12.9398C8.54837 13.0956 8.73933 13.2107 8.94941 13.2749C9.15949 13.3391 9.38218 13.3504 9.59768 13.3078C9.81318 13.2652 10.0148 13.17 10.1847 13.0307C10.3545 12.8914 10.4873 12.7123 10.5712 12.5093C10.6552 12.3063 10.6877 12.0857 10.6658 11.8671C10.6439 11.6485 10.5684 11.4387 10.4459 11.2564C10.3234 11.074 10.1578 10.9248 9.96373 10.8218C9.76966 10.7189 9.55317 10.6656 9.3335 10.6665H1.3335M11.8202 5.15316C12.0141 4.95975 12.2526 4.8171 12.5148 4.73783C12.7769 4.65857 13.0546 4.64512 13.3232 4.69868C13.5917 4.75225 13.843 4.87117 14.0547 5.04494C14.2663 5.2187 14.4319 5.44196 14.5368 5.69495C14.6417 5.94795 14.6826 6.22289 14.6559 6.49546C14.6293 6.76802 14.5358 7.02982 14.3839 7.25769C14.232 7.48556 14.0263 7.67248 13.7849 7.80192C13.5436 7.93136 13.274 7.99933 13.0002 7.99982H1.3335" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M6.394 3.06C6.548 2.904 6.739 2.789 6.949 2.725C7.159 2.661 7.382 2.649 7.598 2.692C7.813 2.734 8.015 2.83 8.185 2.969C8.355 3.108 8.487 3.287 8.571 3.49C8.655 3.693 8.688 3.914 8.666 4.133C8.644 4.351 8.568 4.561 8.446 4.743C8.323 4.926 8.158 5.075 7.964 5.178C7.77 5.281 7.553 5.334 7.333 5.333H1.333M8.393 12.94C8.548 13.096 8.739 13.211 8.949 13.275C9.159 13.339 9.382 13.35 9.598 13.308C9.813 13.265 10.015 13.17 10.185 13.031C10.354 12.891 10.487 12.712 10.571 12.509C10.655 12.306 10.688 12.086 10.666 11.867C10.644 11.649 10.568 11.439 10.446 11.256C10.323 11.074 10.158 10.925 9.964 10.822C9.77 10.719 9.553 10.666 9.334 10.666H1.333M11.82 5.153C12.014 4.96 12.253 4.817 12.515 4.738C12.777 4.659 13.055 4.645 13.323 4.699C13.592 4.752 13.843 4.871 14.055 5.045C14.266 5.219 14.432 5.442 14.537 5.695C14.642 5.948 14.683 6.223 14.656 6.495C14.629 6.768 14.536 7.03 14.384 7.258C14.232 7.486 14.026 7.672 13.785 7.802C13.544 7.931 13.274 7.999 13 8H1.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconYoutube = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16115)"><path d="M15.0266 4.27984C14.9474 3.96344 14.7862 3.67355 14.5591 3.43944C14.332 3.20533 14.0471 3.03529 13.7333 2.9465C12.5866 2.6665 7.99997 2.6665 7.99997 2.6665C7.99997 2.6665 3.41331 2.6665 2.26664 2.97317C1.95281 3.06196 1.66796 3.232 1.44087 3.46611C1.21378 3.70022 1.0525 3.99011 0.973308 4.3065C0.763451 5.47021 0.660798 6.65071 0.666641 7.83317C0.65916 9.02453 0.761819 10.214 0.973308 11.3865C1.06061 11.6931 1.22551 11.9719 1.45207 12.1962C1.67863 12.4204 1.95919 12.5824 2.26664 12.6665C3.41331 12.9732 7.99997 12.9732 7.99997 12.9732C7.99997 12.9732 12.5866 12.9732 13.7333 12.6665C14.0471 12.5777 14.332 12.4077 14.5591 12.1736C14.7862 11.9395 14.9474 11.6496 15.0266 11.3332C15.2349 10.1782 15.3375 9.00673 15.3333 7.83317C15.3408 6.64181 15.2381 5.4523 15.0266 4.27984Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.49997 10.0132L10.3333 7.83317L6.49997 5.65317V10.0132Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16115"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M15.027 4.28C14.947 3.963 14.786 3.674 14.559 3.439C14.332 3.205 14.047 3.035 13.733 2.946C12.587 2.667 8 2.667 8 2.667C8 2.667 3.413 2.667 2.267 2.973C1.953 3.062 1.668 3.232 1.441 3.466C1.214 3.7 1.052 3.99 0.973 4.306C0.763 5.47 0.661 6.651 0.667 7.833C0.659 9.025 0.762 10.214 0.973 11.386C1.061 11.693 1.226 11.972 1.452 12.196C1.679 12.42 1.959 12.582 2.267 12.666C3.413 12.973 8 12.973 8 12.973C8 12.973 12.587 12.973 13.733 12.666C14.047 12.578 14.332 12.408 14.559 12.174C14.786 11.94 14.947 11.65 15.027 11.333C15.235 10.178 15.338 9.007 15.333 7.833C15.341 6.642 15.238 5.452 15.027 4.28Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/><path d="M6.5 10.013L10.333 7.833L6.5 5.653V10.013Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
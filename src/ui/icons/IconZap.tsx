@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconZap = (props: IconProps) => (
-  <Icon {...props}><path d="M8.66667 1.3335L2 9.3335H8L7.33333 14.6668L14 6.66683H8L8.66667 1.3335Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M8.667 1.333L2 9.334H8L7.333 14.667L14 6.667H8L8.667 1.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
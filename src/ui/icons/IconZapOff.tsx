@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconZapOff = (props: IconProps) => (
-  <Icon {...props}><g clipPath="url(#clip0_68_16117)"><path d="M8.27341 4.49984L8.66675 1.33317L7.04675 3.27984M12.3801 8.6065L14.0001 6.6665H10.4401M5.33341 5.33317L2.00008 9.33317H8.00008L7.33341 14.6665L10.6667 10.6665M0.666748 0.666504L15.3334 15.3332" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></g><defs><clipPath id="clip0_68_16117"><rect width="16" height="16" fill="white"/></clipPath></defs></Icon>
+  <Icon {...props}><path d="M8.273 4.5L8.667 1.333L7.047 3.28M12.38 8.607L14 6.667H10.44M5.333 5.333L2 9.333H8L7.333 14.666L10.667 10.666M0.667 0.667L15.333 15.333" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
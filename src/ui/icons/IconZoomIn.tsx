@@ -1,4 +1,4 @@
 import { IconProps, Icon } from "primitives";
 export const IconZoomIn = (props: IconProps) => (
-  <Icon {...props}><path d="M14 14L11.1 11.1M7.33333 5.33333V9.33333M5.33333 7.33333H9.33333M12.6667 7.33333C12.6667 10.2789 10.2789 12.6667 7.33333 12.6667C4.38781 12.6667 2 10.2789 2 7.33333C2 4.38781 4.38781 2 7.33333 2C10.2789 2 12.6667 4.38781 12.6667 7.33333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
+  <Icon {...props}><path d="M14 14L11.1 11.1M7.333 5.333V9.333M5.333 7.333H9.333M12.667 7.333C12.667 10.279 10.279 12.667 7.333 12.667C4.388 12.667 2 10.279 2 7.333C2 4.388 4.388 2 7.333 2C10.279 2 12.667 4.388 12.667 7.333Z" stroke="var(--svg-stroke-color)" strokeWidth="1.6" strokeLinecap="round" strokeLinejoin="round"/></Icon>
 );
\ No newline at end of file
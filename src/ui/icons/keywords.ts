@@ -0,0 +1,297 @@
+/*
+ * This file is automatically generated by scripts/icons/app.mjs!
+ */
+import type { IconName } from "./registry";
+
+/**
+ * Keywords for each icon, from its Figma description
+ */
+export const iconKeywords: { [name in IconName]: readonly string[] } = {
+  IconActivity: ["pulse", "health", "action", "motion"],
+  IconAirplay: ["stream", "cast", "mirroring"],
+  IconAlertCircle: ["warning", "alert", "danger"],
+  IconAlertOctagon: ["warning", "alert", "danger"],
+  IconAlertTriangle: ["warning", "alert", "danger"],
+  IconAlignCenter: ["text alignment", "center"],
+  IconAlignJustify: ["text alignment", "justified"],
+  IconAlignLeft: ["text alignment", "left"],
+  IconAlignRight: ["text alignment", "right"],
+  IconAnchor: [],
+  IconAperture: ["camera", "photo"],
+  IconArchive: ["index", "box"],
+  IconArrowDown: [],
+  IconArrowDownCircle: [],
+  IconArrowDownLeft: [],
+  IconArrowDownRight: [],
+  IconArrowLeft: [],
+  IconArrowLeftCircle: [],
+  IconArrowRight: [],
+  IconArrowRightCircle: [],
+  IconArrowUp: [],
+  IconArrowUpCircle: [],
+  IconArrowUpLeft: [],
+  IconArrowUpRight: [],
+  IconAtSign: ["mention", "at", "email", "message"],
+  IconAward: ["achievement", "badge"],
+  IconBarChart: ["statistics", "diagram", "graph"],
+  IconBarChart2: ["statistics", "diagram", "graph"],
+  IconBattery: ["power", "electricity"],
+  IconBatteryCharging: ["power", "electricity"],
+  IconBell: ["alarm", "notification", "sound"],
+  IconBellOff: ["alarm", "notification", "silent"],
+  IconBluetooth: ["wireless"],
+  IconBold: [],
+  IconBook: ["read", "dictionary", "booklet", "magazine", "library"],
+  IconBookOpen: ["read", "library"],
+  IconBookmark: ["read", "clip", "marker", "tag"],
+  IconBox: ["cube"],
+  IconBriefcase: ["work", "bag", "baggage", "folder"],
+  IconCalendar: ["date"],
+  IconCamera: ["photo"],
+  IconCameraOff: [],
+  IconCast: ["chromecast", "airplay"],
+  IconCheck: [],
+  IconCheckCircle: [],
+  IconCheckSquare: [],
+  IconChevronDown: ["expand"],
+  IconChevronLeft: [],
+  IconChevronRight: [],
+  IconChevronUp: ["collapse"],
+  IconChevronsDown: [],
+  IconChevronsLeft: [],
+  IconChevronsRight: [],
+  IconChevronsUp: [],
+  IconChrome: [],
+  IconCircle: ["off", "zero", "record"],
+  IconClipboard: ["copy"],
+  IconClock: ["time", "watch", "alarm"],
+  IconCloud: ["weather"],
+  IconCloudDrizzle: ["weather", "shower"],
+  IconCloudLightning: ["weather", "bolt"],
+  IconCloudOff: [],
+  IconCloudRain: ["weather"],
+  IconCloudSnow: ["weather", "blizzard"],
+  IconCode: ["source", "programming"],
+  IconCodepen: ["logo"],
+  IconCodesandbox: ["logo"],
+  IconCoffee: ["drink", "cup", "mug", "tea", "cafe", "hot", "beverage"],
+  IconColumns: ["layout"],
+  IconCommand: ["keyboard", "cmd", "terminal", "prompt"],
+  IconCompass: ["navigation", "safari", "travel", "direction"],
+  IconCopy: ["clone", "duplicate"],
+  IconCornerDownLeft: ["arrow", "return"],
+  IconCornerDownRight: ["arrow"],
+  IconCornerLeftDown: ["arrow"],
+  IconCornerLeftUp: ["arrow"],
+  IconCornerRightDown: ["arrow"],
+  IconCornerRightUp: ["arrow"],
+  IconCornerUpLeft: ["arrow"],
+  IconCornerUpRight: ["arrow"],
+  IconCpu: ["processor", "technology"],
+  IconCreditCard: ["purchase", "payment", "cc"],
+  IconCrop: ["photo", "image"],
+  IconCrosshair: ["aim", "target"],
+  IconDatabase: ["storage", "memory"],
+  IconDelete: ["remove"],
+  IconDisc: ["album", "cd", "dvd", "music"],
+  IconDivide: [],
+  IconDivideCircle: [],
+  IconDivideSquare: [],
+  IconDollarSign: ["currency", "money", "payment"],
+  IconDownload: [],
+  IconDownloadCloud: [],
+  IconDribbble: [],
+  IconDroplet: ["water"],
+  IconEdit: ["pencil", "change"],
+  IconEdit2: ["pencil", "change"],
+  IconEdit3: ["pencil", "change"],
+  IconExternalLink: ["outbound"],
+  IconEye: ["view", "watch"],
+  IconEyeOff: ["view", "watch", "hide", "hidden"],
+  IconFacebook: ["logo", "social"],
+  IconFastForward: ["music"],
+  IconFeather: [],
+  IconFigma: ["logo", "design", "tool"],
+  IconFile: [],
+  IconFileMinus: ["delete", "remove", "erase"],
+  IconFilePlus: ["add", "create", "new"],
+  IconFileText: ["data", "txt", "pdf"],
+  IconFilm: ["movie", "video"],
+  IconFilter: ["funnel", "hopper"],
+  IconFlag: ["report"],
+  IconFolder: ["directory"],
+  IconFolderMinus: ["directory"],
+  IconFolderPlus: ["directory"],
+  IconFramer: ["logo", "design", "tool"],
+  IconFrown: ["emoji", "face", "bad", "sad", "emotion"],
+  IconGift: ["present", "box", "birthday", "party"],
+  IconGitBranch: ["code", "version control"],
+  IconGitCommit: ["code", "version control"],
+  IconGitMerge: ["code", "version control"],
+  IconGitPullRequest: ["code", "version control"],
+  IconGithub: ["logo", "version control"],
+  IconGitlab: ["logo", "version control"],
+  IconGlobe: ["world", "browser", "language", "translate"],
+  IconGrid: [],
+  IconHardDrive: ["computer", "server", "memory", "data"],
+  IconHash: ["hashtag", "number", "pound"],
+  IconHeadphones: ["music", "audio", "sound"],
+  IconHeart: ["like", "love", "emotion"],
+  IconHelpCircle: ["question mark"],
+  IconHexagon: ["shape", "node.js", "logo"],
+  IconHome: ["house", "living"],
+  IconImage: ["picture"],
+  IconInbox: ["email"],
+  IconInfo: [],
+  IconInstagram: ["logo", "camera"],
+  IconItalic: [],
+  IconKey: [],
+  IconLayers: ["stack"],
+  IconLayout: ["window", "webpage"],
+  IconLifeBuoy: ["help", "life ring", "support"],
+  IconLink: ["chain", "url"],
+  IconLink2: ["chain", "url"],
+  IconLinkedin: ["logo", "social media"],
+  IconList: ["options"],
+  IconLoader: [],
+  IconLock: ["security", "password", "secure"],
+  IconLogIn: ["sign in", "arrow", "enter"],
+  IconLogOut: ["sign out", "arrow", "exit"],
+  IconMail: ["email", "message"],
+  IconMap: ["location", "navigation", "travel"],
+  IconMapPin: ["location", "navigation", "travel", "marker"],
+  IconMaximize: ["fullscreen"],
+  IconMaximize2: ["fullscreen", "arrows", "expand"],
+  IconMeh: ["emoji", "face", "neutral", "emotion"],
+  IconMenu: ["bars", "navigation", "hamburger"],
+  IconMessageCircle: ["comment", "chat"],
+  IconMessageSquare: ["comment", "chat"],
+  IconMic: ["record", "sound", "listen"],
+  IconMicOff: ["record", "sound", "mute"],
+  IconMinimize: ["exit fullscreen", "close"],
+  IconMinimize2: ["exit fullscreen", "arrows", "close"],
+  IconMinus: ["subtract"],
+  IconMinusCircle: [],
+  IconMinusSquare: [],
+  IconMonitor: ["tv", "screen", "display"],
+  IconMoon: ["dark", "night"],
+  IconMoreHorizontal: ["ellipsis"],
+  IconMoreVertical: ["ellipsis"],
+  IconMousePointer: ["arrow", "cursor"],
+  IconMove: ["arrows"],
+  IconMusic: ["note"],
+  IconNavigation: ["location", "travel"],
+  IconNavigation2: ["location", "travel"],
+  IconOctagon: ["stop"],
+  IconPackage: ["box", "container"],
+  IconPaperclip: ["attachment"],
+  IconPause: ["music", "stop"],
+  IconPauseCircle: ["music", "audio", "stop"],
+  IconPenTool: ["vector", "drawing"],
+  IconPercent: ["discount"],
+  IconPhone: ["call"],
+  IconPhoneCall: ["ring"],
+  IconPhoneForwarded: ["call"],
+  IconPhoneIncoming: ["call"],
+  IconPhoneMissed: ["call"],
+  IconPhoneOff: ["call", "mute"],
+  IconPhoneOutgoing: ["call"],
+  IconPieChart: ["statistics", "diagram"],
+  IconPlay: ["music", "start"],
+  IconPlayCircle: ["music", "start"],
+  IconPlus: ["add", "new"],
+  IconPlusCircle: ["add", "new"],
+  IconPlusSquare: ["add", "new"],
+  IconPocket: ["logo", "save"],
+  IconPower: ["on", "off"],
+  IconPrinter: ["fax", "office", "device"],
+  IconRadio: ["signal"],
+  IconRefreshCcw: ["arrows"],
+  IconRefreshCw: ["synchronise", "arrows"],
+  IconRepeat: ["loop", "arrows"],
+  IconRewind: ["music"],
+  IconRotateCcw: ["arrow"],
+  IconRotateCw: ["arrow"],
+  IconRss: ["feed", "subscribe"],
+  IconSave: ["floppy disk"],
+  IconScissors: ["cut"],
+  IconSearch: ["find", "magnifier", "magnifying glass"],
+  IconSend: ["message", "mail", "email", "paper airplane", "paper aeroplane"],
+  IconServer: [],
+  IconSettings: ["cog", "edit", "gear", "preferences"],
+  IconShare: [],
+  IconShare2: ["network", "connections"],
+  IconShield: ["security", "secure"],
+  IconShieldOff: ["security", "insecure"],
+  IconShoppingBag: ["ecommerce", "cart", "purchase", "store"],
+  IconShoppingCart: ["ecommerce", "cart", "purchase", "store"],
+  IconShuffle: ["music"],
+  IconSidebar: [],
+  IconSkipBack: ["music"],
+  IconSkipForward: ["music"],
+  IconSlack: ["logo"],
+  IconSlash: ["ban", "no"],
+  IconSliders: ["settings", "controls"],
+  IconSmartphone: ["cellphone", "device"],
+  IconSmile: ["emoji", "face", "happy", "good", "emotion"],
+  IconSpeaker: ["audio", "music"],
+  IconSquare: [],
+  IconStar: ["bookmark", "favorite", "like"],
+  IconStopCircle: ["media", "music"],
+  IconSun: ["brightness", "weather", "light"],
+  IconSunrise: ["weather", "time", "morning", "day"],
+  IconSunset: ["weather", "time", "evening", "night"],
+  IconTable: [],
+  IconTablet: ["device"],
+  IconTag: ["label"],
+  IconTarget: ["logo", "bullseye"],
+  IconTerminal: ["code", "command line", "prompt"],
+  IconThermometer: ["temperature", "celsius", "fahrenheit", "weather"],
+  IconThumbsDown: ["dislike", "bad", "emotion"],
+  IconThumbsUp: ["like", "good", "emotion"],
+  IconToggleLeft: ["on", "off", "switch"],
+  IconToggleRight: ["on", "off", "switch"],
+  IconTool: ["settings", "spanner"],
+  IconTrash: ["garbage", "delete", "remove", "bin"],
+  IconTrash2: ["garbage", "delete", "remove", "bin"],
+  IconTrello: [],
+  IconTrendingDown: [],
+  IconTrendingUp: [],
+  IconTriangle: ["delta"],
+  IconTruck: ["delivery", "van", "shipping", "transport", "lorry"],
+  IconTv: ["television", "stream"],
+  IconTwitch: ["logo"],
+  IconTwitter: ["logo", "social"],
+  IconType: ["text"],
+  IconUmbrella: ["rain", "weather"],
+  IconUnderline: [],
+  IconUnlock: ["security"],
+  IconUpload: [],
+  IconUploadCloud: [],
+  IconUser: ["person", "account"],
+  IconUserCheck: ["followed", "subscribed"],
+  IconUserMinus: ["delete", "remove", "unfollow", "unsubscribe"],
+  IconUserPlus: ["new", "add", "create", "follow", "subscribe"],
+  IconUserX: ["delete", "remove", "unfollow", "unsubscribe", "unavailable"],
+  IconUsers: ["group"],
+  IconVideo: ["camera", "movie", "film"],
+  IconVideoOff: ["camera", "movie", "film"],
+  IconVoicemail: ["phone"],
+  IconVolume: ["music", "sound", "mute"],
+  IconVolume1: ["music", "sound"],
+  IconVolume2: ["music", "sound"],
+  IconVolumeX: ["music", "sound", "mute"],
+  IconWatch: ["clock", "time"],
+  IconWifi: ["connection", "signal", "wireless"],
+  IconWifiOff: ["disabled"],
+  IconWind: ["weather", "air"],
+  IconX: ["cancel", "close", "delete", "remove", "times", "clear"],
+  IconXCircle: ["cancel", "close", "delete", "remove", "times", "clear"],
+  IconXOctagon: ["delete", "stop", "alert", "warning", "times", "clear"],
+  IconXSquare: ["cancel", "close", "delete", "remove", "times", "clear"],
+  IconYoutube: ["logo", "video", "play"],
+  IconZap: ["flash", "camera", "lightning"],
+  IconZapOff: ["flash", "camera", "lightning"],
+  IconZoomIn: ["magnifying glass"],
+  IconZoomOut: ["magnifying glass"],
+};
@@ -0,0 +1,606 @@
+/*
+ * This file is automatically generated by scripts/icons/app.mjs!
+ */
+import { lazy, type ComponentType, type LazyExoticComponent } from "react";
+import type { IconProps } from "primitives";
+
+/**
+ * Every icon component name
+ */
+export const iconNames = [
+  "IconActivity",
+  "IconAirplay",
+  "IconAlertCircle",
+  "IconAlertOctagon",
+  "IconAlertTriangle",
+  "IconAlignCenter",
+  "IconAlignJustify",
+  "IconAlignLeft",
+  "IconAlignRight",
+  "IconAnchor",
+  "IconAperture",
+  "IconArchive",
+  "IconArrowDown",
+  "IconArrowDownCircle",
+  "IconArrowDownLeft",
+  "IconArrowDownRight",
+  "IconArrowLeft",
+  "IconArrowLeftCircle",
+  "IconArrowRight",
+  "IconArrowRightCircle",
+  "IconArrowUp",
+  "IconArrowUpCircle",
+  "IconArrowUpLeft",
+  "IconArrowUpRight",
+  "IconAtSign",
+  "IconAward",
+  "IconBarChart",
+  "IconBarChart2",
+  "IconBattery",
+  "IconBatteryCharging",
+  "IconBell",
+  "IconBellOff",
+  "IconBluetooth",
+  "IconBold",
+  "IconBook",
+  "IconBookOpen",
+  "IconBookmark",
+  "IconBox",
+  "IconBriefcase",
+  "IconCalendar",
+  "IconCamera",
+  "IconCameraOff",
+  "IconCast",
+  "IconCheck",
+  "IconCheckCircle",
+  "IconCheckSquare",
+  "IconChevronDown",
+  "IconChevronLeft",
+  "IconChevronRight",
+  "IconChevronUp",
+  "IconChevronsDown",
+  "IconChevronsLeft",
+  "IconChevronsRight",
+  "IconChevronsUp",
+  "IconChrome",
+  "IconCircle",
+  "IconClipboard",
+  "IconClock",
+  "IconCloud",
+  "IconCloudDrizzle",
+  "IconCloudLightning",
+  "IconCloudOff",
+  "IconCloudRain",
+  "IconCloudSnow",
+  "IconCode",
+  "IconCodepen",
+  "IconCodesandbox",
+  "IconCoffee",
+  "IconColumns",
+  "IconCommand",
+  "IconCompass",
+  "IconCopy",
+  "IconCornerDownLeft",
+  "IconCornerDownRight",
+  "IconCornerLeftDown",
+  "IconCornerLeftUp",
+  "IconCornerRightDown",
+  "IconCornerRightUp",
+  "IconCornerUpLeft",
+  "IconCornerUpRight",
+  "IconCpu",
+  "IconCreditCard",
+  "IconCrop",
+  "IconCrosshair",
+  "IconDatabase",
+  "IconDelete",
+  "IconDisc",
+  "IconDivide",
+  "IconDivideCircle",
+  "IconDivideSquare",
+  "IconDollarSign",
+  "IconDownload",
+  "IconDownloadCloud",
+  "IconDribbble",
+  "IconDroplet",
+  "IconEdit",
+  "IconEdit2",
+  "IconEdit3",
+  "IconExternalLink",
+  "IconEye",
+  "IconEyeOff",
+  "IconFacebook",
+  "IconFastForward",
+  "IconFeather",
+  "IconFigma",
+  "IconFile",
+  "IconFileMinus",
+  "IconFilePlus",
+  "IconFileText",
+  "IconFilm",
+  "IconFilter",
+  "IconFlag",
+  "IconFolder",
+  "IconFolderMinus",
+  "IconFolderPlus",
+  "IconFramer",
+  "IconFrown",
+  "IconGift",
+  "IconGitBranch",
+  "IconGitCommit",
+  "IconGitMerge",
+  "IconGitPullRequest",
+  "IconGithub",
+  "IconGitlab",
+  "IconGlobe",
+  "IconGrid",
+  "IconHardDrive",
+  "IconHash",
+  "IconHeadphones",
+  "IconHeart",
+  "IconHelpCircle",
+  "IconHexagon",
+  "IconHome",
+  "IconImage",
+  "IconInbox",
+  "IconInfo",
+  "IconInstagram",
+  "IconItalic",
+  "IconKey",
+  "IconLayers",
+  "IconLayout",
+  "IconLifeBuoy",
+  "IconLink",
+  "IconLink2",
+  "IconLinkedin",
+  "IconList",
+  "IconLoader",
+  "IconLock",
+  "IconLogIn",
+  "IconLogOut",
+  "IconMail",
+  "IconMap",
+  "IconMapPin",
+  "IconMaximize",
+  "IconMaximize2",
+  "IconMeh",
+  "IconMenu",
+  "IconMessageCircle",
+  "IconMessageSquare",
+  "IconMic",
+  "IconMicOff",
+  "IconMinimize",
+  "IconMinimize2",
+  "IconMinus",
+  "IconMinusCircle",
+  "IconMinusSquare",
+  "IconMonitor",
+  "IconMoon",
+  "IconMoreHorizontal",
+  "IconMoreVertical",
+  "IconMousePointer",
+  "IconMove",
+  "IconMusic",
+  "IconNavigation",
+  "IconNavigation2",
+  "IconOctagon",
+  "IconPackage",
+  "IconPaperclip",
+  "IconPause",
+  "IconPauseCircle",
+  "IconPenTool",
+  "IconPercent",
+  "IconPhone",
+  "IconPhoneCall",
+  "IconPhoneForwarded",
+  "IconPhoneIncoming",
+  "IconPhoneMissed",
+  "IconPhoneOff",
+  "IconPhoneOutgoing",
+  "IconPieChart",
+  "IconPlay",
+  "IconPlayCircle",
+  "IconPlus",
+  "IconPlusCircle",
+  "IconPlusSquare",
+  "IconPocket",
+  "IconPower",
+  "IconPrinter",
+  "IconRadio",
+  "IconRefreshCcw",
+  "IconRefreshCw",
+  "IconRepeat",
+  "IconRewind",
+  "IconRotateCcw",
+  "IconRotateCw",
+  "IconRss",
+  "IconSave",
+  "IconScissors",
+  "IconSearch",
+  "IconSend",
+  "IconServer",
+  "IconSettings",
+  "IconShare",
+  "IconShare2",
+  "IconShield",
+  "IconShieldOff",
+  "IconShoppingBag",
+  "IconShoppingCart",
+  "IconShuffle",
+  "IconSidebar",
+  "IconSkipBack",
+  "IconSkipForward",
+  "IconSlack",
+  "IconSlash",
+  "IconSliders",
+  "IconSmartphone",
+  "IconSmile",
+  "IconSpeaker",
+  "IconSquare",
+  "IconStar",
+  "IconStopCircle",
+  "IconSun",
+  "IconSunrise",
+  "IconSunset",
+  "IconTable",
+  "IconTablet",
+  "IconTag",
+  "IconTarget",
+  "IconTerminal",
+  "IconThermometer",
+  "IconThumbsDown",
+  "IconThumbsUp",
+  "IconToggleLeft",
+  "IconToggleRight",
+  "IconTool",
+  "IconTrash",
+  "IconTrash2",
+  "IconTrello",
+  "IconTrendingDown",
+  "IconTrendingUp",
+  "IconTriangle",
+  "IconTruck",
+  "IconTv",
+  "IconTwitch",
+  "IconTwitter",
+  "IconType",
+  "IconUmbrella",
+  "IconUnderline",
+  "IconUnlock",
+  "IconUpload",
+  "IconUploadCloud",
+  "IconUser",
+  "IconUserCheck",
+  "IconUserMinus",
+  "IconUserPlus",
+  "IconUserX",
+  "IconUsers",
+  "IconVideo",
+  "IconVideoOff",
+  "IconVoicemail",
+  "IconVolume",
+  "IconVolume1",
+  "IconVolume2",
+  "IconVolumeX",
+  "IconWatch",
+  "IconWifi",
+  "IconWifiOff",
+  "IconWind",
+  "IconX",
+  "IconXCircle",
+  "IconXOctagon",
+  "IconXSquare",
+  "IconYoutube",
+  "IconZap",
+  "IconZapOff",
+  "IconZoomIn",
+  "IconZoomOut",
+] as const;
+
+export type IconName = (typeof iconNames)[number];
+
+/**
+ * Whether a string (eg. from CMS data) is an icon name
+ */
+export function isIconName(name: string): name is IconName {
+  return (iconNames as readonly string[]).includes(name);
+}
+
+const lazyIcon = (
+  load: () => Promise<ComponentType<IconProps>>,
+) => lazy(() => load().then((Icon) => ({ default: Icon })));
+
+/**
+ * Icon components by name. Each icon is loaded the first time it renders, so render them inside <Suspense>.
+ */
+export const iconsByName: {
+  [name in IconName]: LazyExoticComponent<ComponentType<IconProps>>;
+} = {
+  IconActivity: lazyIcon(() => import("./IconActivity.tsx").then((m) => m.IconActivity)),
+  IconAirplay: lazyIcon(() => import("./IconAirplay.tsx").then((m) => m.IconAirplay)),
+  IconAlertCircle: lazyIcon(() => import("./IconAlertCircle.tsx").then((m) => m.IconAlertCircle)),
+  IconAlertOctagon: lazyIcon(() => import("./IconAlertOctagon.tsx").then((m) => m.IconAlertOctagon)),
+  IconAlertTriangle: lazyIcon(() => import("./IconAlertTriangle.tsx").then((m) => m.IconAlertTriangle)),
+  IconAlignCenter: lazyIcon(() => import("./IconAlignCenter.tsx").then((m) => m.IconAlignCenter)),
+  IconAlignJustify: lazyIcon(() => import("./IconAlignJustify.tsx").then((m) => m.IconAlignJustify)),
+  IconAlignLeft: lazyIcon(() => import("./IconAlignLeft.tsx").then((m) => m.IconAlignLeft)),
+  IconAlignRight: lazyIcon(() => import("./IconAlignRight.tsx").then((m) => m.IconAlignRight)),
+  IconAnchor: lazyIcon(() => import("./IconAnchor.tsx").then((m) => m.IconAnchor)),
+  IconAperture: lazyIcon(() => import("./IconAperture.tsx").then((m) => m.IconAperture)),
+  IconArchive: lazyIcon(() => import("./IconArchive.tsx").then((m) => m.IconArchive)),
+  IconArrowDown: lazyIcon(() => import("./IconArrowDown.tsx").then((m) => m.IconArrowDown)),
+  IconArrowDownCircle: lazyIcon(() => import("./IconArrowDownCircle.tsx").then((m) => m.IconArrowDownCircle)),
+  IconArrowDownLeft: lazyIcon(() => import("./IconArrowDownLeft.tsx").then((m) => m.IconArrowDownLeft)),
+  IconArrowDownRight: lazyIcon(() => import("./IconArrowDownRight.tsx").then((m) => m.IconArrowDownRight)),
+  IconArrowLeft: lazyIcon(() => import("./IconArrowLeft.tsx").then((m) => m.IconArrowLeft)),
+  IconArrowLeftCircle: lazyIcon(() => import("./IconArrowLeftCircle.tsx").then((m) => m.IconArrowLeftCircle)),
+  IconArrowRight: lazyIcon(() => import("./IconArrowRight.tsx").then((m) => m.IconArrowRight)),
+  IconArrowRightCircle: lazyIcon(() => import("./IconArrowRightCircle.tsx").then((m) => m.IconArrowRightCircle)),
+  IconArrowUp: lazyIcon(() => import("./IconArrowUp.tsx").then((m) => m.IconArrowUp)),
+  IconArrowUpCircle: lazyIcon(() => import("./IconArrowUpCircle.tsx").then((m) => m.IconArrowUpCircle)),
+  IconArrowUpLeft: lazyIcon(() => import("./IconArrowUpLeft.tsx").then((m) => m.IconArrowUpLeft)),
+  IconArrowUpRight: lazyIcon(() => import("./IconArrowUpRight.tsx").then((m) => m.IconArrowUpRight)),
+  IconAtSign: lazyIcon(() => import("./IconAtSign.tsx").then((m) => m.IconAtSign)),
+  IconAward: lazyIcon(() => import("./IconAward.tsx").then((m) => m.IconAward)),
+  IconBarChart: lazyIcon(() => import("./IconBarChart.tsx").then((m) => m.IconBarChart)),
+  IconBarChart2: lazyIcon(() => import("./IconBarChart2.tsx").then((m) => m.IconBarChart2)),
+  IconBattery: lazyIcon(() => import("./IconBattery.tsx").then((m) => m.IconBattery)),
+  IconBatteryCharging: lazyIcon(() => import("./IconBatteryCharging.tsx").then((m) => m.IconBatteryCharging)),
+  IconBell: lazyIcon(() => import("./IconBell.tsx").then((m) => m.IconBell)),
+  IconBellOff: lazyIcon(() => import("./IconBellOff.tsx").then((m) => m.IconBellOff)),
+  IconBluetooth: lazyIcon(() => import("./IconBluetooth.tsx").then((m) => m.IconBluetooth)),
+  IconBold: lazyIcon(() => import("./IconBold.tsx").then((m) => m.IconBold)),
+  IconBook: lazyIcon(() => import("./IconBook.tsx").then((m) => m.IconBook)),
+  IconBookOpen: lazyIcon(() => import("./IconBookOpen.tsx").then((m) => m.IconBookOpen)),
+  IconBookmark: lazyIcon(() => import("./IconBookmark.tsx").then((m) => m.IconBookmark)),
+  IconBox: lazyIcon(() => import("./IconBox.tsx").then((m) => m.IconBox)),
+  IconBriefcase: lazyIcon(() => import("./IconBriefcase.tsx").then((m) => m.IconBriefcase)),
+  IconCalendar: lazyIcon(() => import("./IconCalendar.tsx").then((m) => m.IconCalendar)),
+  IconCamera: lazyIcon(() => import("./IconCamera.tsx").then((m) => m.IconCamera)),
+  IconCameraOff: lazyIcon(() => import("./IconCameraOff.tsx").then((m) => m.IconCameraOff)),
+  IconCast: lazyIcon(() => import("./IconCast.tsx").then((m) => m.IconCast)),
+  IconCheck: lazyIcon(() => import("./IconCheck.tsx").then((m) => m.IconCheck)),
+  IconCheckCircle: lazyIcon(() => import("./IconCheckCircle.tsx").then((m) => m.IconCheckCircle)),
+  IconCheckSquare: lazyIcon(() => import("./IconCheckSquare.tsx").then((m) => m.IconCheckSquare)),
+  IconChevronDown: lazyIcon(() => import("./IconChevronDown.tsx").then((m) => m.IconChevronDown)),
+  IconChevronLeft: lazyIcon(() => import("./IconChevronLeft.tsx").then((m) => m.IconChevronLeft)),
+  IconChevronRight: lazyIcon(() => import("./IconChevronRight.tsx").then((m) => m.IconChevronRight)),
+  IconChevronUp: lazyIcon(() => import("./IconChevronUp.tsx").then((m) => m.IconChevronUp)),
+  IconChevronsDown: lazyIcon(() => import("./IconChevronsDown.tsx").then((m) => m.IconChevronsDown)),
+  IconChevronsLeft: lazyIcon(() => import("./IconChevronsLeft.tsx").then((m) => m.IconChevronsLeft)),
+  IconChevronsRight: lazyIcon(() => import("./IconChevronsRight.tsx").then((m) => m.IconChevronsRight)),
+  IconChevronsUp: lazyIcon(() => import("./IconChevronsUp.tsx").then((m) => m.IconChevronsUp)),
+  IconChrome: lazyIcon(() => import("./IconChrome.tsx").then((m) => m.IconChrome)),
+  IconCircle: lazyIcon(() => import("./IconCircle.tsx").then((m) => m.IconCircle)),
+  IconClipboard: lazyIcon(() => import("./IconClipboard.tsx").then((m) => m.IconClipboard)),
+  IconClock: lazyIcon(() => import("./IconClock.tsx").then((m) => m.IconClock)),
+  IconCloud: lazyIcon(() => import("./IconCloud.tsx").then((m) => m.IconCloud)),
+  IconCloudDrizzle: lazyIcon(() => import("./IconCloudDrizzle.tsx").then((m) => m.IconCloudDrizzle)),
+  IconCloudLightning: lazyIcon(() => import("./IconCloudLightning.tsx").then((m) => m.IconCloudLightning)),
+  IconCloudOff: lazyIcon(() => import("./IconCloudOff.tsx").then((m) => m.IconCloudOff)),
+  IconCloudRain: lazyIcon(() => import("./IconCloudRain.tsx").then((m) => m.IconCloudRain)),
+  IconCloudSnow: lazyIcon(() => import("./IconCloudSnow.tsx").then((m) => m.IconCloudSnow)),
+  IconCode: lazyIcon(() => import("./IconCode.tsx").then((m) => m.IconCode)),
+  IconCodepen: lazyIcon(() => import("./IconCodepen.tsx").then((m) => m.IconCodepen)),
+  IconCodesandbox: lazyIcon(() => import("./IconCodesandbox.tsx").then((m) => m.IconCodesandbox)),
+  IconCoffee: lazyIcon(() => import("./IconCoffee.tsx").then((m) => m.IconCoffee)),
+  IconColumns: lazyIcon(() => import("./IconColumns.tsx").then((m) => m.IconColumns)),
+  IconCommand: lazyIcon(() => import("./IconCommand.tsx").then((m) => m.IconCommand)),
+  IconCompass: lazyIcon(() => import("./IconCompass.tsx").then((m) => m.IconCompass)),
+  IconCopy: lazyIcon(() => import("./IconCopy.tsx").then((m) => m.IconCopy)),
+  IconCornerDownLeft: lazyIcon(() => import("./IconCornerDownLeft.tsx").then((m) => m.IconCornerDownLeft)),
+  IconCornerDownRight: lazyIcon(() => import("./IconCornerDownRight.tsx").then((m) => m.IconCornerDownRight)),
+  IconCornerLeftDown: lazyIcon(() => import("./IconCornerLeftDown.tsx").then((m) => m.IconCornerLeftDown)),
+  IconCornerLeftUp: lazyIcon(() => import("./IconCornerLeftUp.tsx").then((m) => m.IconCornerLeftUp)),
+  IconCornerRightDown: lazyIcon(() => import("./IconCornerRightDown.tsx").then((m) => m.IconCornerRightDown)),
+  IconCornerRightUp: lazyIcon(() => import("./IconCornerRightUp.tsx").then((m) => m.IconCornerRightUp)),
+  IconCornerUpLeft: lazyIcon(() => import("./IconCornerUpLeft.tsx").then((m) => m.IconCornerUpLeft)),
+  IconCornerUpRight: lazyIcon(() => import("./IconCornerUpRight.tsx").then((m) => m.IconCornerUpRight)),
+  IconCpu: lazyIcon(() => import("./IconCpu.tsx").then((m) => m.IconCpu)),
+  IconCreditCard: lazyIcon(() => import("./IconCreditCard.tsx").then((m) => m.IconCreditCard)),
+  IconCrop: lazyIcon(() => import("./IconCrop.tsx").then((m) => m.IconCrop)),
+  IconCrosshair: lazyIcon(() => import("./IconCrosshair.tsx").then((m) => m.IconCrosshair)),
+  IconDatabase: lazyIcon(() => import("./IconDatabase.tsx").then((m) => m.IconDatabase)),
+  IconDelete: lazyIcon(() => import("./IconDelete.tsx").then((m) => m.IconDelete)),
+  IconDisc: lazyIcon(() => import("./IconDisc.tsx").then((m) => m.IconDisc)),
+  IconDivide: lazyIcon(() => import("./IconDivide.tsx").then((m) => m.IconDivide)),
+  IconDivideCircle: lazyIcon(() => import("./IconDivideCircle.tsx").then((m) => m.IconDivideCircle)),
+  IconDivideSquare: lazyIcon(() => import("./IconDivideSquare.tsx").then((m) => m.IconDivideSquare)),
+  IconDollarSign: lazyIcon(() => import("./IconDollarSign.tsx").then((m) => m.IconDollarSign)),
+  IconDownload: lazyIcon(() => import("./IconDownload.tsx").then((m) => m.IconDownload)),
+  IconDownloadCloud: lazyIcon(() => import("./IconDownloadCloud.tsx").then((m) => m.IconDownloadCloud)),
+  IconDribbble: lazyIcon(() => import("./IconDribbble.tsx").then((m) => m.IconDribbble)),
+  IconDroplet: lazyIcon(() => import("./IconDroplet.tsx").then((m) => m.IconDroplet)),
+  IconEdit: lazyIcon(() => import("./IconEdit.tsx").then((m) => m.IconEdit)),
+  IconEdit2: lazyIcon(() => import("./IconEdit2.tsx").then((m) => m.IconEdit2)),
+  IconEdit3: lazyIcon(() => import("./IconEdit3.tsx").then((m) => m.IconEdit3)),
+  IconExternalLink: lazyIcon(() => import("./IconExternalLink.tsx").then((m) => m.IconExternalLink)),
+  IconEye: lazyIcon(() => import("./IconEye.tsx").then((m) => m.IconEye)),
+  IconEyeOff: lazyIcon(() => import("./IconEyeOff.tsx").then((m) => m.IconEyeOff)),
+  IconFacebook: lazyIcon(() => import("./IconFacebook.tsx").then((m) => m.IconFacebook)),
+  IconFastForward: lazyIcon(() => import("./IconFastForward.tsx").then((m) => m.IconFastForward)),
+  IconFeather: lazyIcon(() => import("./IconFeather.tsx").then((m) => m.IconFeather)),
+  IconFigma: lazyIcon(() => import("./IconFigma.tsx").then((m) => m.IconFigma)),
+  IconFile: lazyIcon(() => import("./IconFile.tsx").then((m) => m.IconFile)),
+  IconFileMinus: lazyIcon(() => import("./IconFileMinus.tsx").then((m) => m.IconFileMinus)),
+  IconFilePlus: lazyIcon(() => import("./IconFilePlus.tsx").then((m) => m.IconFilePlus)),
+  IconFileText: lazyIcon(() => import("./IconFileText.tsx").then((m) => m.IconFileText)),
+  IconFilm: lazyIcon(() => import("./IconFilm.tsx").then((m) => m.IconFilm)),
+  IconFilter: lazyIcon(() => import("./IconFilter.tsx").then((m) => m.IconFilter)),
+  IconFlag: lazyIcon(() => import("./IconFlag.tsx").then((m) => m.IconFlag)),
+  IconFolder: lazyIcon(() => import("./IconFolder.tsx").then((m) => m.IconFolder)),
+  IconFolderMinus: lazyIcon(() => import("./IconFolderMinus.tsx").then((m) => m.IconFolderMinus)),
+  IconFolderPlus: lazyIcon(() => import("./IconFolderPlus.tsx").then((m) => m.IconFolderPlus)),
+  IconFramer: lazyIcon(() => import("./IconFramer.tsx").then((m) => m.IconFramer)),
+  IconFrown: lazyIcon(() => import("./IconFrown.tsx").then((m) => m.IconFrown)),
+  IconGift: lazyIcon(() => import("./IconGift.tsx").then((m) => m.IconGift)),
+  IconGitBranch: lazyIcon(() => import("./IconGitBranch.tsx").then((m) => m.IconGitBranch)),
+  IconGitCommit: lazyIcon(() => import("./IconGitCommit.tsx").then((m) => m.IconGitCommit)),
+  IconGitMerge: lazyIcon(() => import("./IconGitMerge.tsx").then((m) => m.IconGitMerge)),
+  IconGitPullRequest: lazyIcon(() => import("./IconGitPullRequest.tsx").then((m) => m.IconGitPullRequest)),
+  IconGithub: lazyIcon(() => import("./IconGithub.tsx").then((m) => m.IconGithub)),
+  IconGitlab: lazyIcon(() => import("./IconGitlab.tsx").then((m) => m.IconGitlab)),
+  IconGlobe: lazyIcon(() => import("./IconGlobe.tsx").then((m) => m.IconGlobe)),
+  IconGrid: lazyIcon(() => import("./IconGrid.tsx").then((m) => m.IconGrid)),
+  IconHardDrive: lazyIcon(() => import("./IconHardDrive.tsx").then((m) => m.IconHardDrive)),
+  IconHash: lazyIcon(() => import("./IconHash.tsx").then((m) => m.IconHash)),
+  IconHeadphones: lazyIcon(() => import("./IconHeadphones.tsx").then((m) => m.IconHeadphones)),
+  IconHeart: lazyIcon(() => import("./IconHeart.tsx").then((m) => m.IconHeart)),
+  IconHelpCircle: lazyIcon(() => import("./IconHelpCircle.tsx").then((m) => m.IconHelpCircle)),
+  IconHexagon: lazyIcon(() => import("./IconHexagon.tsx").then((m) => m.IconHexagon)),
+  IconHome: lazyIcon(() => import("./IconHome.tsx").then((m) => m.IconHome)),
+  IconImage: lazyIcon(() => import("./IconImage.tsx").then((m) => m.IconImage)),
+  IconInbox: lazyIcon(() => import("./IconInbox.tsx").then((m) => m.IconInbox)),
+  IconInfo: lazyIcon(() => import("./IconInfo.tsx").then((m) => m.IconInfo)),
+  IconInstagram: lazyIcon(() => import("./IconInstagram.tsx").then((m) => m.IconInstagram)),
+  IconItalic: lazyIcon(() => import("./IconItalic.tsx").then((m) => m.IconItalic)),
+  IconKey: lazyIcon(() => import("./IconKey.tsx").then((m) => m.IconKey)),
+  IconLayers: lazyIcon(() => import("./IconLayers.tsx").then((m) => m.IconLayers)),
+  IconLayout: lazyIcon(() => import("./IconLayout.tsx").then((m) => m.IconLayout)),
+  IconLifeBuoy: lazyIcon(() => import("./IconLifeBuoy.tsx").then((m) => m.IconLifeBuoy)),
+  IconLink: lazyIcon(() => import("./IconLink.tsx").then((m) => m.IconLink)),
+  IconLink2: lazyIcon(() => import("./IconLink2.tsx").then((m) => m.IconLink2)),
+  IconLinkedin: lazyIcon(() => import("./IconLinkedin.tsx").then((m) => m.IconLinkedin)),
+  IconList: lazyIcon(() => import("./IconList.tsx").then((m) => m.IconList)),
+  IconLoader: lazyIcon(() => import("./IconLoader.tsx").then((m) => m.IconLoader)),
+  IconLock: lazyIcon(() => import("./IconLock.tsx").then((m) => m.IconLock)),
+  IconLogIn: lazyIcon(() => import("./IconLogIn.tsx").then((m) => m.IconLogIn)),
+  IconLogOut: lazyIcon(() => import("./IconLogOut.tsx").then((m) => m.IconLogOut)),
+  IconMail: lazyIcon(() => import("./IconMail.tsx").then((m) => m.IconMail)),
+  IconMap: lazyIcon(() => import("./IconMap.tsx").then((m) => m.IconMap)),
+  IconMapPin: lazyIcon(() => import("./IconMapPin.tsx").then((m) => m.IconMapPin)),
+  IconMaximize: lazyIcon(() => import("./IconMaximize.tsx").then((m) => m.IconMaximize)),
+  IconMaximize2: lazyIcon(() => import("./IconMaximize2.tsx").then((m) => m.IconMaximize2)),
+  IconMeh: lazyIcon(() => import("./IconMeh.tsx").then((m) => m.IconMeh)),
+  IconMenu: lazyIcon(() => import("./IconMenu.tsx").then((m) => m.IconMenu)),
+  IconMessageCircle: lazyIcon(() => import("./IconMessageCircle.tsx").then((m) => m.IconMessageCircle)),
+  IconMessageSquare: lazyIcon(() => import("./IconMessageSquare.tsx").then((m) => m.IconMessageSquare)),
+  IconMic: lazyIcon(() => import("./IconMic.tsx").then((m) => m.IconMic)),
+  IconMicOff: lazyIcon(() => import("./IconMicOff.tsx").then((m) => m.IconMicOff)),
+  IconMinimize: lazyIcon(() => import("./IconMinimize.tsx").then((m) => m.IconMinimize)),
+  IconMinimize2: lazyIcon(() => import("./IconMinimize2.tsx").then((m) => m.IconMinimize2)),
+  IconMinus: lazyIcon(() => import("./IconMinus.tsx").then((m) => m.IconMinus)),
+  IconMinusCircle: lazyIcon(() => import("./IconMinusCircle.tsx").then((m) => m.IconMinusCircle)),
+  IconMinusSquare: lazyIcon(() => import("./IconMinusSquare.tsx").then((m) => m.IconMinusSquare)),
+  IconMonitor: lazyIcon(() => import("./IconMonitor.tsx").then((m) => m.IconMonitor)),
+  IconMoon: lazyIcon(() => import("./IconMoon.tsx").then((m) => m.IconMoon)),
+  IconMoreHorizontal: lazyIcon(() => import("./IconMoreHorizontal.tsx").then((m) => m.IconMoreHorizontal)),
+  IconMoreVertical: lazyIcon(() => import("./IconMoreVertical.tsx").then((m) => m.IconMoreVertical)),
+  IconMousePointer: lazyIcon(() => import("./IconMousePointer.tsx").then((m) => m.IconMousePointer)),
+  IconMove: lazyIcon(() => import("./IconMove.tsx").then((m) => m.IconMove)),
+  IconMusic: lazyIcon(() => import("./IconMusic.tsx").then((m) => m.IconMusic)),
+  IconNavigation: lazyIcon(() => import("./IconNavigation.tsx").then((m) => m.IconNavigation)),
+  IconNavigation2: lazyIcon(() => import("./IconNavigation2.tsx").then((m) => m.IconNavigation2)),
+  IconOctagon: lazyIcon(() => import("./IconOctagon.tsx").then((m) => m.IconOctagon)),
+  IconPackage: lazyIcon(() => import("./IconPackage.tsx").then((m) => m.IconPackage)),
+  IconPaperclip: lazyIcon(() => import("./IconPaperclip.tsx").then((m) => m.IconPaperclip)),
+  IconPause: lazyIcon(() => import("./IconPause.tsx").then((m) => m.IconPause)),
+  IconPauseCircle: lazyIcon(() => import("./IconPauseCircle.tsx").then((m) => m.IconPauseCircle)),
+  IconPenTool: lazyIcon(() => import("./IconPenTool.tsx").then((m) => m.IconPenTool)),
+  IconPercent: lazyIcon(() => import("./IconPercent.tsx").then((m) => m.IconPercent)),
+  IconPhone: lazyIcon(() => import("./IconPhone.tsx").then((m) => m.IconPhone)),
+  IconPhoneCall: lazyIcon(() => import("./IconPhoneCall.tsx").then((m) => m.IconPhoneCall)),
+  IconPhoneForwarded: lazyIcon(() => import("./IconPhoneForwarded.tsx").then((m) => m.IconPhoneForwarded)),
+  IconPhoneIncoming: lazyIcon(() => import("./IconPhoneIncoming.tsx").then((m) => m.IconPhoneIncoming)),
+  IconPhoneMissed: lazyIcon(() => import("./IconPhoneMissed.tsx").then((m) => m.IconPhoneMissed)),
+  IconPhoneOff: lazyIcon(() => import("./IconPhoneOff.tsx").then((m) => m.IconPhoneOff)),
+  IconPhoneOutgoing: lazyIcon(() => import("./IconPhoneOutgoing.tsx").then((m) => m.IconPhoneOutgoing)),
+  IconPieChart: lazyIcon(() => import("./IconPieChart.tsx").then((m) => m.IconPieChart)),
+  IconPlay: lazyIcon(() => import("./IconPlay.tsx").then((m) => m.IconPlay)),
+  IconPlayCircle: lazyIcon(() => import("./IconPlayCircle.tsx").then((m) => m.IconPlayCircle)),
+  IconPlus: lazyIcon(() => import("./IconPlus.tsx").then((m) => m.IconPlus)),
+  IconPlusCircle: lazyIcon(() => import("./IconPlusCircle.tsx").then((m) => m.IconPlusCircle)),
+  IconPlusSquare: lazyIcon(() => import("./IconPlusSquare.tsx").then((m) => m.IconPlusSquare)),
+  IconPocket: lazyIcon(() => import("./IconPocket.tsx").then((m) => m.IconPocket)),
+  IconPower: lazyIcon(() => import("./IconPower.tsx").then((m) => m.IconPower)),
+  IconPrinter: lazyIcon(() => import("./IconPrinter.tsx").then((m) => m.IconPrinter)),
+  IconRadio: lazyIcon(() => import("./IconRadio.tsx").then((m) => m.IconRadio)),
+  IconRefreshCcw: lazyIcon(() => import("./IconRefreshCcw.tsx").then((m) => m.IconRefreshCcw)),
+  IconRefreshCw: lazyIcon(() => import("./IconRefreshCw.tsx").then((m) => m.IconRefreshCw)),
+  IconRepeat: lazyIcon(() => import("./IconRepeat.tsx").then((m) => m.IconRepeat)),
+  IconRewind: lazyIcon(() => import("./IconRewind.tsx").then((m) => m.IconRewind)),
+  IconRotateCcw: lazyIcon(() => import("./IconRotateCcw.tsx").then((m) => m.IconRotateCcw)),
+  IconRotateCw: lazyIcon(() => import("./IconRotateCw.tsx").then((m) => m.IconRotateCw)),
+  IconRss: lazyIcon(() => import("./IconRss.tsx").then((m) => m.IconRss)),
+  IconSave: lazyIcon(() => import("./IconSave.tsx").then((m) => m.IconSave)),
+  IconScissors: lazyIcon(() => import("./IconScissors.tsx").then((m) => m.IconScissors)),
+  IconSearch: lazyIcon(() => import("./IconSearch.tsx").then((m) => m.IconSearch)),
+  IconSend: lazyIcon(() => import("./IconSend.tsx").then((m) => m.IconSend)),
+  IconServer: lazyIcon(() => import("./IconServer.tsx").then((m) => m.IconServer)),
+  IconSettings: lazyIcon(() => import("./IconSettings.tsx").then((m) => m.IconSettings)),
+  IconShare: lazyIcon(() => import("./IconShare.tsx").then((m) => m.IconShare)),
+  IconShare2: lazyIcon(() => import("./IconShare2.tsx").then((m) => m.IconShare2)),
+  IconShield: lazyIcon(() => import("./IconShield.tsx").then((m) => m.IconShield)),
+  IconShieldOff: lazyIcon(() => import("./IconShieldOff.tsx").then((m) => m.IconShieldOff)),
+  IconShoppingBag: lazyIcon(() => import("./IconShoppingBag.tsx").then((m) => m.IconShoppingBag)),
+  IconShoppingCart: lazyIcon(() => import("./IconShoppingCart.tsx").then((m) => m.IconShoppingCart)),
+  IconShuffle: lazyIcon(() => import("./IconShuffle.tsx").then((m) => m.IconShuffle)),
+  IconSidebar: lazyIcon(() => import("./IconSidebar.tsx").then((m) => m.IconSidebar)),
+  IconSkipBack: lazyIcon(() => import("./IconSkipBack.tsx").then((m) => m.IconSkipBack)),
+  IconSkipForward: lazyIcon(() => import("./IconSkipForward.tsx").then((m) => m.IconSkipForward)),
+  IconSlack: lazyIcon(() => import("./IconSlack.tsx").then((m) => m.IconSlack)),
+  IconSlash: lazyIcon(() => import("./IconSlash.tsx").then((m) => m.IconSlash)),
+  IconSliders: lazyIcon(() => import("./IconSliders.tsx").then((m) => m.IconSliders)),
+  IconSmartphone: lazyIcon(() => import("./IconSmartphone.tsx").then((m) => m.IconSmartphone)),
+  IconSmile: lazyIcon(() => import("./IconSmile.tsx").then((m) => m.IconSmile)),
+  IconSpeaker: lazyIcon(() => import("./IconSpeaker.tsx").then((m) => m.IconSpeaker)),
+  IconSquare: lazyIcon(() => import("./IconSquare.tsx").then((m) => m.IconSquare)),
+  IconStar: lazyIcon(() => import("./IconStar.tsx").then((m) => m.IconStar)),
+  IconStopCircle: lazyIcon(() => import("./IconStopCircle.tsx").then((m) => m.IconStopCircle)),
+  IconSun: lazyIcon(() => import("./IconSun.tsx").then((m) => m.IconSun)),
+  IconSunrise: lazyIcon(() => import("./IconSunrise.tsx").then((m) => m.IconSunrise)),
+  IconSunset: lazyIcon(() => import("./IconSunset.tsx").then((m) => m.IconSunset)),
+  IconTable: lazyIcon(() => import("./IconTable.tsx").then((m) => m.IconTable)),
+  IconTablet: lazyIcon(() => import("./IconTablet.tsx").then((m) => m.IconTablet)),
+  IconTag: lazyIcon(() => import("./IconTag.tsx").then((m) => m.IconTag)),
+  IconTarget: lazyIcon(() => import("./IconTarget.tsx").then((m) => m.IconTarget)),
+  IconTerminal: lazyIcon(() => import("./IconTerminal.tsx").then((m) => m.IconTerminal)),
+  IconThermometer: lazyIcon(() => import("./IconThermometer.tsx").then((m) => m.IconThermometer)),
+  IconThumbsDown: lazyIcon(() => import("./IconThumbsDown.tsx").then((m) => m.IconThumbsDown)),
+  IconThumbsUp: lazyIcon(() => import("./IconThumbsUp.tsx").then((m) => m.IconThumbsUp)),
+  IconToggleLeft: lazyIcon(() => import("./IconToggleLeft.tsx").then((m) => m.IconToggleLeft)),
+  IconToggleRight: lazyIcon(() => import("./IconToggleRight.tsx").then((m) => m.IconToggleRight)),
+  IconTool: lazyIcon(() => import("./IconTool.tsx").then((m) => m.IconTool)),
+  IconTrash: lazyIcon(() => import("./IconTrash.tsx").then((m) => m.IconTrash)),
+  IconTrash2: lazyIcon(() => import("./IconTrash2.tsx").then((m) => m.IconTrash2)),
+  IconTrello: lazyIcon(() => import("./IconTrello.tsx").then((m) => m.IconTrello)),
+  IconTrendingDown: lazyIcon(() => import("./IconTrendingDown.tsx").then((m) => m.IconTrendingDown)),
+  IconTrendingUp: lazyIcon(() => import("./IconTrendingUp.tsx").then((m) => m.IconTrendingUp)),
+  IconTriangle: lazyIcon(() => import("./IconTriangle.tsx").then((m) => m.IconTriangle)),
+  IconTruck: lazyIcon(() => import("./IconTruck.tsx").then((m) => m.IconTruck)),
+  IconTv: lazyIcon(() => import("./IconTv.tsx").then((m) => m.IconTv)),
+  IconTwitch: lazyIcon(() => import("./IconTwitch.tsx").then((m) => m.IconTwitch)),
+  IconTwitter: lazyIcon(() => import("./IconTwitter.tsx").then((m) => m.IconTwitter)),
+  IconType: lazyIcon(() => import("./IconType.tsx").then((m) => m.IconType)),
+  IconUmbrella: lazyIcon(() => import("./IconUmbrella.tsx").then((m) => m.IconUmbrella)),
+  IconUnderline: lazyIcon(() => import("./IconUnderline.tsx").then((m) => m.IconUnderline)),
+  IconUnlock: lazyIcon(() => import("./IconUnlock.tsx").then((m) => m.IconUnlock)),
+  IconUpload: lazyIcon(() => import("./IconUpload.tsx").then((m) => m.IconUpload)),
+  IconUploadCloud: lazyIcon(() => import("./IconUploadCloud.tsx").then((m) => m.IconUploadCloud)),
+  IconUser: lazyIcon(() => import("./IconUser.tsx").then((m) => m.IconUser)),
+  IconUserCheck: lazyIcon(() => import("./IconUserCheck.tsx").then((m) => m.IconUserCheck)),
+  IconUserMinus: lazyIcon(() => import("./IconUserMinus.tsx").then((m) => m.IconUserMinus)),
+  IconUserPlus: lazyIcon(() => import("./IconUserPlus.tsx").then((m) => m.IconUserPlus)),
+  IconUserX: lazyIcon(() => import("./IconUserX.tsx").then((m) => m.IconUserX)),
+  IconUsers: lazyIcon(() => import("./IconUsers.tsx").then((m) => m.IconUsers)),
+  IconVideo: lazyIcon(() => import("./IconVideo.tsx").then((m) => m.IconVideo)),
+  IconVideoOff: lazyIcon(() => import("./IconVideoOff.tsx").then((m) => m.IconVideoOff)),
+  IconVoicemail: lazyIcon(() => import("./IconVoicemail.tsx").then((m) => m.IconVoicemail)),
+  IconVolume: lazyIcon(() => import("./IconVolume.tsx").then((m) => m.IconVolume)),
+  IconVolume1: lazyIcon(() => import("./IconVolume1.tsx").then((m) => m.IconVolume1)),
+  IconVolume2: lazyIcon(() => import("./IconVolume2.tsx").then((m) => m.IconVolume2)),
+  IconVolumeX: lazyIcon(() => import("./IconVolumeX.tsx").then((m) => m.IconVolumeX)),
+  IconWatch: lazyIcon(() => import("./IconWatch.tsx").then((m) => m.IconWatch)),
+  IconWifi: lazyIcon(() => import("./IconWifi.tsx").then((m) => m.IconWifi)),
+  IconWifiOff: lazyIcon(() => import("./IconWifiOff.tsx").then((m) => m.IconWifiOff)),
+  IconWind: lazyIcon(() => import("./IconWind.tsx").then((m) => m.IconWind)),
+  IconX: lazyIcon(() => import("./IconX.tsx").then((m) => m.IconX)),
+  IconXCircle: lazyIcon(() => import("./IconXCircle.tsx").then((m) => m.IconXCircle)),
+  IconXOctagon: lazyIcon(() => import("./IconXOctagon.tsx").then((m) => m.IconXOctagon)),
+  IconXSquare: lazyIcon(() => import("./IconXSquare.tsx").then((m) => m.IconXSquare)),
+  IconYoutube: lazyIcon(() => import("./IconYoutube.tsx").then((m) => m.IconYoutube)),
+  IconZap: lazyIcon(() => import("./IconZap.tsx").then((m) => m.IconZap)),
+  IconZapOff: lazyIcon(() => import("./IconZapOff.tsx").then((m) => m.IconZapOff)),
+  IconZoomIn: lazyIcon(() => import("./IconZoomIn.tsx").then((m) => m.IconZoomIn)),
+  IconZoomOut: lazyIcon(() => import("./IconZoomOut.tsx").then((m) => m.IconZoomOut)),
+};
@@ -1,12 +1,13 @@
 import clsx from "clsx";
 import { ComponentPropsWithoutRef } from "react";
+import type { LayoutSpaceScale } from "../../../tokens";
 import "./flex.css";
 
 export type FlexProps = ComponentPropsWithoutRef<"div"> & {
   alignPrimary?: "start" | "end" | "center" | "stretch" | "space-between";
   alignSecondary?: "start" | "end" | "center" | "stretch" | "space-between";
   direction?: "row" | "row-reverse" | "column" | "column-reverse";
-  gap?: "100" | "200" | "300" | "400" | "600" | "800" | "1200" | "1600";
+  gap?: LayoutSpaceScale;
   type?: "quarter" | "third" | "half" | "auto";
   container?: boolean;
   wrap?: boolean;
@@ -20,6 +21,7 @@ export function Flex({
   gap,
   type = "auto",
   wrap = false,
+  style,
   ...props
 }: FlexProps) {
   const classNames = clsx(
@@ -30,7 +32,6 @@ export function Flex({
     `flex-align-secondary-${alignSecondary}`,
     `flex-direction-${direction}`,
     `flex-type-${type}`,
-    gap && `flex-gap-${gap}`,
     wrap && `flex-wrap`,
   );
   return (
@@ -39,6 +40,8 @@ export function Flex({
         "--flex-align-primary": alignPrimary,
         "--flex-align-secondary": alignSecondary,
         "--flex-direction": direction,
+        ...(gap && { "--flex-gap": `var(--wds-size-space-${gap})` }),
+        ...style,
       }}
       className={classNames}
       {...props}
@@ -1,5 +1,6 @@
 import clsx from "clsx";
 import { ComponentPropsWithoutRef, CSSProperties } from "react";
+import type { LayoutSpaceScale } from "../../../tokens";
 import "./grid.css";
 
 export type GridProps = ComponentPropsWithoutRef<"div"> & {
@@ -14,15 +15,15 @@ export type GridProps = ComponentPropsWithoutRef<"div"> & {
   /**
    * Gap between grid items
    */
-  gap?: "100" | "200" | "300" | "400" | "600" | "800" | "1200" | "1600";
+  gap?: LayoutSpaceScale;
   /**
    * Column gap between grid items
    */
-  columnGap?: "100" | "200" | "300" | "400" | "600" | "800" | "1200" | "1600";
+  columnGap?: LayoutSpaceScale;
   /**
    * Row gap between grid items
    */
-  rowGap?: "100" | "200" | "300" | "400" | "600" | "800" | "1200" | "1600";
+  rowGap?: LayoutSpaceScale;
   /**
    * Grid auto flow direction
    */
@@ -61,9 +62,6 @@ export function Grid({
     container && "grid-container",
     `grid-justify-items-${justifyItems}`,
     `grid-align-items-${alignItems}`,
-    gap && `grid-gap-${gap}`,
-    columnGap && `grid-column-gap-${columnGap}`,
-    rowGap && `grid-row-gap-${rowGap}`,
     flow && `grid-flow-${flow.replace(" ", "-")}`,
   );
 
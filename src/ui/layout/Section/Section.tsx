@@ -1,15 +1,16 @@
 import clsx from "clsx";
 import { Image } from "primitives";
 import { ComponentPropsWithoutRef } from "react";
+import type { LayoutSpaceScale } from "../../../tokens";
 import "./section.css";
 
 export type SectionProps = ComponentPropsWithoutRef<
   "section" | "header" | "footer"
 > & {
   elementType?: "section" | "header" | "footer";
-  padding?: "600" | "800" | "1200" | "1600" | "4000";
-  paddingTop?: "600" | "800" | "1200" | "1600" | "4000";
-  paddingBottom?: "600" | "800" | "1200" | "1600" | "4000";
+  padding?: LayoutSpaceScale;
+  paddingTop?: LayoutSpaceScale;
+  paddingBottom?: LayoutSpaceScale;
 } & (
     | {
         variant?: "brand" | "neutral" | "stroke" | "subtle";
@@ -30,6 +31,7 @@ export function Section({
   padding = "600",
   paddingBottom,
   paddingTop,
+  style,
   ...props
 }: SectionProps) {
   const { variant = "subtle", ...spreadProps } = props;
@@ -37,9 +39,12 @@ export function Section({
     className,
     "section",
     `section-variant-${props.variant}`,
-    `section-padding-top-${paddingTop || padding}`,
-    `section-padding-bottom-${paddingBottom || padding}`,
   );
+  const sectionStyle = {
+    "--padding-y-top": `var(--wds-size-space-${paddingTop || padding})`,
+    "--padding-y-bottom": `var(--wds-size-space-${paddingBottom || padding})`,
+    ...style,
+  };
   const image =
     props.variant === "image" ? (
       <Image
@@ -54,19 +59,19 @@ export function Section({
   switch (elementType) {
     case "section":
       return (
-        <section className={classNames} {...spreadProps}>
+        <section className={classNames} style={sectionStyle} {...spreadProps}>
           {image} {children}
         </section>
       );
     case "header":
       return (
-        <header className={classNames} {...spreadProps}>
+        <header className={classNames} style={sectionStyle} {...spreadProps}>
           {image} {children}
         </header>
       );
     case "footer":
       return (
-        <footer className={classNames} {...spreadProps}>
+        <footer className={classNames} style={sectionStyle} {...spreadProps}>
           {image} {children}
         </footer>
       );
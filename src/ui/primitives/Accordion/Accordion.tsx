@@ -12,12 +12,20 @@ import {
 import "./accordion.css";
 
 export type AccordionProps = DisclosureGroupProps;
+/**
+ * Keywords: disclosure, collapse, expand, toggle, expandable, expander
+ * @figma <FIGMA_ACCORDION_ACCORDION>
+ */
 export function Accordion({ className, ...props }: AccordionProps) {
   const classNames = clsx(className, "accordion");
   return <DisclosureGroup className={classNames} {...props} />;
 }
 
 export type AccordionItemProps = DisclosureProps & { title: string };
+/**
+ * The items have a fixed width of 640 in the component set, but when placed in designs their auto layout and width settings should be defined by their parent
+ * @figma <FIGMA_ACCORDION_ACCORDION_ITEM>
+ */
 export function AccordionItem({
   className,
   title,
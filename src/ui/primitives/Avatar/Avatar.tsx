@@ -45,6 +45,12 @@ function renderInitialsAndImage({
 
 export type AvatarProps = SharedAvatarProps &
   React.ComponentPropsWithoutRef<"span">;
+/**
+ * Initials should be single e.g. A, B, or C, and not multiple e.g. AA, BB, or CC.
+ *
+ * This is because the widths of the avatars would force the text to overflow outside.
+ * @figma <FIGMA_AVATARS_AVATAR>
+ */
 export function Avatar({
   className,
   src = null,
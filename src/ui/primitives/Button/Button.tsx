@@ -10,6 +10,11 @@ export type ButtonProps = Omit<ButtonBaseProps, "variant"> & {
     "danger-primary" | "danger-subtle"
   >;
 };
+/**
+ * Keywords: action, negative, destructive
+ * @figma <FIGMA_BUTTONS_BUTTON>
+ * @figma <FIGMA_BUTTONS_BUTTON_DANGER>
+ */
 export const Button = React.forwardRef(function Button(
   { className, size = "medium", variant = "primary", ...props }: ButtonProps,
   ref: React.ForwardedRef<HTMLElement>,
@@ -109,6 +114,10 @@ function isAnchorProps(
 export type ButtonGroupProps = React.ComponentPropsWithoutRef<"div"> & {
   align?: "start" | "end" | "center" | "justify" | "stack";
 };
+/**
+ * Keywords: actions
+ * @figma <FIGMA_BUTTONS_BUTTON_GROUP>
+ */
 export const ButtonGroup = ({
   align = "start",
   className,
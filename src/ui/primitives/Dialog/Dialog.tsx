@@ -24,6 +24,25 @@ import "./dialog.css";
 export type DialogProps = RACDialogProps & {
   type?: "sheet" | "card";
 };
+/**
+ * A precomposed full screen dialog, containing a swappable body.
+ *
+ * It contains a semi-transparent scrim fill to obscure the content underneath.
+ *
+ * Keywords: overlay, window, dialog, popup, modal
+ *
+ * **Dialog Body**
+ *
+ * Overlays have a maximum width of 600, to prevent long lines of text.
+ *
+ * When using Bottom Sheets, override the auto layout settings in the ❖ Dialog, so that it is anchored to the bottom.
+ *
+ * When using the ❖ Dialog on smaller screens, you may want to add horizontal padding so that it isn’t full bleed.
+ *
+ * The body of Bottom Sheet has a min-height of 160, so that by default it covers a large portion of the small device’s height.
+ * @figma <FIGMA_DIALOG_DIALOG>
+ * @figma <FIGMA_DIALOG_DIALOG_BODY>
+ */
 export function Dialog({ className, type = "card", ...props }: DialogProps) {
   const classNames = clsx(className, "dialog", `dialog-type-${type}`);
   return <RACDialog className={classNames} {...props} />;
@@ -5,18 +5,57 @@ export type IconProps = {
   children?: React.ReactNode;
   className?: string;
   size?: IconSize;
+  /**
+   * Labels the icon as an image. Without a title or aria-label, icons are decorative and hidden from assistive technology.
+   */
+  title?: string;
+  "aria-label"?: string;
+  /**
+   * Artwork for each size the icon is drawn at, by size in px. The closest to `size` is rendered and scaled to fit.
+   * Without variants, children are 16px artwork.
+   */
+  variants?: { [drawnSize: number]: React.ReactNode };
 };
-export function Icon({ size = "16", children, className }: IconProps) {
+export function Icon({
+  size = "16",
+  children,
+  className,
+  title,
+  "aria-label": ariaLabel,
+  variants,
+}: IconProps) {
+  const drawnSize = variants
+    ? closestDrawnSize(Number(size), Object.keys(variants).map(Number))
+    : 16;
+  const label = ariaLabel || title;
   return (
     <svg
       className={clsx(className, "icon", `icon-size-${size}`)}
       width={size}
       height={size}
-      viewBox="0 0 16 16"
+      viewBox={`0 0 ${drawnSize} ${drawnSize}`}
       fill="none"
       xmlns="http://www.w3.org/2000/svg"
+      {...(label
+        ? { role: "img", "aria-label": label }
+        : { "aria-hidden": true, focusable: false })}
     >
-      {children}
+      {title && <title>{title}</title>}
+      {variants ? variants[drawnSize] : children}
     </svg>
   );
 }
+
+/**
+ * The drawn size nearest the requested size. Ties go to the larger artwork, which scales down more cleanly.
+ */
+function closestDrawnSize(size: number, drawnSizes: number[]) {
+  return drawnSizes.reduce((closest, drawnSize) => {
+    const distance = Math.abs(drawnSize - size);
+    const closestDistance = Math.abs(closest - size);
+    return distance < closestDistance ||
+      (distance === closestDistance && drawnSize > closest)
+      ? drawnSize
+      : closest;
+  });
+}
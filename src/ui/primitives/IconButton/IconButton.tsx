@@ -11,6 +11,10 @@ import "./iconButton.css";
 export type IconButtonProps = Omit<ButtonProps, "aria-label"> & {
   "aria-label": string;
 };
+/**
+ * Keywords: action
+ * @figma <FIGMA_BUTTONS_ICON_BUTTON>
+ */
 export const IconButton = forwardRef(function IconButton(
   { className, ...props }: IconButtonProps,
   ref: ForwardedRef<HTMLElement>,
@@ -0,0 +1,122 @@
+import { clsx } from "clsx";
+import { iconKeywords } from "icons/keywords";
+import { iconNames, iconsByName, type IconName } from "icons/registry";
+import { Icon, ListBox, ListBoxItem, Search, type IconSize } from "primitives";
+import { Suspense, useMemo, useState } from "react";
+import {
+  GridLayout as RACGridLayout,
+  Size as RACSize,
+  Virtualizer as RACVirtualizer,
+} from "react-aria-components";
+import "./iconPicker.css";
+
+export type IconPickerProps = {
+  "aria-label"?: string;
+  className?: string;
+  /**
+   * The chosen icon. Leave undefined to let the picker keep its own state.
+   */
+  value?: IconName | null;
+  defaultValue?: IconName | null;
+  onChange?: (name: IconName) => void;
+  /**
+   * Size of the icon previews
+   */
+  size?: IconSize;
+};
+/**
+ * Choose an icon visually. Icons are filtered by their name and Figma keywords, and only the visible previews are rendered.
+ */
+export function IconPicker({
+  "aria-label": ariaLabel = "Icons",
+  className,
+  value,
+  defaultValue = null,
+  onChange,
+  size = "24",
+}: IconPickerProps) {
+  const [search, setSearch] = useState("");
+  const [uncontrolledValue, setUncontrolledValue] = useState(defaultValue);
+  const selected = value === undefined ? uncontrolledValue : value;
+  const items = useMemo(
+    () => searchIcons(search).map((id) => ({ id })),
+    [search],
+  );
+  const itemSize = Number(size) + 24;
+
+  return (
+    <div className={clsx(className, "icon-picker")}>
+      <Search aria-label={`Search ${ariaLabel}`} onSearch={setSearch} />
+      <RACVirtualizer
+        layout={RACGridLayout}
+        layoutOptions={{
+          minItemSize: new RACSize(itemSize, itemSize),
+          minSpace: new RACSize(4, 4),
+          preserveAspectRatio: true,
+        }}
+      >
+        <ListBox
+          aria-label={ariaLabel}
+          className="icon-picker-list"
+          items={items}
+          layout="grid"
+          selectionMode="single"
+          disallowEmptySelection
+          selectedKeys={selected ? [selected] : []}
+          onSelectionChange={(keys) => {
+            const [name] = keys === "all" ? [] : [...keys];
+            if (typeof name !== "string" || !(name in iconsByName)) return;
+            setUncontrolledValue(name as IconName);
+            onChange?.(name as IconName);
+          }}
+          renderEmptyState={() => (
+            <span className="icon-picker-empty">No icons match “{search}”</span>
+          )}
+        >
+          {({ id }) => <IconPickerItem name={id} size={size} />}
+        </ListBox>
+      </RACVirtualizer>
+    </div>
+  );
+}
+
+function IconPickerItem({ name, size }: { name: IconName; size: IconSize }) {
+  const Preview = iconsByName[name];
+  const label = iconLabel(name);
+  return (
+    <ListBoxItem
+      id={name}
+      className="icon-picker-item"
+      textValue={label}
+      aria-label={label}
+    >
+      <Suspense fallback={<Icon size={size} />}>
+        <Preview size={size} />
+      </Suspense>
+    </ListBoxItem>
+  );
+}
+
+/**
+ * Icons with every word of the search in their name or keywords, eg. "alert warn" finds IconAlertTriangle
+ */
+function searchIcons(search: string): IconName[] {
+  const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [...iconNames];
+  return iconNames.filter((name) => {
+    const text = [iconLabel(name), ...iconKeywords[name]]
+      .join(" ")
+      .toLowerCase();
+    return terms.every((term) => text.includes(term));
+  });
+}
+
+/**
+ * eg. IconBarChart2 => "Bar Chart 2"
+ */
+function iconLabel(name: IconName) {
+  return name
+    .replace(/^Icon/, "")
+    .replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    .replace(/([0-9])([A-Z])/g, "$1 $2");
+}
@@ -5,19 +5,37 @@ import {
   type ListBoxItemProps as RACListBoxItemProps,
   type ListBoxProps as RACListBoxProps,
 } from "react-aria-components";
+import { Virtualized, type VirtualizedProps } from "utils";
 import "./listBox.css";
 
-export type ListBoxProps<T> = RACListBoxProps<T>;
+export type ListBoxProps<T> = RACListBoxProps<T> & VirtualizedProps;
+/**
+ * Virtualized list boxes only lay items out in a stack.
+ */
 export function ListBox<T extends object>({
   children,
   className,
+  virtualized = false,
+  rowHeight,
+  estimatedRowHeight,
   ...props
 }: ListBoxProps<T>) {
-  const classNames = clsx(className, "list-box");
+  const classNames = clsx(
+    className,
+    "list-box",
+    virtualized && "list-box-virtualized",
+  );
   return (
-    <RACListBox className={classNames} {...props}>
-      {children}
-    </RACListBox>
+    <Virtualized
+      layout="list"
+      virtualized={virtualized}
+      rowHeight={rowHeight}
+      estimatedRowHeight={estimatedRowHeight}
+    >
+      <RACListBox className={classNames} {...props}>
+        {children}
+      </RACListBox>
+    </Virtualized>
   );
 }
 
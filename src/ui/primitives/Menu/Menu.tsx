@@ -26,11 +26,38 @@ import {
   type PopoverProps as RACPopoverProps,
   type SeparatorProps as RACSeparatorProps,
 } from "react-aria-components";
+import { Virtualized, type VirtualizedProps } from "utils";
 import "./menu.css";
 
-export type MenuProps<T> = RACMenuProps<T>;
-export function Menu<T extends object>({ className, ...props }: MenuProps<T>) {
-  return <RACMenu className={clsx(className, "menu")} {...props} />;
+export type MenuProps<T> = RACMenuProps<T> & VirtualizedProps;
+/**
+ * This is an example of a composed menu.
+ *
+ * If you require a different composition, you can build one using the Primitives.
+ *
+ * Keywords: popover
+ * @figma <FIGMA_MENU_MENU>
+ */
+export function Menu<T extends object>({
+  className,
+  virtualized = false,
+  rowHeight,
+  estimatedRowHeight,
+  ...props
+}: MenuProps<T>) {
+  return (
+    <Virtualized
+      layout="list"
+      virtualized={virtualized}
+      rowHeight={rowHeight}
+      estimatedRowHeight={estimatedRowHeight}
+    >
+      <RACMenu
+        className={clsx(className, "menu", virtualized && "menu-virtualized")}
+        {...props}
+      />
+    </Virtualized>
+  );
 }
 
 export type MenuTriggerProps = RACMenuTriggerProps;
@@ -76,6 +103,10 @@ export function MenuPopover({ ...props }: MenuPopoverProps) {
 }
 
 export type MenuItemProps = RACMenuItemProps;
+/**
+ * Keywords: popover
+ * @figma <FIGMA_MENU_MENU_ITEM>
+ */
 export function MenuItem({ className, ...props }: MenuItemProps) {
   const classNames = clsx(className, "menu-item");
   const textValue =
@@ -130,6 +161,15 @@ export function MenuDescription({ className, ...props }: MenuDescriptionProps) {
 }
 
 export type MenuShortcutProps = KeyboardProps;
+/**
+ * Example shortcut characters:
+ *
+ * ⌘
+ * ⇧
+ * ⌥
+ * ⌃
+ * @figma <FIGMA_MENU_MENU_SHORTCUT>
+ */
 export function MenuShortcut({
   children,
   className,
@@ -6,16 +6,24 @@ import "./notification.css";
 
 type NotificationVariant = "message" | "alert";
 
-// TODO: notification still needs an onDismiss handler or something
 export type NotificationProps = React.ComponentPropsWithoutRef<"div"> & {
   isDismissible?: boolean;
+  /**
+   * Called when the dismiss button is pressed. The notification doesn't hide itself, so remove it here.
+   */
+  onDismiss?: () => void;
   icon?: ReactNode;
   variant?: NotificationVariant;
 };
+/**
+ * Keywords: message, alert, feedback, callout, banner
+ * @figma <FIGMA_NOTIFICATION_NOTIFICATION>
+ */
 export function Notification({
   children,
   className,
   isDismissible,
+  onDismiss,
   icon,
   variant = "message",
   ...props
@@ -35,6 +43,7 @@ export function Notification({
             size="small"
             variant="danger-subtle"
             aria-label="Dismiss notification"
+            onPress={onDismiss}
           >
             <IconX />
           </DestructiveIconButton>
@@ -43,6 +52,7 @@ export function Notification({
             size="small"
             variant="subtle"
             aria-label="Dismiss notification"
+            onPress={onDismiss}
           >
             <IconX />
           </IconButton>
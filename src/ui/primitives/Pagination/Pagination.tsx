@@ -1,30 +1,121 @@
 import clsx from "clsx";
 import { useMediaQuery } from "hooks";
 import { IconArrowLeft, IconArrowRight } from "icons";
-import { Button } from "primitives";
+import { Button, Text } from "primitives";
 import type React from "react";
 import "./pagination.css";
 
-export type PaginationProps = React.ComponentPropsWithoutRef<"nav">;
+type PaginationNavigationProps = {
+  /**
+   * Link to the page. Without it (and without onPress), the control is disabled.
+   */
+  href?: string | null;
+  onPress?: () => void;
+  isDisabled?: boolean;
+};
+
+export type PaginationProps = React.ComponentPropsWithoutRef<"nav"> & {
+  /**
+   * The current page, from 1. With `total`, the page list, gaps and previous/next controls are built from these props, and children are ignored.
+   */
+  page?: number;
+  /**
+   * Number of items. With the default pageSize of 1, the number of pages.
+   */
+  total?: number;
+  pageSize?: number;
+  onPageChange?: (page: number) => void;
+  /**
+   * Link to each page, for link navigation. Without it, pages are buttons that call onPageChange.
+   */
+  getPageHref?: (page: number) => string;
+  /**
+   * Pages either side of the current page
+   */
+  siblingCount?: number;
+  /**
+   * Pages at the start and end
+   */
+  boundaryCount?: number;
+};
+/**
+ * Either controlled with `page` and `total`, or composed from the Pagination* parts.
+ * Below tablet, the controlled page list becomes "Page X of Y".
+ */
 export function Pagination({
   "aria-label": ariaLabel = "Page navigation",
   className,
+  page,
+  total,
+  pageSize = 1,
+  onPageChange,
+  getPageHref,
+  siblingCount = 1,
+  boundaryCount = 1,
+  children,
   ...props
 }: PaginationProps) {
-  const classNames = clsx("pagination");
-  return <nav aria-label={ariaLabel} {...props} className={classNames} />;
+  const { isTabletUp } = useMediaQuery();
+  const classNames = clsx(className, "pagination");
+  if (page === undefined || total === undefined) {
+    return (
+      <nav aria-label={ariaLabel} {...props} className={classNames}>
+        {children}
+      </nav>
+    );
+  }
+
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const current = Math.min(Math.max(page, 1), pageCount);
+  const navigation = (to: number): PaginationNavigationProps => ({
+    href: getPageHref ? getPageHref(to) : null,
+    onPress: onPageChange && (() => onPageChange(to)),
+  });
+  return (
+    <nav aria-label={ariaLabel} {...props} className={classNames}>
+      <PaginationPrevious
+        {...navigation(current - 1)}
+        isDisabled={current === 1}
+      />
+      {isTabletUp ? (
+        <PaginationList>
+          {paginationRange(current, pageCount, siblingCount, boundaryCount).map(
+            (item, i) =>
+              item === "gap" ? (
+                <PaginationGap key={`gap-${i}`} />
+              ) : (
+                <PaginationPage
+                  key={item}
+                  {...navigation(item)}
+                  current={item === current}
+                >
+                  {String(item)}
+                </PaginationPage>
+              ),
+          )}
+        </PaginationList>
+      ) : (
+        <PaginationSummary page={current} pageCount={pageCount} />
+      )}
+      <PaginationNext
+        {...navigation(current + 1)}
+        isDisabled={current === pageCount}
+      />
+    </nav>
+  );
 }
 
 export function PaginationPrevious({
   href = null,
+  onPress,
+  isDisabled,
   children = "Previous",
-}: {
-  href?: string | null;
+}: PaginationNavigationProps & {
   children?: React.ReactNode;
 }) {
   return (
     <Button
-      {...(href === null ? { disabled: true } : { href })}
+      {...navigationProps({ href, onPress, isDisabled })}
       variant="subtle"
       aria-label="Previous page"
     >
@@ -36,14 +127,15 @@ export function PaginationPrevious({
 
 export function PaginationNext({
   href = null,
+  onPress,
+  isDisabled,
   children = "Next",
-}: {
-  href?: string | null;
+}: PaginationNavigationProps & {
   children?: React.ReactNode;
 }) {
   return (
     <Button
-      {...(href === null ? { disabled: true } : { href })}
+      {...navigationProps({ href, onPress, isDisabled })}
       variant="subtle"
       aria-label="Next page"
     >
@@ -60,16 +152,16 @@ export function PaginationList({ children }: { children: React.ReactNode }) {
 
 export function PaginationPage({
   href,
+  onPress,
   children,
   current = false,
-}: {
-  href: string;
+}: Omit<PaginationNavigationProps, "isDisabled"> & {
   children: string;
   current?: boolean;
 }) {
   return (
     <Button
-      href={href}
+      {...navigationProps({ href, onPress })}
       aria-label={`Page ${children}`}
       aria-current={current ? "page" : undefined}
       variant={current ? "primary" : "subtle"}
@@ -87,3 +179,82 @@ export function PaginationGap() {
     </div>
   );
 }
+
+/**
+ * Compact position for small screens, eg. "Page 3 of 66"
+ */
+export function PaginationSummary({
+  page,
+  pageCount,
+}: {
+  page: number;
+  pageCount: number;
+}) {
+  return (
+    <Text className="pagination-summary">
+      Page {page} of {pageCount}
+    </Text>
+  );
+}
+
+function navigationProps({
+  href,
+  onPress,
+  isDisabled,
+}: PaginationNavigationProps) {
+  return {
+    ...(href ? { href } : {}),
+    onPress,
+    isDisabled: isDisabled || (!href && !onPress),
+  };
+}
+
+/**
+ * Pages to show, with "gap" for runs of hidden pages. The length only depends on the counts, so controls don't move as the page changes.
+ * eg. page 5 of 10, 1 sibling and 1 boundary => [1, "gap", 4, 5, 6, "gap", 10]
+ */
+function paginationRange(
+  page: number,
+  pageCount: number,
+  siblingCount: number,
+  boundaryCount: number,
+): Array<number | "gap"> {
+  const range = (start: number, end: number) =>
+    Array.from({ length: Math.max(end - start + 1, 0) }, (_, i) => start + i);
+  const startPages = range(1, Math.min(boundaryCount, pageCount));
+  const endPages = range(
+    Math.max(pageCount - boundaryCount + 1, boundaryCount + 1),
+    pageCount,
+  );
+  const siblingsStart = Math.max(
+    Math.min(
+      page - siblingCount,
+      pageCount - boundaryCount - siblingCount * 2 - 1,
+    ),
+    boundaryCount + 2,
+  );
+  const siblingsEnd = Math.min(
+    Math.max(page + siblingCount, boundaryCount + siblingCount * 2 + 2),
+    endPages.length ? endPages[0] - 2 : pageCount - 1,
+  );
+  // A gap of one page shows the page instead
+  const startGap: Array<number | "gap"> =
+    siblingsStart > boundaryCount + 2
+      ? ["gap"]
+      : boundaryCount + 1 < pageCount - boundaryCount
+        ? [boundaryCount + 1]
+        : [];
+  const endGap: Array<number | "gap"> =
+    siblingsEnd < pageCount - boundaryCount - 1
+      ? ["gap"]
+      : pageCount - boundaryCount > boundaryCount
+        ? [pageCount - boundaryCount]
+        : [];
+  return [
+    ...startPages,
+    ...startGap,
+    ...range(siblingsStart, siblingsEnd),
+    ...endGap,
+    ...endPages,
+  ];
+}
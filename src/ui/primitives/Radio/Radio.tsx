@@ -34,6 +34,10 @@ export function RadioGroup({
 }
 
 export type RadioFieldProps = RACRadioProps & SharedFieldProps;
+/**
+ * Checked / Unchecked is a property within the design file only. Coded Radio Fields are grouped and the value of the field indicates its state.
+ * @figma <FIGMA_INPUTS_RADIO_FIELD>
+ */
 export function RadioField({
   children,
   className,
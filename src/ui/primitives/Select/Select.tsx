@@ -25,6 +25,10 @@ export interface SelectFieldProps<T extends object>
   items?: Iterable<T>;
   children: React.ReactNode | ((item: T) => React.ReactNode);
 }
+/**
+ * Keywords: dropdown
+ * @figma <FIGMA_INPUTS_SELECT_FIELD>
+ */
 export function SelectField<T extends object>({
   className,
   label,
@@ -54,6 +58,10 @@ export function SelectField<T extends object>({
 }
 
 export type SelectProps<T extends object> = RACSelectProps<T>;
+/**
+ * Keywords: dropdown
+ * @figma <FIGMA_INPUTS_SELECT_FIELD>
+ */
 export function Select<T extends object>({ ...props }: SelectProps<T>) {
   return <RACSelect<T> {...props} />;
 }
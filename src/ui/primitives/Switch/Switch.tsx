@@ -14,6 +14,10 @@ export function SwitchGroup({ className, ...props }: SwitchGroupProps) {
 }
 
 export type SwitchFieldProps = RACSwitchProps & SharedFieldProps;
+/**
+ * Keywords: toggle
+ * @figma <FIGMA_INPUTS_SWITCH_FIELD>
+ */
 export function SwitchField({
   children,
   className,
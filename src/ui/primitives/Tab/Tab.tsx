@@ -33,6 +33,10 @@ export function TabPanel({ className, ...props }: TabPanelProps) {
 }
 
 export type TabsProps = RACTabsProps;
+/**
+ * Keywords: tabbed
+ * @figma <FIGMA_TABS_TABS>
+ */
 export function Tabs({ className, ...props }: TabsProps) {
   const classNames = clsx(className, "tabs");
   return <RACTabs className={classNames} {...props} />;
@@ -1,41 +1,143 @@
 import { clsx } from "clsx";
-import { IconChevronDown, IconChevronUp } from "icons";
-import { Checkbox } from "primitives";
+import {
+  IconCheck,
+  IconChevronDown,
+  IconChevronUp,
+  IconColumns,
+  IconMoreVertical,
+} from "icons";
+import {
+  Button,
+  Checkbox,
+  IconButton,
+  Menu,
+  MenuDescription,
+  MenuItem,
+  MenuLabel,
+  MenuPopover,
+  MenuSeparator,
+  MenuTrigger,
+} from "primitives";
+import {
+  cloneElement,
+  createContext,
+  useContext,
+  useLayoutEffect,
+  useState,
+  type CSSProperties,
+  type ReactElement,
+} from "react";
 import {
   Button as RACButton,
   Cell as RACCell,
   Collection as RACCollection,
   Column as RACColumn,
+  ColumnResizer as RACColumnResizer,
+  Header as RACHeader,
+  MenuSection as RACMenuSection,
+  ResizableTableContainer as RACResizableTableContainer,
   Row as RACRow,
+  SubmenuTrigger as RACSubmenuTrigger,
   Table as RACTable,
   TableBody as RACTableBody,
+  TableColumnResizeStateContext as RACTableColumnResizeStateContext,
   TableHeader as RACTableHeader,
+  TableStateContext as RACTableStateContext,
   useTableOptions,
+  type Key,
   type CellProps as RACCellProps,
   type ColumnProps as RACColumnProps,
+  type ColumnRenderProps as RACColumnRenderProps,
   type RowProps as RACRowProps,
   type TableBodyProps as RACTableBodyProps,
   type TableHeaderProps as RACTableHeaderProps,
   type TableProps as RACTableProps,
+  type Selection,
 } from "react-aria-components";
+import { Virtualized, type VirtualizedProps } from "utils";
 import "./table.css";
 
 type TableAlign = "start" | "center" | "right";
+type TableColumnWidths = Map<Key, NonNullable<RACColumnProps["width"]>>;
+// Ids of the columns TableHead adds for drag and drop and selection. They're pinned while any column is pinned to the start.
+const DRAG_COLUMN = "drag";
+const SELECTION_COLUMN = "selection";
 
-export type TableProps = RACTableProps & {
-  bleed?: boolean;
-  dense?: boolean;
-  grid?: boolean;
-  striped?: boolean;
+export type TableColumnLayout = {
+  /**
+   * Width in px, set by resizing
+   */
+  width?: number;
+  /**
+   * Sticks to the start or end of the table as it scrolls sideways. Pinned columns move to that end.
+   */
+  pinned?: "start" | "end";
+  hidden?: boolean;
 };
+/**
+ * The layout of each column, by column id. It's plain JSON, so it can be saved and restored.
+ */
+export type TableColumnsLayout = { [columnId: string]: TableColumnLayout };
+
+// Columns and cells are built into react-aria's collection outside the table, so they can't read its column widths.
+// TablePinnedOffsets measures them inside the table and reports the sticky offsets of pinned columns here.
+const TableLayoutContext = createContext<{
+  layout: TableColumnsLayout;
+  resizable: boolean;
+  // Widths while a column is being resized, before they're saved to the layout
+  resizingWidths?: TableColumnWidths;
+  pinnedOffsets: { [columnId: string]: number };
+  setPinnedOffsets?: (offsets: { [columnId: string]: number }) => void;
+}>({ layout: {}, resizable: false, pinnedOffsets: {} });
+
+export type TableProps = RACTableProps &
+  VirtualizedProps & {
+    bleed?: boolean;
+    dense?: boolean;
+    grid?: boolean;
+    striped?: boolean;
+    /**
+     * Columns can be resized by dragging, or from the keyboard with Enter and the arrow keys on the resizer.
+     * Enter sorts sortable columns, so they have a menu to sort or start resizing instead.
+     */
+    resizable?: boolean;
+    /**
+     * Controlled column layout. Pinning and hiding columns needs `columns` on TableHead and TableRow, and an `id` on each column.
+     */
+    layout?: TableColumnsLayout;
+    /**
+     * Column layout to start from, eg. one saved from onLayoutChange
+     */
+    defaultLayout?: TableColumnsLayout;
+    /**
+     * Called with the new layout when a column resize ends. TableColumnPicker reports its changes to its own onLayoutChange.
+     */
+    onLayoutChange?: (layout: TableColumnsLayout) => void;
+  };
+/**
+ * With `resizable` or a column layout, the table scrolls sideways within its container and columns share its width, unless they're given one.
+ */
 export function Table({
   bleed = false,
   dense = false,
   grid = false,
   striped = false,
+  virtualized = false,
+  rowHeight,
+  estimatedRowHeight,
+  resizable = false,
+  layout,
+  defaultLayout,
+  onLayoutChange,
   className,
   ...props
 }: TableProps) {
+  const [uncontrolledLayout, setUncontrolledLayout] = useState(
+    defaultLayout || {},
+  );
+  const [resizingWidths, setResizingWidths] = useState<TableColumnWidths>();
+  const [pinnedOffsets, setPinnedOffsets] = useState({});
+  const columnsLayout = layout || uncontrolledLayout;
   const classNames = clsx(
     className,
     "table",
@@ -43,8 +145,49 @@ export function Table({
     dense && "table-dense",
     grid && "table-grid",
     striped && "table-striped",
+    virtualized && "table-virtualized",
+    resizable && "table-resizable",
+  );
+  const table = (
+    <TableLayoutContext.Provider
+      value={{
+        layout: columnsLayout,
+        resizable,
+        resizingWidths,
+        pinnedOffsets,
+        setPinnedOffsets,
+      }}
+    >
+      <Virtualized
+        layout="table"
+        virtualized={virtualized}
+        rowHeight={rowHeight}
+        estimatedRowHeight={estimatedRowHeight}
+      >
+        <RACTable className={classNames} {...props} />
+      </Virtualized>
+    </TableLayoutContext.Provider>
+  );
+  if (!resizable && !layout && !defaultLayout) return table;
+
+  return (
+    <RACResizableTableContainer
+      className="table-container"
+      onResize={setResizingWidths}
+      onResizeEnd={(widths) => {
+        const resized = { ...columnsLayout };
+        widths.forEach((width, key) => {
+          if (typeof width === "number" && !isUtilityColumn(key))
+            resized[key] = { ...resized[key], width };
+        });
+        setResizingWidths(undefined);
+        setUncontrolledLayout(resized);
+        onLayoutChange?.(resized);
+      }}
+    >
+      {table}
+    </RACResizableTableContainer>
   );
-  return <RACTable className={classNames} {...props} />;
 }
 
 export type TableColumnProps = RACColumnProps & {
@@ -53,31 +196,97 @@ export type TableColumnProps = RACColumnProps & {
 export function TableColumn({
   align = "start",
   className,
+  style,
+  width,
   ...props
 }: TableColumnProps) {
-  const classNames = clsx(className, "table-column", `table-align-${align}`);
+  const { layout, resizable, resizingWidths, pinnedOffsets } =
+    useContext(TableLayoutContext);
+  const pinned = pinnedProps(props.id, layout, pinnedOffsets);
+  const classNames = clsx(
+    className,
+    "table-column",
+    `table-align-${align}`,
+    pinned.className,
+  );
+  const layoutWidth =
+    props.id === undefined
+      ? undefined
+      : resizingWidths?.get(props.id) || layout[props.id]?.width;
   return (
-    <RACColumn className={classNames} {...props}>
-      {({ allowsSorting, sortDirection }) => (
-        <div className={clsx("table-column-inner")}>
-          <>
-            {props.children}
-            {allowsSorting && (
-              <span aria-hidden="true" className="sort-indicator">
-                {sortDirection === "ascending" ? (
-                  <IconChevronUp />
-                ) : (
-                  <IconChevronDown />
-                )}
-              </span>
-            )}
-          </>
-        </div>
+    <RACColumn
+      className={classNames}
+      style={withPinnedStyle(style, pinned.style)}
+      width={layoutWidth || width}
+      {...props}
+    >
+      {({ allowsSorting, sortDirection, sort, startResize }) => (
+        <>
+          <div className={clsx("table-column-inner")}>
+            <>
+              {props.children}
+              {allowsSorting && (
+                <span aria-hidden="true" className="sort-indicator">
+                  {sortDirection === "ascending" ? (
+                    <IconChevronUp />
+                  ) : (
+                    <IconChevronDown />
+                  )}
+                </span>
+              )}
+              {allowsSorting && resizable && !isUtilityColumn(props.id) && (
+                <TableColumnMenu sort={sort} startResize={startResize} />
+              )}
+            </>
+          </div>
+          {resizable && !isUtilityColumn(props.id) && (
+            <RACColumnResizer className="table-column-resizer" />
+          )}
+          {props.id !== undefined && pinnedSide(layout, props.id) && (
+            <TablePinnedOffsets />
+          )}
+        </>
       )}
     </RACColumn>
   );
 }
 
+/**
+ * Sorts or starts resizing a resizable column that sorts, whose header can't take Enter for the resizer.
+ * Rendered in the column's header, where react-aria's column render props are available.
+ */
+function TableColumnMenu({
+  sort,
+  startResize,
+}: Pick<RACColumnRenderProps, "sort" | "startResize">) {
+  return (
+    <MenuTrigger>
+      <IconButton
+        className="table-column-menu"
+        size="small"
+        variant="subtle"
+        aria-label="Column options"
+      >
+        <IconMoreVertical />
+      </IconButton>
+      <MenuPopover placement="bottom end">
+        <Menu
+          aria-label="Column options"
+          onAction={(action) =>
+            action === "resize"
+              ? startResize()
+              : sort(action === "descending" ? "descending" : "ascending")
+          }
+        >
+          <MenuItem id="ascending">Sort ascending</MenuItem>
+          <MenuItem id="descending">Sort descending</MenuItem>
+          <MenuItem id="resize">Resize</MenuItem>
+        </Menu>
+      </MenuPopover>
+    </MenuTrigger>
+  );
+}
+
 export type TableBodyProps<T> = RACTableBodyProps<T>;
 export function TableBody<T extends object>({
   className,
@@ -95,17 +304,26 @@ export function TableHead<T extends object>({
 }: TableHeadProps<T>) {
   const { selectionBehavior, selectionMode, allowsDragging } =
     useTableOptions();
+  const { layout } = useContext(TableLayoutContext);
   const classNames = clsx(className, "table-head");
   return (
     <RACTableHeader className={classNames} {...props}>
       {/* Add extra columns for drag and drop and selection. */}
-      {allowsDragging && <TableColumn />}
+      {allowsDragging && <TableColumn id={DRAG_COLUMN} />}
       {selectionBehavior === "toggle" && (
-        <TableColumn>
+        <TableColumn id={SELECTION_COLUMN}>
           {selectionMode === "multiple" && <Checkbox slot="selection" />}
         </TableColumn>
       )}
-      <RACCollection items={columns}>{children}</RACCollection>
+      <RACCollection
+        items={columns && arrangeColumns(columns, layout)}
+        dependencies={[layout]}
+      >
+        {typeof children === "function"
+          ? (column: T) =>
+              cloneElement(children(column), { id: columnId(column) })
+          : children}
+      </RACCollection>
     </RACTableHeader>
   );
 }
@@ -119,30 +337,276 @@ export function TableRow<T extends object>({
   ...otherProps
 }: TableRowProps<T>) {
   const { selectionBehavior, allowsDragging } = useTableOptions();
+  const { layout } = useContext(TableLayoutContext);
   const classNames = clsx(className, "table-row");
   return (
     <RACRow id={id} {...otherProps} className={classNames}>
       {allowsDragging && (
-        <TableCell>
+        <TableCell column={DRAG_COLUMN}>
           <RACButton slot="drag">≡</RACButton>
         </TableCell>
       )}
       {selectionBehavior === "toggle" && (
-        <TableCell>
+        <TableCell column={SELECTION_COLUMN}>
           <Checkbox slot="selection" />
         </TableCell>
       )}
-      <RACCollection items={columns}>{children}</RACCollection>
+      <RACCollection
+        items={columns && arrangeColumns(columns, layout)}
+        dependencies={[layout]}
+      >
+        {typeof children === "function"
+          ? (column: T) =>
+              cloneElement(children(column) as ReactElement<TableCellProps>, {
+                column: columnId(column),
+              })
+          : children}
+      </RACCollection>
     </RACRow>
   );
 }
 
-export type TableCellProps = RACCellProps & { align?: TableAlign };
+export type TableCellProps = RACCellProps & {
+  align?: TableAlign;
+  /**
+   * Id of the cell's column, for pinning. TableRow sets it when it has `columns`.
+   */
+  column?: Key;
+};
 export function TableCell({
   align = "start",
+  column,
   className,
+  style,
   ...props
 }: TableCellProps) {
-  const classNames = clsx(className, "table-cell", `table-align-${align}`);
-  return <RACCell className={classNames} {...props} />;
+  const { layout, pinnedOffsets } = useContext(TableLayoutContext);
+  const pinned = pinnedProps(column, layout, pinnedOffsets);
+  const classNames = clsx(
+    className,
+    "table-cell",
+    `table-align-${align}`,
+    pinned.className,
+  );
+  return (
+    <RACCell
+      className={classNames}
+      style={withPinnedStyle(style, pinned.style)}
+      {...props}
+    />
+  );
+}
+
+export type TableColumnPickerProps = {
+  /**
+   * The table's columns. Row header columns can't be hidden.
+   */
+  columns: Array<{ id: Key; name: string; isRowHeader?: boolean }>;
+  layout: TableColumnsLayout;
+  onLayoutChange: (layout: TableColumnsLayout) => void;
+  label?: string;
+};
+/**
+ * Menu to show, hide and pin the columns of a Table with a controlled `layout`
+ * Keywords: column chooser, column visibility
+ */
+export function TableColumnPicker({
+  columns,
+  layout,
+  onLayoutChange,
+  label = "Columns",
+}: TableColumnPickerProps) {
+  const updateColumn = (id: Key, column: TableColumnLayout) =>
+    onLayoutChange({ ...layout, [id]: { ...layout[id], ...column } });
+  const pinLabels = {
+    start: "Pin to start",
+    end: "Pin to end",
+    none: "Not pinned",
+  };
+  return (
+    <MenuTrigger>
+      <Button variant="neutral">
+        <IconColumns />
+        {label}
+      </Button>
+      <MenuPopover placement="bottom end">
+        <Menu aria-label={label}>
+          <RACMenuSection
+            selectionMode="multiple"
+            selectedKeys={columns
+              .filter(({ id }) => !layout[id]?.hidden)
+              .map(({ id }) => id)}
+            disabledKeys={columns
+              .filter(({ isRowHeader }) => isRowHeader)
+              .map(({ id }) => id)}
+            onSelectionChange={(keys: Selection) =>
+              onLayoutChange(
+                columns.reduce(
+                  (into, { id }) => ({
+                    ...into,
+                    [id]: {
+                      ...layout[id],
+                      hidden: keys !== "all" && !keys.has(id),
+                    },
+                  }),
+                  { ...layout },
+                ),
+              )
+            }
+          >
+            <RACHeader className="menu-heading">Show</RACHeader>
+            {columns.map(({ id, name }) => (
+              <MenuItem
+                key={id}
+                id={id}
+                className="table-column-picker-item"
+                textValue={name}
+              >
+                <IconCheck />
+                {name}
+              </MenuItem>
+            ))}
+          </RACMenuSection>
+          <MenuSeparator />
+          <RACMenuSection>
+            <RACHeader className="menu-heading">Pin</RACHeader>
+            {columns.map(({ id, name }) => (
+              <RACSubmenuTrigger key={id}>
+                <MenuItem id={`pin-${id}`} textValue={name}>
+                  <MenuLabel>{name}</MenuLabel>
+                  <MenuDescription>
+                    {pinLabels[layout[id]?.pinned || "none"]}
+                  </MenuDescription>
+                </MenuItem>
+                <MenuPopover>
+                  <Menu
+                    aria-label={`Pin ${name}`}
+                    selectionMode="single"
+                    disallowEmptySelection
+                    selectedKeys={[layout[id]?.pinned || "none"]}
+                    onSelectionChange={(keys: Selection) => {
+                      const [pin] = keys === "all" ? [] : [...keys];
+                      updateColumn(id, {
+                        pinned:
+                          pin === "start" || pin === "end" ? pin : undefined,
+                      });
+                    }}
+                  >
+                    {Object.entries(pinLabels).map(([pin, pinLabel]) => (
+                      <MenuItem
+                        key={pin}
+                        id={pin}
+                        className="table-column-picker-item"
+                        textValue={pinLabel}
+                      >
+                        <IconCheck />
+                        {pinLabel}
+                      </MenuItem>
+                    ))}
+                  </Menu>
+                </MenuPopover>
+              </RACSubmenuTrigger>
+            ))}
+          </RACMenuSection>
+        </Menu>
+      </MenuPopover>
+    </MenuTrigger>
+  );
+}
+
+function isUtilityColumn(key?: Key) {
+  return key === DRAG_COLUMN || key === SELECTION_COLUMN;
+}
+
+function columnId(column: object): Key {
+  return (column as { id: Key }).id;
+}
+
+function pinnedSide(layout: TableColumnsLayout, key: Key) {
+  if (isUtilityColumn(key))
+    return Object.values(layout).some(
+      ({ pinned, hidden }) => pinned === "start" && !hidden,
+    )
+      ? "start"
+      : undefined;
+  return layout[key]?.hidden ? undefined : layout[key]?.pinned;
+}
+
+/**
+ * Visible columns, with pinned columns moved to their end
+ */
+function arrangeColumns<T extends object>(
+  columns: Iterable<T>,
+  layout: TableColumnsLayout,
+): T[] {
+  const visible = [...columns].filter(
+    (column) => !layout[columnId(column)]?.hidden,
+  );
+  const order = { start: 0, end: 2 };
+  const side = (column: T) => {
+    const pinned = pinnedSide(layout, columnId(column));
+    return pinned ? order[pinned] : 1;
+  };
+  return visible.sort((a, b) => side(a) - side(b));
+}
+
+/**
+ * Sticky position of a pinned column, once TablePinnedOffsets has measured it
+ */
+function pinnedProps(
+  column: Key | undefined,
+  layout: TableColumnsLayout,
+  offsets: { [columnId: string]: number },
+): { className?: string; style?: CSSProperties } {
+  const pinned = column === undefined ? undefined : pinnedSide(layout, column);
+  if (!pinned || offsets[column!] === undefined) return {};
+  return {
+    className: clsx("table-pinned", `table-pinned-${pinned}`),
+    style: {
+      "--table-pinned-offset": `${offsets[column!]}px`,
+    } as CSSProperties,
+  };
+}
+
+/**
+ * Offsets each pinned column by the widths of the columns pinned before it, and reports them to the Table.
+ * Rendered in the header of pinned columns, where react-aria's column widths are available.
+ */
+function TablePinnedOffsets() {
+  const { layout, setPinnedOffsets } = useContext(TableLayoutContext);
+  const state = useContext(RACTableStateContext);
+  const resizeState = useContext(RACTableColumnResizeStateContext);
+  const keys = state?.collection.columns.map(({ key }) => key) || [];
+  const offsets: { [columnId: string]: number } = {};
+  if (resizeState)
+    (["start", "end"] as const).forEach((side) => {
+      let offset = 0;
+      (side === "start" ? keys : [...keys].reverse())
+        .filter((key) => pinnedSide(layout, key) === side)
+        .forEach((key) => {
+          offsets[key] = offset;
+          offset += resizeState.getColumnWidth(key);
+        });
+    });
+  // Compared as JSON so every pinned column reporting the same offsets doesn't update the Table again
+  const serialized = JSON.stringify(offsets);
+  useLayoutEffect(
+    () => setPinnedOffsets?.(JSON.parse(serialized)),
+    [serialized, setPinnedOffsets],
+  );
+  return null;
+}
+
+function withPinnedStyle<P>(
+  style:
+    | CSSProperties
+    | ((renderProps: P) => CSSProperties | undefined)
+    | undefined,
+  pinnedStyle?: CSSProperties,
+) {
+  if (!pinnedStyle) return style;
+  return (renderProps: P) => ({
+    ...(typeof style === "function" ? style(renderProps) : style),
+    ...pinnedStyle,
+  });
 }
@@ -27,6 +27,10 @@ type TagRemovableProps = { onRemove?: (e: RACPressEvent) => void };
 export type TagProps = SharedTagProps &
   TagRemovableProps &
   React.ComponentPropsWithoutRef<"span">;
+/**
+ * Keywords: label, chip, badge
+ * @figma <FIGMA_TAGS_TAG>
+ */
 export function Tag({
   children,
   scheme = "brand",
@@ -73,6 +77,10 @@ export const TagButton = React.forwardRef(function Tag(
 });
 
 export type TagToggleProps = RACTagProps & { iconStart?: ReactNode };
+/**
+ * Keywords: filter
+ * @figma <FIGMA_TAGS_TAG_TOGGLE>
+ */
 export function TagToggle({
   children,
   className,
@@ -95,6 +103,10 @@ export function TagToggle({
 }
 
 export type TagToggleGroupProps = RACTagGroupProps;
+/**
+ * Keywords: filters
+ * @figma <FIGMA_TAGS_TAG_TOGGLE_GROUP>
+ */
 export function TagToggleGroup({ className, ...props }: TagToggleGroupProps) {
   const classNames = clsx(className, "tag-toggle-group");
   return <RACTagGroup className={classNames} {...props} />;
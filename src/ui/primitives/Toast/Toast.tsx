@@ -0,0 +1,123 @@
+import { Notification, Text, TextStrong } from "primitives";
+import { ReactNode, useCallback, useMemo, useState } from "react";
+import {
+  UNSTABLE_Toast as RACToast,
+  UNSTABLE_ToastContent as RACToastContent,
+  UNSTABLE_ToastQueue as RACToastQueue,
+  UNSTABLE_ToastRegion as RACToastRegion,
+} from "react-aria-components";
+import "./toast.css";
+import {
+  ToastContext,
+  type ToastContextType,
+  type ToastOptions,
+} from "./useToast";
+
+export type ToastProviderProps = {
+  children?: ReactNode;
+  /**
+   * Toasts stacked on screen at once. The newest toasts are shown, and older ones are hidden until newer ones close.
+   * Only read on mount, so change the provider's `key` to apply a new value (which clears the queue).
+   */
+  maxVisibleToasts?: number;
+  /**
+   * Default timeout for toasts, in milliseconds
+   */
+  timeout?: number;
+  /**
+   * Label of the toast landmark region
+   */
+  "aria-label"?: string;
+};
+/**
+ * Shows toasts queued with `useToast()`, stacked in a landmark region (F6 to reach it from the keyboard).
+ * Each toast is a Notification, announced to screen readers as it appears.
+ */
+export function ToastProvider({
+  children,
+  maxVisibleToasts = 3,
+  timeout = 5000,
+  "aria-label": ariaLabel = "Notifications",
+}: ToastProviderProps) {
+  const [queue] = useState(
+    () => new RACToastQueue<ToastOptions>({ maxVisibleToasts }),
+  );
+  // RAC toasts can't change after they're queued, so updates are merged over the queued options when rendered
+  const [updates, setUpdates] = useState<{
+    [key: string]: Partial<ToastOptions>;
+  }>({});
+
+  const show = useCallback(
+    (options: ToastOptions) => {
+      const { timeout: toastTimeout = timeout, onDismiss } = options;
+      const key = queue.add(options, {
+        timeout: toastTimeout || undefined,
+        onClose: () => {
+          setUpdates((updates) => {
+            const rest = { ...updates };
+            delete rest[key];
+            return rest;
+          });
+          onDismiss?.();
+        },
+      });
+      return key;
+    },
+    [queue, timeout],
+  );
+  const update = useCallback<ToastContextType["update"]>(
+    (key, options) =>
+      setUpdates((updates) => ({
+        ...updates,
+        [key]: { ...updates[key], ...options },
+      })),
+    [],
+  );
+  const dismiss = useCallback(
+    (key?: string) => {
+      if (key) return queue.close(key);
+      // Close each toast rather than clearing the queue, so every onDismiss is called
+      while (queue.visibleToasts.length)
+        queue.close(queue.visibleToasts[0].key);
+    },
+    [queue],
+  );
+  const value = useMemo(
+    () => ({ show, update, dismiss }),
+    [show, update, dismiss],
+  );
+
+  return (
+    <ToastContext.Provider value={value}>
+      {children}
+      <RACToastRegion
+        queue={queue}
+        className="toast-region"
+        aria-label={ariaLabel}
+      >
+        {({ toast }) => {
+          const { title, description, action, icon, variant } = {
+            ...toast.content,
+            ...updates[toast.key],
+          };
+          return (
+            <RACToast toast={toast} className="toast">
+              <Notification
+                variant={variant}
+                icon={icon}
+                isDismissible
+                onDismiss={() => queue.close(toast.key)}
+              >
+                <RACToastContent className="toast-content">
+                  <TextStrong slot="title">{title}</TextStrong>
+                  {description && <Text slot="description">{description}</Text>}
+                </RACToastContent>
+                {action}
+              </Notification>
+            </RACToast>
+          );
+        }}
+      </RACToastRegion>
+    </ToastContext.Provider>
+  );
+}
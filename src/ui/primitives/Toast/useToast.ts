@@ -0,0 +1,52 @@
+import { type NotificationProps } from "primitives";
+import { createContext, ReactNode, useContext } from "react";
+
+export type ToastOptions = {
+  title: ReactNode;
+  description?: ReactNode;
+  /**
+   * Rendered after the description, eg. an "Undo" button
+   */
+  action?: ReactNode;
+  icon?: ReactNode;
+  variant?: NotificationProps["variant"];
+  /**
+   * Milliseconds until the toast dismisses itself. Paused while the toasts are hovered or focused. 0 keeps it until dismissed.
+   */
+  timeout?: number;
+  /**
+   * Called when the toast closes, dismissed or timed out
+   */
+  onDismiss?: () => void;
+};
+export type ToastContextType = {
+  /**
+   * Queue a toast. Returns its key, for update and dismiss.
+   */
+  show: (options: ToastOptions) => string;
+  /**
+   * Change the content of a toast that's queued or showing
+   */
+  update: (
+    key: string,
+    options: Partial<Omit<ToastOptions, "timeout" | "onDismiss">>,
+  ) => void;
+  /**
+   * Close a toast, or every toast without a key
+   */
+  dismiss: (key?: string) => void;
+};
+
+export const ToastContext = createContext<ToastContextType | null>(null);
+
+/**
+ * Show, update and dismiss toasts
+ * @throws Error if used outside of ToastProvider
+ */
+export function useToast(): ToastContextType {
+  const context = useContext(ToastContext);
+  if (!context) {
+    throw new Error("useToast must be used within a ToastProvider");
+  }
+  return context;
+}
@@ -12,6 +12,10 @@ export interface TooltipProps extends Omit<RACPopoverProps, "children"> {
   children: React.ReactNode;
 }
 
+/**
+ * Keywords: toggletip, popover
+ * @figma <FIGMA_TOOLTIP_TOOLTIP>
+ */
 export function Tooltip({
   children,
   className,
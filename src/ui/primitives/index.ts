@@ -6,6 +6,7 @@ export * from "./Dialog/Dialog";
 export * from "./Fieldset/Fieldset";
 export * from "./Icon/Icon";
 export * from "./IconButton/IconButton";
+export * from "./IconPicker/IconPicker";
 export * from "./Image/Image";
 export * from "./Input/Input";
 export * from "./Link/Link";
@@ -25,4 +26,6 @@ export * from "./Table/Table";
 export * from "./Tag/Tag";
 export * from "./Text/Text";
 export * from "./Textarea/Textarea";
+export * from "./Toast/Toast";
+export * from "./Toast/useToast";
 export * from "./Tooltip/Tooltip";
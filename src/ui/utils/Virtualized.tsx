@@ -0,0 +1,52 @@
+import type { ReactNode } from "react";
+import {
+  ListLayout as RACListLayout,
+  TableLayout as RACTableLayout,
+  Virtualizer as RACVirtualizer,
+} from "react-aria-components";
+
+// Row height rows are laid out with until they're measured
+const ESTIMATED_ROW_HEIGHT = 48;
+
+export type VirtualizedProps = {
+  /**
+   * Renders only the items in view, for collections of thousands of items. The collection scrolls within its own height, so give it one.
+   */
+  virtualized?: boolean;
+  /**
+   * Fixed item height in px when virtualized. Without it, items are measured as they render.
+   */
+  rowHeight?: number;
+  /**
+   * Item height in px that unmeasured items are laid out with, when heights vary
+   */
+  estimatedRowHeight?: number;
+};
+
+/**
+ * Renders a collection in a react-aria Virtualizer when `virtualized`, otherwise as it is.
+ * Focus, keyboard navigation, selection and drag and drop are handled by the collection as usual.
+ */
+export function Virtualized({
+  virtualized,
+  rowHeight,
+  estimatedRowHeight = ESTIMATED_ROW_HEIGHT,
+  layout,
+  children,
+}: VirtualizedProps & {
+  layout: "list" | "table";
+  children: ReactNode;
+}) {
+  if (!virtualized) return <>{children}</>;
+  const layoutOptions =
+    rowHeight === undefined ? { estimatedRowHeight } : { rowHeight };
+  return layout === "table" ? (
+    <RACVirtualizer layout={RACTableLayout} layoutOptions={layoutOptions}>
+      {children}
+    </RACVirtualizer>
+  ) : (
+    <RACVirtualizer layout={RACListLayout} layoutOptions={layoutOptions}>
+      {children}
+    </RACVirtualizer>
+  );
+}
@@ -1 +1,2 @@
 export * from "./AnchorOrButton";
+export * from "./Virtualized";